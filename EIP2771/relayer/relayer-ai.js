@@ -1,6 +1,15 @@
 const express = require('express');
 const { ethers } = require('ethers');
-const axios = require('axios');
+// Validation backends shared with the QOBI relayer system
+const {
+    createBackend,
+    RulesBackend,
+    completeStructured,
+    SchemaValidationError,
+    PARSE_OUTCOME,
+    VALIDATION_OUTCOME,
+    INTERACTION_VALIDATION_SCHEMA
+} = require('qobi-validator-backends');
 
 const app = express();
 app.use(express.json());
@@ -14,7 +23,8 @@ const RELAYER_PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efca
 const FORWARDER_ADDRESS = '0x9A676e781A523b5d0C0e43731313A708CB607508';
 const RECIPIENT_ADDRESS = '0x5FC8d32690cc91D4c39d9d3abcBD16989F875707';
 
-// Ollama Configuration
+// Validator Configuration (ollama, openai, rules or mock)
+const VALIDATOR_BACKEND = process.env.VALIDATOR_BACKEND || 'ollama';
 const OLLAMA_URL = 'http://localhost:11434';
 const OLLAMA_MODEL = 'llama3.2:latest';
 
@@ -22,12 +32,22 @@ const OLLAMA_MODEL = 'llama3.2:latest';
 const APPROVAL_THRESHOLD = 0.7; // Above this = approve
 const REJECTION_THRESHOLD = 0.3; // Below this = reject
 
+// Re-prompts when the model's JSON does not match the schema, and whether the
+// rules fallback used after that may still approve
+const REPAIR_ATTEMPTS = parseInt(process.env.VALIDATION_REPAIR_ATTEMPTS || '2') || 0;
+const ACCEPT_HEURISTIC_VALIDATIONS = process.env.ACCEPT_HEURISTIC_VALIDATIONS !== 'false';
+
+const validatorBackend = createBackend(VALIDATOR_BACKEND === 'ollama'
+    ? { backend: VALIDATOR_BACKEND, url: OLLAMA_URL, model: OLLAMA_MODEL }
+    : { backend: VALIDATOR_BACKEND });
+const rulesBackend = new RulesBackend();
+
 console.log('🤖 EIP-2771 Ollama AI Validation Service');
 console.log('=======================================');
 console.log(`Forwarder: ${FORWARDER_ADDRESS}`);
 console.log(`Recipient: ${RECIPIENT_ADDRESS}`);
 console.log(`RPC: ${RPC_URL}`);
-console.log(`Ollama Model: ${OLLAMA_MODEL}`);
+console.log(`Validator: ${validatorBackend.name} (${validatorBackend.model})`);
 console.log(`Approval Threshold: ${APPROVAL_THRESHOLD}`);
 console.log(`Rejection Threshold: ${REJECTION_THRESHOLD}`);
 
@@ -52,9 +72,9 @@ const recipientABI = [
 const forwarderContract = new ethers.Contract(FORWARDER_ADDRESS, forwarderABI, relayerWallet);
 const recipientContract = new ethers.Contract(RECIPIENT_ADDRESS, recipientABI, provider);
 
-// AI Validation using Ollama
+// AI Validation using the configured backend
 async function validateWithOllama(interaction) {
-    console.log(`🧠 Validating interaction with Ollama: "${interaction}"`);
+    console.log(`🧠 Validating interaction with ${validatorBackend.name}: "${interaction}"`);
     
     const prompt = `
 You are an AI content moderator for a social platform. Analyze this user interaction and respond with ONLY a JSON object.
@@ -88,90 +108,46 @@ Reject interactions that are:
 Respond with ONLY the JSON object, no other text.`;
 
     try {
-        console.log('📡 Calling Ollama API...');
-        const response = await axios.post(`${OLLAMA_URL}/api/generate`, {
-            model: OLLAMA_MODEL,
-            prompt: prompt,
-            stream: false,
-            options: {
+        console.log(`📡 Calling ${validatorBackend.name} backend...`);
+        const result = await completeStructured(
+            (request) => validatorBackend.complete({
+                prompt: request,
+                subject: interaction,
+                kind: 'interaction',
+                format: INTERACTION_VALIDATION_SCHEMA,
                 temperature: 0.1,
-                top_p: 0.9,
-                num_ctx: 2048
-            }
-        });
-
-        console.log('🔍 Raw Ollama response:', response.data.response.substring(0, 200) + '...');
-        
-        // Try to extract JSON from response
-        let jsonMatch = response.data.response.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) {
-            console.log('⚠️  No JSON found in response, falling back to basic validation');
-            return basicValidation(interaction);
-        }
+                topP: 0.9
+            }),
+            prompt,
+            INTERACTION_VALIDATION_SCHEMA,
+            { maxRepairs: REPAIR_ATTEMPTS }
+        );
 
-        const result = JSON.parse(jsonMatch[0]);
-        
-        console.log('✅ Parsed AI validation result:', result);
-        
-        // Validate the response structure
-        if (typeof result.approved !== 'boolean' || 
-            typeof result.significance !== 'number' ||
-            result.significance < 0 || result.significance > 1) {
-            console.log('⚠️  Invalid AI response structure, falling back to basic validation');
-            return basicValidation(interaction);
-        }
-        
-        return result;
+        console.log(`✅ Parsed AI validation result (${result.outcome}, ${result.attempts} attempt(s)):`, result.value);
+        return { ...result.value, parseOutcome: result.outcome };
         
     } catch (error) {
-        console.error('❌ Ollama validation failed:', error.message);
+        if (error instanceof SchemaValidationError) {
+            console.log(`⚠️  ${error.message}, falling back to basic validation`);
+            return { ...basicValidation(interaction), parseOutcome: PARSE_OUTCOME.HEURISTIC };
+        }
+        console.error(`❌ ${validatorBackend.name} validation failed:`, error.message);
         console.log('🔄 Falling back to basic validation');
-        return basicValidation(interaction);
+        return { ...basicValidation(interaction), parseOutcome: VALIDATION_OUTCOME.FALLBACK };
     }
 }
 
-// Fallback basic validation
+// Fallback basic validation (shared rules backend)
 function basicValidation(interaction) {
-    const validPrefixes = ['liked_', 'comment_', 'share_', 'follow_', 'view_', 'bookmark_'];
-    const invalidPatterns = ['spam', 'hack', 'exploit', 'scam', 'phishing'];
-    
-    const lowerInteraction = interaction.toLowerCase();
-    
-    // Check for harmful patterns
-    for (const pattern of invalidPatterns) {
-        if (lowerInteraction.includes(pattern)) {
-            return {
-                approved: false,
-                significance: 0.9,
-                reasoning: `Contains potentially harmful pattern: ${pattern}`,
-                category: 'harmful'
-            };
-        }
-    }
-    
-    // Check for valid prefixes
-    for (const prefix of validPrefixes) {
-        if (lowerInteraction.startsWith(prefix)) {
-            return {
-                approved: true,
-                significance: 0.8,
-                reasoning: `Valid social interaction pattern: ${prefix}`,
-                category: 'positive'
-            };
-        }
-    }
-    
-    // Default to neutral with medium significance
-    return {
-        approved: false,
-        significance: 0.5,
-        reasoning: 'Unknown interaction pattern, requires review',
-        category: 'neutral'
-    };
+    return rulesBackend.evaluateInteraction(interaction);
 }
 
 // Make final decision based on AI result and significance thresholds
 function makeFinalDecision(aiResult) {
+    if (aiResult.parseOutcome === PARSE_OUTCOME.HEURISTIC && !ACCEPT_HEURISTIC_VALIDATIONS) {
+        return { decision: 'REJECTED', reasoning: 'Model response never matched the validation schema' };
+    }
+
     if (aiResult.significance >= APPROVAL_THRESHOLD && aiResult.approved) {
         return { decision: 'APPROVED', reasoning: `High confidence approval (${aiResult.significance})` };
     }
@@ -300,21 +276,24 @@ app.post('/validateAndRelay', async (req, res) => {
 // Health check endpoint
 app.get('/health', async (req, res) => {
     try {
-        // Check Ollama connection
-        const ollamaResponse = await axios.get(`${OLLAMA_URL}/api/tags`);
-        const models = ollamaResponse.data.models || [];
-        const modelExists = models.some(model => model.name.includes(OLLAMA_MODEL));
+        // Check validator backend connection
+        const connection = await validatorBackend.testConnection();
+        if (!connection.connected) {
+            throw new Error(connection.error);
+        }
+        const models = connection.availableModels || [];
         
         res.json({
             status: 'healthy',
             forwarder: FORWARDER_ADDRESS,
             recipient: RECIPIENT_ADDRESS,
             rpc: RPC_URL,
-            ollama: {
+            validator: {
                 connected: true,
-                url: OLLAMA_URL,
-                model: OLLAMA_MODEL,
-                modelAvailable: modelExists,
+                backend: connection.backend,
+                url: connection.url,
+                model: connection.currentModel,
+                modelAvailable: connection.modelAvailable !== false,
                 availableModels: models.map(m => m.name)
             },
             thresholds: {
@@ -326,9 +305,10 @@ app.get('/health', async (req, res) => {
         res.status(500).json({
             status: 'unhealthy',
             error: error.message,
-            ollama: {
+            validator: {
                 connected: false,
-                url: OLLAMA_URL
+                backend: validatorBackend.name,
+                url: validatorBackend.url
             }
         });
     }
@@ -3,210 +3,973 @@ require('dotenv').config();
 const { Command } = require('commander');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
+const fs = require('fs');
+const path = require('path');
 const RelayerService = require('./src/relayer-service');
+const RelayerStore = require('./src/relayer-store');
+const ApiKeyManager = require('./src/api-keys');
+const GasBurnReporter = require('./src/gas-burn-reporter');
+const RelayerClient = require('./src/relayer-client');
+const Distribution = require('./src/distribution');
+const ContractAdmin = require('./src/contract-admin');
+const CalldataDecoder = require('./src/calldata-decoder');
+const { INTERACTION_TYPES, ROLES, parseInteractionType } = require('./src/qobi-contracts');
 const { ethers } = require('ethers');
 
 const program = new Command();
 
+// Seconds a RelayRequest signed by the CLI stays valid
+const RELAY_REQUEST_TTL = 3600;
+
 program
   .name('qobi-cli')
   .description('QOBI Relayer System Command Line Interface')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--api-url <url>', 'Use the relayer server at this URL instead of an in-process relayer (QOBI_API_URL)')
+  .option('--api-key <key>', 'API key for --api-url (QOBI_API_KEY)')
+  .option('--json', 'Print the result as JSON');
+
+// With --json stdout carries only the result, so logs (the in-process relayer's included) go to stderr
+program.hook('preAction', () => {
+  if (program.opts().json) {
+    console.log = console.error;
+  }
+});
 
 // Global relayer service instance
 let relayerService;
 
-// Initialize service
-async function initService() {
+// Initialize service. A read-only service only loads the database, so it runs next to
+// the relayer that owns it; any other refuses to start while that relayer is running.
+async function initService({ readonly = false } = {}) {
   if (!relayerService) {
-    relayerService = new RelayerService();
+    relayerService = new RelayerService({ readonly });
     await relayerService.initialize();
   }
   return relayerService;
 }
 
+function apiUrl() {
+  return program.opts().apiUrl || process.env.QOBI_API_URL;
+}
+
+/**
+ * The relayer server at --api-url, or an in-process RelayerService on the local database.
+ * Both answer the same methods (see RelayerClient).
+ */
+async function connect({ readonly = false } = {}) {
+  if (apiUrl()) {
+    return new RelayerClient({ apiUrl: apiUrl(), apiKey: program.opts().apiKey || process.env.QOBI_API_KEY });
+  }
+  return initService({ readonly });
+}
+
+function requireLocal(command) {
+  if (apiUrl()) {
+    throw new Error(`${command} runs locally and is not available with --api-url`);
+  }
+}
+
+function toJson(value) {
+  return JSON.stringify(value, (key, entry) => (typeof entry === 'bigint' ? entry.toString() : entry), 2);
+}
+
+// Exit once stdout is flushed, so piped JSON is never cut short
+function finish(code, output) {
+  if (output === undefined) {
+    process.exit(code);
+  }
+  process.stdout.write(output + '\n', () => process.exit(code));
+}
+
+function printError(error) {
+  if (program.opts().json) {
+    return toJson({ error: error.message, code: error.code, status: error.status, ...(error.details || {}) });
+  }
+  console.error(chalk.red('❌ Error:'), error.message);
+  if (error.code === 'UNAUTHORIZED' || error.code === 'FORBIDDEN') {
+    console.error(chalk.yellow('   Pass a key with the needed scope: --api-key <key> or QOBI_API_KEY'));
+  }
+  if (error.code === 'DB_IN_USE') {
+    console.error(chalk.yellow('   Send the command to the running relayer instead: --api-url <url> or QOBI_API_URL'));
+  }
+}
+
+/**
+ * Run `action(backend)` and show its result with `print`, or as JSON with --json.
+ * An in-process relayer is shut down afterwards, which drains what it queued;
+ * `readonly` commands only read the local database and leave its queue alone.
+ * Offline commands get no backend.
+ */
+async function runCommand(action, print, { offline = false, readonly = false } = {}) {
+  let backend;
+  try {
+    backend = offline ? null : await connect({ readonly });
+    const result = await action(backend);
+    if (!program.opts().json && print) {
+      print(result, backend);
+    }
+    if (backend) {
+      await backend.shutdown();
+    }
+    finish(0, program.opts().json ? toJson(result) : undefined);
+  } catch (error) {
+    const output = printError(error);
+    if (backend) {
+      await backend.shutdown().catch(() => {});
+    }
+    finish(1, output);
+  }
+}
+
+/**
+ * Queue a transaction. With a sender key it is signed as an EIP-712 RelayRequest
+ * (nonce from the relayer, valid for RELAY_REQUEST_TTL seconds), which is the only
+ * kind the server accepts; locally, without a key, the CLI queues it as the operator.
+ * @returns {Promise<{transactionId: string, signer: string|null}>}
+ */
+async function submitTransaction(backend, tx, privateKey) {
+  if (!privateKey) {
+    if (backend instanceof RelayerClient) {
+      throw new Error('The server only accepts signed transactions: pass the sender key with --private-key or USER_PRIVATE_KEY');
+    }
+    return { transactionId: await backend.addTransaction(tx), signer: null };
+  }
+
+  const wallet = new ethers.Wallet(privateKey);
+  if (tx.from && ethers.getAddress(tx.from) !== wallet.address) {
+    throw new Error(`--from ${tx.from} is not the address of the sender key (${wallet.address})`);
+  }
+
+  const info = await backend.getRelayRequestInfo(wallet.address);
+  const request = {
+    from: wallet.address,
+    to: ethers.getAddress(tx.to),
+    value: ethers.parseEther(String(tx.value || '0')).toString(),
+    data: tx.data || '0x',
+    gasLimit: String(tx.gasLimit || 21000),
+    interactionType: tx.interactionType ? INTERACTION_TYPES[parseInteractionType(tx.interactionType)] : '',
+    nonce: String(info.nonce),
+    deadline: String(Math.floor(Date.now() / 1000) + RELAY_REQUEST_TTL)
+  };
+  const signature = await wallet.signTypedData(info.domain, info.types, request);
+
+  return { transactionId: await backend.addSignedTransaction(request, signature), signer: wallet.address };
+}
+
 // Submit transaction command
 program
   .command('submit')
   .description('Submit a transaction for processing')
-  .option('-f, --from <address>', 'From address')
+  .option('-f, --from <address>', 'From address (defaults to the address of --private-key)')
   .option('-t, --to <address>', 'To address')
   .option('-v, --value <amount>', 'Value in ETH', '0')
   .option('-d, --data <data>', 'Transaction data', '0x')
-  .action(async (options) => {
-    try {
-      const service = await initService();
-      
-      let { from, to, value, data } = options;
-      
-      // Interactive prompts if not provided
-      if (!from || !to) {
-        const answers = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'from',
-            message: 'From address:',
-            when: !from,
-            validate: (input) => ethers.isAddress(input) || 'Invalid address'
-          },
-          {
-            type: 'input',
-            name: 'to',
-            message: 'To address:',
-            when: !to,
-            validate: (input) => ethers.isAddress(input) || 'Invalid address'
-          },
-          {
-            type: 'input',
-            name: 'value',
-            message: 'Value (ETH):',
-            default: '0',
-            when: !value
-          },
-          {
-            type: 'input',
-            name: 'data',
-            message: 'Transaction data:',
-            default: '0x',
-            when: !data
-          }
-        ]);
-        
-        from = from || answers.from;
-        to = to || answers.to;
-        value = value || answers.value;
-        data = data || answers.data;
+  .option('-i, --interaction-type <type>', 'Interaction type (CREATE, LIKES, COMMENTS, TIPPING, CRYPTO, REFERRALS)')
+  .option('-k, --private-key <key>', 'Sender key to sign the RelayRequest with (USER_PRIVATE_KEY); required with --api-url')
+  .action((options) => runCommand(async (backend) => {
+    let { from, to, value, data } = options;
+    const { interactionType } = options;
+    const privateKey = options.privateKey || process.env.USER_PRIVATE_KEY;
+
+    // Interactive prompts if not provided
+    if ((!from && !privateKey) || !to) {
+      if (program.opts().json) {
+        throw new Error('--json does not prompt: pass --to, and --from or a sender key');
       }
+      const answers = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'from',
+          message: 'From address:',
+          when: !from && !privateKey,
+          validate: (input) => ethers.isAddress(input) || 'Invalid address'
+        },
+        {
+          type: 'input',
+          name: 'to',
+          message: 'To address:',
+          when: !to,
+          validate: (input) => ethers.isAddress(input) || 'Invalid address'
+        },
+        {
+          type: 'input',
+          name: 'value',
+          message: 'Value (ETH):',
+          default: '0',
+          when: !value
+        },
+        {
+          type: 'input',
+          name: 'data',
+          message: 'Transaction data:',
+          default: '0x',
+          when: !data
+        }
+      ]);
 
-      const txId = await service.addTransaction({ from, to, value, data });
-      
-      console.log(chalk.green('✅ Transaction submitted successfully!'));
-      console.log(chalk.blue(`📝 Transaction ID: ${txId}`));
-      console.log(chalk.yellow('⏳ Transaction is now queued for AI validation...'));
-      
-    } catch (error) {
-      console.error(chalk.red('❌ Error:'), error.message);
+      from = from || answers.from;
+      to = to || answers.to;
+      value = value || answers.value;
+      data = data || answers.data;
     }
-  });
+
+    // Shutdown drains a local queue, so the transaction is validated before the CLI exits
+    return submitTransaction(backend, { from, to, value, data, interactionType }, privateKey);
+  }, ({ transactionId, signer }) => {
+    console.log(chalk.green('✅ Transaction submitted successfully!'));
+    console.log(chalk.blue(`📝 Transaction ID: ${transactionId}`));
+    if (signer) {
+      console.log(chalk.blue(`✍️ Signed by: ${signer}`));
+    }
+    console.log(chalk.yellow('⏳ Transaction is now queued for AI validation...'));
+  }));
 
 // Status command
+function printStatus(stats, backend) {
+  console.log(chalk.blue.bold('\n📊 QOBI Relayer Status\n'));
+  if (apiUrl()) {
+    console.log(chalk.green(`✅ Service: Running (${apiUrl()})`));
+  } else {
+    const owner = backend.store.getOwner();
+    console.log(owner
+      ? chalk.green(`✅ Service: Running (pid ${owner.pid} on ${owner.host})`)
+      : chalk.yellow(`⏸️ Service: No relayer running on ${backend.store.dbPath}`));
+  }
+  console.log(chalk.blue(`📋 Pending Transactions: ${stats.pendingTransactions}`));
+  console.log(chalk.blue(`📥 Queue: ${stats.queue.queued}/${stats.queue.highWaterMark} (${stats.queue.overflow} when full) | Batches trigger at ${stats.queue.batchSize} tx or ${stats.queue.maxBatchAge}ms`));
+  console.log(chalk.blue(`🔄 Processed Batches: ${stats.processedBatches}`));
+  console.log(chalk.blue(`✅ Total Validated: ${stats.totalValidated}`));
+  console.log(chalk.blue(`🚀 Total Relayed: ${stats.totalRelayed}`));
+  console.log(chalk.blue(`⚡ Avg Processing Time: ${stats.averageProcessingTime.toFixed(2)}ms`));
+  console.log(chalk.red(`❌ Errors: ${stats.errorCount}`));
+
+  const states = stats.transactionStates;
+  console.log(chalk.yellow(`\n⛓️ Relay Lifecycle (${stats.relay.confirmationsRequired} confirmations):`));
+  console.log(chalk.yellow(`   In flight: ${stats.relay.inFlight} | Fee bumps: ${stats.relay.feeBumps}`));
+  ['relayed', 'confirmed', 'reverted', 'replaced', 'dropped', 'failed'].forEach(state => {
+    console.log(chalk.yellow(`   ${state.padEnd(10)} ${states[state] || 0}`));
+  });
+
+  const pool = stats.relay;
+  console.log(chalk.yellow(`\n👛 Relayer Wallets (${pool.active}/${pool.relayers.length} in rotation, min ${pool.minRelayerBalance} ETH):`));
+  pool.relayers.forEach(relayer => {
+    const color = relayer.active ? chalk.green : chalk.red;
+    console.log(color(`   ${relayer.address} ${relayer.balance ?? '?'} ETH | in flight ${relayer.inFlight} | next nonce ${relayer.nextNonce ?? 'not synced'}`));
+    if (!relayer.active) {
+      console.log(chalk.red(`      out of rotation: ${relayer.reason}`));
+    }
+  });
+  if (pool.treasury) {
+    const reports = Object.entries(pool.gasReports).map(([status, count]) => `${count} ${status}`).join(', ') || 'none yet';
+    console.log(chalk.yellow(`   Treasury gas reports: ${reports}`));
+  }
+
+  if (stats.merkleTreeStats) {
+    console.log(chalk.yellow(`\n🌳 Merkle Tree:`));
+    console.log(chalk.yellow(`   Leaves: ${stats.merkleTreeStats.leafCount}`));
+    console.log(chalk.yellow(`   Depth: ${stats.merkleTreeStats.depth}`));
+    console.log(chalk.yellow(`   Root: ${stats.merkleTreeStats.root}`));
+  }
+}
+
 program
   .command('status')
   .description('Show relayer service status')
-  .action(async () => {
-    try {
-      const service = await initService();
-      const stats = service.getStats();
-      
-      console.log(chalk.blue.bold('\n📊 QOBI Relayer Status\n'));
-      console.log(chalk.green(`✅ Service: Running`));
-      console.log(chalk.blue(`📋 Pending Transactions: ${stats.pendingTransactions}`));
-      console.log(chalk.blue(`🔄 Processed Batches: ${stats.processedBatches}`));
-      console.log(chalk.blue(`✅ Total Validated: ${stats.totalValidated}`));
-      console.log(chalk.blue(`🚀 Total Relayed: ${stats.totalRelayed}`));
-      console.log(chalk.blue(`⚡ Avg Processing Time: ${stats.averageProcessingTime.toFixed(2)}ms`));
-      console.log(chalk.red(`❌ Errors: ${stats.errorCount}`));
-      
-      if (stats.merkleTreeStats) {
-        console.log(chalk.yellow(`\n🌳 Merkle Tree:`));
-        console.log(chalk.yellow(`   Leaves: ${stats.merkleTreeStats.leafCount}`));
-        console.log(chalk.yellow(`   Depth: ${stats.merkleTreeStats.depth}`));
-        console.log(chalk.yellow(`   Root: ${stats.merkleTreeStats.root}`));
-      }
-      
-    } catch (error) {
-      console.error(chalk.red('❌ Error:'), error.message);
-    }
-  });
+  .action(() => runCommand(backend => backend.getStats(), printStatus, { readonly: true }));
 
 // Relay command
 program
   .command('relay <transactionId>')
   .description('Relay a validated transaction to the blockchain')
-  .action(async (transactionId) => {
-    try {
-      const service = await initService();
-      
-      console.log(chalk.yellow(`🚀 Relaying transaction ${transactionId}...`));
-      
-      const result = await service.relayTransaction(transactionId);
-      
-      console.log(chalk.green('✅ Transaction relayed successfully!'));
-      console.log(chalk.blue(`🔗 TX Hash: ${result.txHash}`));
-      console.log(chalk.blue(`✍️ Signature: ${result.signature.slice(0, 20)}...`));
-      console.log(chalk.blue(`🌳 Merkle Proof: ${result.merkleProof.length} nodes`));
-      
-    } catch (error) {
-      console.error(chalk.red('❌ Error:'), error.message);
-    }
-  });
+  .action((transactionId) => runCommand(backend => {
+    console.log(chalk.yellow(`🚀 Relaying transaction ${transactionId}...`));
+    return backend.relayTransaction(transactionId);
+  }, (result) => {
+    console.log(chalk.green('✅ Transaction relayed successfully!'));
+    console.log(chalk.blue(`🔗 TX Hash: ${result.txHash}`));
+    console.log(chalk.blue(`🔢 Nonce: ${result.nonce} (${result.status}, confirmation is tracked in the background)`));
+    console.log(chalk.blue(`✍️ Signature: ${result.signature.slice(0, 20)}...`));
+    console.log(chalk.blue(`🌳 Merkle Proof: ${result.merkleProof.length} nodes`));
+  }));
 
 // Batches command
 program
   .command('batches')
   .description('Show recent processed batches')
   .option('-c, --count <number>', 'Number of batches to show', '5')
-  .action(async (options) => {
-    try {
-      const service = await initService();
-      const count = parseInt(options.count);
-      const batches = service.getRecentBatches(count);
-      
-      console.log(chalk.blue.bold(`\n📦 Recent ${count} Batches\n`));
-      
-      if (batches.length === 0) {
-        console.log(chalk.yellow('No batches processed yet.'));
-        return;
+  .action((options) => runCommand(backend => backend.getRecentBatches(parseInt(options.count)), (batches) => {
+    console.log(chalk.blue.bold(`\n📦 Recent ${parseInt(options.count)} Batches\n`));
+
+    if (batches.length === 0) {
+      console.log(chalk.yellow('No batches processed yet.'));
+      return;
+    }
+
+    batches.forEach((batch, index) => {
+      console.log(chalk.cyan(`${index + 1}. Batch: ${batch.id}`));
+      // A Date in process, an ISO string over HTTP
+      console.log(`   📅 Processed: ${new Date(batch.processedAt)}`);
+      console.log(`   📊 Transactions: ${batch.stats.total} (${batch.stats.validated} validated, ${batch.stats.rejected} rejected)`);
+      console.log(`   ⏱️ Processing Time: ${batch.processingTime}ms`);
+      console.log(`   🌳 Merkle Root: ${batch.merkleRoot}`);
+      console.log('');
+    });
+  }, { readonly: true }));
+
+// Daily trees command
+program
+  .command('daily-trees')
+  .description('Build and submit the daily reward trees to DailyTreeGenerator')
+  .option('--day <day>', 'Day to submit (unix time / 86400), defaults to yesterday')
+  .action((options) => runCommand(backend => {
+    const day = options.day !== undefined ? parseInt(options.day) : undefined;
+    return backend.runDailyTrees(day);
+  }, (results) => {
+    console.log(chalk.blue.bold('\n🌳 Daily Tree Submissions\n'));
+    results.forEach(result => {
+      const name = INTERACTION_TYPES[result.interactionType];
+      if (result.skipped) {
+        console.log(chalk.yellow(`   ${name.padEnd(10)} skipped: ${result.skipped}`));
+      } else if (result.error) {
+        console.log(chalk.red(`   ${name.padEnd(10)} ${result.status}: ${result.error}`));
+      } else {
+        console.log(chalk.green(`   ${name.padEnd(10)} ${result.status} (${result.allocations.length} users, root ${result.merkleRoot})`));
       }
-      
-      batches.forEach((batch, index) => {
-        console.log(chalk.cyan(`${index + 1}. Batch: ${batch.id}`));
-        console.log(`   📅 Processed: ${batch.processedAt}`);
-        console.log(`   📊 Transactions: ${batch.stats.total} (${batch.stats.validated} validated, ${batch.stats.rejected} rejected)`);
-        console.log(`   ⏱️ Processing Time: ${batch.processingTime}ms`);
-        console.log(`   🌳 Merkle Root: ${batch.merkleRoot}`);
-        console.log('');
-      });
-      
-    } catch (error) {
-      console.error(chalk.red('❌ Error:'), error.message);
+    });
+  }));
+
+// Gas burn reports and reminting against StabilizingContract. They need the
+// relayer's database and signer, so they only run in process.
+function withStabilizer(action, print, options) {
+  return runCommand(backend => {
+    requireLocal('stabilizer');
+    return action(backend);
+  }, print, options);
+}
+
+const { BURN_REPORT_STATUS } = GasBurnReporter;
+
+function formatDay(day) {
+  return `${day} (${new Date(day * 86400000).toISOString().slice(0, 10)})`;
+}
+
+const stabilizerCommand = program
+  .command('stabilizer')
+  .description('Report relay gas burn to StabilizingContract and remint burned tokens');
+
+stabilizerCommand
+  .command('status')
+  .description('Show the remint schedule and the latest gas burn reports')
+  .option('--days <days>', 'Number of reported days to show', '7')
+  .action((options) => withStabilizer(async (service) => {
+    const status = await service.requireGasBurnReporter().remintStatus();
+    const today = GasBurnReporter.currentDay();
+    return { ...status, reports: service.store.getBurnReports(today - parseInt(options.days), today) };
+  }, (status) => {
+    console.log(chalk.blue.bold('\n🔥 StabilizingContract\n'));
+    console.log(`   Balance: ${ethers.formatEther(status.balance)}`);
+    console.log(`   Burned on ${formatDay(status.yesterday)}: ${ethers.formatEther(status.burnedYesterday)}`);
+    console.log(`   Last remint: ${status.lastMintTimestamp ? new Date(status.lastMintTimestamp * 1000).toLocaleString() : 'never'}`);
+    console.log(status.due
+      ? chalk.green('   Remint due now')
+      : chalk.yellow(`   Next remint: ${new Date(status.nextMintAt * 1000).toLocaleString()}`));
+
+    console.log(chalk.blue.bold('\n🧾 Gas Burn Reports\n'));
+    if (status.reports.length === 0) {
+      console.log(chalk.yellow('   None yet'));
+    }
+    status.reports.forEach(report => {
+      const done = [BURN_REPORT_STATUS.CONFIRMED, BURN_REPORT_STATUS.EMPTY].includes(report.status);
+      const color = done ? chalk.green : chalk.yellow;
+      console.log(color(`   ${formatDay(report.day)} ${report.status.padEnd(10)} ${ethers.formatEther(report.amount)} ETH, ${report.relays} relays`) +
+        (report.txHash ? ` ${report.txHash}` : '') + (report.error ? chalk.red(` ${report.error}`) : ''));
+    });
+  }, { readonly: true }));
+
+stabilizerCommand
+  .command('report')
+  .description('Report the gas burned by relays on a day with recordGasBurn, once per day')
+  .option('--day <day>', 'Day of the relays (unix time / 86400), defaults to yesterday')
+  .option('--force', 'Send again although the last attempt may have reached the node')
+  .action((options) => withStabilizer((service) => {
+    const day = options.day !== undefined ? parseInt(options.day) : undefined;
+    return service.reportGasBurn(day, { force: Boolean(options.force) });
+  }, (report) => {
+    if (report.skipped) {
+      console.log(chalk.yellow(`⏭️  ${formatDay(report.day)} skipped: ${report.skipped}`));
+    } else {
+      console.log(chalk.green(`✅ ${formatDay(report.day)}: ${ethers.formatEther(report.amount)} ETH from ${report.relays} relays recorded on contract day ${report.reportDay}`));
+    }
+    if (report.excluded > 0) {
+      console.log(`   ${report.excluded} relays left out, already recorded through RelayerTreasury`);
+    }
+  }));
+
+stabilizerCommand
+  .command('reconcile')
+  .description('Compare reported gas burn with dailyBurnedAmount and list gaps')
+  .option('--days <days>', 'Number of past days to check', '7')
+  .action((options) => withStabilizer((service) => {
+    const toDay = GasBurnReporter.currentDay() - 1;
+    return service.reconcileGasBurn(toDay - parseInt(options.days) + 1, toDay);
+  }, (result) => {
+    console.log(chalk.blue.bold('\n🔎 Gas Burn Reconciliation\n'));
+    result.days.forEach(day => {
+      console.log(`   ${formatDay(day.day)} burned ${ethers.formatEther(day.burned)}, reported ${ethers.formatEther(day.reported)} (${day.status || 'no report'})`);
+    });
+    result.onChain.forEach(entry => {
+      console.log(`   Contract day ${formatDay(entry.day)}: dailyBurnedAmount ${ethers.formatEther(entry.recorded)}, reported ${ethers.formatEther(entry.reported)}`);
+    });
+
+    if (result.gaps.length === 0) {
+      console.log(chalk.green('\n✅ No gaps'));
+    }
+    result.gaps.forEach(gap => {
+      const color = gap.type === 'extra' ? chalk.yellow : chalk.red;
+      console.log(color(`⚠️  ${gap.type} ${ethers.formatEther(gap.amount)} ETH on day ${formatDay(gap.day)}`) +
+        (gap.status ? ` (report ${gap.status})` : ''));
+    });
+  }));
+
+stabilizerCommand
+  .command('remint')
+  .description('Call remintBurnedTokens once mintInterval has elapsed (needs STABILIZER_ROLE)')
+  .action(() => withStabilizer(service => service.remintBurnedTokens(), (result) => {
+    if (result.skipped) {
+      console.log(chalk.yellow(`⏭️  Not reminted: ${result.skipped}`));
+    } else {
+      console.log(chalk.green(`♻️  Reminted ${ethers.formatEther(result.reminted)} to ${result.merkleDistributor} in block ${result.blockNumber}`));
+      console.log(`   ${result.txHash}`);
+    }
+  }));
+
+// Claim command
+program
+  .command('claim <address>')
+  .description('Show unclaimed QOBI allocations and build the claim transaction')
+  .option('--day <days>', 'Only these days (comma separated, unix time / 86400)')
+  .option('-i, --interaction-type <types>', 'Only these interaction types (comma separated)')
+  .option('--calldata', 'Print the claimQOBI / batchClaimQOBI transaction to sign')
+  .action((address, options) => runCommand(async (backend) => {
+    if (!ethers.isAddress(address)) {
+      throw new Error('Invalid address');
+    }
+
+    const filter = {};
+    if (options.day) {
+      filter.days = options.day.split(',').map(day => parseInt(day));
+    }
+    if (options.interactionType) {
+      filter.interactionTypes = options.interactionType.split(',').map(parseInteractionType);
+    }
+
+    const result = await backend.getClaims(address, filter);
+    if (options.calldata && result.claims.length > 0) {
+      result.transaction = await backend.getClaimTransaction(address, filter);
+    }
+    return result;
+  }, ({ claims, skipped, totalQOBI, transaction }) => {
+    console.log(chalk.blue.bold(`\n🎁 QOBI Claims for ${address}\n`));
+
+    if (claims.length === 0) {
+      console.log(chalk.yellow('No claimable allocations.'));
+    }
+    claims.forEach(claim => {
+      console.log(chalk.green(`   Day ${claim.day} ${claim.interactionTypeName.padEnd(10)} ${ethers.formatEther(claim.qobiAmount)} QOBI (${claim.points} points)`));
+      console.log(`      Proof: ${JSON.stringify(claim.proof)}`);
+    });
+    skipped.forEach(entry => {
+      console.log(chalk.yellow(`   Day ${entry.day} ${entry.interactionTypeName.padEnd(10)} skipped: ${entry.reason}`));
+    });
+
+    if (claims.length > 0) {
+      console.log(chalk.blue(`\n💰 Total claimable: ${ethers.formatEther(totalQOBI)} QOBI`));
+    }
+
+    if (transaction) {
+      console.log(chalk.blue.bold(`\n📝 ${transaction.method} transaction (send from ${transaction.from})\n`));
+      console.log(toJson(transaction));
+    }
+  }, { readonly: true }));
+
+// Offline Merkle tooling for distribution files (see src/distribution.js); no relayer or RPC needed
+function offline(action, print) {
+  return runCommand(action, print, { offline: true });
+}
+
+function printTotals(totals) {
+  console.log(`   Users: ${totals.users} | Points: ${totals.totalPoints} | QOBI: ${ethers.formatEther(totals.totalQOBI)}`);
+}
+
+const treeCommand = program
+  .command('tree')
+  .description('Build, prove, verify and diff reward distributions from CSV or JSON files, offline');
+
+treeCommand
+  .command('build <file>')
+  .description('Compute the root and every proof for a (user, points, qobiAmount) file')
+  .option('-o, --out <file>', 'Write the root and all proofs as JSON')
+  .action((file, options) => offline(() => {
+    const tree = Distribution.read(file).toJSON();
+    if (options.out) {
+      fs.writeFileSync(options.out, JSON.stringify(tree, null, 2) + '\n');
+    }
+    return tree;
+  }, (tree) => {
+    console.log(chalk.blue.bold(`\n🌳 Distribution ${file}\n`));
+    printTotals(tree);
+    console.log(chalk.green(`   Root: ${tree.root}`));
+    console.log(options.out
+      ? chalk.blue(`\n📝 Proofs written to ${options.out}`)
+      : chalk.yellow('\n   Add --out <file> to write every proof'));
+  }));
+
+treeCommand
+  .command('prove <file> <address>')
+  .description('Print one user\'s leaf and proof')
+  .action((file, address) => offline(() => {
+    const proof = Distribution.read(file).prove(address);
+    if (!proof) {
+      throw new Error(`${address} is not in ${file}`);
+    }
+    return proof;
+  }, (proof) => {
+    console.log(chalk.blue.bold(`\n🧾 Proof for ${proof.user}\n`));
+    console.log(`   Points: ${proof.points} | QOBI: ${ethers.formatEther(proof.qobiAmount)} (${proof.qobiAmount} wei)`);
+    console.log(`   Leaf: ${proof.leaf}`);
+    console.log(`   Root: ${proof.root}`);
+    console.log(`   Proof: ${JSON.stringify(proof.proof)}`);
+  }));
+
+treeCommand
+  .command('verify <root> [proofFile]')
+  .description('Check a proof against a root (from the JSON of tree prove, or the options)')
+  .option('-u, --user <address>', 'User of the allocation')
+  .option('-p, --points <points>', 'Points of the allocation')
+  .option('-a, --amount <wei>', 'qobiAmount of the allocation, in wei')
+  .option('--proof <hashes>', 'Proof hashes, comma separated')
+  .action((root, proofFile, options) => offline(() => {
+    const claim = proofFile
+      ? JSON.parse(fs.readFileSync(proofFile, 'utf8'))
+      : {
+        user: options.user,
+        points: options.points,
+        qobiAmount: options.amount,
+        proof: options.proof !== undefined ? options.proof.split(',').filter(Boolean) : undefined
+      };
+    const [allocation] = Distribution.validate([claim]);
+    if (!ethers.isHexString(root, 32) || !Array.isArray(claim.proof) || !claim.proof.every(hash => ethers.isHexString(hash, 32))) {
+      throw new Error('Root and proof hashes must be 32-byte hex strings');
+    }
+
+    const { leaf, valid } = Distribution.verify({ root, ...allocation, proof: claim.proof });
+    if (!valid) {
+      throw new Distribution.DistributionError(`Proof for ${allocation.user} does not verify against ${root}`, 'INVALID_PROOF', { root, leaf });
+    }
+    return { valid, root, leaf, ...allocation };
+  }, (result) => {
+    console.log(chalk.green(`✅ Proof for ${result.user} (${ethers.formatEther(result.qobiAmount)} QOBI, ${result.points} points) verifies against ${result.root}`));
+  }));
+
+treeCommand
+  .command('diff <before> <after>')
+  .description('List users added, removed and with changed amounts between two distributions')
+  .action((before, after) => offline(() => Distribution.read(before).diff(Distribution.read(after)), (diff) => {
+    console.log(chalk.blue.bold('\n🔀 Distribution Diff\n'));
+    for (const [label, side] of [['Before', diff.before], ['After', diff.after]]) {
+      console.log(chalk.blue(`   ${label}: ${side.source} root ${side.root}`));
+      printTotals(side);
+    }
+
+    if (diff.added.length + diff.removed.length + diff.changed.length === 0) {
+      console.log(chalk.green('\n✅ Same allocations'));
+      return;
+    }
+    console.log(chalk.yellow(`\n   ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed\n`));
+    diff.added.forEach(allocation => {
+      console.log(chalk.green(`   + ${allocation.user} ${ethers.formatEther(allocation.qobiAmount)} QOBI (${allocation.points} points)`));
+    });
+    diff.removed.forEach(allocation => {
+      console.log(chalk.red(`   - ${allocation.user} ${ethers.formatEther(allocation.qobiAmount)} QOBI (${allocation.points} points)`));
+    });
+    diff.changed.forEach(change => {
+      const sign = BigInt(change.qobiDelta) >= 0n ? '+' : '';
+      console.log(chalk.yellow(`   ~ ${change.user} ${ethers.formatEther(change.before.qobiAmount)} → ${ethers.formatEther(change.after.qobiAmount)} QOBI (${sign}${ethers.formatEther(change.qobiDelta)}), ` +
+        `${change.before.points} → ${change.after.points} points`));
+    });
+  }));
+
+// Owner-only contract calls (see src/contract-admin.js), sent straight to the chain
+const adminCommand = program
+  .command('admin')
+  .description('Call the owner-only functions of the QOBI contracts, with a preview and confirmation')
+  .option('--dry-run', 'Show the call, decoded calldata and gas estimate without sending')
+  .option('-y, --yes', 'Send without asking for confirmation')
+  .option('-k, --private-key <key>', 'Owner key to send with (ADMIN_PRIVATE_KEY, then PRIVATE_KEY)');
+
+function openAdmin() {
+  const privateKey = adminCommand.opts().privateKey || process.env.ADMIN_PRIVATE_KEY || process.env.PRIVATE_KEY;
+  if (!privateKey) {
+    throw new Error('admin needs the owner key: --private-key, ADMIN_PRIVATE_KEY or PRIVATE_KEY');
+  }
+  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+  return new ContractAdmin({
+    provider,
+    signer: new ethers.Wallet(privateKey, provider),
+    contracts: {
+      systemDeployer: process.env.SYSTEM_DEPLOYER_ADDRESS,
+      accessControl: process.env.ACCESS_CONTROL_ADDRESS,
+      dailyTree: process.env.DAILY_TREE_ADDRESS,
+      merkleDistributor: process.env.MERKLE_DISTRIBUTOR_ADDRESS,
+      stabilizingContract: process.env.STABILIZING_CONTRACT_ADDRESS,
+      relayerTreasury: process.env.RELAYER_TREASURY_ADDRESS
     }
   });
+}
+
+function parseAddress(value) {
+  if (!ethers.isAddress(value)) {
+    throw new Error(`Invalid address: ${value}`);
+  }
+  return ethers.getAddress(value);
+}
+
+function parseAddresses(value) {
+  return value.split(',').map(address => parseAddress(address.trim()));
+}
+
+function printAdminPreview(preview) {
+  console.log(chalk.blue.bold(`\n🛠️  ${preview.contract}.${preview.method} at ${preview.to}\n`));
+  console.log(preview.owner && preview.owner !== preview.from
+    ? chalk.red(`   From: ${preview.from} (owner is ${preview.owner})`)
+    : `   From: ${preview.from}${preview.owner ? ' (owner)' : ''}`);
+  if (preview.value !== '0') {
+    console.log(`   Value: ${ethers.formatEther(preview.value)} ETH`);
+  }
+  console.log(`   Call: ${CalldataDecoder.describe(preview.decoded)}`);
+  console.log(`   Calldata: ${preview.data}`);
+  console.log(preview.revert
+    ? chalk.red(`   Reverts: ${preview.revert}`)
+    : `   Gas estimate: ${preview.gasEstimate}`);
+  preview.warnings.forEach(warning => console.log(chalk.yellow(`   ⚠️  ${warning}`)));
+}
+
+/**
+ * Preview an admin call, then send it once confirmed. `build(admin)` returns the call's
+ * arguments and, for payable calls, its value in wei.
+ */
+function runAdmin(method, build) {
+  return runCommand(async () => {
+    requireLocal('admin');
+    const { dryRun, yes } = adminCommand.opts();
+    const admin = openAdmin();
+    const { args, value } = await build(admin);
+    const preview = await admin.prepare(method, args, { value });
+
+    if (!program.opts().json) {
+      printAdminPreview(preview);
+    }
+    if (dryRun) {
+      return { ...preview, dryRun: true };
+    }
+    if (preview.revert) {
+      throw new Error(`Not sent, the node expects ${preview.contract}.${method} to revert: ${preview.revert}`);
+    }
+    if (!yes) {
+      if (program.opts().json) {
+        throw new Error('--json does not prompt: add --yes to send, or --dry-run to preview');
+      }
+      const { confirmed } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirmed',
+        message: `Send ${preview.contract}.${method} from ${preview.from}?`,
+        default: false
+      }]);
+      if (!confirmed) {
+        return { ...preview, sent: false };
+      }
+    }
+    return { ...preview, sent: true, ...(await admin.send(preview)) };
+  }, (result) => {
+    if (result.dryRun) {
+      console.log(chalk.blue('\n🔍 Dry run, nothing sent'));
+    } else if (!result.sent) {
+      console.log(chalk.yellow('\n⏹️  Not sent'));
+    } else {
+      console.log(chalk.green(`\n✅ ${result.contract}.${result.method} ${result.status} in block ${result.blockNumber} (${result.gasUsed} gas)`));
+      console.log(`   ${result.txHash}`);
+    }
+  }, { offline: true });
+}
+
+adminCommand
+  .command('grant-role <role> <account>')
+  .description(`QOBIAccessControl.grantRole (role: ${ROLES.join(', ')} or a bytes32 id)`)
+  .action((role, account) => runAdmin('grantRole', async () => ({
+    args: [ContractAdmin.roleId(role), parseAddress(account)]
+  })));
+
+adminCommand
+  .command('revoke-role <role> <account>')
+  .description('QOBIAccessControl.revokeRole')
+  .action((role, account) => runAdmin('revokeRole', async () => ({
+    args: [ContractAdmin.roleId(role), parseAddress(account)]
+  })));
+
+adminCommand
+  .command('authorize-relayer <relayer>')
+  .description('DailyTreeGenerator.authorizeRelayer: let an address submit daily trees')
+  .action((relayer) => runAdmin('authorizeRelayer', async () => ({ args: [parseAddress(relayer)] })));
+
+adminCommand
+  .command('update-daily-limits <interactionType> <userLimit> <qobiCap>')
+  .description('DailyTreeGenerator.updateDailyLimits (qobiCap in QOBI)')
+  .action((interactionType, userLimit, qobiCap) => runAdmin('updateDailyLimits', async () => ({
+    args: [parseInteractionType(interactionType), BigInt(userLimit), ethers.parseEther(qobiCap)]
+  })));
+
+adminCommand
+  .command('update-daily-qobi-caps <caps>')
+  .description(`QOBIMerkleDistributor.updateDailyQOBICaps: six comma separated caps in QOBI (${INTERACTION_TYPES.join(', ')}), an empty one keeps the current cap`)
+  .action((caps) => runAdmin('updateDailyQOBICaps', async (admin) => {
+    const values = caps.split(',').map(cap => cap.trim());
+    if (values.length !== INTERACTION_TYPES.length) {
+      throw new Error(`Expected ${INTERACTION_TYPES.length} caps, got ${values.length}`);
+    }
+    const distributor = admin.contract('merkleDistributor');
+    const newCaps = [];
+    for (const [interactionType, cap] of values.entries()) {
+      newCaps.push(cap === '' ? await distributor.getDailyQOBICap(interactionType) : ethers.parseEther(cap));
+    }
+    return { args: [newCaps] };
+  }));
+
+adminCommand
+  .command('pause')
+  .description('QOBIMerkleDistributor.pause')
+  .action(() => runAdmin('pause', async () => ({ args: [] })));
+
+adminCommand
+  .command('set-stabilizing-contract <address>')
+  .description('QOBIMerkleDistributor.setStabilizingContract')
+  .action((address) => runAdmin('setStabilizingContract', async () => ({ args: [parseAddress(address)] })));
+
+adminCommand
+  .command('add-relayer <relayer>')
+  .description('RelayerTreasury.addRelayer: authorize a relayer for funding and gas reimbursement')
+  .action((relayer) => runAdmin('addRelayer', async () => ({ args: [parseAddress(relayer)] })));
+
+adminCommand
+  .command('batch-fund-relayers <relayers> <amounts>')
+  .description('RelayerTreasury.batchFundRelayers from the treasury balance (comma separated; amounts in ETH, or one for all)')
+  .action((relayers, amounts) => runAdmin('batchFundRelayers', async () => {
+    const addresses = parseAddresses(relayers);
+    let values = amounts.split(',').map(amount => ethers.parseEther(amount.trim()));
+    if (values.length === 1) {
+      values = addresses.map(() => values[0]);
+    }
+    if (values.length !== addresses.length) {
+      throw new Error(`${addresses.length} relayers but ${values.length} amounts`);
+    }
+    return { args: [addresses, values] };
+  }));
+
+adminCommand
+  .command('update-min-relayer-balance <amount>')
+  .description('RelayerTreasury.updateMinRelayerBalance (in ETH)')
+  .action((amount) => runAdmin('updateMinRelayerBalance', async () => ({ args: [ethers.parseEther(amount)] })));
+
+adminCommand
+  .command('fund-multiple-relayers <relayers> <amountPerRelayer>')
+  .description('QOBISystemDeployer.fundMultipleRelayers: send relayers x amount (ETH) from the owner to the treasury and fund each relayer')
+  .action((relayers, amountPerRelayer) => runAdmin('fundMultipleRelayers', async () => {
+    const addresses = parseAddresses(relayers);
+    const amount = ethers.parseEther(amountPerRelayer);
+    return { args: [addresses, amount], value: amount * BigInt(addresses.length) };
+  }));
 
 // AI status command
+function printAIStatus({ connection, stats }) {
+  console.log(chalk.blue.bold('\n🤖 AI Validator Status\n'));
+
+  if (connection.connected) {
+    console.log(chalk.green('✅ Connection: OK'));
+    console.log(chalk.blue(`🔌 Backend: ${connection.backend}`));
+    if (connection.url) {
+      console.log(chalk.blue(`🔗 URL: ${connection.url}`));
+    }
+    console.log(chalk.blue(`🧠 Model: ${connection.currentModel}`));
+    console.log(chalk.blue(`📋 Available Models: ${connection.availableModels.length}`));
+  } else {
+    console.log(chalk.red('❌ Connection: Failed'));
+    console.log(chalk.red(`Error: ${connection.error}`));
+  }
+
+  if (stats.totalValidations) {
+    console.log(chalk.yellow(`\n📊 Validation Stats:`));
+    console.log(chalk.yellow(`   Total: ${stats.totalValidations}`));
+    console.log(chalk.yellow(`   Avg Risk Score: ${stats.averageRiskScore.toFixed(2)}`));
+    console.log(chalk.yellow(`   Avg Confidence: ${stats.averageConfidence.toFixed(2)}`));
+    console.log(chalk.yellow(`   Classifications: ${JSON.stringify(stats.classifications)}`));
+  }
+
+  const { performance } = stats;
+  const breakerColor = performance.circuitBreaker.state === 'closed' ? chalk.green : chalk.red;
+  console.log(chalk.yellow(`\n⚡ Performance (concurrency ${performance.concurrency}):`));
+  if (performance.throughput !== null) {
+    console.log(chalk.yellow(`   Throughput: ${performance.throughput.toFixed(2)} tx/s over ${performance.batches} batches`));
+  }
+  if (performance.latency.samples > 0) {
+    console.log(chalk.yellow(`   Latency p50/p90/p99: ${performance.latency.p50}/${performance.latency.p90}/${performance.latency.p99}ms`));
+  }
+  console.log(chalk.yellow(`   Timeouts: ${performance.timeouts} | Retries: ${performance.retries} | Fallbacks: ${performance.fallbacks}`));
+  const outcomes = performance.parseOutcomes;
+  console.log(chalk.yellow(`   Parsed: ${outcomes.clean} clean | ${outcomes.repaired} repaired (${performance.repairs} re-prompts) | ${outcomes.heuristic} heuristic`));
+  console.log(breakerColor(`   Circuit breaker: ${performance.circuitBreaker.state}`));
+
+  const { cache } = stats;
+  if (cache.enabled) {
+    const hitRate = cache.hitRate !== null ? `${(cache.hitRate * 100).toFixed(1)}%` : 'n/a';
+    console.log(chalk.yellow(`\n🗃️ Validation Cache (ttl ${cache.ttl / 1000}s${cache.persisted ? ', persisted' : ''}):`));
+    console.log(chalk.yellow(`   Entries: ${cache.size} in memory${cache.persisted ? `, ${cache.storedSize} stored` : ''}`));
+    console.log(chalk.yellow(`   Hit rate: ${hitRate} (${cache.hits} hits, ${cache.misses} misses, ${cache.coalesced} coalesced)`));
+  } else {
+    console.log(chalk.yellow('\n🗃️ Validation Cache: disabled'));
+  }
+
+  const { rules } = stats;
+  console.log(chalk.yellow(`\n📏 Rule Engine (${rules.rules} rules):`));
+  console.log(chalk.yellow(`   Evaluated: ${rules.evaluated} | Decoded calls: ${rules.decoded}`));
+  console.log(chalk.yellow(`   Rejected: ${rules.rejected} | Approved: ${rules.approved} | Flagged: ${rules.flagged}`));
+}
+
 program
   .command('ai-status')
   .description('Check AI validator status')
-  .action(async () => {
+  .action(() => runCommand(backend => backend.getAIStatus(), printAIStatus, { readonly: true }));
+
+// Invalidate persisted AI verdicts
+program
+  .command('ai-cache-clear')
+  .description('Drop cached AI validations (all by default)')
+  .option('--stale', 'Only drop entries from other models, prompts or policy versions')
+  .option('--cache-version <version>', 'Only drop entries of one cache version')
+  .action((options) => runCommand(
+    backend => backend.clearValidationCache({ stale: options.stale, version: options.cacheVersion }),
+    ({ removed, cacheVersion }) => {
+      console.log(chalk.green(`✅ Removed ${removed} cached validations`));
+      console.log(chalk.blue(`   Current cache version: ${cacheVersion}`));
+    }
+  ));
+
+// API key management. Works on the relayer database directly, no RPC connection needed.
+function openApiKeys() {
+  const store = new RelayerStore(process.env.DB_PATH || path.join(__dirname, 'data', 'relayer.db'));
+  return { store, apiKeys: new ApiKeyManager({ store }) };
+}
+
+async function withApiKeys(action, print) {
+  let output;
+  try {
+    requireLocal('api-keys');
+    const { store, apiKeys } = openApiKeys();
     try {
-      const service = await initService();
-      const connection = await service.aiValidator.testConnection();
-      const stats = service.aiValidator.getValidationStats();
-      
-      console.log(chalk.blue.bold('\n🤖 AI Validator Status\n'));
-      
-      if (connection.connected) {
-        console.log(chalk.green('✅ Connection: OK'));
-        console.log(chalk.blue(`🔗 URL: ${service.config.ollamaUrl}`));
-        console.log(chalk.blue(`🧠 Model: ${connection.currentModel}`));
-        console.log(chalk.blue(`📋 Available Models: ${connection.availableModels.length}`));
+      const result = await action(apiKeys, store);
+      if (program.opts().json) {
+        output = toJson(result);
       } else {
-        console.log(chalk.red('❌ Connection: Failed'));
-        console.log(chalk.red(`Error: ${connection.error}`));
+        print(result);
       }
-      
-      if (stats.totalValidations) {
-        console.log(chalk.yellow(`\n📊 Validation Stats:`));
-        console.log(chalk.yellow(`   Total: ${stats.totalValidations}`));
-        console.log(chalk.yellow(`   Avg Risk Score: ${stats.averageRiskScore.toFixed(2)}`));
-        console.log(chalk.yellow(`   Avg Confidence: ${stats.averageConfidence.toFixed(2)}`));
-        console.log(chalk.yellow(`   Classifications: ${JSON.stringify(stats.classifications)}`));
+    } finally {
+      store.close();
+    }
+  } catch (error) {
+    output = printError(error);
+    process.exitCode = 1;
+  }
+  if (output !== undefined) {
+    process.stdout.write(output + '\n');
+  }
+}
+
+function printApiKey(key) {
+  const state = key.revoked ? chalk.red('revoked') : chalk.green('active');
+  console.log(chalk.blue(`🔑 ${key.id} ${key.name} (${state})`));
+  console.log(`   Scopes: ${key.scopes.join(', ')}`);
+  console.log(`   Rate limit: ${key.rateLimit} requests/min`);
+  console.log(`   Gas today: ${key.gasUsedToday} of ${key.dailyGasQuota}`);
+  if (key.lastUsedAt) {
+    console.log(`   Last used: ${new Date(key.lastUsedAt).toLocaleString()}`);
+  }
+}
+
+const apiKeysCommand = program
+  .command('api-keys')
+  .description(`Manage API keys for the HTTP API (scopes: ${ApiKeyManager.SCOPES.join(', ')})`);
+
+apiKeysCommand
+  .command('create <name>')
+  .description('Create a key; the key is only shown once')
+  .requiredOption('-s, --scopes <scopes>', 'Comma separated scopes')
+  .option('--rate-limit <requests>', 'Requests per minute (default API_KEY_RATE_LIMIT)')
+  .option('--gas-quota <gas>', 'Daily relay gas quota (default API_KEY_DAILY_GAS_QUOTA)')
+  .action((name, options) => withApiKeys(apiKeys => apiKeys.createKey({
+    name,
+    scopes: options.scopes,
+    rateLimit: options.rateLimit,
+    dailyGasQuota: options.gasQuota
+  }), (key) => {
+    printApiKey(key);
+    console.log(chalk.yellow(`\n   Key: ${key.key}`));
+    console.log(chalk.yellow('   Store it now, it cannot be shown again.'));
+  }));
+
+apiKeysCommand
+  .command('list')
+  .description('List API keys with today\'s gas usage')
+  .action(() => withApiKeys(apiKeys => apiKeys.listKeys(), (keys) => {
+    if (keys.length === 0) {
+      console.log(chalk.yellow('No API keys yet, create one with: qobi-cli api-keys create <name> --scopes read'));
+    }
+    keys.forEach(printApiKey);
+  }));
+
+apiKeysCommand
+  .command('update <id>')
+  .description('Change scopes or limits of a key')
+  .option('-s, --scopes <scopes>', 'Comma separated scopes')
+  .option('--rate-limit <requests>', 'Requests per minute')
+  .option('--gas-quota <gas>', 'Daily relay gas quota')
+  .action((id, options) => withApiKeys(apiKeys => apiKeys.updateKey(id, {
+    scopes: options.scopes,
+    rateLimit: options.rateLimit,
+    dailyGasQuota: options.gasQuota
+  }), printApiKey));
+
+apiKeysCommand
+  .command('revoke <id>')
+  .description('Revoke a key')
+  .action((id) => withApiKeys(apiKeys => apiKeys.revokeKey(id), printApiKey));
+
+apiKeysCommand
+  .command('audit')
+  .description('Show rejected API calls, newest first')
+  .option('-k, --key <id>', 'Only calls made with this key')
+  .option('-c, --count <number>', 'Number of entries', '20')
+  .action((options) => withApiKeys(
+    (apiKeys, store) => store.getAuditEntries({ keyId: options.key, limit: parseInt(options.count) }),
+    (entries) => {
+      if (entries.length === 0) {
+        console.log(chalk.green('No rejected calls'));
+      }
+      for (const entry of entries) {
+        console.log(chalk.red(`${entry.createdAt.toLocaleString()} ${entry.status} ${entry.code}`) +
+          ` ${entry.method} ${entry.path} key=${entry.keyId || '-'} ip=${entry.ip || '-'}`);
+        console.log(`   ${entry.reason}`);
       }
-      
-    } catch (error) {
-      console.error(chalk.red('❌ Error:'), error.message);
     }
-  });
+  ));
 
 // Interactive mode
 program
@@ -215,10 +978,10 @@ program
   .description('Start interactive mode')
   .action(async () => {
     try {
-      const service = await initService();
-      
+      const backend = await connect();
+
       console.log(chalk.blue.bold('\n🚀 QOBI Interactive Mode\n'));
-      
+
       while (true) {
         const { action } = await inquirer.prompt([
           {
@@ -234,40 +997,56 @@ program
             ]
           }
         ]);
-        
-        switch (action) {
-          case 'Submit Transaction':
-            await submitInteractive(service);
-            break;
-          case 'View Status':
-            await showStatus(service);
-            break;
-          case 'View Recent Batches':
-            await showBatches(service);
-            break;
-          case 'Check AI Status':
-            await showAIStatus(service);
-            break;
-          case 'Exit':
-            console.log(chalk.green('👋 Goodbye!'));
-            return;
+
+        try {
+          switch (action) {
+            case 'Submit Transaction':
+              await submitInteractive(backend);
+              break;
+            case 'View Status':
+              await showStatus(backend);
+              break;
+            case 'View Recent Batches':
+              await showBatches(backend);
+              break;
+            case 'Check AI Status':
+              await showAIStatus(backend);
+              break;
+            case 'Exit':
+              await backend.shutdown();
+              console.log(chalk.green('👋 Goodbye!'));
+              process.exit(0);
+          }
+        } catch (error) {
+          printError(error);
         }
-        
+
         console.log(''); // Add spacing
       }
-      
+
     } catch (error) {
-      console.error(chalk.red('❌ Error:'), error.message);
+      printError(error);
+      process.exit(1);
     }
   });
 
 // Interactive helper functions
-async function submitInteractive(service) {
+async function submitInteractive(backend) {
+  const remote = backend instanceof RelayerClient;
   const answers = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'privateKey',
+      message: remote ? 'Sender private key:' : 'Sender private key (empty to submit unsigned):',
+      mask: '*',
+      default: process.env.USER_PRIVATE_KEY,
+      validate: (input) => Boolean(input) || !remote || 'The server only accepts signed transactions'
+    },
     {
       type: 'input',
       name: 'from',
       message: 'From address:',
+      when: (current) => !current.privateKey,
       validate: (input) => ethers.isAddress(input) || 'Invalid address'
     },
     {
@@ -283,23 +1062,24 @@ async function submitInteractive(service) {
       default: '0'
     }
   ]);
-  
-  const txId = await service.addTransaction(answers);
-  console.log(chalk.green(`✅ Transaction ${txId} submitted!`));
+
+  const { privateKey, ...tx } = answers;
+  const { transactionId } = await submitTransaction(backend, tx, privateKey || undefined);
+  console.log(chalk.green(`✅ Transaction ${transactionId} submitted!`));
 }
 
-async function showStatus(service) {
-  const stats = service.getStats();
+async function showStatus(backend) {
+  const stats = await backend.getStats();
   console.log(chalk.blue(`📋 Pending: ${stats.pendingTransactions} | Processed: ${stats.totalProcessed} | Relayed: ${stats.totalRelayed}`));
 }
 
-async function showBatches(service) {
-  const batches = service.getRecentBatches(3);
+async function showBatches(backend) {
+  const batches = await backend.getRecentBatches(3);
   console.log(chalk.cyan(`📦 Recent ${batches.length} batches processed`));
 }
 
-async function showAIStatus(service) {
-  const connection = await service.aiValidator.testConnection();
+async function showAIStatus(backend) {
+  const { connection } = await backend.getAIStatus();
   const status = connection.connected ? chalk.green('✅ Connected') : chalk.red('❌ Disconnected');
   console.log(`🤖 AI Validator: ${status}`);
 }
@@ -309,43 +1089,41 @@ program
   .command('demo')
   .description('Run a demo with sample transactions')
   .option('-c, --count <number>', 'Number of demo transactions', '5')
-  .action(async (options) => {
-    try {
-      const service = await initService();
-      const count = parseInt(options.count);
-      
-      console.log(chalk.blue.bold(`\n🎯 Running demo with ${count} transactions\n`));
-      
-      const demoTransactions = [];
-      for (let i = 0; i < count; i++) {
-        const tx = {
-          from: ethers.Wallet.createRandom().address,
-          to: ethers.Wallet.createRandom().address,
-          value: (Math.random() * 0.1).toFixed(4),
-          data: '0x'
-        };
-        
-        const txId = await service.addTransaction(tx);
-        demoTransactions.push({ id: txId, ...tx });
-        
-        console.log(chalk.green(`✅ ${i + 1}/${count} Demo transaction ${txId} submitted`));
-        
-        // Small delay
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
-      
+  .action((options) => runCommand(async (backend) => {
+    const count = parseInt(options.count);
+
+    console.log(chalk.blue.bold(`\n🎯 Running demo with ${count} transactions\n`));
+
+    // Every sender is a fresh wallet that signs its own RelayRequest
+    const transactions = [];
+    for (let i = 0; i < count; i++) {
+      const sender = ethers.Wallet.createRandom();
+      const tx = {
+        from: sender.address,
+        to: ethers.Wallet.createRandom().address,
+        value: (Math.random() * 0.1).toFixed(4),
+        data: '0x'
+      };
+
+      const { transactionId } = await submitTransaction(backend, tx, sender.privateKey);
+      transactions.push({ id: transactionId, ...tx });
+
+      console.log(chalk.green(`✅ ${i + 1}/${count} Demo transaction ${transactionId} submitted`));
+
+      // Small delay
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    // A remote relayer batches on its own schedule
+    if (!(backend instanceof RelayerClient)) {
       console.log(chalk.blue('\n⏳ Waiting for batch processing...'));
-      
-      // Wait a bit for processing
-      await new Promise(resolve => setTimeout(resolve, 5000));
-      
-      const stats = service.getStats();
-      console.log(chalk.green(`\n🎉 Demo complete! Check status for results.`));
-      console.log(chalk.blue(`📊 Current stats: ${stats.totalValidated} validated, ${stats.totalRelayed} relayed`));
-      
-    } catch (error) {
-      console.error(chalk.red('❌ Error:'), error.message);
+      await backend.flush();
     }
-  });
+
+    return { transactions, stats: await backend.getStats() };
+  }, ({ stats }) => {
+    console.log(chalk.green(`\n🎉 Demo complete! Check status for results.`));
+    console.log(chalk.blue(`📊 Current stats: ${stats.totalValidated} validated, ${stats.totalRelayed} relayed`));
+  }));
 
 program.parse();
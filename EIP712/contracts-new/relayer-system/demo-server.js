@@ -1,7 +1,12 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const { ethers } = require('ethers');
 const RelayerService = require('./src/relayer-service');
+const EventStream = require('./src/event-stream');
+const MetricsRegistry = require('./src/metrics');
+const ApiKeyManager = require('./src/api-keys');
+const { parseInteractionType } = require('./src/qobi-contracts');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -12,24 +17,44 @@ app.use(express.json());
 
 // Initialize relayer service
 const relayerService = new RelayerService();
+// Live relayer events for /events, e.g. proxied by the dashboard
+const eventStream = new EventStream({ source: relayerService, events: Object.values(RelayerService.EVENTS) });
+
+// Every route except / and /health needs an API key with the given scope
+// (Authorization: Bearer <key> or X-API-Key). API_AUTH=false turns this off.
+const auth = (scope) => relayerService.apiKeys.middleware(scope);
 
 // API Routes
 app.get('/', (req, res) => {
   res.json({
     message: 'QOBI Relayer System API',
     version: '1.0.0',
+    authentication: 'API key as "Authorization: Bearer <key>" or "X-API-Key: <key>"; scope in brackets',
     endpoints: {
-      '/status': 'GET - Service status and statistics',
-      '/transactions': 'POST - Submit transaction for processing',
-      '/transactions/:id/relay': 'POST - Relay a validated transaction',
-      '/batches': 'GET - Recent processed batches',
-      '/merkle/:batchId': 'GET - Merkle tree data for batch',
-      '/ai/status': 'GET - AI validator status'
+      '/status': 'GET [read] - Service status and statistics',
+      '/metrics': 'GET [read] - Prometheus metrics',
+      '/nonces/:address': 'GET [read] - Next RelayRequest nonce for a user and the EIP-712 domain and types to sign',
+      '/transactions': 'POST [submit] - Submit a user-signed transaction (body: { request, signature })',
+      '/transactions/:id/relay': 'POST [relay] - Relay a validated transaction',
+      '/batches': 'GET [read] - Recent processed batches',
+      '/batches/:id': 'GET [read] - Batch transactions and validations with a Merkle proof per leaf',
+      '/events': 'GET [read] - Server-Sent Events: transaction.queued / validated / rejected, batch.sealed, relay.confirmed / failed (Last-Event-ID replays missed events)',
+      '/merkle/:batchId': 'GET [read] - Merkle tree data for batch',
+      '/ai/status': 'GET [read] - AI validator status',
+      '/ai/cache/invalidate': 'POST [admin] - Drop cached AI verdicts (body: { stale } | { version } | { tx } | { policyVersion } | {} for all)',
+      '/validations': 'GET [read] - Validated transactions by parse outcome (?parseOutcome=heuristic,fallback&limit=)',
+      '/daily-trees/:day': 'GET [read] - Daily tree submissions for a day',
+      '/daily-trees/run': 'POST [admin] - Build and submit daily trees (body: { day })',
+      '/claims/:user': 'GET [read] - Unclaimed QOBI allocations with proofs (?days=&interactionTypes=)',
+      '/claims/:user/calldata': 'GET [read] - claimQOBI / batchClaimQOBI calldata for the unclaimed allocations',
+      '/claims/:user/:day/:interactionType': 'GET [read] - Allocation and proof for one distribution',
+      '/chain-events': 'GET [read] - Indexed contract events (?contract=&event=TreeSubmitted,QOBIClaimed&fromBlock=&toBlock=&args[user]=&limit=&order=desc)',
+      '/chain-events/status': 'GET [read] - Event indexer checkpoints, lag and event counts'
     }
   });
 });
 
-app.get('/status', (req, res) => {
+app.get('/status', auth('read'), (req, res) => {
   res.json({
     status: 'running',
     stats: relayerService.getStats(),
@@ -37,57 +62,102 @@ app.get('/status', (req, res) => {
   });
 });
 
-app.post('/transactions', async (req, res) => {
+app.get('/metrics', auth('read'), async (req, res) => {
   try {
-    const { from, to, value, data, gasLimit, gasPrice } = req.body;
-    
-    if (!from || !to) {
-      return res.status(400).json({ error: 'from and to addresses are required' });
+    res.set('Content-Type', MetricsRegistry.CONTENT_TYPE);
+    res.send(await relayerService.metrics.render());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/nonces/:address', auth('read'), (req, res) => {
+  if (!ethers.isAddress(req.params.address)) {
+    return res.status(400).json({ error: 'Invalid user address' });
+  }
+  res.json(relayerService.getRelayRequestInfo(req.params.address));
+});
+
+// Body: { request: RelayRequest, signature }, signed by request.from (see GET /nonces/:address)
+app.post('/transactions', auth('submit'), async (req, res) => {
+  try {
+    const { request, signature } = req.body || {};
+
+    if (!request || !request.from || !request.to || !signature) {
+      return res.status(400).json({ error: 'request (with from and to) and signature are required' });
     }
 
-    const txId = await relayerService.addTransaction({
-      from,
-      to,
-      value: value || '0',
-      data: data || '0x',
-      gasLimit: gasLimit || '21000',
-      gasPrice
-    });
+    const txId = await relayerService.addSignedTransaction(request, signature);
 
     res.json({
       success: true,
       transactionId: txId,
+      signer: ethers.getAddress(request.from),
       status: 'queued'
     });
   } catch (error) {
+    if (error instanceof RelayerService.RelayRequestError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, expectedNonce: error.expectedNonce });
+    }
+    // Backpressure: the queue is at its high-water mark, or the relayer is draining for shutdown
+    if (error.code === 'QUEUE_FULL' || error.code === 'QUEUE_CLOSED') {
+      res.set('Retry-After', String(Math.ceil(relayerService.batchProcessor.maxBatchAge / 1000)));
+      return res.status(error.code === 'QUEUE_FULL' ? 429 : 503).json({
+        error: error.message,
+        code: error.code,
+        queued: error.queued,
+        highWaterMark: error.highWaterMark
+      });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/transactions/:id/relay', async (req, res) => {
+app.post('/transactions/:id/relay', auth('relay'), async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await relayerService.relayTransaction(id);
-    
+    const result = await relayerService.relayTransaction(id, { apiKeyId: req.apiKey && req.apiKey.id });
+
     res.json({
       success: true,
       txHash: result.txHash,
+      nonce: result.nonce,
+      status: result.status,
       signature: result.signature,
       merkleProof: result.merkleProof
     });
   } catch (error) {
+    if (error instanceof ApiKeyManager.ApiKeyError) {
+      relayerService.apiKeys.audit(req, error, req.apiKey && req.apiKey.id);
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    if (error instanceof RelayerService.RelayRequestError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/batches', (req, res) => {
+app.get('/batches', auth('read'), (req, res) => {
   const count = parseInt(req.query.count) || 10;
   res.json({
     batches: relayerService.getRecentBatches(count)
   });
 });
 
-app.get('/merkle/:batchId', (req, res) => {
+app.get('/batches/:id', auth('read'), (req, res) => {
+  const batch = relayerService.getBatchDetails(req.params.id);
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  res.json(batch);
+});
+
+app.get('/events', auth('read'), (req, res) => {
+  eventStream.handle(req, res);
+});
+
+app.get('/merkle/:batchId', auth('read'), (req, res) => {
   const { batchId } = req.params;
   const batches = relayerService.getRecentBatches(100);
   const batch = batches.find(b => b.id === batchId);
@@ -104,20 +174,146 @@ app.get('/merkle/:batchId', (req, res) => {
   });
 });
 
-app.get('/ai/status', async (req, res) => {
+app.get('/ai/status', auth('read'), async (req, res) => {
   try {
-    const status = await relayerService.aiValidator.testConnection();
-    const stats = relayerService.aiValidator.getValidationStats();
-    
-    res.json({
-      connection: status,
-      stats
-    });
+    res.json(await relayerService.getAIStatus());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/ai/cache/invalidate', auth('admin'), (req, res) => {
+  try {
+    const { tx, version, stale, policyVersion } = req.body || {};
+    res.json(relayerService.clearValidationCache({ tx, version, stale, policyVersion }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/validations', auth('read'), (req, res) => {
+  try {
+    const parseOutcomes = req.query.parseOutcome ? String(req.query.parseOutcome).split(',') : undefined;
+    const limit = parseInt(req.query.limit) || 100;
+    const transactions = relayerService.getValidations(parseOutcomes, limit);
+
+    res.json({ count: transactions.length, transactions });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/daily-trees/:day', auth('read'), (req, res) => {
+  const day = parseInt(req.params.day);
+  if (isNaN(day)) {
+    return res.status(400).json({ error: 'day must be a number (unix time / 86400)' });
+  }
+
+  res.json({
+    day,
+    submissions: relayerService.store.getDailySubmissions(day)
+  });
+});
+
+app.post('/daily-trees/run', auth('admin'), async (req, res) => {
+  try {
+    const day = req.body.day !== undefined ? parseInt(req.body.day) : undefined;
+    const results = await relayerService.runDailyTrees(day);
+
+    res.json({ success: true, results });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Optional comma separated `days` and `interactionTypes` query filters
+function parseClaimFilter(query) {
+  const filter = {};
+  if (query.days) {
+    filter.days = String(query.days).split(',').map(day => parseInt(day));
+  }
+  if (query.interactionTypes) {
+    filter.interactionTypes = String(query.interactionTypes).split(',').map(parseInteractionType);
+  }
+  return filter;
+}
+
+app.get('/claims/:user', auth('read'), async (req, res) => {
+  try {
+    if (!ethers.isAddress(req.params.user)) {
+      return res.status(400).json({ error: 'Invalid user address' });
+    }
+
+    res.json(await relayerService.getClaims(req.params.user, parseClaimFilter(req.query)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/claims/:user/calldata', auth('read'), async (req, res) => {
+  try {
+    if (!ethers.isAddress(req.params.user)) {
+      return res.status(400).json({ error: 'Invalid user address' });
+    }
+
+    res.json(await relayerService.getClaimTransaction(req.params.user, parseClaimFilter(req.query)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/claims/:user/:day/:interactionType', auth('read'), async (req, res) => {
+  try {
+    if (!ethers.isAddress(req.params.user)) {
+      return res.status(400).json({ error: 'Invalid user address' });
+    }
+
+    const day = parseInt(req.params.day);
+    if (isNaN(day)) {
+      return res.status(400).json({ error: 'day must be a number (unix time / 86400)' });
+    }
+    let interactionType;
+    try {
+      interactionType = parseInteractionType(req.params.interactionType);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const claim = await relayerService.getClaim(req.params.user, day, interactionType);
+    if (!claim) {
+      return res.status(404).json({ error: 'No allocation for this user in that distribution' });
+    }
+
+    res.json(claim);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Events come from the local index, which follows the chain in the background
+app.get('/chain-events', auth('read'), (req, res) => {
+  try {
+    const { contract, event, fromBlock, toBlock, args, order } = req.query;
+    const events = relayerService.getIndexedEvents({
+      contract,
+      event: event ? String(event).split(',') : undefined,
+      fromBlock: fromBlock !== undefined ? parseInt(fromBlock) : undefined,
+      toBlock: toBlock !== undefined ? parseInt(toBlock) : undefined,
+      args: args && typeof args === 'object' ? args : undefined,
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000),
+      order
+    });
+
+    res.json({ count: events.length, events });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/chain-events/status', auth('read'), (req, res) => {
+  res.json(relayerService.getIndexerStatus());
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'healthy', timestamp: new Date().toISOString() });
@@ -147,12 +343,14 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  eventStream.close();
   await relayerService.shutdown();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully...');
+  eventStream.close();
   await relayerService.shutdown();
   process.exit(0);
 });
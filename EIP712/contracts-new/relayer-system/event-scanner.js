@@ -1,6 +1,14 @@
 require('dotenv').config();
 const { ethers } = require('ethers');
 const chalk = require('chalk');
+const EventDecoder = require('./src/event-decoder');
+const EventIndexer = require('./src/event-indexer');
+const DailyEventSummary = require('./src/daily-event-summary');
+const AlertEngine = require('./src/alert-engine');
+const ReportExporter = require('./src/report-exporter');
+const RelayerStore = require('./src/relayer-store');
+
+const SEVERITY_COLORS = { info: chalk.blue, warning: chalk.yellow, critical: chalk.red.bold };
 
 class EventScanner {
   constructor() {
@@ -13,8 +21,57 @@ class EventScanner {
       stabilizingContract: process.env.STABILIZING_CONTRACT_ADDRESS,
       relayerTreasury: process.env.RELAYER_TREASURY_ADDRESS
     };
+    this.decoder = new EventDecoder({ addresses: this.contracts });
+    // Same database as the relayer, so both share one index
+    this.store = new RelayerStore(process.env.DB_PATH || undefined);
+    this.indexer = new EventIndexer({
+      provider: this.provider,
+      store: this.store,
+      contracts: this.contracts,
+      decoder: this.decoder
+    });
+    this.summary = new DailyEventSummary({ provider: this.provider, indexer: this.indexer, contracts: this.contracts });
+    this.exporter = new ReportExporter();
+    this.reportTimer = null;
+  }
+
+  /**
+   * Bring the local index up to the head and print how far each contract got
+   */
+  async syncIndex() {
+    console.log(chalk.blue('🗂️  Updating event index...'));
+    const { head, indexed, reorg } = await this.indexer.sync();
+    if (reorg) {
+      console.log(chalk.yellow(`   Reorg: rolled back to block ${reorg.ancestor}, ${reorg.removed} events removed`));
+    }
+    console.log(chalk.green(`✅ Indexed ${indexed} new events up to block ${head}`));
+    return this.indexer.getStatus();
+  }
+
+  /**
+   * Indexed events per contract, after syncing the index
+   * @param {string[]} [eventFilter] Event names
+   */
+  async getIndexedEvents(fromBlock, toBlock, eventFilter = null) {
+    const status = await this.syncIndex();
+    const events = this.indexer.getEvents({
+      fromBlock: fromBlock === 'latest' ? status.head : fromBlock,
+      toBlock: toBlock === 'latest' ? status.head : toBlock,
+      event: eventFilter || undefined
+    });
+
+    const results = {};
+    for (const event of events) {
+      results[event.contract] = results[event.contract] || [];
+      results[event.contract].push(event);
+    }
+    return results;
   }
 
+  /**
+   * @param {string[]|string} [eventFilter] Event names (e.g. TreeSubmitted) or topic0 hashes
+   * @returns {Object[]} Logs decoded by EventDecoder; unknown logs keep their raw topics and data
+   */
   async scanEvents(contractAddress, fromBlock = 'latest', toBlock = 'latest', eventFilter = null) {
     try {
       console.log(chalk.blue(`🔍 Scanning events for ${contractAddress}`));
@@ -24,22 +81,14 @@ class EventScanner {
         address: contractAddress,
         fromBlock,
         toBlock,
-        topics: eventFilter ? [eventFilter] : undefined
+        topics: eventFilter ? [this.decoder.topicsFor([].concat(eventFilter))] : undefined
       };
 
       const logs = await this.provider.getLogs(filter);
       
       console.log(chalk.green(`✅ Found ${logs.length} events`));
       
-      return logs.map((log, index) => ({
-        index,
-        blockNumber: log.blockNumber,
-        transactionHash: log.transactionHash,
-        address: log.address,
-        topics: log.topics,
-        data: log.data,
-        logIndex: log.logIndex
-      }));
+      return logs.map((log, index) => ({ index, ...this.decoder.decode(log) }));
 
     } catch (error) {
       console.error(chalk.red(`❌ Error scanning events: ${error.message}`));
@@ -47,7 +96,17 @@ class EventScanner {
     }
   }
 
-  async scanAllContracts(fromBlock = 'latest', toBlock = 'latest') {
+  printEvent(event, indent = '   ') {
+    const color = event.decoded ? chalk.green : chalk.gray;
+    console.log(color(`${indent}${EventDecoder.describe(event)}`));
+    console.log(chalk.blue(`${indent}   block ${event.blockNumber} | TX: ${event.transactionHash}`));
+    if (!event.decoded) {
+      event.topics.forEach((topic, i) => console.log(chalk.gray(`${indent}   topic${i}: ${topic}`)));
+      console.log(chalk.gray(`${indent}   data: ${event.data}`));
+    }
+  }
+
+  async scanAllContracts(fromBlock = 'latest', toBlock = 'latest', eventFilter = null) {
     console.log(chalk.blue.bold('\n📡 Scanning All QOBI Contracts for Events\n'));
 
     const results = {};
@@ -55,7 +114,7 @@ class EventScanner {
     for (const [name, address] of Object.entries(this.contracts)) {
       if (address && ethers.isAddress(address)) {
         console.log(chalk.yellow(`Scanning ${name}...`));
-        const events = await this.scanEvents(address, fromBlock, toBlock);
+        const events = await this.scanEvents(address, fromBlock, toBlock, eventFilter);
         results[name] = {
           address,
           events,
@@ -154,37 +213,59 @@ class EventScanner {
     return results;
   }
 
-  async monitorRealTime() {
+  /**
+   * Follow the chain through the indexer: new events are stored and printed as they
+   * are indexed, and reorgs are reported with the events they removed. New events
+   * and contract state go through the AlertEngine rules.
+   */
+  async monitorRealTime(eventFilter = null) {
     console.log(chalk.blue.bold('\n👁️ Starting Real-time Event Monitor\n'));
+    if (eventFilter) {
+      console.log(chalk.blue(`Only showing: ${[].concat(eventFilter).join(', ')}`));
+    }
     console.log(chalk.yellow('Press Ctrl+C to stop monitoring...'));
 
-    // Monitor new blocks
-    this.provider.on('block', async (blockNumber) => {
-      console.log(chalk.cyan(`📦 New block: ${blockNumber}`));
-      
-      // Check for events in the new block
-      for (const [name, address] of Object.entries(this.contracts)) {
-        if (address && ethers.isAddress(address)) {
-          const events = await this.scanEvents(address, blockNumber, blockNumber);
-          if (events.length > 0) {
-            console.log(chalk.green(`   🎯 ${name}: ${events.length} events`));
-            events.forEach(event => {
-              console.log(chalk.blue(`      TX: ${event.transactionHash}`));
-            });
-          }
-        }
+    const alerts = new AlertEngine({ provider: this.provider, contracts: this.contracts, indexer: this.indexer });
+    const { rules, sinks } = alerts.getStats();
+    console.log(chalk.blue(`🚨 ${rules} alert rules, delivered to ${sinks.length > 0 ? sinks.join(', ') : 'the console only'}`));
+    alerts.on('alert', alert => {
+      const color = alert.resolved ? chalk.green : SEVERITY_COLORS[alert.severity];
+      console.log(color(`🚨 [${alert.severity.toUpperCase()}] ${alert.rule}: ${alert.message}`));
+    });
+
+    // Catch up quietly first, then print what arrives
+    await this.syncIndex();
+
+    this.indexer.on('events', events => {
+      const shown = eventFilter ? events.filter(event => eventFilter.includes(event.event)) : events;
+      if (shown.length > 0) {
+        console.log(chalk.cyan(`📦 Blocks ${shown[0].blockNumber}-${shown[shown.length - 1].blockNumber}`));
+        shown.forEach(event => this.printEvent(event, '      '));
       }
+      alerts.evaluateEvents(events).catch(error => console.error(chalk.red(`❌ Alert evaluation failed: ${error.message}`)));
     });
+    this.indexer.on('reorg', reorg => {
+      console.log(chalk.yellow(`🔀 Reorg: rolled back to block ${reorg.ancestor}, ${reorg.removed} events removed`));
+    });
+    this.indexer.start();
+    alerts.start();
 
     // Keep the process running
     process.on('SIGINT', () => {
       console.log(chalk.yellow('\n📴 Stopping real-time monitor...'));
-      this.provider.removeAllListeners();
+      this.indexer.stop();
+      alerts.stop();
+      this.store.close();
       process.exit(0);
     });
   }
 
-  async generateReport() {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.days=7] Number of UTC days summarized, ending with `endDay`
+   * @param {number} [options.endDay] Last day (Unix time / 86400), today by default
+   */
+  async generateReport({ days = 7, endDay = DailyEventSummary.currentDay() } = {}) {
     console.log(chalk.blue.bold('\n📊 Generating QOBI Event Scanner Report\n'));
 
     // Get network info
@@ -194,9 +275,24 @@ class EventScanner {
     // Verify contracts
     const contractStatus = await this.verifyContracts();
 
-    // Scan recent events
-    const fromBlock = Math.max(0, latestBlock - 1000); // Last 1000 blocks
-    const eventResults = await this.scanAllContracts(fromBlock, latestBlock);
+    // Event history from the local index
+    const indexStatus = await this.syncIndex();
+    const eventResults = {};
+    for (const { contract, address, blockNumber } of indexStatus.contracts) {
+      const byEvent = Object.fromEntries(indexStatus.events
+        .filter(row => row.contract === contract)
+        .map(row => [row.event || 'unknown', row.count]));
+      eventResults[contract] = {
+        address,
+        indexedThrough: blockNumber,
+        byEvent,
+        eventCount: Object.values(byEvent).reduce((sum, count) => sum + count, 0)
+      };
+    }
+
+    // Per-day summaries from the index
+    console.log(chalk.blue(`📅 Summarizing ${days} days up to ${DailyEventSummary.formatDay(endDay)}...`));
+    const daySummaries = await this.summary.summarize(endDay - days + 1, endDay);
 
     // Get recent blocks
     const recentBlocks = await this.getLatestBlocks(5);
@@ -211,12 +307,13 @@ class EventScanner {
       },
       contracts: contractStatus,
       events: eventResults,
+      days: daySummaries,
       recentBlocks,
       summary: {
         totalContracts: Object.keys(this.contracts).length,
         deployedContracts: Object.values(contractStatus).filter(c => c.deployed).length,
         totalEvents: Object.values(eventResults).reduce((sum, r) => sum + r.eventCount, 0),
-        scannedBlocks: latestBlock - fromBlock + 1
+        indexedThrough: indexStatus.head
       }
     };
 
@@ -226,7 +323,7 @@ class EventScanner {
     console.log(chalk.blue(`   Latest Block: ${report.network.latestBlock}`));
     console.log(chalk.blue(`   Contracts: ${report.summary.deployedContracts}/${report.summary.totalContracts} deployed`));
     console.log(chalk.blue(`   Events Found: ${report.summary.totalEvents}`));
-    console.log(chalk.blue(`   Blocks Scanned: ${report.summary.scannedBlocks}`));
+    console.log(chalk.blue(`   Indexed Through Block: ${report.summary.indexedThrough}`));
 
     console.log(chalk.green.bold('\n📊 Contract Status:'));
     Object.entries(contractStatus).forEach(([name, status]) => {
@@ -238,34 +335,136 @@ class EventScanner {
       Object.entries(eventResults).forEach(([name, result]) => {
         if (result.eventCount > 0) {
           console.log(chalk.cyan(`   ${name}: ${result.eventCount} events`));
+          Object.entries(result.byEvent).forEach(([event, count]) => console.log(chalk.white(`      ${event.padEnd(28)} ${count}`)));
         }
       });
     }
 
+    console.log(chalk.green.bold('\n📅 Daily Summary:'));
+    daySummaries.forEach(day => {
+      const events = Object.values(day.events).reduce((sum, count) => sum + count, 0);
+      const claims = day.distributions.reduce((sum, distribution) => sum + distribution.claims, 0);
+      console.log(chalk.white(`   ${day.date}  ${String(events).padStart(5)} events, ` +
+        `${day.distributions.length} distributions finalized (${claims} claims), ` +
+        `${day.reimbursements.count} reimbursements (${ethers.formatEther(day.reimbursements.gasCost)} ETH)`));
+    });
+
     return report;
   }
+
+  /**
+   * Write a report in each format, to `out` or to dated files in REPORT_DIR
+   * @returns {string[]} The files written
+   */
+  exportReport(report, formats, out = null) {
+    const label = report.days.length > 0 ? report.days[report.days.length - 1].date : report.timestamp.slice(0, 10);
+    return formats.map(format => {
+      const file = this.exporter.write(
+        ReportExporter.formatReport(report, format),
+        out || this.exporter.datedPath('qobi-report', label, format)
+      );
+      console.log(chalk.green(`💾 ${format.toUpperCase()} report written to ${file}`));
+      return file;
+    });
+  }
+
+  /**
+   * @returns {string[]} The files written
+   */
+  exportEvents(events, formats, out = null, label = 'latest') {
+    return formats.map(format => {
+      const file = this.exporter.write(
+        ReportExporter.formatEvents(events, format),
+        out || this.exporter.datedPath('qobi-events', label, format)
+      );
+      console.log(chalk.green(`💾 ${events.length} events written to ${file} (${format})`));
+      return file;
+    });
+  }
+
+  /**
+   * Write dated reports of the day that just ended, shortly after every UTC midnight
+   * (`REPORT_DELAY` ms, default 10 minutes, so late blocks of the day are indexed)
+   */
+  scheduleReports({ formats, days = 7 }) {
+    const delay = parseInt(process.env.REPORT_DELAY) || 600000;
+    const nextMidnight = (DailyEventSummary.currentDay() + 1) * DailyEventSummary.DAY_SECONDS * 1000;
+    const wait = nextMidnight + delay - Date.now();
+
+    console.log(chalk.blue(`🗓️ Next ${formats.join(', ')} report in ${Math.round(wait / 60000)} minutes, written to ${this.exporter.dir}`));
+
+    this.reportTimer = setTimeout(async () => {
+      try {
+        const report = await this.generateReport({ days, endDay: DailyEventSummary.currentDay() - 1 });
+        this.exportReport(report, formats);
+      } catch (error) {
+        console.error(chalk.red(`❌ Scheduled report failed: ${error.message}`));
+      }
+      this.scheduleReports({ formats, days });
+    }, wait);
+  }
 }
 
 async function main() {
   const scanner = new EventScanner();
   
-  const args = process.argv.slice(2);
+  const { args, options } = parseOptions(process.argv.slice(2));
+  // --event TreeSubmitted,QOBIClaimed (or -e) keeps only those events; fails on a misspelled name before scanning
+  const eventFilter = options.event ? scanner.decoder.canonicalNames(options.event.split(',')) : null;
+  const formats = options.format ? ReportExporter.parseFormats(options.format) : null;
+  if (options.out && (!formats || formats.length > 1)) {
+    throw new Error('--out needs exactly one --format');
+  }
   const command = args[0] || 'report';
 
   switch (command) {
-    case 'report':
-      await scanner.generateReport();
+    case 'report': {
+      const days = parseInt(options.days) || 7;
+      if (options.schedule) {
+        scanner.scheduleReports({ formats: formats || ['html'], days });
+        process.on('SIGINT', () => {
+          clearTimeout(scanner.reportTimer);
+          scanner.store.close();
+          process.exit(0);
+        });
+        break;
+      }
+      const report = await scanner.generateReport({ days });
+      if (formats) {
+        scanner.exportReport(report, formats, options.out);
+      }
       break;
+    }
     case 'verify':
       await scanner.verifyContracts();
       break;
     case 'monitor':
-      await scanner.monitorRealTime();
+      await scanner.monitorRealTime(eventFilter);
       break;
-    case 'events':
-      const fromBlock = args[1] || 'latest';
-      const toBlock = args[2] || 'latest';
-      await scanner.scanAllContracts(fromBlock, toBlock);
+    case 'events': {
+      const fromBlock = args[1] ? parseBlock(args[1]) : 'latest';
+      const toBlock = args[2] ? parseBlock(args[2]) : 'latest';
+      const results = await scanner.getIndexedEvents(fromBlock, toBlock, eventFilter);
+      if (formats) {
+        const events = Object.values(results).flat().sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+        scanner.exportEvents(events, formats, options.out, `${args[1] || 'latest'}-${args[2] || 'latest'}`);
+        break;
+      }
+      for (const [name, events] of Object.entries(results)) {
+        console.log(chalk.cyan.bold(`\n🎯 ${name} (${events.length} events)`));
+        events.forEach(event => scanner.printEvent(event));
+      }
+      break;
+    }
+    case 'index': {
+      const status = await scanner.syncIndex();
+      status.contracts.forEach(({ contract, address, blockNumber }) => {
+        console.log(chalk.white(`   ${contract.padEnd(20)} ${address} indexed through ${blockNumber}`));
+      });
+      break;
+    }
+    case 'event-names':
+      console.log(scanner.decoder.eventNames().join('\n'));
       break;
     default:
       console.log(chalk.blue('Usage: node event-scanner.js [command]'));
@@ -273,10 +472,43 @@ async function main() {
       console.log(chalk.blue('  report  - Generate full report (default)'));
       console.log(chalk.blue('  verify  - Verify contract deployments'));
       console.log(chalk.blue('  monitor - Real-time event monitoring'));
-      console.log(chalk.blue('  events [from] [to] - Scan events in block range'));
+      console.log(chalk.blue('  events [from] [to] - Indexed events in block range'));
+      console.log(chalk.blue('  index   - Update the local event index'));
+      console.log(chalk.blue('  event-names - List the events that can be decoded'));
+      console.log(chalk.blue('Options:'));
+      console.log(chalk.blue('  --event <names> - Only events with these names, comma separated (events, monitor)'));
+      console.log(chalk.blue(`  --format <formats> - Export as ${ReportExporter.FORMATS.join(', ')}, comma separated (report, events)`));
+      console.log(chalk.blue('  --out <file> - Export to this file instead of a dated file in REPORT_DIR (one format)'));
+      console.log(chalk.blue('  --days <n> - Days summarized by report (default 7)'));
+      console.log(chalk.blue('  --schedule - Keep running and write the report of each day after UTC midnight'));
   }
 }
 
+const VALUE_OPTIONS = { '--event': 'event', '-e': 'event', '--format': 'format', '-f': 'format', '--out': 'out', '-o': 'out', '--days': 'days' };
+const FLAG_OPTIONS = { '--schedule': 'schedule' };
+
+/**
+ * Split argv into positional arguments and the options above
+ */
+function parseOptions(argv) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (VALUE_OPTIONS[argv[i]]) {
+      options[VALUE_OPTIONS[argv[i]]] = argv[++i];
+    } else if (FLAG_OPTIONS[argv[i]]) {
+      options[FLAG_OPTIONS[argv[i]]] = true;
+    } else {
+      args.push(argv[i]);
+    }
+  }
+  return { args, options };
+}
+
+function parseBlock(value) {
+  return value === 'latest' ? value : parseInt(value);
+}
+
 if (require.main === module) {
   main().catch(console.error);
 }
@@ -1,25 +1,29 @@
 require('dotenv').config();
 const express = require('express');
 const path = require('path');
-const RelayerService = require('./src/relayer-service');
+const RelayerClient = require('./src/relayer-client');
 const chalk = require('chalk');
 
 const app = express();
 const PORT = process.env.DASHBOARD_PORT || 3001;
 
-let relayerService;
+// The dashboard shows the relayer server that takes the traffic (demo-server.js) and
+// runs no relayer of its own; the key needs the read scope
+const relayer = new RelayerClient({
+  apiUrl: process.env.QOBI_API_URL || `http://localhost:${process.env.PORT || 3000}`,
+  apiKey: process.env.QOBI_API_KEY
+});
+
+// Live feed connections to the relayer, closed on shutdown
+const feeds = new Set();
 
 // Middleware
 app.use(express.static(path.join(__dirname, 'public')));
 app.use(express.json());
 
-// Initialize relayer service
-async function initService() {
-  if (!relayerService) {
-    relayerService = new RelayerService();
-    await relayerService.initialize();
-  }
-  return relayerService;
+// Relayer errors keep their HTTP status; an unreachable relayer is a bad gateway
+function sendError(res, error) {
+  res.status(error.status || (error.code === 'UNREACHABLE' ? 502 : 500)).json({ error: error.message, code: error.code });
 }
 
 // Dashboard HTML
@@ -107,6 +111,19 @@ const dashboardHTML = `
         }
         .refresh-btn:hover { transform: scale(1.05); }
         .loading { opacity: 0.6; }
+        .batch-item { cursor: pointer; }
+        .batch-item.selected { border-left-color: #4ade80; background: rgba(255,255,255,0.12); }
+        .feed { max-height: 320px; overflow-y: auto; font-family: monospace; font-size: 0.9em; }
+        .feed-item { padding: 6px 10px; border-bottom: 1px solid rgba(255,255,255,0.1); display: flex; gap: 12px; }
+        .feed-time { opacity: 0.6; white-space: nowrap; }
+        .feed-event { font-weight: bold; min-width: 180px; }
+        .event-transaction-queued { color: #93c5fd; }
+        .event-transaction-validated, .event-relay-confirmed { color: #4ade80; }
+        .event-transaction-rejected, .event-relay-failed { color: #ef4444; }
+        .event-batch-sealed { color: #ffd700; }
+        .details-table { width: 100%; border-collapse: collapse; font-size: 0.9em; }
+        .details-table th, .details-table td { text-align: left; padding: 6px; border-bottom: 1px solid rgba(255,255,255,0.1); vertical-align: top; }
+        .proof { font-family: monospace; font-size: 0.8em; word-break: break-all; opacity: 0.85; }
     </style>
 </head>
 <body>
@@ -115,6 +132,7 @@ const dashboardHTML = `
             <h1>🚀 QOBI Dashboard</h1>
             <p>Quantum Oracle Blockchain Intelligence - Real-time Monitoring</p>
             <button class="refresh-btn" onclick="refreshData()">🔄 Refresh Data</button>
+            <p style="margin-top: 10px;"><span class="status-indicator status-error" id="liveIndicator"></span><span id="liveStatus">Connecting to live feed...</span></p>
         </div>
 
         <div class="stats-grid" id="statsGrid">
@@ -128,6 +146,13 @@ const dashboardHTML = `
             </div>
         </div>
 
+        <div class="section">
+            <h2>📡 Live Feed</h2>
+            <div class="feed" id="liveFeed">
+                <p><em>Waiting for events...</em></p>
+            </div>
+        </div>
+
         <div class="section">
             <h2>📦 Recent Batches</h2>
             <div id="recentBatches">
@@ -135,6 +160,13 @@ const dashboardHTML = `
             </div>
         </div>
 
+        <div class="section" id="batchDetailsSection" style="display: none;">
+            <h2>🔍 Batch Details</h2>
+            <div id="batchDetails">
+                <!-- Selected batch will be populated by JavaScript -->
+            </div>
+        </div>
+
         <div class="section">
             <h2>🌳 Merkle Tree Information</h2>
             <div id="merkleInfo">
@@ -181,6 +213,10 @@ const dashboardHTML = `
                     <div class="stat-value">\${stats.averageProcessingTime.toFixed(0)}ms</div>
                     <div class="stat-label">Avg Processing Time</div>
                 </div>
+                <div class="stat-card">
+                    <div class="stat-value">\${stats.queue.queued}/\${stats.queue.highWaterMark}</div>
+                    <div class="stat-label">Queue\${stats.queue.accepting ? '' : ' (draining)'}</div>
+                </div>
             \`;
         }
 
@@ -202,16 +238,20 @@ const dashboardHTML = `
             \`;
         }
 
+        let recentBatches = [];
+        let selectedBatchId = null;
+
         function renderBatches(batches) {
             const container = document.getElementById('recentBatches');
+            recentBatches = batches || [];
             
-            if (!batches || batches.length === 0) {
+            if (recentBatches.length === 0) {
                 container.innerHTML = '<p><em>No batches processed yet</em></p>';
                 return;
             }
 
-            container.innerHTML = batches.map(batch => \`
-                <div class="batch-item">
+            container.innerHTML = recentBatches.map(batch => \`
+                <div class="batch-item \${batch.id === selectedBatchId ? 'selected' : ''}" onclick="showBatch('\${batch.id}')">
                     <div class="batch-header">
                         <span class="batch-id">📦 \${batch.id}</span>
                         <span class="batch-time">\${new Date(batch.processedAt).toLocaleString()}</span>
@@ -242,6 +282,53 @@ const dashboardHTML = `
             \`).join('');
         }
 
+        async function showBatch(batchId) {
+            selectedBatchId = batchId;
+            renderBatches(recentBatches);
+
+            const section = document.getElementById('batchDetailsSection');
+            const container = document.getElementById('batchDetails');
+            section.style.display = 'block';
+            container.innerHTML = '<p><em>Loading...</em></p>';
+
+            const response = await fetch('/api/batches/' + encodeURIComponent(batchId));
+            if (!response.ok) {
+                container.innerHTML = '<p><em>Batch not found</em></p>';
+                return;
+            }
+            const batch = await response.json();
+
+            container.innerHTML = \`
+                <div><strong>Batch:</strong> \${batch.id} (\${new Date(batch.processedAt).toLocaleString()})</div>
+                <div style="margin: 10px 0;">
+                    <strong>Merkle Root:</strong>
+                    <div class="merkle-root">\${batch.merkleRoot}</div>
+                </div>
+                <table class="details-table">
+                    <tr><th>Transaction</th><th>Validation</th><th>Merkle Proof</th></tr>
+                    \${batch.transactions.map(tx => \`
+                        <tr>
+                            <td>
+                                <div><strong>\${tx.id}</strong> (\${tx.status})</div>
+                                <div>\${tx.from} → \${tx.to}</div>
+                                <div>\${tx.value} ETH\${tx.txHash ? ' | ' + tx.txHash : ''}</div>
+                            </td>
+                            <td>\${tx.validation ? \`
+                                <div>\${tx.validation.classification} (risk \${tx.validation.riskScore}, confidence \${tx.validation.confidence})</div>
+                                <div>\${tx.validation.validatorId} | \${tx.validation.parseOutcome}</div>
+                                \${(tx.validation.warnings || []).map(w => '<div>⚠️ ' + w + '</div>').join('')}
+                            \` : '<em>none</em>'}</td>
+                            <td>
+                                <div>\${tx.proofValid ? '✅ verifies against root' : '❌ does not verify'}</div>
+                                <div class="proof">leaf \${tx.leaf}</div>
+                                \${(tx.proof || []).map(node => '<div class="proof">' + node + '</div>').join('')}
+                            </td>
+                        </tr>
+                    \`).join('')}
+                </table>
+            \`;
+        }
+
         function renderMerkleInfo(merkleStats) {
             const container = document.getElementById('merkleInfo');
             
@@ -285,11 +372,97 @@ const dashboardHTML = `
             container.classList.remove('loading');
         }
 
-        // Initial load
-        refreshData();
+        async function refreshStats() {
+            const response = await fetch('/api/stats');
+            if (response.ok) {
+                const stats = await response.json();
+                renderStats(stats);
+                renderMerkleInfo(stats.merkleTreeStats);
+            }
+        }
+
+        // Coalesce bursts of events into one stats request
+        let statsTimer = null;
+        function scheduleStatsRefresh() {
+            if (!statsTimer) {
+                statsTimer = setTimeout(() => {
+                    statsTimer = null;
+                    refreshStats();
+                }, 1000);
+            }
+        }
 
-        // Auto-refresh every 30 seconds
-        setInterval(refreshData, 30000);
+        function describeEvent(type, data) {
+            const tx = data.transaction;
+            switch (type) {
+                case 'transaction.queued':
+                    return \`\${tx.id} \${tx.from} → \${tx.to} (\${tx.value} ETH)\`;
+                case 'transaction.validated':
+                case 'transaction.rejected':
+                    return \`\${tx.id} \${tx.validation.classification}, risk \${tx.validation.riskScore} (\${tx.validation.parseOutcome}) in \${data.batchId}\`;
+                case 'batch.sealed':
+                    return \`\${data.batch.id}: \${data.batch.stats.validated} validated, \${data.batch.stats.rejected} rejected, root \${data.batch.merkleRoot}\`;
+                case 'relay.confirmed':
+                    return \`\${tx.id} \${tx.txHash} in block \${tx.receipt ? tx.receipt.blockNumber : '?'}\`;
+                case 'relay.failed':
+                    return \`\${tx.id} \${tx.status}\${tx.error ? ': ' + tx.error : ''}\`;
+                default:
+                    return '';
+            }
+        }
+
+        function addFeedItem(type, data) {
+            const feed = document.getElementById('liveFeed');
+            if (!feed.querySelector('.feed-item')) {
+                feed.innerHTML = '';
+            }
+
+            const item = document.createElement('div');
+            item.className = 'feed-item';
+            item.innerHTML = \`
+                <span class="feed-time">\${new Date(data.timestamp).toLocaleTimeString()}</span>
+                <span class="feed-event event-\${type.replace('.', '-')}">\${type}</span>
+                <span></span>
+            \`;
+            item.lastElementChild.textContent = describeEvent(type, data);
+            feed.prepend(item);
+
+            while (feed.children.length > 100) {
+                feed.lastElementChild.remove();
+            }
+        }
+
+        function connectLiveFeed() {
+            const source = new EventSource('/api/events');
+            const indicator = document.getElementById('liveIndicator');
+            const status = document.getElementById('liveStatus');
+
+            source.onopen = () => {
+                indicator.className = 'status-indicator status-running';
+                status.textContent = 'Live';
+            };
+            source.onerror = () => {
+                indicator.className = 'status-indicator status-error';
+                status.textContent = 'Live feed disconnected, reconnecting...';
+            };
+
+            ['transaction.queued', 'transaction.validated', 'transaction.rejected', 'relay.confirmed', 'relay.failed']
+                .forEach(type => source.addEventListener(type, (event) => {
+                    addFeedItem(type, JSON.parse(event.data));
+                    scheduleStatsRefresh();
+                }));
+
+            source.addEventListener('batch.sealed', (event) => {
+                const data = JSON.parse(event.data);
+                addFeedItem('batch.sealed', data);
+                renderBatches([...recentBatches, data.batch].slice(-10));
+                scheduleStatsRefresh();
+            });
+        }
+
+        // Initial load, then live updates
+        refreshData();
+        connectLiveFeed();
     </script>
 </body>
 </html>
@@ -302,17 +475,12 @@ app.get('/', (req, res) => {
 
 app.get('/api/dashboard-data', async (req, res) => {
   try {
-    const service = await initService();
-    
-    const stats = service.getStats();
-    const batches = service.getRecentBatches(10);
+    const [stats, batches] = await Promise.all([relayer.getStats(), relayer.getRecentBatches(10)]);
     
     // Get AI status
     let aiData = { connection: { connected: false }, stats: {} };
     try {
-      const connection = await service.aiValidator.testConnection();
-      const aiStats = service.aiValidator.getValidationStats();
-      aiData = { connection, stats: aiStats };
+      aiData = await relayer.getAIStatus();
     } catch (error) {
       console.log('AI data fetch error:', error.message);
     }
@@ -324,11 +492,83 @@ app.get('/api/dashboard-data', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Dashboard data error:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Dashboard data error:', error.message);
+    sendError(res, error);
+  }
+});
+
+app.get('/api/stats', async (req, res) => {
+  try {
+    res.json(await relayer.getStats());
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Batch drill-down: transactions, validations and Merkle proofs
+app.get('/api/batches/:id', async (req, res) => {
+  try {
+    const batch = await relayer.getBatchDetails(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    res.json(batch);
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
+// Latest indexed contract events (?contract=&event=&limit=), read from the relayer's index
+app.get('/api/chain-events', async (req, res) => {
+  try {
+    const [status, events] = await Promise.all([
+      relayer.getIndexerStatus(),
+      relayer.getIndexedEvents({
+        contract: req.query.contract,
+        event: req.query.event ? String(req.query.event).split(',') : undefined,
+        limit: Math.min(parseInt(req.query.limit) || 50, 500),
+        order: 'desc'
+      })
+    ]);
+    res.json({ status, events });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Server-Sent Events: transaction.queued, transaction.validated / rejected, batch.sealed,
+// relay.confirmed / failed, passed through from the relayer's /events. Last-Event-ID is
+// forwarded, so the relayer replays what a reconnecting browser missed.
+app.get('/api/events', async (req, res) => {
+  const controller = new AbortController();
+  req.on('close', () => controller.abort());
+
+  try {
+    const upstream = await relayer.openEventStream({
+      lastEventId: req.get('Last-Event-ID') || req.query.lastEventId,
+      signal: controller.signal
+    });
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    feeds.add(controller);
+    for await (const chunk of upstream.body) {
+      res.write(chunk);
+    }
+  } catch (error) {
+    if (error.name !== 'AbortError' && !res.headersSent) {
+      return sendError(res, error);
+    }
+  } finally {
+    feeds.delete(controller);
+  }
+  // The browser's EventSource reconnects after the relayer closed the stream
+  res.end();
+});
+
 // Start server
 async function startDashboard() {
   try {
@@ -336,8 +576,8 @@ async function startDashboard() {
     
     app.listen(PORT, () => {
       console.log(chalk.green(`✅ QOBI Dashboard running on http://localhost:${PORT}`));
-      console.log(chalk.blue('📊 Real-time monitoring interface available'));
-      console.log(chalk.yellow('🔄 Auto-refresh every 30 seconds'));
+      console.log(chalk.blue(`📊 Monitoring the relayer at ${relayer.apiUrl}`));
+      console.log(chalk.yellow('📡 Live updates streamed from /api/events'));
     });
   } catch (error) {
     console.error(chalk.red('❌ Failed to start dashboard:'), error);
@@ -345,7 +585,18 @@ async function startDashboard() {
   }
 }
 
+// Close the live feed connections before exiting
+function shutdownDashboard(signal) {
+  console.log(chalk.yellow(`${signal} received, shutting down gracefully...`));
+  for (const feed of feeds) {
+    feed.abort();
+  }
+  process.exit(0);
+}
+
 if (require.main === module) {
+  process.on('SIGTERM', () => shutdownDashboard('SIGTERM'));
+  process.on('SIGINT', () => shutdownDashboard('SIGINT'));
   startDashboard();
 }
 
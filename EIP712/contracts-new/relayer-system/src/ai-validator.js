@@ -1,39 +1,216 @@
-const axios = require('axios');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const CircuitBreaker = require('./circuit-breaker');
+const CalldataDecoder = require('./calldata-decoder');
+const RuleEngine = require('./rule-engine');
+const ValidationCache = require('./validation-cache');
+const MetricsRegistry = require('./metrics');
+const {
+  createBackend, completeStructured, SchemaValidationError, VALIDATION_OUTCOME, TRANSACTION_VALIDATION_SCHEMA
+} = require('./validator-backends');
+
+// Number of recent validation latencies kept for percentile stats
+const LATENCY_SAMPLES = 1000;
+
+// Part of every cache key; bump when the prompt or TRANSACTION_VALIDATION_SCHEMA changes
+const PROMPT_VERSION = 2;
+
+// Degraded verdicts are not cached, so the next submission gets another model attempt
+const CACHEABLE_OUTCOMES = [VALIDATION_OUTCOME.CLEAN, VALIDATION_OUTCOME.REPAIRED];
 
 class AIValidator {
-  constructor(ollamaUrl = 'http://localhost:11434', model = 'llama3.2:latest') {
+  constructor(ollamaUrl = 'http://localhost:11434', model = 'llama3.2:latest', options = {}) {
+    // `options.backend` is a backend instance or name (ollama, openai, rules, mock);
+    // the Ollama URL and model arguments apply to the ollama backend
+    const backendType = options.backend || process.env.VALIDATOR_BACKEND || 'ollama';
+    this.backend = typeof backendType === 'object'
+      ? backendType
+      : createBackend(backendType === 'ollama'
+        ? { backend: backendType, url: ollamaUrl, model }
+        : { ...options, backend: backendType });
+
     this.ollamaUrl = ollamaUrl;
-    this.model = model;
+    this.model = this.backend.model;
     this.validationHistory = [];
+
+    // Deterministic rules run first; `options.contracts` maps contract names to addresses
+    this.ruleEngine = options.ruleEngine || new RuleEngine({ rules: options.rules, addresses: options.contracts });
+
+    this.config = {
+      concurrency: options.concurrency || parseInt(process.env.VALIDATION_CONCURRENCY) || 4,
+      timeout: options.timeout || parseInt(process.env.VALIDATION_TIMEOUT) || 30000,
+      retries: options.retries !== undefined ? options.retries : parseInt(process.env.VALIDATION_RETRIES || '2') || 0,
+      retryDelay: options.retryDelay || parseInt(process.env.VALIDATION_RETRY_DELAY) || 500,
+      repairAttempts: options.repairAttempts !== undefined
+        ? options.repairAttempts
+        : parseInt(process.env.VALIDATION_REPAIR_ATTEMPTS || '2') || 0,
+      policyVersion: options.policyVersion || process.env.VALIDATION_POLICY_VERSION || '1'
+    };
+
+    // Results keyed by canonical transaction hash and cacheVersion(); `cacheStore`
+    // (a RelayerStore) persists them across restarts
+    this.cache = new ValidationCache({
+      ttl: options.cacheTtl !== undefined ? options.cacheTtl : parseInt(process.env.VALIDATION_CACHE_TTL || '3600000'),
+      maxEntries: options.cacheMaxEntries || parseInt(process.env.VALIDATION_CACHE_MAX_ENTRIES) || 10000,
+      store: options.cacheStore
+    });
+    this.inFlight = new Map();
+
+    // After repeated backend failures, validate with the fallback until a probe succeeds
+    this.breaker = new CircuitBreaker({
+      name: this.backend.name,
+      failureThreshold: options.breakerThreshold || parseInt(process.env.AI_BREAKER_THRESHOLD) || 5,
+      resetTimeout: options.breakerResetTimeout || parseInt(process.env.AI_BREAKER_RESET_TIMEOUT) || 30000
+    });
+
+    // Backend request metrics; `options.metrics` is the relayer's (persisted) registry
+    this.metrics = this.registerMetrics(options.metrics || new MetricsRegistry());
+
+    this.latencies = [];
+    this.performance = {
+      requests: 0,
+      timeouts: 0,
+      retries: 0,
+      fallbacks: 0,
+      ruleDecisions: 0,
+      repairs: 0,
+      parseOutcomes: Object.fromEntries(Object.values(VALIDATION_OUTCOME).map(outcome => [outcome, 0])),
+      batches: 0,
+      batchTransactions: 0,
+      batchTime: 0,
+      lastBatch: null
+    };
   }
 
   async validateTransaction(tx) {
+    const startTime = Date.now();
+
+    let rules = null;
+
     try {
-      const prompt = this.createValidationPrompt(tx);
-      const response = await this.queryOllama(prompt);
-      
-      const validation = this.parseValidationResponse(response);
-      validation.txHash = this.generateTxHash(tx);
+      rules = this.ruleEngine.evaluate(tx);
+
+      // A rule decision skips the AI request entirely
+      if (rules.decision) {
+        this.performance.ruleDecisions++;
+        return this.recordValidation(this.createRuleValidation(tx, rules));
+      }
+
+      const txHash = this.generateTxHash(tx);
+      const version = this.cacheVersion();
+      const cacheKey = this.cacheKey(txHash, version);
+
+      const cached = this.cache.get(cacheKey);
+      if (cached) {
+        return this.recordValidation({
+          ...cached.validation,
+          txHash,
+          timestamp: Date.now(),
+          cache: { hit: true, cachedAt: cached.createdAt, version }
+        });
+      }
+
+      // Identical transactions in the same batch share one model request
+      let pending = this.inFlight.get(cacheKey);
+      const coalesced = Boolean(pending);
+      if (coalesced) {
+        this.cache.recordCoalesced();
+      } else {
+        const prompt = this.createValidationPrompt(tx, rules);
+        pending = this.requestValidation(prompt, { ...tx, decodedCall: rules.decoded })
+          .finally(() => this.inFlight.delete(cacheKey));
+        this.inFlight.set(cacheKey, pending);
+      }
+
+      const validation = { ...(await pending) };
+      validation.txHash = txHash;
       validation.timestamp = Date.now();
+      validation.decodedCall = rules.decoded;
+      validation.ruleMatches = rules.matches;
+      validation.warnings = [...rules.warnings, ...validation.warnings];
+
+      if (!coalesced && CACHEABLE_OUTCOMES.includes(validation.parseOutcome)) {
+        this.cache.set(cacheKey, version, validation);
+      }
       
-      this.validationHistory.push(validation);
-      return validation;
+      return this.recordValidation(validation);
     } catch (error) {
-      console.error('AI validation failed:', error);
-      return this.createFallbackValidation(tx, error);
+      console.error('AI validation failed:', error.message);
+      this.performance.fallbacks++;
+      this.metrics.fallbacks.inc({ backend: this.backend.name });
+      const validation = { ...this.createFallbackValidation(tx, error), decodedCall: rules ? rules.decoded : undefined };
+      this.recordParseOutcome(validation);
+      return validation;
+    } finally {
+      this.recordLatency(Date.now() - startTime);
     }
   }
 
-  createValidationPrompt(tx) {
+  /**
+   * Query the backend within the retry budget. Every attempt goes through the circuit
+   * breaker, so an open circuit fails fast instead of waiting for timeouts.
+   */
+  async queryWithRetries(prompt, tx) {
+    let lastError;
+
+    for (let attempt = 0; attempt <= this.config.retries; attempt++) {
+      if (attempt > 0) {
+        this.performance.retries++;
+        this.metrics.retries.inc({ backend: this.backend.name });
+        await new Promise(resolve => setTimeout(resolve, this.config.retryDelay * 2 ** (attempt - 1)));
+      }
+
+      if (!this.breaker.allowRequest()) {
+        this.metrics.errors.inc({ backend: this.backend.name, reason: 'circuit_open' });
+        throw lastError || new Error(`${this.backend.name} circuit open - using fallback validation`);
+      }
+
+      const labels = { backend: this.backend.name };
+      const requestStart = Date.now();
+      try {
+        this.performance.requests++;
+        this.metrics.requests.inc(labels);
+        const response = await this.queryBackend(prompt, tx);
+        this.breaker.onSuccess();
+        return response;
+      } catch (error) {
+        if (error.code === 'ERR_CANCELED' || error.name === 'TimeoutError' || error.name === 'AbortError') {
+          this.performance.timeouts++;
+          this.metrics.errors.inc({ ...labels, reason: 'timeout' });
+          lastError = new Error(`${this.backend.name} request timed out after ${this.config.timeout}ms`);
+        } else {
+          this.metrics.errors.inc({ ...labels, reason: 'error' });
+          lastError = error;
+        }
+        this.breaker.onFailure();
+      } finally {
+        this.metrics.requestDuration.observe(labels, (Date.now() - requestStart) / 1000);
+      }
+    }
+
+    throw lastError;
+  }
+
+  createValidationPrompt(tx, rules = { decoded: null, warnings: [] }) {
+    const { decoded, warnings } = rules;
+    const call = decoded && decoded.known
+      ? `- Call: ${decoded.signature} on ${decoded.contract}
+- Arguments: ${JSON.stringify(decoded.args)}`
+      : `- Call: ${CalldataDecoder.describe(decoded)}
+- Data: ${tx.data}`;
+    const ruleWarnings = warnings.length > 0
+      ? `\n\nRule engine warnings:\n${warnings.map(w => `- ${w}`).join('\n')}`
+      : '';
+
     return `Analyze this blockchain transaction for security risks and anomalies:
 
 Transaction Details:
 - From: ${tx.from}
 - To: ${tx.to}
 - Value: ${tx.value} ETH
-- Data: ${tx.data}
+${call}
 - Gas Limit: ${tx.gasLimit || 'not specified'}
-- Gas Price: ${tx.gasPrice || 'not specified'}
+- Gas Price: ${tx.gasPrice || 'not specified'}${ruleWarnings}
 
 Please evaluate:
 1. Suspicious patterns in addresses
@@ -42,7 +219,7 @@ Please evaluate:
 4. Known malicious patterns
 5. Overall transaction safety
 
-Respond with a JSON object containing:
+Respond with ONLY a JSON object, no other text, containing:
 {
   "riskScore": 0-100,
   "confidence": 0-100,
@@ -53,48 +230,75 @@ Respond with a JSON object containing:
 }`;
   }
 
-  async queryOllama(prompt) {
-    const response = await axios.post(`${this.ollamaUrl}/api/generate`, {
-      model: this.model,
-      prompt: prompt,
-      stream: false,
-      options: {
-        temperature: 0.3,
-        top_p: 0.9,
-        max_tokens: 1000
-      }
+  async queryBackend(prompt, tx) {
+    return this.backend.complete({
+      prompt,
+      subject: tx,
+      kind: 'transaction',
+      format: TRANSACTION_VALIDATION_SCHEMA,
+      temperature: 0.3,
+      topP: 0.9,
+      maxTokens: 1000,
+      signal: AbortSignal.timeout(this.config.timeout)
     });
-
-    return response.data.response;
   }
 
-  parseValidationResponse(response) {
+  /**
+   * Ask the backend for a schema-conforming verdict, re-prompting with the schema
+   * errors up to `repairAttempts` times. Only when no response conforms is the last
+   * one read with keyword heuristics.
+   */
+  async requestValidation(prompt, subject) {
     try {
-      // Try to extract JSON from the response
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        return {
-          validatorId: 'ollama-' + this.model,
-          riskScore: Math.min(100, Math.max(0, parsed.riskScore || 50)),
-          confidence: Math.min(100, Math.max(0, parsed.confidence || 70)),
-          classification: parsed.classification || 'unknown',
-          warnings: parsed.warnings || [],
-          recommendations: parsed.recommendations || [],
-          analysis: parsed.analysis || response.slice(0, 500),
-          rawResponse: response
-        };
-      }
+      const result = await completeStructured(
+        (request) => this.queryWithRetries(request, subject),
+        prompt,
+        TRANSACTION_VALIDATION_SCHEMA,
+        { maxRepairs: this.config.repairAttempts }
+      );
+      this.performance.repairs += result.attempts - 1;
+
+      return {
+        ...this.parseValidationResponse(result.value, result.response),
+        parseOutcome: result.outcome,
+        parseAttempts: result.attempts
+      };
     } catch (error) {
-      console.warn('Failed to parse AI response as JSON:', error);
+      if (!(error instanceof SchemaValidationError)) {
+        throw error;
+      }
+
+      console.warn(`⚠️ ${this.backend.name} response failed the schema after ${error.attempts} attempts, using heuristics`);
+      this.metrics.errors.inc({ backend: this.backend.name, reason: 'schema' });
+      this.performance.repairs += error.attempts - 1;
+
+      return {
+        ...this.createHeuristicValidation(error.response),
+        parseOutcome: VALIDATION_OUTCOME.HEURISTIC,
+        parseAttempts: error.attempts,
+        schemaErrors: error.errors
+      };
     }
+  }
 
-    // Fallback parsing
-    return this.createHeuristicValidation(response);
+  /**
+   * Validation record for a response that matched TRANSACTION_VALIDATION_SCHEMA
+   */
+  parseValidationResponse(parsed, response) {
+    return {
+      validatorId: `${this.backend.name}-${this.model}`,
+      riskScore: parsed.riskScore,
+      confidence: parsed.confidence,
+      classification: parsed.classification,
+      warnings: parsed.warnings,
+      recommendations: parsed.recommendations,
+      analysis: parsed.analysis,
+      rawResponse: response
+    };
   }
 
   createHeuristicValidation(response) {
-    const text = response.toLowerCase();
+    const text = String(response).toLowerCase();
     let riskScore = 30; // Default medium-low risk
     let confidence = 60;
     let classification = 'unknown';
@@ -124,17 +328,37 @@ Respond with a JSON object containing:
     }
 
     return {
-      validatorId: 'ollama-' + this.model + '-heuristic',
+      validatorId: `${this.backend.name}-${this.model}-heuristic`,
       riskScore: Math.min(100, riskScore),
       confidence: Math.min(100, confidence),
       classification,
       warnings,
       recommendations,
-      analysis: response.slice(0, 500),
+      analysis: String(response).slice(0, 500),
       rawResponse: response
     };
   }
 
+  createRuleValidation(tx, rules) {
+    const decisive = rules.matches.filter(m => m.action === rules.decision);
+    const rejected = rules.decision === 'reject';
+
+    return {
+      validatorId: 'rule-engine',
+      riskScore: rejected ? 100 : 0,
+      confidence: 100,
+      classification: rejected ? 'malicious' : 'safe',
+      warnings: rules.matches.filter(m => m.action !== 'approve').map(m => m.reason),
+      recommendations: rejected ? ['Rejected by rule - not sent to AI validation'] : [],
+      analysis: `Decided by rule ${decisive.map(m => m.id).join(', ')}: ${decisive.map(m => m.reason).join('; ')}`,
+      decodedCall: rules.decoded,
+      ruleMatches: rules.matches,
+      parseOutcome: VALIDATION_OUTCOME.RULE,
+      timestamp: Date.now(),
+      txHash: this.generateTxHash(tx)
+    };
+  }
+
   createFallbackValidation(tx, error) {
     return {
       validatorId: 'fallback-validator',
@@ -145,36 +369,183 @@ Respond with a JSON object containing:
       recommendations: ['Manual review recommended'],
       analysis: `Fallback validation due to error: ${error.message}`,
       error: error.message,
+      parseOutcome: VALIDATION_OUTCOME.FALLBACK,
       timestamp: Date.now(),
       txHash: this.generateTxHash(tx)
     };
   }
 
+  /**
+   * sha256 over the canonical form of from, to, value and data, so "0.10" and "0.1"
+   * ETH or differently cased addresses hash the same
+   */
   generateTxHash(tx) {
+    let value;
+    try {
+      value = ethers.parseEther(String(tx.value || '0')).toString();
+    } catch (error) {
+      value = String(tx.value);
+    }
+
     const data = JSON.stringify({
-      from: tx.from,
-      to: tx.to,
-      value: tx.value,
-      data: tx.data
+      from: String(tx.from || '').toLowerCase(),
+      to: String(tx.to || '').toLowerCase(),
+      value,
+      data: String(tx.data || '0x').toLowerCase()
     });
-    return '0x' + require('crypto').createHash('sha256').update(data).digest('hex');
+    return '0x' + crypto.createHash('sha256').update(data).digest('hex');
   }
 
-  async batchValidate(transactions) {
-    const results = [];
-    for (const tx of transactions) {
-      const validation = await this.validateTransaction(tx);
-      results.push(validation);
-      
-      // Small delay to avoid overwhelming the AI service
-      await new Promise(resolve => setTimeout(resolve, 100));
+  /**
+   * Everything besides the transaction that determines a model verdict
+   */
+  cacheVersion() {
+    return `${this.backend.name}:${this.model}:prompt-v${PROMPT_VERSION}:policy-${this.config.policyVersion}`;
+  }
+
+  cacheKey(txHash, version) {
+    return crypto.createHash('sha256').update(`${version}|${txHash}`).digest('hex');
+  }
+
+  /**
+   * Drop cached verdicts after a model or policy change.
+   * `{ tx }` drops one transaction, `{ version }` one cache version, `{ stale: true }`
+   * every version but the current one, and no argument the whole cache.
+   * @returns {number} Entries removed
+   */
+  invalidateCache({ tx, version, stale } = {}) {
+    if (tx) {
+      return this.cache.invalidate({ key: this.cacheKey(this.generateTxHash(tx), this.cacheVersion()) });
+    }
+    if (stale) {
+      return this.cache.invalidate({ exceptVersion: this.cacheVersion() });
     }
+    return this.cache.invalidate(version !== undefined ? { version } : {});
+  }
+
+  /**
+   * Switch the policy version, e.g. after editing the rules or thresholds.
+   * Entries from the previous version stop matching and are removed.
+   */
+  setPolicyVersion(policyVersion) {
+    this.config.policyVersion = String(policyVersion);
+    return this.invalidateCache({ stale: true });
+  }
+
+  /**
+   * Validate with at most `concurrency` requests in flight. Results keep the
+   * order of the input transactions.
+   */
+  async batchValidate(transactions) {
+    const startTime = Date.now();
+    const results = new Array(transactions.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < transactions.length) {
+        const index = next++;
+        results[index] = await this.validateTransaction(transactions[index]);
+      }
+    };
+
+    const workers = Math.min(this.config.concurrency, transactions.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    this.recordBatch(transactions.length, Date.now() - startTime);
     return results;
   }
 
+  registerMetrics(metrics) {
+    return {
+      requests: metrics.counter({
+        name: 'qobi_ai_requests_total',
+        help: 'Requests sent to the validator backend, retries and repair prompts included',
+        labelNames: ['backend']
+      }),
+      requestDuration: metrics.histogram({
+        name: 'qobi_ai_request_duration_seconds',
+        help: 'Latency of validator backend requests',
+        labelNames: ['backend'],
+        buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60]
+      }),
+      errors: metrics.counter({
+        name: 'qobi_ai_errors_total',
+        help: 'Failed validator backend requests by reason (timeout, error, circuit_open, schema)',
+        labelNames: ['backend', 'reason']
+      }),
+      retries: metrics.counter({
+        name: 'qobi_ai_retries_total',
+        help: 'Validator backend requests retried after a failure',
+        labelNames: ['backend']
+      }),
+      fallbacks: metrics.counter({
+        name: 'qobi_ai_fallbacks_total',
+        help: 'Validations produced by the fallback because the backend failed',
+        labelNames: ['backend']
+      })
+    };
+  }
+
+  recordParseOutcome(validation) {
+    this.performance.parseOutcomes[validation.parseOutcome]++;
+  }
+
+  recordValidation(validation) {
+    this.recordParseOutcome(validation);
+    this.validationHistory.push(validation);
+    return validation;
+  }
+
+  recordLatency(ms) {
+    this.latencies.push(ms);
+    if (this.latencies.length > LATENCY_SAMPLES) {
+      this.latencies.shift();
+    }
+  }
+
+  recordBatch(size, durationMs) {
+    this.performance.batches++;
+    this.performance.batchTransactions += size;
+    this.performance.batchTime += durationMs;
+    this.performance.lastBatch = {
+      size,
+      durationMs,
+      throughput: durationMs > 0 ? (size * 1000) / durationMs : size
+    };
+  }
+
+  getPerformanceStats() {
+    const sorted = [...this.latencies].sort((a, b) => a - b);
+    const percentile = (p) => sorted.length === 0
+      ? null
+      : sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+
+    const { batchTransactions, batchTime, ...counters } = this.performance;
+
+    return {
+      ...counters,
+      concurrency: this.config.concurrency,
+      throughput: batchTime > 0 ? (batchTransactions * 1000) / batchTime : null,
+      latency: {
+        samples: sorted.length,
+        p50: percentile(50),
+        p90: percentile(90),
+        p95: percentile(95),
+        p99: percentile(99),
+        max: sorted.length > 0 ? sorted[sorted.length - 1] : null
+      },
+      circuitBreaker: this.breaker.getState()
+    };
+  }
+
   getValidationStats() {
     if (this.validationHistory.length === 0) {
-      return { message: 'No validations performed yet' };
+      return {
+        message: 'No validations performed yet',
+        performance: this.getPerformanceStats(),
+        rules: this.ruleEngine.getStats(),
+        cache: this.cache.getStats()
+      };
     }
 
     const classifications = {};
@@ -192,26 +563,18 @@ Respond with a JSON object containing:
       averageRiskScore: totalRisk / this.validationHistory.length,
       averageConfidence: totalConfidence / this.validationHistory.length,
       classifications,
+      performance: this.getPerformanceStats(),
+      rules: this.ruleEngine.getStats(),
+      cache: this.cache.getStats(),
       recentValidations: this.validationHistory.slice(-10)
     };
   }
 
   async testConnection() {
-    try {
-      const response = await axios.get(`${this.ollamaUrl}/api/tags`);
-      return {
-        connected: true,
-        availableModels: response.data.models || [],
-        currentModel: this.model
-      };
-    } catch (error) {
-      return {
-        connected: false,
-        error: error.message,
-        currentModel: this.model
-      };
-    }
+    return this.backend.testConnection();
   }
 }
 
+AIValidator.VALIDATION_OUTCOME = VALIDATION_OUTCOME;
+
 module.exports = AIValidator;
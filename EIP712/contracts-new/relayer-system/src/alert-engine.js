@@ -0,0 +1,416 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const { ABIS, INTERACTION_TYPES } = require('./qobi-contracts');
+const EventDecoder = require('./event-decoder');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+// Event rules look at each decoded event as it is indexed. Each returns an alert
+// ({ message, key?, details? }) or null; `key` defaults to the event's log.
+const EVENT_MATCHERS = {
+  event(rule, event) {
+    if (!rule.events.includes(event.event) || (rule.contract && rule.contract !== event.contract)) {
+      return null;
+    }
+    const where = Object.entries(rule.where || {});
+    if (!where.every(([name, value]) => String(event.args[name]).toLowerCase() === String(value).toLowerCase())) {
+      return null;
+    }
+    return { message: `${EventDecoder.describe(event)} in block ${event.blockNumber}` };
+  },
+
+  async nearCap(rule, event, engine) {
+    if (event.event !== 'TreeSubmitted' || !engine.dailyTree) {
+      return null;
+    }
+    const { day, interactionType, totalQOBI } = event.args;
+    const { qobiCap } = await engine.dailyTree.getDailyLimits(interactionType);
+    if (qobiCap === 0n) {
+      return null;
+    }
+
+    const basisPoints = BigInt(totalQOBI) * 10000n / qobiCap;
+    if (basisPoints < BigInt(Math.round(rule.ratio * 10000))) {
+      return null;
+    }
+    const type = INTERACTION_TYPES[interactionType] || interactionType;
+    return {
+      message: `${type} tree for day ${day} distributes ${ethers.formatEther(totalQOBI)} of the ` +
+        `${ethers.formatEther(qobiCap)} QOBI cap (${(Number(basisPoints) / 100).toFixed(2)}%)`,
+      details: { day, interactionType: Number(interactionType), totalQOBI, qobiCap: qobiCap.toString() }
+    };
+  },
+
+  unknownRoleGrant(rule, event, engine) {
+    if (event.event !== 'RoleGranted' || engine.isKnown(event.args.account, rule.addresses)) {
+      return null;
+    }
+    const role = EventDecoder.ROLE_NAMES.get(event.args.role) || event.args.role;
+    return {
+      message: `${role} granted to unknown address ${event.args.account} by ${event.args.sender}`,
+      details: { role, account: event.args.account, sender: event.args.sender }
+    };
+  }
+};
+
+// State rules read contract state every stateInterval. An alert keeps firing (once
+// per dedup window, or at once when its key changes) until the condition clears,
+// which sends a `resolved` alert.
+const STATE_CHECKS = {
+  async distributorSolvency(rule, engine) {
+    if (!engine.contracts.merkleDistributor || !engine.indexer || !engine.indexer.isCurrent('merkleDistributor')) {
+      return null;
+    }
+    const sum = (event, arg) => engine.indexer.getEvents({ contract: 'merkleDistributor', event })
+      .reduce((total, entry) => total + BigInt(entry.args[arg]), 0n);
+    const liabilities = sum('DailyDistributionFinalized', 'totalQOBI') - sum('QOBIClaimed', 'qobiAmount');
+    const balance = await engine.provider.getBalance(engine.contracts.merkleDistributor);
+
+    if (balance >= liabilities) {
+      return null;
+    }
+    return {
+      message: `Distributor balance ${ethers.formatEther(balance)} QOBI is below the ` +
+        `${ethers.formatEther(liabilities)} QOBI still unclaimed (short ${ethers.formatEther(liabilities - balance)})`,
+      details: { balance: balance.toString(), liabilities: liabilities.toString() }
+    };
+  },
+
+  async lowBalanceRelayers(rule, engine) {
+    if (!engine.relayerTreasury) {
+      return null;
+    }
+    const relayers = [...await engine.relayerTreasury.getLowBalanceRelayers()];
+    if (relayers.length === 0) {
+      return null;
+    }
+    return {
+      key: relayers.map(relayer => relayer.toLowerCase()).sort().join(','),
+      message: `${relayers.length} relayer(s) below the treasury minimum balance: ${relayers.join(', ')}`,
+      details: { relayers }
+    };
+  }
+};
+
+const DEFAULT_SEVERITY = {
+  event: 'warning',
+  nearCap: 'warning',
+  unknownRoleGrant: 'critical',
+  distributorSolvency: 'critical',
+  lowBalanceRelayers: 'warning'
+};
+
+function defaultRules() {
+  return [
+    { id: 'emergency-withdraw', type: 'event', events: ['EmergencyWithdraw'], severity: 'critical' },
+    { id: 'tree-near-cap', type: 'nearCap', ratio: 0.9 },
+    { id: 'unknown-role-grant', type: 'unknownRoleGrant' },
+    { id: 'distributor-solvency', type: 'distributorSolvency' },
+    { id: 'low-balance-relayers', type: 'lowBalanceRelayers' }
+  ];
+}
+
+function webhookSink(url, minSeverity) {
+  return {
+    name: `webhook ${new URL(url).host}`,
+    minSeverity,
+    async send(alert) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(alert),
+        signal: AbortSignal.timeout(10000)
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+    }
+  };
+}
+
+function fileSink(file, minSeverity) {
+  return {
+    name: `file ${file}`,
+    minSeverity,
+    async send(alert) {
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      fs.appendFileSync(file, JSON.stringify(alert) + '\n');
+    }
+  };
+}
+
+/**
+ * Declarative alerting on the QOBI contracts, for the scanner's monitor mode:
+ *
+ *   { id, type, severity?, ...params }
+ *     event                events (names), contract?, where? ({ arg: value })
+ *     nearCap              ratio (of DailyTreeGenerator's qobiCap, default 0.9) for TreeSubmitted
+ *     unknownRoleGrant     addresses (known accounts besides ALERT_KNOWN_ADDRESSES and the contracts)
+ *     distributorSolvency  distributor balance below finalized minus claimed QOBI (from the index)
+ *     lowBalanceRelayers   RelayerTreasury.getLowBalanceRelayers() is not empty
+ *
+ * Rules come from ALERT_RULES_FILE (a JSON array) or the defaults above. Alerts have
+ * a severity (info, warning, critical) and are emitted as 'alert', then delivered to
+ * the webhook (ALERT_WEBHOOK_URL) and/or file (ALERT_FILE, NDJSON) sinks at or above
+ * ALERT_MIN_SEVERITY. An alert with the same key is sent once per ALERT_DEDUP_WINDOW.
+ */
+class AlertEngine extends EventEmitter {
+  constructor({ provider, contracts = {}, indexer, rules, sinks, config = {} }) {
+    super();
+    this.provider = provider;
+    this.indexer = indexer || null;
+    this.contracts = Object.fromEntries(Object.entries(contracts)
+      .filter(([, address]) => address && ethers.isAddress(address)));
+
+    this.config = {
+      stateInterval: config.alertStateInterval || parseInt(process.env.ALERT_STATE_INTERVAL) || 60000,
+      dedupWindow: config.alertDedupWindow || parseInt(process.env.ALERT_DEDUP_WINDOW) || 3600000,
+      minSeverity: config.alertMinSeverity || process.env.ALERT_MIN_SEVERITY || 'info',
+      knownAddresses: config.alertKnownAddresses ||
+        (process.env.ALERT_KNOWN_ADDRESSES || '').split(',').map(address => address.trim()).filter(Boolean)
+    };
+    AlertEngine.checkSeverity(this.config.minSeverity, 'ALERT_MIN_SEVERITY');
+
+    this.rules = (rules || AlertEngine.loadRules(process.env.ALERT_RULES_FILE))
+      .map((rule, index) => AlertEngine.normalizeRule(rule, index));
+    this.sinks = sinks || AlertEngine.createSinks(this.config.minSeverity);
+
+    this.dailyTree = this.contracts.dailyTree
+      ? new ethers.Contract(this.contracts.dailyTree, ABIS.dailyTree, provider)
+      : null;
+    this.relayerTreasury = this.contracts.relayerTreasury
+      ? new ethers.Contract(this.contracts.relayerTreasury, ABIS.relayerTreasury, provider)
+      : null;
+
+    this.sent = new Map();
+    this.active = new Map();
+    this.timer = null;
+    this.stats = { alerts: 0, suppressed: 0, resolved: 0, sinkErrors: 0, bySeverity: {} };
+  }
+
+  /**
+   * @param {string} [file] JSON file holding an array of rules
+   */
+  static loadRules(file) {
+    if (!file) {
+      return defaultRules();
+    }
+    const rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(rules)) {
+      throw new Error(`Alert rules file ${file} must contain an array of rules`);
+    }
+    return rules;
+  }
+
+  static normalizeRule(rule, index) {
+    if (!EVENT_MATCHERS[rule.type] && !STATE_CHECKS[rule.type]) {
+      throw new Error(`Unknown alert rule type "${rule.type}" (expected one of ${AlertEngine.RULE_TYPES.join(', ')})`);
+    }
+    const id = rule.id || `${rule.type}-${index}`;
+    const severity = rule.severity || DEFAULT_SEVERITY[rule.type];
+    AlertEngine.checkSeverity(severity, `alert rule ${id}`);
+
+    const normalized = { ...rule, id, severity };
+    if (rule.type === 'event') {
+      normalized.events = [].concat(rule.events || rule.event || []);
+      if (normalized.events.length === 0) {
+        throw new Error(`event alert rule ${id} needs events`);
+      }
+    }
+    if (rule.type === 'nearCap') {
+      normalized.ratio = rule.ratio !== undefined ? Number(rule.ratio) : 0.9;
+    }
+    return normalized;
+  }
+
+  static checkSeverity(severity, where) {
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severity "${severity}" for ${where} (expected ${SEVERITIES.join(', ')})`);
+    }
+  }
+
+  static createSinks(minSeverity) {
+    const sinks = [];
+    if (process.env.ALERT_WEBHOOK_URL) {
+      sinks.push(webhookSink(process.env.ALERT_WEBHOOK_URL, minSeverity));
+    }
+    if (process.env.ALERT_FILE) {
+      sinks.push(fileSink(process.env.ALERT_FILE, minSeverity));
+    }
+    return sinks;
+  }
+
+  /**
+   * Whether an address belongs to a configured contract, ALERT_KNOWN_ADDRESSES or `extra`
+   */
+  isKnown(address, extra = []) {
+    const known = [...Object.values(this.contracts), ...this.config.knownAddresses, ...extra]
+      .map(candidate => candidate.toLowerCase());
+    return known.includes(String(address).toLowerCase());
+  }
+
+  /**
+   * Check state now and then every stateInterval
+   */
+  start() {
+    const poll = async () => {
+      try {
+        await this.checkState();
+      } catch (error) {
+        console.error('Alert state check error:', error.message);
+      }
+      this.timer = setTimeout(poll, this.config.stateInterval);
+    };
+    poll();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run the event rules over decoded events (e.g. EventIndexer 'events')
+   * @returns {Promise<Object[]>} The alerts sent
+   */
+  async evaluateEvents(events) {
+    const alerts = [];
+    for (const event of events.filter(entry => entry.decoded)) {
+      for (const rule of this.rules.filter(candidate => EVENT_MATCHERS[candidate.type])) {
+        let match;
+        try {
+          match = await EVENT_MATCHERS[rule.type](rule, event, this);
+        } catch (error) {
+          console.error(`Alert rule ${rule.id} failed on ${event.event}: ${error.message}`);
+          continue;
+        }
+        if (match) {
+          const alert = await this.dispatch(rule, {
+            ...match,
+            key: match.key || `${event.transactionHash}:${event.logIndex}`,
+            event: {
+              contract: event.contract,
+              event: event.event,
+              blockNumber: event.blockNumber,
+              transactionHash: event.transactionHash,
+              args: event.args
+            }
+          });
+          if (alert) alerts.push(alert);
+        }
+      }
+    }
+    return alerts;
+  }
+
+  /**
+   * Run the state rules once
+   * @returns {Promise<Object[]>} The alerts sent, resolutions included
+   */
+  async checkState() {
+    const alerts = [];
+    for (const rule of this.rules.filter(candidate => STATE_CHECKS[candidate.type])) {
+      let match;
+      try {
+        match = await STATE_CHECKS[rule.type](rule, this);
+      } catch (error) {
+        console.error(`Alert rule ${rule.id} failed: ${error.message}`);
+        continue;
+      }
+
+      let alert = null;
+      if (match) {
+        this.active.set(rule.id, match);
+        alert = await this.dispatch(rule, { ...match, key: match.key || 'active' });
+      } else if (this.active.has(rule.id)) {
+        const previous = this.active.get(rule.id);
+        this.active.delete(rule.id);
+        this.stats.resolved++;
+        alert = await this.dispatch(rule, {
+          key: 'resolved',
+          message: `Resolved: ${previous.message}`,
+          details: previous.details,
+          resolved: true
+        }, 'info');
+      }
+      if (alert) alerts.push(alert);
+    }
+    return alerts;
+  }
+
+  /**
+   * Deduplicate, emit and deliver an alert
+   * @returns {Promise<Object|null>} The alert, or null when it was suppressed
+   */
+  async dispatch(rule, match, severity = rule.severity) {
+    const now = Date.now();
+    for (const [key, sentAt] of this.sent) {
+      if (now - sentAt >= this.config.dedupWindow) {
+        this.sent.delete(key);
+      }
+    }
+
+    const id = `${rule.id}:${match.key}`;
+    if (this.sent.has(id)) {
+      this.stats.suppressed++;
+      return null;
+    }
+    // A resolution lets the condition alert again straight away if it comes back
+    if (match.resolved) {
+      for (const key of this.sent.keys()) {
+        if (key.startsWith(`${rule.id}:`)) this.sent.delete(key);
+      }
+    } else {
+      this.sent.set(id, now);
+    }
+
+    const alert = {
+      id,
+      rule: rule.id,
+      type: rule.type,
+      severity,
+      message: match.message,
+      timestamp: new Date(now).toISOString(),
+      ...(match.resolved ? { resolved: true } : {}),
+      ...(match.details ? { details: match.details } : {}),
+      ...(match.event ? { event: match.event } : {})
+    };
+
+    this.stats.alerts++;
+    this.stats.bySeverity[severity] = (this.stats.bySeverity[severity] || 0) + 1;
+    this.emit('alert', alert);
+
+    for (const sink of this.sinks) {
+      if (SEVERITIES.indexOf(severity) < SEVERITIES.indexOf(sink.minSeverity || 'info')) {
+        continue;
+      }
+      try {
+        await sink.send(alert);
+      } catch (error) {
+        this.stats.sinkErrors++;
+        console.error(`Alert delivery to ${sink.name} failed: ${error.message}`);
+      }
+    }
+    return alert;
+  }
+
+  getStats() {
+    return {
+      rules: this.rules.length,
+      sinks: this.sinks.map(sink => sink.name),
+      active: [...this.active.keys()],
+      ...this.stats
+    };
+  }
+}
+
+AlertEngine.SEVERITIES = SEVERITIES;
+AlertEngine.RULE_TYPES = [...Object.keys(EVENT_MATCHERS), ...Object.keys(STATE_CHECKS)];
+AlertEngine.webhookSink = webhookSink;
+AlertEngine.fileSink = fileSink;
+
+module.exports = AlertEngine;
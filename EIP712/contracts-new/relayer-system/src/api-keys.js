@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+
+// What a key may do. admin covers every other scope.
+// submit - POST /transactions
+// relay  - POST /transactions/:id/relay, spends the relayer's ETH and counts against the gas quota
+// read   - every GET route
+// admin  - cache invalidation, daily tree runs
+const SCOPES = ['submit', 'relay', 'read', 'admin'];
+
+const DAY_MS = 86400000;
+
+class ApiKeyError extends Error {
+  constructor(message, { status, code }) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * API keys for demo-server, stored hashed in the RelayerStore. A key looks like
+ * `qobi_<id>_<secret>`; only its id and the hash of the secret are kept, so the
+ * full key is shown once, when it is created.
+ *
+ * Each key has scopes, a request rate limit (per minute, kept in memory) and a
+ * daily quota of relay gas. Relaying reserves the transaction's gas limit against
+ * the quota; the reservation is released if the relay fails and replaced by the
+ * receipt's gasUsed once the transaction is final. Refused requests go to the
+ * audit log.
+ */
+class ApiKeyManager {
+  constructor({ store, config = {} }) {
+    this.store = store;
+    this.config = {
+      enabled: config.enabled !== undefined ? config.enabled : process.env.API_AUTH !== 'false',
+      rateLimit: config.rateLimit || parseInt(process.env.API_KEY_RATE_LIMIT) || 60,
+      dailyGasQuota: config.dailyGasQuota || parseInt(process.env.API_KEY_DAILY_GAS_QUOTA) || 5000000,
+      rateWindow: config.rateWindow || 60000
+    };
+
+    this.windows = new Map();
+  }
+
+  static parseScopes(scopes) {
+    const list = Array.isArray(scopes) ? scopes : String(scopes).split(',');
+    const parsed = [...new Set(list.map(scope => scope.trim()).filter(Boolean))];
+    const unknown = parsed.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0 || parsed.length === 0) {
+      throw new Error(`Invalid scopes: ${unknown.join(', ') || 'none given'} (expected ${SCOPES.join(', ')})`);
+    }
+    return parsed;
+  }
+
+  /**
+   * @returns {Object} The key record plus `key`, the only time the secret is available
+   */
+  createKey({ name, scopes, rateLimit, dailyGasQuota }) {
+    if (!name) {
+      throw new Error('API keys need a name');
+    }
+
+    const id = crypto.randomBytes(4).toString('hex');
+    const secret = crypto.randomBytes(24).toString('hex');
+    const record = {
+      id,
+      name,
+      keyHash: hashSecret(secret),
+      scopes: ApiKeyManager.parseScopes(scopes),
+      rateLimit: rateLimit !== undefined ? parseInt(rateLimit) : null,
+      dailyGasQuota: dailyGasQuota !== undefined ? parseInt(dailyGasQuota) : null,
+      createdAt: Date.now()
+    };
+
+    this.store.saveApiKey(record);
+    return { ...this.describe(record), key: `qobi_${id}_${secret}` };
+  }
+
+  updateKey(id, changes) {
+    const record = this.requireKey(id);
+    if (changes.scopes !== undefined) record.scopes = ApiKeyManager.parseScopes(changes.scopes);
+    if (changes.rateLimit !== undefined) record.rateLimit = parseInt(changes.rateLimit);
+    if (changes.dailyGasQuota !== undefined) record.dailyGasQuota = parseInt(changes.dailyGasQuota);
+    if (changes.name !== undefined) record.name = changes.name;
+
+    this.store.saveApiKey(record);
+    return this.describe(record);
+  }
+
+  revokeKey(id) {
+    const record = this.requireKey(id);
+    record.revokedAt = record.revokedAt || Date.now();
+    this.store.saveApiKey(record);
+    return this.describe(record);
+  }
+
+  listKeys() {
+    return this.store.getApiKeys().map(record => this.describe(record));
+  }
+
+  requireKey(id) {
+    const record = this.store.getApiKey(id);
+    if (!record) {
+      throw new Error(`Unknown API key ${id}`);
+    }
+    return record;
+  }
+
+  /**
+   * Public view of a key: its limits with defaults applied and today's gas usage
+   */
+  describe(record) {
+    const { keyHash, ...key } = record;
+    const dailyGasQuota = this.quotaOf(record);
+    const gasUsedToday = this.store.getGasUsage(record.id, ApiKeyManager.today());
+    return {
+      ...key,
+      rateLimit: this.rateLimitOf(record),
+      dailyGasQuota,
+      gasUsedToday,
+      gasRemainingToday: Math.max(0, dailyGasQuota - gasUsedToday),
+      revoked: Boolean(record.revokedAt)
+    };
+  }
+
+  rateLimitOf(record) {
+    return record.rateLimit ?? this.config.rateLimit;
+  }
+
+  quotaOf(record) {
+    return record.dailyGasQuota ?? this.config.dailyGasQuota;
+  }
+
+  static today(now = Date.now()) {
+    return Math.floor(now / DAY_MS);
+  }
+
+  /**
+   * @returns {Object} The key record for a valid, unrevoked key
+   * @throws {ApiKeyError} 401 when the key is missing, malformed, unknown or revoked
+   */
+  authenticate(rawKey) {
+    const match = /^qobi_([0-9a-f]{8})_([0-9a-f]{48})$/.exec(rawKey || '');
+    if (!match) {
+      throw new ApiKeyError(rawKey ? 'Malformed API key' : 'API key required', { status: 401, code: 'UNAUTHORIZED' });
+    }
+
+    const record = this.store.getApiKey(match[1]);
+    const presented = Buffer.from(hashSecret(match[2]), 'hex');
+    if (!record || !crypto.timingSafeEqual(presented, Buffer.from(record.keyHash, 'hex'))) {
+      throw new ApiKeyError('Invalid API key', { status: 401, code: 'UNAUTHORIZED' });
+    }
+    if (record.revokedAt) {
+      throw new ApiKeyError('API key has been revoked', { status: 401, code: 'UNAUTHORIZED' });
+    }
+    return record;
+  }
+
+  /**
+   * @throws {ApiKeyError} 403 when the key lacks `scope`
+   */
+  authorize(record, scope) {
+    if (!record.scopes.includes(scope) && !record.scopes.includes('admin')) {
+      throw new ApiKeyError(`API key ${record.id} lacks the ${scope} scope`, { status: 403, code: 'FORBIDDEN' });
+    }
+  }
+
+  /**
+   * Fixed-window request limit per key
+   * @throws {ApiKeyError} 429 with `retryAfter` (seconds) when the window is used up
+   */
+  consumeRequest(record, now = Date.now()) {
+    let window = this.windows.get(record.id);
+    if (!window || now - window.start >= this.config.rateWindow) {
+      window = { start: now, count: 0 };
+      this.windows.set(record.id, window);
+    }
+
+    const limit = this.rateLimitOf(record);
+    if (window.count >= limit) {
+      const error = new ApiKeyError(`Rate limit of ${limit} requests per minute exceeded`, { status: 429, code: 'RATE_LIMITED' });
+      error.retryAfter = Math.ceil((window.start + this.config.rateWindow - now) / 1000);
+      throw error;
+    }
+    window.count++;
+  }
+
+  /**
+   * Reserve `gas` of the key's daily quota for relaying `txId`
+   * @throws {ApiKeyError} 429 QUOTA_EXCEEDED when the reservation does not fit
+   */
+  reserveGas(keyId, txId, gas) {
+    const record = this.requireKey(keyId);
+    const day = ApiKeyManager.today();
+    const used = this.store.getGasUsage(keyId, day);
+    const quota = this.quotaOf(record);
+
+    if (used + gas > quota) {
+      throw new ApiKeyError(
+        `Daily gas quota exceeded: ${used} of ${quota} used, relay needs up to ${gas}`,
+        { status: 429, code: 'QUOTA_EXCEEDED' }
+      );
+    }
+    this.store.saveGasCharge({ txId, keyId, day, gas });
+  }
+
+  releaseGas(txId) {
+    this.store.deleteGasCharge(txId);
+  }
+
+  /**
+   * Replace a reservation with the gas the transaction actually used
+   */
+  settleGas(txId, gasUsed) {
+    const charge = this.store.getGasCharge(txId);
+    if (charge && !charge.settled) {
+      this.store.saveGasCharge({ ...charge, gas: Number(gasUsed), settled: true });
+    }
+  }
+
+  audit(req, error, keyId) {
+    this.store.saveAuditEntry({
+      keyId: keyId || null,
+      method: req.method,
+      path: req.originalUrl || req.url,
+      status: error.status,
+      code: error.code,
+      reason: error.message,
+      ip: req.ip || null
+    });
+  }
+
+  static extractKey(req) {
+    const header = req.get('Authorization') || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : req.get('X-API-Key');
+  }
+
+  /**
+   * Express middleware requiring a key with `scope`. The key record is put on
+   * `req.apiKey`. Does nothing when API_AUTH=false.
+   */
+  middleware(scope) {
+    if (!SCOPES.includes(scope)) {
+      throw new Error(`Unknown scope ${scope}`);
+    }
+
+    return (req, res, next) => {
+      if (!this.config.enabled) {
+        return next();
+      }
+
+      let record;
+      try {
+        record = this.authenticate(ApiKeyManager.extractKey(req));
+        this.authorize(record, scope);
+        this.consumeRequest(record);
+        this.store.touchApiKey(record.id);
+      } catch (error) {
+        if (!(error instanceof ApiKeyError)) {
+          return next(error);
+        }
+        this.audit(req, error, record && record.id);
+        if (error.retryAfter) {
+          res.set('Retry-After', String(error.retryAfter));
+        }
+        return res.status(error.status).json({ error: error.message, code: error.code });
+      }
+
+      req.apiKey = record;
+      next();
+    };
+  }
+}
+
+ApiKeyManager.SCOPES = SCOPES;
+ApiKeyManager.ApiKeyError = ApiKeyError;
+
+module.exports = ApiKeyManager;
@@ -0,0 +1,285 @@
+const { EventEmitter } = require('events');
+
+// What enqueue does once the queue holds highWaterMark items:
+// reject - throw a BackpressureError (code QUEUE_FULL) straight away
+// wait   - hold the caller until a batch frees room (callers are admitted in order)
+const OVERFLOW_POLICY = {
+  REJECT: 'reject',
+  WAIT: 'wait'
+};
+
+class BackpressureError extends Error {
+  constructor(message, { code, queued, highWaterMark }) {
+    super(message);
+    this.name = 'BackpressureError';
+    this.code = code;
+    this.queued = queued;
+    this.highWaterMark = highWaterMark;
+  }
+}
+
+/**
+ * Queue and processing loop for relayer batches. A batch is taken as soon as
+ * `batchSize` items are queued or the oldest item has waited `maxBatchAge` ms,
+ * whichever comes first, and batches run one at a time through `handler(batch)`.
+ *
+ * A batch whose handler throws goes back to the head of the queue and is retried
+ * after `retryDelay` ms, so its items count towards `highWaterMark` until the
+ * handler succeeds. `stop()` closes intake and drains what is queued.
+ *
+ * Events: enqueued (item), rejected (item, code), batch (result, batch),
+ * batchFailed (error, batch), drained, stopped
+ */
+class BatchProcessor extends EventEmitter {
+  constructor({ handler, batchSize = 100, maxBatchAge = 10000, highWaterMark = 1000, overflow = OVERFLOW_POLICY.REJECT, retryDelay } = {}) {
+    super();
+    if (!Object.values(OVERFLOW_POLICY).includes(overflow)) {
+      throw new Error(`Unknown overflow policy "${overflow}" (expected ${Object.values(OVERFLOW_POLICY).join(' or ')})`);
+    }
+
+    this.handler = handler;
+    this.batchSize = batchSize;
+    this.maxBatchAge = maxBatchAge;
+    this.highWaterMark = Math.max(highWaterMark, batchSize);
+    this.overflow = overflow;
+    this.retryDelay = retryDelay !== undefined ? retryDelay : maxBatchAge;
+
+    this.queue = [];
+    // Items of the batch being handled; they return to the queue if it fails
+    this.inFlight = 0;
+    this.waiters = [];
+    this.running = false;
+    this.closed = false;
+    this.processing = null;
+    this.timer = null;
+    this.retryAt = 0;
+    this.stats = {
+      enqueued: 0,
+      rejected: 0,
+      waited: 0,
+      batches: 0,
+      failedBatches: 0,
+      sizeTriggers: 0,
+      ageTriggers: 0
+    };
+  }
+
+  get items() {
+    return this.queue.map(entry => entry.item);
+  }
+
+  get length() {
+    return this.queue.length;
+  }
+
+  start() {
+    this.running = true;
+    this.closed = false;
+    this.schedule();
+  }
+
+  /**
+   * Put items back without counting them as new intake, e.g. transactions
+   * restored from the store after a restart
+   */
+  restore(items) {
+    const now = Date.now();
+    this.queue.push(...items.map(item => ({ item, queuedAt: now })));
+    this.schedule();
+  }
+
+  /**
+   * Queue an item. 'enqueued' is emitted synchronously when the item is admitted,
+   * so listeners can persist it before any batch can pick it up.
+   * @throws {BackpressureError} QUEUE_CLOSED after stop(), QUEUE_FULL at the high-water mark
+   *   with the reject policy
+   */
+  async enqueue(item) {
+    if (this.closed) {
+      this.stats.rejected++;
+      this.emit('rejected', item, 'QUEUE_CLOSED');
+      throw new BackpressureError('Relayer is shutting down and no longer accepts transactions', {
+        code: 'QUEUE_CLOSED', queued: this.queue.length, highWaterMark: this.highWaterMark
+      });
+    }
+
+    const queued = this.queue.length + this.inFlight;
+    if (queued >= this.highWaterMark || this.waiters.length > 0) {
+      if (this.overflow === OVERFLOW_POLICY.REJECT) {
+        this.stats.rejected++;
+        this.emit('rejected', item, 'QUEUE_FULL');
+        throw new BackpressureError(`Queue is full (${queued}/${this.highWaterMark} transactions)`, {
+          code: 'QUEUE_FULL', queued, highWaterMark: this.highWaterMark
+        });
+      }
+
+      this.stats.waited++;
+      return new Promise((resolve, reject) => {
+        this.waiters.push({ item, resolve, reject });
+      });
+    }
+
+    this.admit(item);
+  }
+
+  admit(item) {
+    this.queue.push({ item, queuedAt: Date.now() });
+    this.stats.enqueued++;
+    this.emit('enqueued', item);
+    this.schedule();
+  }
+
+  admitWaiters() {
+    while (this.waiters.length > 0 && this.queue.length + this.inFlight < this.highWaterMark) {
+      const waiter = this.waiters.shift();
+      try {
+        this.admit(waiter.item);
+        waiter.resolve();
+      } catch (error) {
+        waiter.reject(error);
+      }
+    }
+  }
+
+  /**
+   * Milliseconds until the next batch is due; 0 when it is due now, null when the queue is empty
+   */
+  nextDue() {
+    if (this.queue.length === 0) {
+      return null;
+    }
+    const now = Date.now();
+    const due = this.queue.length >= this.batchSize ? now : this.queue[0].queuedAt + this.maxBatchAge;
+    // A timer that fires late must still find the batch due
+    return Math.max(0, Math.max(due, this.retryAt) - now);
+  }
+
+  schedule() {
+    if (!this.running || this.processing) {
+      return;
+    }
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const delay = this.nextDue();
+    if (delay !== null) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.flush().catch(() => {});
+      }, delay);
+    }
+  }
+
+  /**
+   * Run due batches until none is due. With `all`, every queued item is processed
+   * regardless of size or age, stopping at the first failed batch.
+   * Concurrent callers share the same run.
+   */
+  flush({ all = false } = {}) {
+    if (this.processing) {
+      return all ? this.processing.then(() => this.flush({ all })) : this.processing;
+    }
+
+    this.processing = this.run(all).finally(() => {
+      this.processing = null;
+      this.schedule();
+    });
+    return this.processing;
+  }
+
+  async run(all) {
+    const results = [];
+
+    while (this.queue.length > 0 && (all || this.nextDue() === 0)) {
+      if (this.queue.length >= this.batchSize) {
+        this.stats.sizeTriggers++;
+      } else if (!all) {
+        this.stats.ageTriggers++;
+      }
+
+      const entries = this.queue.splice(0, this.batchSize);
+      const batch = entries.map(entry => entry.item);
+      this.inFlight = entries.length;
+
+      try {
+        const result = await this.handler(batch);
+        this.inFlight = 0;
+        this.admitWaiters();
+        this.stats.batches++;
+        this.retryAt = 0;
+        results.push(result);
+        this.emit('batch', result, batch);
+      } catch (error) {
+        this.stats.failedBatches++;
+        this.inFlight = 0;
+        this.queue.unshift(...entries);
+        this.retryAt = Date.now() + this.retryDelay;
+        this.emit('batchFailed', error, batch);
+        if (all) {
+          throw error;
+        }
+        break;
+      }
+    }
+
+    if (this.queue.length === 0) {
+      this.emit('drained');
+    }
+    return results;
+  }
+
+  /**
+   * Close intake, process everything still queued and clear the timer. Callers
+   * waiting for room are refused. Items left after a failed batch stay queued.
+   * @param {Object} [options]
+   * @param {boolean} [options.drain=true] false leaves the queue as it is and only
+   *   waits for the batch already running
+   */
+  async stop({ drain = true } = {}) {
+    this.closed = true;
+    for (const waiter of this.waiters.splice(0)) {
+      this.stats.rejected++;
+      this.emit('rejected', waiter.item, 'QUEUE_CLOSED');
+      waiter.reject(new BackpressureError('Relayer is shutting down and no longer accepts transactions', {
+        code: 'QUEUE_CLOSED', queued: this.queue.length, highWaterMark: this.highWaterMark
+      }));
+    }
+
+    try {
+      if (drain && this.queue.length > 0) {
+        this.retryAt = 0;
+        await this.flush({ all: true });
+      } else if (this.processing) {
+        await this.processing;
+      }
+    } finally {
+      this.running = false;
+      if (this.timer) {
+        clearTimeout(this.timer);
+        this.timer = null;
+      }
+      this.emit('stopped');
+    }
+  }
+
+  getStats() {
+    return {
+      queued: this.queue.length,
+      waiting: this.waiters.length,
+      highWaterMark: this.highWaterMark,
+      batchSize: this.batchSize,
+      maxBatchAge: this.maxBatchAge,
+      overflow: this.overflow,
+      processing: Boolean(this.processing),
+      accepting: !this.closed,
+      ...this.stats
+    };
+  }
+}
+
+BatchProcessor.OVERFLOW_POLICY = OVERFLOW_POLICY;
+BatchProcessor.BackpressureError = BackpressureError;
+
+module.exports = BatchProcessor;
@@ -0,0 +1,121 @@
+const { ethers } = require('ethers');
+const { ABIS } = require('./qobi-contracts');
+
+// Contracts outside the QOBI system that relayed requests commonly target
+const EXTERNAL_ABIS = {
+  metaTxInteractionRecipient: [
+    'function executeInteraction(string interaction)',
+    'function getUserInteractions(address user) view returns (string[])',
+    'function getUserInteractionCount(address user) view returns (uint256)',
+    'function getLatestInteraction(address user) view returns (string)'
+  ],
+  sampleContract: [
+    'function updateBalance(uint256 amount) payable',
+    'function setMessage(string message) payable',
+    'function getBalance(address user) view returns (uint256)',
+    'function getMessage(address user) view returns (string)'
+  ],
+  erc20: [
+    'function transfer(address to, uint256 amount) returns (bool)',
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'function transferFrom(address from, address to, uint256 amount) returns (bool)',
+    'function increaseAllowance(address spender, uint256 addedValue) returns (bool)',
+    'function decreaseAllowance(address spender, uint256 subtractedValue) returns (bool)'
+  ]
+};
+
+const KNOWN_ABIS = { ...ABIS, ...EXTERNAL_ABIS };
+
+/**
+ * Decodes calldata against the ABIs of every contract the relayer knows about.
+ * Several contracts share selectors (authorizeRelayer, emergencyWithdraw, ...), so
+ * when `addresses` maps a contract name to its deployment, a call to that address
+ * is decoded with that contract's ABI first.
+ */
+class CalldataDecoder {
+  constructor({ abis = KNOWN_ABIS, addresses = {} } = {}) {
+    this.selectors = new Map();
+    this.contractsByAddress = new Map();
+
+    for (const [contract, abi] of Object.entries(abis)) {
+      const iface = new ethers.Interface(abi);
+      iface.forEachFunction(fragment => {
+        const entries = this.selectors.get(fragment.selector) || [];
+        entries.push({ contract, iface, fragment });
+        this.selectors.set(fragment.selector, entries);
+      });
+    }
+
+    for (const [contract, address] of Object.entries(addresses)) {
+      if (address && ethers.isAddress(address) && abis[contract]) {
+        this.contractsByAddress.set(address.toLowerCase(), contract);
+      }
+    }
+  }
+
+  /**
+   * @returns {Object|null} null for plain transfers; otherwise the selector and, when a
+   *   known ABI matches, the contract, method, signature and named arguments
+   *   (uint values as decimal strings)
+   */
+  decode(data, to) {
+    if (!data || data === '0x') {
+      return null;
+    }
+
+    const selector = data.slice(0, 10).toLowerCase();
+    const entries = this.selectors.get(selector);
+    if (!entries) {
+      return { selector, known: false };
+    }
+
+    const target = to ? this.contractsByAddress.get(to.toLowerCase()) : undefined;
+    const ordered = [
+      ...entries.filter(entry => entry.contract === target),
+      ...entries.filter(entry => entry.contract !== target)
+    ];
+
+    for (const { contract, iface, fragment } of ordered) {
+      try {
+        const decoded = iface.decodeFunctionData(fragment, data);
+        return {
+          selector,
+          known: true,
+          contract,
+          method: fragment.name,
+          signature: fragment.format('sighash'),
+          payable: fragment.payable,
+          args: Object.fromEntries(fragment.inputs.map((input, i) => [input.name || `arg${i}`, toPlain(decoded[i])])),
+          candidates: entries.map(entry => entry.contract)
+        };
+      } catch (error) {
+        // Arguments do not fit this ABI; try the next contract with the selector
+      }
+    }
+
+    return { selector, known: false, error: 'calldata does not match the known ABI for this selector' };
+  }
+
+  /**
+   * One-line description used in validation prompts, e.g. `erc20.approve(spender=0x.., amount=1)`
+   */
+  static describe(decoded) {
+    if (!decoded) return 'plain value transfer (no calldata)';
+    if (!decoded.known) return `unknown function ${decoded.selector}`;
+
+    const args = Object.entries(decoded.args)
+      .map(([name, value]) => `${name}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+      .join(', ');
+    return `${decoded.contract}.${decoded.method}(${args})`;
+  }
+}
+
+function toPlain(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return [...value].map(toPlain);
+  return value;
+}
+
+CalldataDecoder.KNOWN_ABIS = KNOWN_ABIS;
+
+module.exports = CalldataDecoder;
@@ -0,0 +1,85 @@
+// closed: requests flow normally
+// open: requests are refused until resetTimeout has passed
+// half-open: a single probe request decides whether to close or re-open
+const BREAKER_STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.name = options.name || 'circuit';
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000;
+
+    this.state = BREAKER_STATE.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.stats = {
+      opened: 0,
+      rejected: 0,
+      probes: 0
+    };
+  }
+
+  /**
+   * Whether a request may be sent now. In half-open state only one caller gets
+   * a true answer, and it must report back with onSuccess or onFailure.
+   */
+  allowRequest() {
+    if (this.state === BREAKER_STATE.OPEN && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.state = BREAKER_STATE.HALF_OPEN;
+    }
+
+    if (this.state === BREAKER_STATE.CLOSED) {
+      return true;
+    }
+
+    if (this.state === BREAKER_STATE.HALF_OPEN && !this.probeInFlight) {
+      this.probeInFlight = true;
+      this.stats.probes++;
+      return true;
+    }
+
+    this.stats.rejected++;
+    return false;
+  }
+
+  onSuccess() {
+    if (this.state !== BREAKER_STATE.CLOSED) {
+      console.log(`🟢 ${this.name} circuit closed, service recovered`);
+    }
+    this.state = BREAKER_STATE.CLOSED;
+    this.consecutiveFailures = 0;
+    this.probeInFlight = false;
+  }
+
+  onFailure() {
+    this.consecutiveFailures++;
+
+    if (this.state === BREAKER_STATE.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== BREAKER_STATE.OPEN) {
+        this.stats.opened++;
+        console.warn(`🔴 ${this.name} circuit opened after ${this.consecutiveFailures} consecutive failures`);
+      }
+      this.state = BREAKER_STATE.OPEN;
+      this.openedAt = Date.now();
+    }
+    this.probeInFlight = false;
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      ...this.stats
+    };
+  }
+}
+
+CircuitBreaker.STATE = BREAKER_STATE;
+
+module.exports = CircuitBreaker;
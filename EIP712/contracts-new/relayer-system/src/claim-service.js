@@ -0,0 +1,190 @@
+const { ethers } = require('ethers');
+const { ABIS, INTERACTION_TYPES } = require('./qobi-contracts');
+const QOBIMerkleTree = require('./merkle-tree');
+
+/**
+ * Answers "what can this user claim?" from the stored daily trees and the
+ * distributor's on-chain state, and builds calldata for claimQOBI / batchClaimQOBI.
+ * Each allocation is checked with the same rules as QOBIMerkleDistributor.isClaimable
+ * before it is returned, so a claim built here only fails if the chain changes.
+ *
+ * Finalizations and claims come from the EventIndexer's DailyDistributionFinalized
+ * and QOBIClaimed events while it is current for the distributor, from the node otherwise.
+ */
+class ClaimService {
+  constructor({ provider, store, contracts, indexer }) {
+    this.store = store;
+    this.indexer = indexer || null;
+    this.merkleDistributor = new ethers.Contract(contracts.merkleDistributor, ABIS.merkleDistributor, provider);
+  }
+
+  useIndex() {
+    return Boolean(this.indexer && this.indexer.isCurrent('merkleDistributor'));
+  }
+
+  indexedEvent(event, args) {
+    return this.indexer.getEvents({ contract: 'merkleDistributor', event, args, limit: 1 })[0] || null;
+  }
+
+  async getPendingClaims(user, day) {
+    if (!this.useIndex()) {
+      return (await this.merkleDistributor.getPendingClaims(user, day)).map(Number);
+    }
+    return this.indexer.getEvents({ contract: 'merkleDistributor', event: 'DailyDistributionFinalized', args: { day } })
+      .map(event => Number(event.args.interactionType))
+      .filter(interactionType => !this.indexedEvent('QOBIClaimed', { user, day, interactionType }));
+  }
+
+  async hasClaimed(day, interactionType, user) {
+    if (!this.useIndex()) {
+      return this.merkleDistributor.hasClaimed(day, interactionType, user);
+    }
+    return Boolean(this.indexedEvent('QOBIClaimed', { user, day, interactionType }));
+  }
+
+  async getDistributionInfo(day, interactionType) {
+    if (!this.useIndex()) {
+      return this.merkleDistributor.getDistributionInfo(day, interactionType);
+    }
+    const event = this.indexedEvent('DailyDistributionFinalized', { day, interactionType });
+    return { merkleRoot: event ? event.args.merkleRoot : ethers.ZeroHash, finalized: Boolean(event) };
+  }
+
+  /**
+   * Unclaimed allocations for a user, with proofs
+   * @param {Object} [filter] Optional `days` and `interactionTypes` arrays
+   * @returns {Promise<{user: string, claims: Array, skipped: Array, totalQOBI: string}>}
+   */
+  async getClaims(user, filter = {}) {
+    user = ethers.getAddress(user);
+
+    const submissions = this.store.getDailySubmissionsForUser(user).filter(submission =>
+      (!filter.days || filter.days.includes(submission.day)) &&
+      (!filter.interactionTypes || filter.interactionTypes.includes(submission.interactionType))
+    );
+
+    const pendingByDay = new Map();
+    for (const day of new Set(submissions.map(s => s.day))) {
+      pendingByDay.set(day, new Set(await this.getPendingClaims(user, day)));
+    }
+
+    const claims = [];
+    const skipped = [];
+
+    for (const submission of submissions) {
+      const { day, interactionType } = submission;
+      const skip = (reason) => skipped.push({ day, interactionType, interactionTypeName: INTERACTION_TYPES[interactionType], reason });
+
+      if (!pendingByDay.get(day).has(interactionType)) {
+        const claimed = await this.hasClaimed(day, interactionType, user);
+        skip(claimed ? 'already claimed' : 'distribution not finalized');
+        continue;
+      }
+
+      const claim = await this.buildClaim(user, submission);
+      const reason = this.checkClaimable(claim);
+      if (reason) {
+        skip(reason);
+        continue;
+      }
+
+      claims.push(claim);
+    }
+
+    const totalQOBI = claims.reduce((sum, claim) => sum + BigInt(claim.qobiAmount), 0n);
+
+    return { user, claims, skipped, totalQOBI: totalQOBI.toString() };
+  }
+
+  /**
+   * Proof for one (day, interactionType) allocation, or null if the user has none
+   */
+  async getClaim(user, day, interactionType) {
+    user = ethers.getAddress(user);
+
+    const submission = this.store.getDailySubmission(day, interactionType);
+    if (!submission || !submission.allocations.some(a => a.user === user)) {
+      return null;
+    }
+
+    const claim = await this.buildClaim(user, submission);
+    const reason = this.checkClaimable(claim);
+    const claimed = await this.hasClaimed(day, interactionType, user);
+
+    return { ...claim, claimed, claimable: !claimed && !reason, reason: claimed ? 'already claimed' : reason };
+  }
+
+  async buildClaim(user, submission) {
+    const { day, interactionType } = submission;
+    const tree = QOBIMerkleTree.fromAllocations(submission.allocations);
+    const { points, qobiAmount, leaf, proof } = tree.getAllocationProof(user);
+
+    const distribution = await this.getDistributionInfo(day, interactionType);
+    const cap = await this.merkleDistributor.getDailyQOBICap(interactionType);
+
+    return {
+      day,
+      interactionType,
+      interactionTypeName: INTERACTION_TYPES[interactionType],
+      user,
+      points,
+      qobiAmount,
+      leaf,
+      proof,
+      merkleRoot: distribution.merkleRoot,
+      finalized: distribution.finalized,
+      maxQOBI: ((cap * BigInt(points)) / 100n).toString()
+    };
+  }
+
+  /**
+   * Local mirror of QOBIMerkleDistributor.isClaimable (without the claimed check)
+   * @returns {string|null} Why the allocation cannot be claimed, or null if it can
+   */
+  checkClaimable(claim) {
+    if (!claim.finalized) return 'distribution not finalized';
+    if (claim.points > 100) return 'points above 100';
+    if (BigInt(claim.qobiAmount) === 0n) return 'zero QOBI amount';
+    if (BigInt(claim.qobiAmount) > BigInt(claim.maxQOBI)) return 'QOBI amount exceeds cap * points / 100';
+    if (!QOBIMerkleTree.verifySortedProof(claim.proof, claim.merkleRoot, claim.leaf)) {
+      return 'proof does not match the on-chain merkle root';
+    }
+    return null;
+  }
+
+  /**
+   * Unsigned transaction the user sends to claim: claimQOBI for one allocation,
+   * batchClaimQOBI for several. The distributor pays msg.sender, so `from` must be the user.
+   */
+  buildClaimTransaction(user, claims) {
+    if (claims.length === 0) {
+      throw new Error('No claimable allocations');
+    }
+
+    const iface = this.merkleDistributor.interface;
+    const method = claims.length === 1 ? 'claimQOBI' : 'batchClaimQOBI';
+    const data = claims.length === 1
+      ? iface.encodeFunctionData('claimQOBI', [
+        claims[0].day, claims[0].interactionType, claims[0].points, claims[0].qobiAmount, claims[0].proof
+      ])
+      : iface.encodeFunctionData('batchClaimQOBI', [
+        claims.map(c => c.day),
+        claims.map(c => c.interactionType),
+        claims.map(c => c.points),
+        claims.map(c => c.qobiAmount),
+        claims.map(c => c.proof)
+      ]);
+
+    return {
+      from: ethers.getAddress(user),
+      to: this.merkleDistributor.target,
+      value: '0',
+      data,
+      method,
+      claimCount: claims.length,
+      totalQOBI: claims.reduce((sum, claim) => sum + BigInt(claim.qobiAmount), 0n).toString()
+    };
+  }
+}
+
+module.exports = ClaimService;
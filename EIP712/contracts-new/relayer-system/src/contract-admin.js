@@ -0,0 +1,162 @@
+const { ethers } = require('ethers');
+const { ABIS, ROLES } = require('./qobi-contracts');
+const CalldataDecoder = require('./calldata-decoder');
+
+// Owner-only functions qobi-cli admin can call, and the contract each one is on
+const ADMIN_FUNCTIONS = {
+  grantRole: 'accessControl',
+  revokeRole: 'accessControl',
+  authorizeRelayer: 'dailyTree',
+  updateDailyLimits: 'dailyTree',
+  updateDailyQOBICaps: 'merkleDistributor',
+  pause: 'merkleDistributor',
+  setStabilizingContract: 'merkleDistributor',
+  addRelayer: 'relayerTreasury',
+  batchFundRelayers: 'relayerTreasury',
+  updateMinRelayerBalance: 'relayerTreasury',
+  fundMultipleRelayers: 'systemDeployer'
+};
+
+const OWNABLE_ABI = ['function owner() view returns (address)'];
+
+/**
+ * Builds, previews and sends the QOBI contracts' owner-only calls. prepare() encodes
+ * the call and returns a preview: the calldata decoded back with CalldataDecoder, the
+ * contract owner, a gas estimate (or the revert reason) and warnings about calls that
+ * would do nothing or less than asked. send() broadcasts a preview from the signer.
+ */
+class ContractAdmin {
+  constructor({ provider, signer, contracts }) {
+    this.provider = provider;
+    this.signer = signer;
+    this.contracts = contracts;
+    this.decoder = new CalldataDecoder({ addresses: contracts });
+  }
+
+  /**
+   * bytes32 role id from a QOBIAccessControl role name (stored as keccak256(name)) or a hex id
+   */
+  static roleId(role) {
+    if (ethers.isHexString(role, 32)) {
+      return role;
+    }
+    const name = String(role).toUpperCase();
+    const match = ROLES.find(candidate => candidate === name || candidate === `${name}_ROLE`);
+    if (!match) {
+      throw new Error(`Unknown role: ${role} (use ${ROLES.join(', ')} or a bytes32 id)`);
+    }
+    return ethers.id(match);
+  }
+
+  contract(name) {
+    const address = this.contracts[name];
+    if (!address || !ethers.isAddress(address)) {
+      throw new Error(`${name} has no address configured`);
+    }
+    return new ethers.Contract(address, ABIS[name], this.provider);
+  }
+
+  /**
+   * @param {string} method One of ADMIN_FUNCTIONS
+   * @param {Array} args Arguments in ABI order
+   * @param {Object} [options] `value` in wei for payable calls
+   */
+  async prepare(method, args, { value = 0n } = {}) {
+    const contractName = ADMIN_FUNCTIONS[method];
+    if (!contractName) {
+      throw new Error(`Not an admin function: ${method}`);
+    }
+
+    const contract = this.contract(contractName);
+    const to = await contract.getAddress();
+    const data = contract.interface.encodeFunctionData(method, args);
+    const from = this.signer.address;
+
+    const owner = await new ethers.Contract(to, OWNABLE_ABI, this.provider).owner().catch(() => null);
+    const warnings = await this.checks(method, args);
+    if (owner && owner !== from) {
+      warnings.unshift(`${from} is not the owner of ${contractName} (${owner}); the call will revert`);
+    }
+
+    let gasEstimate = null;
+    let revert = null;
+    try {
+      gasEstimate = (await this.provider.estimateGas({ from, to, data, value })).toString();
+    } catch (error) {
+      // Anything else (node unreachable, ...) leaves nothing to preview
+      if (error.code !== 'CALL_EXCEPTION') {
+        throw error;
+      }
+      revert = error.shortMessage || error.message;
+    }
+
+    return {
+      contract: contractName,
+      method,
+      from,
+      to,
+      owner,
+      value: value.toString(),
+      data,
+      decoded: this.decoder.decode(data, to),
+      gasEstimate,
+      revert,
+      warnings
+    };
+  }
+
+  /**
+   * Warnings about a call that would succeed without doing what was asked
+   */
+  async checks(method, args) {
+    switch (method) {
+      case 'grantRole':
+      case 'revokeRole': {
+        const [role, account] = args;
+        const has = await this.contract('accessControl').hasRole(role, account).catch(() => null);
+        if (has === true && method === 'grantRole') return [`${account} already has this role`];
+        if (has === false && method === 'revokeRole') return [`${account} does not have this role`];
+        return [];
+      }
+      case 'pause':
+        return ['QOBIMerkleDistributor.pause() is an empty placeholder in the deployed contract: claims stay open'];
+      case 'batchFundRelayers': {
+        const [relayers, amounts] = args;
+        const treasury = this.contract('relayerTreasury');
+        const warnings = [];
+        for (const relayer of relayers) {
+          const info = await treasury.getRelayerInfo(relayer).catch(() => null);
+          if (info && !info.authorized) {
+            warnings.push(`${relayer} is not an authorized treasury relayer and will be skipped`);
+          }
+        }
+        const total = amounts.reduce((sum, amount) => sum + BigInt(amount), 0n);
+        const balance = await this.provider.getBalance(await treasury.getAddress());
+        if (balance < total) {
+          warnings.push(`RelayerTreasury holds ${ethers.formatEther(balance)} ETH but the batch needs ${ethers.formatEther(total)}`);
+        }
+        return warnings;
+      }
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Broadcast a preview from prepare() and wait for it to be mined
+   */
+  async send(preview) {
+    const tx = await this.signer.sendTransaction({ to: preview.to, data: preview.data, value: BigInt(preview.value) });
+    const receipt = await tx.wait();
+    return {
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      status: receipt.status === 1 ? 'confirmed' : 'reverted'
+    };
+  }
+}
+
+ContractAdmin.ADMIN_FUNCTIONS = ADMIN_FUNCTIONS;
+
+module.exports = ContractAdmin;
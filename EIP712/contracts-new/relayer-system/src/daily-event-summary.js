@@ -0,0 +1,180 @@
+const { ethers } = require('ethers');
+const { INTERACTION_TYPES } = require('./qobi-contracts');
+
+const DAY_SECONDS = 86400;
+
+/**
+ * Per-UTC-day view of the QOBI contracts, read from the EventIndexer: event counts
+ * per type, distributions finalized for the day against what has been claimed from
+ * them, relayer gas reimbursements, and whether each contract had code at the end
+ * of the day. Days are mapped to block ranges by binary search over block timestamps.
+ */
+class DailyEventSummary {
+  constructor({ provider, indexer, contracts }) {
+    this.provider = provider;
+    this.indexer = indexer;
+    this.contracts = contracts;
+    this.timestamps = new Map();
+  }
+
+  static currentDay() {
+    return Math.floor(Date.now() / 1000 / DAY_SECONDS);
+  }
+
+  static formatDay(day) {
+    return new Date(day * DAY_SECONDS * 1000).toISOString().slice(0, 10);
+  }
+
+  async timestampOf(blockNumber) {
+    if (!this.timestamps.has(blockNumber)) {
+      const block = await this.provider.getBlock(blockNumber);
+      this.timestamps.set(blockNumber, block.timestamp);
+    }
+    return this.timestamps.get(blockNumber);
+  }
+
+  /**
+   * First block at or after `timestamp`, or latest + 1 when none is
+   */
+  async firstBlockAt(timestamp, low, latest) {
+    if (await this.timestampOf(latest) < timestamp) {
+      return latest + 1;
+    }
+    let high = latest;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (await this.timestampOf(middle) < timestamp) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Blocks mined on each day; a day nothing was mined on has fromBlock > toBlock
+   * @returns {Promise<Array<{day: number, fromBlock: number, toBlock: number}>>}
+   */
+  async blockRanges(fromDay, toDay) {
+    const latest = await this.provider.getBlockNumber();
+    const ranges = [];
+    let fromBlock = await this.firstBlockAt(fromDay * DAY_SECONDS, 0, latest);
+
+    for (let day = fromDay; day <= toDay; day++) {
+      const next = await this.firstBlockAt((day + 1) * DAY_SECONDS, Math.min(fromBlock, latest), latest);
+      ranges.push({ day, fromBlock, toBlock: next - 1 });
+      fromBlock = next;
+    }
+    return ranges;
+  }
+
+  /**
+   * @returns {Promise<Object[]>} One summary per day, oldest first
+   */
+  async summarize(fromDay, toDay) {
+    const ranges = await this.blockRanges(fromDay, toDay);
+    const summaries = [];
+    for (const range of ranges) {
+      summaries.push(await this.summarizeDay(range));
+    }
+    return summaries;
+  }
+
+  async summarizeDay({ day, fromBlock, toBlock }) {
+    const mined = fromBlock <= toBlock;
+
+    const events = {};
+    if (mined) {
+      for (const row of this.indexer.countEvents({ fromBlock, toBlock })) {
+        const name = row.event || 'unknown';
+        events[name] = (events[name] || 0) + row.count;
+      }
+    }
+
+    return {
+      day,
+      date: DailyEventSummary.formatDay(day),
+      fromBlock,
+      toBlock,
+      contracts: await this.deploymentStatus(toBlock),
+      events,
+      distributions: this.distributions(day),
+      reimbursements: mined ? this.reimbursements(fromBlock, toBlock) : DailyEventSummary.reimbursementTotals([])
+    };
+  }
+
+  /**
+   * Whether each contract had code at `blockNumber`; null when the node cannot tell
+   * (older state on a non-archive node)
+   */
+  async deploymentStatus(blockNumber) {
+    const status = {};
+    for (const [name, address] of Object.entries(this.contracts)) {
+      if (!address || !ethers.isAddress(address)) {
+        status[name] = { address: address || null, deployed: false };
+        continue;
+      }
+      try {
+        const code = blockNumber >= 0 ? await this.provider.getCode(address, blockNumber) : '0x';
+        status[name] = { address, deployed: code !== '0x' };
+      } catch (error) {
+        status[name] = { address, deployed: null };
+      }
+    }
+    return status;
+  }
+
+  /**
+   * Distributions finalized for `day` (its `day` argument, not the block it was mined
+   * in) and the claims against each one indexed so far
+   */
+  distributions(day) {
+    return this.indexer.getEvents({ event: 'DailyDistributionFinalized', args: { day } }).map(event => {
+      const { interactionType, totalUsers, totalQOBI } = event.args;
+      const claims = this.indexer.getEvents({ event: 'QOBIClaimed', args: { day, interactionType } });
+      return {
+        interactionType: Number(interactionType),
+        interactionTypeName: INTERACTION_TYPES[interactionType] || String(interactionType),
+        finalizedBlock: event.blockNumber,
+        totalUsers: Number(totalUsers),
+        totalQOBI,
+        claims: claims.length,
+        claimedQOBI: claims.reduce((sum, claim) => sum + BigInt(claim.args.qobiAmount), 0n).toString()
+      };
+    });
+  }
+
+  reimbursements(fromBlock, toBlock) {
+    return DailyEventSummary.reimbursementTotals(
+      this.indexer.getEvents({ event: 'GasReimbursed', fromBlock, toBlock })
+    );
+  }
+
+  /**
+   * GasReimbursed events summed overall and per relayer (wei amounts as strings)
+   */
+  static reimbursementTotals(events) {
+    const byRelayer = new Map();
+    for (const event of events) {
+      const entry = byRelayer.get(event.args.relayer) || { relayer: event.args.relayer, count: 0, gasUsed: 0n, gasCost: 0n };
+      entry.count++;
+      entry.gasUsed += BigInt(event.args.gasUsed);
+      entry.gasCost += BigInt(event.args.gasCost);
+      byRelayer.set(event.args.relayer, entry);
+    }
+
+    const relayers = [...byRelayer.values()];
+    const total = key => relayers.reduce((sum, entry) => sum + entry[key], 0n).toString();
+    return {
+      count: events.length,
+      gasUsed: total('gasUsed'),
+      gasCost: total('gasCost'),
+      byRelayer: relayers.map(entry => ({ ...entry, gasUsed: entry.gasUsed.toString(), gasCost: entry.gasCost.toString() }))
+    };
+  }
+}
+
+DailyEventSummary.DAY_SECONDS = DAY_SECONDS;
+
+module.exports = DailyEventSummary;
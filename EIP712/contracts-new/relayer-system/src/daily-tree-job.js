@@ -0,0 +1,289 @@
+const { ethers } = require('ethers');
+const { ABIS, INTERACTION_TYPES } = require('./qobi-contracts');
+const QOBIMerkleTree = require('./merkle-tree');
+
+const DAY_SECONDS = 86400;
+
+// Lifecycle of one (day, interactionType) distribution
+const SUBMISSION_STATUS = {
+  SUBMITTING: 'submitting',
+  SUBMITTED: 'submitted',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed'
+};
+
+/**
+ * Turns a day's validated interactions into signed TreeSubmissions for
+ * DailyTreeGenerator, one per interaction type. Every step is recorded in the
+ * store, and the distributor's `finalized` flag is checked first, so running the
+ * job twice for the same day never submits a distribution twice.
+ */
+class DailyTreeJob {
+  constructor({ provider, privateKey, signer, store, contracts, config = {} }) {
+    this.provider = provider;
+    this.signer = signer;
+    this.store = store;
+    this.wallet = new ethers.Wallet(privateKey, provider);
+
+    this.config = {
+      pointsPerInteraction: config.pointsPerInteraction || parseInt(process.env.POINTS_PER_INTERACTION) || 20,
+      runDelay: config.runDelay || parseInt(process.env.DAILY_TREE_RUN_DELAY) || 5 * 60 * 1000,
+      deadlineWindow: config.deadlineWindow || parseInt(process.env.TREE_SUBMISSION_DEADLINE) || 3600
+    };
+
+    this.dailyTree = new ethers.Contract(contracts.dailyTree, ABIS.dailyTree, this.wallet);
+    this.merkleDistributor = new ethers.Contract(contracts.merkleDistributor, ABIS.merkleDistributor, provider);
+
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  static currentDay() {
+    return Math.floor(Date.now() / 1000 / DAY_SECONDS);
+  }
+
+  /**
+   * Schedule a run shortly after every UTC midnight for the day that just ended
+   */
+  start() {
+    const nextMidnight = (DailyTreeJob.currentDay() + 1) * DAY_SECONDS * 1000;
+    const delay = nextMidnight + this.config.runDelay - Date.now();
+
+    console.log(`🗓️ Daily tree job scheduled in ${Math.round(delay / 60000)} minutes`);
+
+    this.timer = setTimeout(async () => {
+      try {
+        await this.run(DailyTreeJob.currentDay() - 1);
+      } catch (error) {
+        console.error('Daily tree job error:', error);
+      }
+      this.start();
+    }, delay);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async run(day = DailyTreeJob.currentDay() - 1) {
+    if (this.isRunning) {
+      throw new Error('Daily tree job is already running');
+    }
+
+    this.isRunning = true;
+    console.log(`🌳 Running daily tree submission for day ${day}...`);
+
+    try {
+      const results = [];
+      for (let interactionType = 0; interactionType < INTERACTION_TYPES.length; interactionType++) {
+        try {
+          results.push(await this.runForType(day, interactionType));
+        } catch (error) {
+          console.error(`❌ ${INTERACTION_TYPES[interactionType]} tree for day ${day} failed:`, error.message);
+
+          // A sent submission stays SUBMITTED so the next run checks its receipt instead of re-sending
+          const current = this.store.getDailySubmission(day, interactionType) || { day, interactionType };
+          const status = current.status === SUBMISSION_STATUS.SUBMITTED ? current.status : SUBMISSION_STATUS.FAILED;
+          this.store.saveDailySubmission({ ...current, status, error: error.message });
+          results.push({ day, interactionType, status, error: error.message });
+        }
+      }
+      return results;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  async runForType(day, interactionType) {
+    const name = INTERACTION_TYPES[interactionType];
+    const existing = this.store.getDailySubmission(day, interactionType);
+
+    if (existing && existing.status === SUBMISSION_STATUS.CONFIRMED) {
+      return { ...existing, skipped: 'already confirmed' };
+    }
+
+    // A previous run may have sent the transaction without seeing it mined
+    if (existing && existing.status === SUBMISSION_STATUS.SUBMITTED && existing.txHash) {
+      const receipt = await this.provider.getTransactionReceipt(existing.txHash);
+      if (!receipt) {
+        return { ...existing, skipped: 'submission still pending' };
+      }
+      if (receipt.status === 1) {
+        return this.recordConfirmation(existing, receipt);
+      }
+    }
+
+    const distribution = await this.merkleDistributor.getDistributionInfo(day, interactionType);
+    if (distribution.finalized) {
+      const record = {
+        ...(existing || { day, interactionType }),
+        status: SUBMISSION_STATUS.CONFIRMED,
+        merkleRoot: distribution.merkleRoot,
+        totalQOBI: distribution.totalQOBI,
+        error: null
+      };
+      this.store.saveDailySubmission(record);
+      return { ...this.store.getDailySubmission(day, interactionType), skipped: 'already finalized on-chain' };
+    }
+
+    const interactions = this.store.getValidatedInteractions(day, interactionType);
+    if (interactions.length === 0) {
+      return { day, interactionType, skipped: 'no validated interactions' };
+    }
+
+    const [userLimit, treeCap] = await this.dailyTree.getDailyLimits(interactionType);
+    const distributorCap = await this.merkleDistributor.getDailyQOBICap(interactionType);
+    const qobiCap = treeCap < distributorCap ? treeCap : distributorCap;
+
+    const scored = this.buildAllocations(interactions, Number(userLimit), qobiCap);
+    if (scored.length === 0) {
+      return { day, interactionType, skipped: 'no allocations above zero' };
+    }
+
+    const tree = this.buildTree(scored);
+    const allocations = tree.getAllocations();
+    const merkleRoot = tree.getRoot();
+
+    const users = allocations.map(a => a.user);
+    const points = allocations.map(a => a.points);
+    const qobiAmounts = allocations.map(a => BigInt(a.qobiAmount));
+    const totalQOBI = qobiAmounts.reduce((sum, amount) => sum + amount, 0n);
+
+    const onChainRoot = await this.dailyTree.calculateMerkleRoot(users, points, qobiAmounts);
+    if (onChainRoot !== merkleRoot) {
+      throw new Error(`Merkle root mismatch: local ${merkleRoot}, DailyTreeGenerator ${onChainRoot}`);
+    }
+    const nonce = await this.dailyTree.getRelayerNonce(this.signer.address);
+    const deadline = Math.floor(Date.now() / 1000) + this.config.deadlineWindow;
+
+    const submission = this.signer.createTreeSubmission({
+      day, interactionType, merkleRoot, users, points, qobiAmounts, nonce, deadline
+    });
+    const signature = this.signer.signTreeSubmission(submission);
+
+    const record = {
+      day,
+      interactionType,
+      status: SUBMISSION_STATUS.SUBMITTING,
+      merkleRoot,
+      allocations,
+      totalQOBI,
+      nonce,
+      txHash: null,
+      error: null
+    };
+    this.store.saveDailySubmission(record);
+
+    console.log(`📤 Submitting ${name} tree for day ${day}: ${users.length} users, ${ethers.formatEther(totalQOBI)} QOBI`);
+
+    const tx = await this.dailyTree.submitTreeWithSignature(submission, signature);
+    record.status = SUBMISSION_STATUS.SUBMITTED;
+    record.txHash = tx.hash;
+    this.store.saveDailySubmission(record);
+
+    const receipt = await tx.wait();
+    if (receipt.status !== 1) {
+      throw new Error(`Tree submission ${tx.hash} reverted`);
+    }
+
+    return this.recordConfirmation(record, receipt);
+  }
+
+  recordConfirmation(record, receipt) {
+    const event = receipt.logs
+      .map(log => {
+        try {
+          return this.dailyTree.interface.parseLog(log);
+        } catch (error) {
+          return null;
+        }
+      })
+      .find(parsed => parsed && parsed.name === 'TreeSubmitted');
+
+    const confirmed = {
+      ...record,
+      status: SUBMISSION_STATUS.CONFIRMED,
+      error: null,
+      event: event ? {
+        day: event.args.day.toString(),
+        interactionType: Number(event.args.interactionType),
+        merkleRoot: event.args.merkleRoot,
+        userCount: event.args.userCount.toString(),
+        totalQOBI: event.args.totalQOBI.toString(),
+        relayer: event.args.relayer,
+        blockNumber: receipt.blockNumber,
+        transactionHash: receipt.hash
+      } : null
+    };
+
+    this.store.saveDailySubmission(confirmed);
+    console.log(`✅ ${INTERACTION_TYPES[record.interactionType]} tree for day ${record.day} confirmed in block ${receipt.blockNumber}`);
+
+    return this.store.getDailySubmission(record.day, record.interactionType);
+  }
+
+  /**
+   * Score users and split the daily cap between them.
+   * Each validated interaction earns `pointsPerInteraction`, capped at 100. Only the
+   * top `userLimit` users are kept. QOBI is shared pro rata by points, and never
+   * exceeds `cap * points / 100` for a user, which is the limit
+   * QOBIMerkleDistributor enforces when a claim is made.
+   * @returns {Array<{user: string, points: number, qobiAmount: string}>}
+   */
+  buildAllocations(interactions, userLimit, qobiCap) {
+    const counts = new Map();
+    for (const tx of interactions) {
+      const user = ethers.getAddress(tx.from);
+      counts.set(user, (counts.get(user) || 0) + 1);
+    }
+
+    const scored = [...counts.entries()]
+      .map(([user, count]) => ({ user, points: Math.min(100, count * this.config.pointsPerInteraction) }))
+      .filter(entry => entry.points > 0)
+      .sort((a, b) => b.points - a.points || a.user.toLowerCase().localeCompare(b.user.toLowerCase()))
+      .slice(0, userLimit);
+
+    const totalPoints = scored.reduce((sum, entry) => sum + entry.points, 0);
+    const divisor = BigInt(Math.max(totalPoints, 100));
+    const cap = BigInt(qobiCap);
+
+    return scored
+      .map(entry => ({ ...entry, qobiAmount: ((cap * BigInt(entry.points)) / divisor).toString() }))
+      .filter(entry => entry.qobiAmount !== '0');
+  }
+
+  /**
+   * Build the abi-packed tree for a set of allocations. The submitted leaf order
+   * must also let every proof verify with sorted pairs; for the rare sets where no
+   * order does, the smallest allocation is reduced by 1 wei until one exists.
+   */
+  buildTree(allocations, maxAdjustments = 16) {
+    let candidate = allocations.map(a => ({ ...a }));
+
+    for (let adjustment = 0; adjustment <= maxAdjustments; adjustment++) {
+      const tree = QOBIMerkleTree.fromAllocations(candidate);
+      if (tree.sortedProofCompatible) {
+        return tree;
+      }
+
+      const last = candidate[candidate.length - 1];
+      if (BigInt(last.qobiAmount) <= 1n) {
+        break;
+      }
+      last.qobiAmount = (BigInt(last.qobiAmount) - 1n).toString();
+    }
+
+    throw new Error('Could not order allocations so that claim proofs verify');
+  }
+
+  getStatus(day) {
+    return this.store.getDailySubmissions(day);
+  }
+}
+
+DailyTreeJob.SUBMISSION_STATUS = SUBMISSION_STATUS;
+
+module.exports = DailyTreeJob;
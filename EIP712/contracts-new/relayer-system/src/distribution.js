@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const QOBIMerkleTree = require('./merkle-tree');
+
+class DistributionError extends Error {
+  constructor(message, code, details) {
+    super(message);
+    this.name = 'DistributionError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const USER_COLUMNS = ['user', 'address', 'account'];
+const POINTS_COLUMNS = ['points'];
+const AMOUNT_COLUMNS = ['qobiamount', 'qobi_amount', 'amount'];
+
+/**
+ * A reward distribution read from a file: one (user, points, qobiAmount) row per
+ * user, qobiAmount in wei. The tree is the abi-packed one DailyTreeJob submits, so
+ * its root and proofs are the ones DailyTreeGenerator and QOBIMerkleDistributor accept.
+ *
+ * Files are CSV (`user,points,qobiAmount`, header optional, `#` comments) or JSON
+ * (an array of rows, or an object with an `allocations` array such as the output
+ * of toJSON(), whose `root` is then checked against the rows).
+ */
+class Distribution {
+  constructor(rows, { source = null } = {}) {
+    this.source = source;
+    this.allocations = Distribution.validate(rows);
+    this.tree = null;
+  }
+
+  static read(file) {
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      throw new DistributionError(`Cannot read ${file}: ${error.message}`, 'UNREADABLE');
+    }
+    const format = path.extname(file).toLowerCase() === '.csv' ? 'csv' : null;
+    return Distribution.parse(text, { format, source: file });
+  }
+
+  /**
+   * @param {string} text
+   * @param {Object} [options] `format` ('csv' or 'json', detected when missing) and `source` for messages
+   */
+  static parse(text, { format, source = null } = {}) {
+    const trimmed = text.trim();
+    format = format || (trimmed.startsWith('[') || trimmed.startsWith('{') ? 'json' : 'csv');
+    if (format !== 'json') {
+      return new Distribution(parseCsv(trimmed), { source });
+    }
+
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      throw new DistributionError(`Invalid JSON${source ? ` in ${source}` : ''}: ${error.message}`, 'INVALID_FILE');
+    }
+    const rows = Array.isArray(data) ? data : data.allocations;
+    if (!Array.isArray(rows)) {
+      throw new DistributionError('A JSON distribution is an array of rows or an object with an allocations array', 'INVALID_FILE');
+    }
+
+    const distribution = new Distribution(rows.map(row => ({
+      user: row.user !== undefined ? row.user : row.address,
+      points: row.points,
+      qobiAmount: row.qobiAmount !== undefined ? row.qobiAmount : row.amount
+    })), { source });
+
+    if (!Array.isArray(data) && data.root && data.root.toLowerCase() !== distribution.root().toLowerCase()) {
+      throw new DistributionError(
+        `${source || 'The file'} says root ${data.root}, but its allocations give ${distribution.root()}`,
+        'ROOT_MISMATCH',
+        { root: data.root, computedRoot: distribution.root() }
+      );
+    }
+    return distribution;
+  }
+
+  /**
+   * Normalized rows: checksummed users, points as numbers, amounts as wei strings
+   */
+  static validate(rows) {
+    if (rows.length === 0) {
+      throw new DistributionError('The distribution has no rows', 'EMPTY');
+    }
+
+    const seen = new Map();
+    return rows.map((row, index) => {
+      const where = row.line ? `line ${row.line}` : `row ${index + 1}`;
+      if (!row.user || !ethers.isAddress(String(row.user))) {
+        throw new DistributionError(`${where}: invalid user address ${row.user}`, 'INVALID_ROW');
+      }
+      const user = ethers.getAddress(String(row.user));
+      if (seen.has(user)) {
+        throw new DistributionError(`${where}: ${user} is already on ${seen.get(user)}`, 'DUPLICATE_USER');
+      }
+      seen.set(user, where);
+
+      if (!/^\d+$/.test(String(row.points))) {
+        throw new DistributionError(`${where}: points must be a whole number, got ${row.points}`, 'INVALID_ROW');
+      }
+      if (!/^\d+$/.test(String(row.qobiAmount))) {
+        throw new DistributionError(`${where}: qobiAmount must be a whole amount in wei, got ${row.qobiAmount}`, 'INVALID_ROW');
+      }
+      return { user, points: Number(row.points), qobiAmount: BigInt(row.qobiAmount).toString() };
+    });
+  }
+
+  /**
+   * Proof for one user against a root, checked the way MerkleProof.verify does
+   */
+  static verify({ root, user, points, qobiAmount, proof }) {
+    const leaf = '0x' + QOBIMerkleTree.encodeAllocationLeaf(user, points, qobiAmount).toString('hex');
+    return { leaf, valid: QOBIMerkleTree.verifySortedProof(proof, root, leaf) };
+  }
+
+  getTree() {
+    if (!this.tree) {
+      this.tree = QOBIMerkleTree.fromAllocations(this.allocations);
+      // DailyTreeJob shaves a wei off an amount in this case; a file is left as the operator wrote it
+      if (!this.tree.sortedProofCompatible) {
+        throw new DistributionError(
+          'No leaf order lets every proof verify with sorted pairs; change any amount by 1 wei',
+          'UNORDERABLE'
+        );
+      }
+    }
+    return this.tree;
+  }
+
+  root() {
+    return this.getTree().getRoot();
+  }
+
+  totals() {
+    return {
+      users: this.allocations.length,
+      totalPoints: this.allocations.reduce((sum, allocation) => sum + allocation.points, 0),
+      totalQOBI: this.allocations.reduce((sum, allocation) => sum + BigInt(allocation.qobiAmount), 0n).toString()
+    };
+  }
+
+  /**
+   * @returns {Object|null} The user's allocation with leaf, proof and root, or null
+   */
+  prove(user) {
+    if (!ethers.isAddress(user)) {
+      throw new DistributionError(`Invalid address ${user}`, 'INVALID_ADDRESS');
+    }
+    const proof = this.getTree().getAllocationProof(user);
+    return proof && { ...proof, root: this.root() };
+  }
+
+  /**
+   * Root and every allocation with its leaf and proof, in submitted leaf order
+   */
+  toJSON() {
+    const tree = this.getTree();
+    return {
+      encoding: 'abi-packed',
+      root: this.root(),
+      ...this.totals(),
+      allocations: tree.getAllocations().map(allocation => tree.getAllocationProof(allocation.user))
+    };
+  }
+
+  /**
+   * Users added, removed and with changed points or amounts going from this distribution to `other`
+   */
+  diff(other) {
+    const before = new Map(this.allocations.map(allocation => [allocation.user, allocation]));
+    const after = new Map(other.allocations.map(allocation => [allocation.user, allocation]));
+
+    const changed = [];
+    for (const [user, next] of after) {
+      const previous = before.get(user);
+      if (previous && (previous.points !== next.points || previous.qobiAmount !== next.qobiAmount)) {
+        changed.push({
+          user,
+          before: { points: previous.points, qobiAmount: previous.qobiAmount },
+          after: { points: next.points, qobiAmount: next.qobiAmount },
+          pointsDelta: next.points - previous.points,
+          qobiDelta: (BigInt(next.qobiAmount) - BigInt(previous.qobiAmount)).toString()
+        });
+      }
+    }
+
+    const summary = distribution => ({ source: distribution.source, root: distribution.root(), ...distribution.totals() });
+    return {
+      before: summary(this),
+      after: summary(other),
+      added: other.allocations.filter(allocation => !before.has(allocation.user)),
+      removed: this.allocations.filter(allocation => !after.has(allocation.user)),
+      changed
+    };
+  }
+}
+
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/)
+    .map((line, index) => ({ fields: splitCsvLine(line), line: index + 1 }))
+    .filter(({ fields }) => fields.join('') !== '' && !fields[0].startsWith('#'));
+
+  // Without a header the columns are user, points, qobiAmount
+  let columns = [0, 1, 2];
+  if (lines.length > 0 && !ethers.isAddress(lines[0].fields[0])) {
+    const header = lines.shift().fields.map(name => name.toLowerCase());
+    columns = [USER_COLUMNS, POINTS_COLUMNS, AMOUNT_COLUMNS]
+      .map(names => header.findIndex(name => names.includes(name)));
+    if (columns.includes(-1)) {
+      throw new DistributionError(`CSV header needs user, points and qobiAmount columns, got: ${header.join(', ')}`, 'INVALID_FILE');
+    }
+  }
+
+  return lines.map(({ fields, line }) => ({
+    user: fields[columns[0]],
+    points: fields[columns[1]],
+    qobiAmount: fields[columns[2]],
+    line
+  }));
+}
+
+Distribution.DistributionError = DistributionError;
+
+module.exports = Distribution;
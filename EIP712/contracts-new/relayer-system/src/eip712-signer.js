@@ -0,0 +1,303 @@
+const { ethers } = require('ethers');
+const { INTERACTION_TYPES, parseInteractionType } = require('./qobi-contracts');
+
+// Must match the domain built in the DailyTreeGenerator constructor
+const DOMAIN_NAME = 'QOBI Daily Tree Generator';
+const DOMAIN_VERSION = '1';
+
+const EIP712_DOMAIN_TYPEHASH = ethers.id(
+  'EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)'
+);
+
+const TREE_SUBMISSION_TYPEHASH = ethers.id(
+  'TreeSubmission(uint256 day,uint8 interactionType,bytes32 merkleRoot,address[] users,uint256[] points,uint256[] qobiAmounts,uint256 nonce,uint256 deadline)'
+);
+
+const TREE_SUBMISSION_TYPES = {
+  TreeSubmission: [
+    { name: 'day', type: 'uint256' },
+    { name: 'interactionType', type: 'uint8' },
+    { name: 'merkleRoot', type: 'bytes32' },
+    { name: 'users', type: 'address[]' },
+    { name: 'points', type: 'uint256[]' },
+    { name: 'qobiAmounts', type: 'uint256[]' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// Off-chain attestation that a transaction passed AI validation. No contract checks
+// it, so like RelayRequest its domain has no verifying contract and relays do not
+// depend on DailyTreeGenerator being configured.
+const ATTESTATION_DOMAIN_NAME = 'QOBI Relay Validation';
+
+const VALIDATION_ATTESTATION_TYPES = {
+  ValidationAttestation: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'data', type: 'bytes' },
+    { name: 'txHash', type: 'bytes32' },
+    { name: 'validatorId', type: 'string' },
+    { name: 'classification', type: 'string' },
+    { name: 'riskScore', type: 'uint8' },
+    { name: 'confidence', type: 'uint8' },
+    { name: 'timestamp', type: 'uint256' }
+  ]
+};
+
+// What a user signs to have the relayer queue a transaction for them. Off-chain
+// only, so its domain names the relayer rather than a verifying contract.
+const RELAY_REQUEST_DOMAIN_NAME = 'QOBI Relayer';
+
+const RELAY_REQUEST_TYPES = {
+  RelayRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'data', type: 'bytes' },
+    { name: 'gasLimit', type: 'uint256' },
+    { name: 'interactionType', type: 'string' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+class EIP712Signer {
+  constructor(privateKey, chainId, verifyingContract) {
+    if (!privateKey) {
+      throw new Error('EIP712Signer requires a private key');
+    }
+
+    this.wallet = new ethers.Wallet(privateKey);
+    this.chainId = BigInt(chainId);
+    this.verifyingContract = verifyingContract ? ethers.getAddress(verifyingContract) : null;
+  }
+
+  get address() {
+    return this.wallet.address;
+  }
+
+  getDomain() {
+    if (!this.verifyingContract) {
+      throw new Error('EIP712Signer: DailyTreeGenerator address (DAILY_TREE_ADDRESS) is not configured');
+    }
+
+    return {
+      name: DOMAIN_NAME,
+      version: DOMAIN_VERSION,
+      chainId: this.chainId,
+      verifyingContract: this.verifyingContract
+    };
+  }
+
+  /**
+   * Domain separator exactly as DailyTreeGenerator computes it in its constructor
+   */
+  getDomainSeparator() {
+    const domain = this.getDomain();
+    return ethers.keccak256(
+      ethers.AbiCoder.defaultAbiCoder().encode(
+        ['bytes32', 'bytes32', 'bytes32', 'uint256', 'address'],
+        [
+          EIP712_DOMAIN_TYPEHASH,
+          ethers.id(domain.name),
+          ethers.id(domain.version),
+          domain.chainId,
+          domain.verifyingContract
+        ]
+      )
+    );
+  }
+
+  /**
+   * Normalize and sanity-check a TreeSubmission before it is hashed or signed
+   */
+  createTreeSubmission({ day, interactionType, merkleRoot, users, points, qobiAmounts, nonce, deadline }) {
+    if (users.length !== points.length || users.length !== qobiAmounts.length) {
+      throw new Error('TreeSubmission arrays must have the same length');
+    }
+    if (users.length === 0) {
+      throw new Error('TreeSubmission must contain at least one user');
+    }
+
+    const type = Number(interactionType);
+    if (!Number.isInteger(type) || type < 0 || type > 5) {
+      throw new Error(`Invalid interaction type: ${interactionType}`);
+    }
+
+    return {
+      day: BigInt(day),
+      interactionType: type,
+      merkleRoot: ethers.hexlify(ethers.getBytes(merkleRoot, 'merkleRoot')),
+      users: users.map(user => ethers.getAddress(user)),
+      points: points.map(value => BigInt(value)),
+      qobiAmounts: qobiAmounts.map(value => BigInt(value)),
+      nonce: BigInt(nonce),
+      deadline: BigInt(deadline)
+    };
+  }
+
+  /**
+   * Struct hash mirroring submitTreeWithSignature: dynamic arrays are hashed as
+   * keccak256(abi.encodePacked(array)), which pads every element to 32 bytes
+   */
+  hashTreeSubmission(submission) {
+    const sub = this.createTreeSubmission(submission);
+
+    return ethers.keccak256(
+      ethers.AbiCoder.defaultAbiCoder().encode(
+        ['bytes32', 'uint256', 'uint8', 'bytes32', 'bytes32', 'bytes32', 'bytes32', 'uint256', 'uint256'],
+        [
+          TREE_SUBMISSION_TYPEHASH,
+          sub.day,
+          sub.interactionType,
+          sub.merkleRoot,
+          ethers.solidityPackedKeccak256(['address[]'], [sub.users]),
+          ethers.solidityPackedKeccak256(['uint256[]'], [sub.points]),
+          ethers.solidityPackedKeccak256(['uint256[]'], [sub.qobiAmounts]),
+          sub.nonce,
+          sub.deadline
+        ]
+      )
+    );
+  }
+
+  /**
+   * Digest that DailyTreeGenerator.getSubmissionHash() returns for the same submission
+   */
+  getSubmissionHash(submission) {
+    return ethers.solidityPackedKeccak256(
+      ['bytes2', 'bytes32', 'bytes32'],
+      ['0x1901', this.getDomainSeparator(), this.hashTreeSubmission(submission)]
+    );
+  }
+
+  signTreeSubmission(submission) {
+    return this.wallet.signingKey.sign(this.getSubmissionHash(submission)).serialized;
+  }
+
+  recoverTreeSubmissionSigner(submission, signature) {
+    return ethers.recoverAddress(this.getSubmissionHash(submission), signature);
+  }
+
+  /**
+   * Typed data for eth_signTypedData_v4 consumers (wallets, hardware signers)
+   */
+  getTreeSubmissionTypedData(submission) {
+    return {
+      domain: this.getDomain(),
+      types: TREE_SUBMISSION_TYPES,
+      primaryType: 'TreeSubmission',
+      message: this.createTreeSubmission(submission)
+    };
+  }
+
+  /**
+   * Build a validation attestation for a relayed transaction
+   * @param {string} from Original sender
+   * @param {string} to Target address
+   * @param {string|number} value Value in ETH
+   * @param {string} data Calldata
+   * @param {object} validation Result from AIValidator
+   */
+  createTypedMessage(from, to, value, data, validation = {}) {
+    const timestamp = validation.timestamp ? Math.floor(validation.timestamp / 1000) : Math.floor(Date.now() / 1000);
+
+    return {
+      domain: this.getAttestationDomain(),
+      types: VALIDATION_ATTESTATION_TYPES,
+      primaryType: 'ValidationAttestation',
+      message: {
+        from: ethers.getAddress(from),
+        to: ethers.getAddress(to),
+        value: ethers.parseEther(String(value || '0')),
+        data: data || '0x',
+        txHash: validation.txHash || ethers.ZeroHash,
+        validatorId: validation.validatorId || 'unknown',
+        classification: validation.classification || 'unknown',
+        riskScore: Math.round(validation.riskScore || 0),
+        confidence: Math.round(validation.confidence || 0),
+        timestamp: BigInt(timestamp)
+      }
+    };
+  }
+
+  getAttestationDomain() {
+    return {
+      name: ATTESTATION_DOMAIN_NAME,
+      version: DOMAIN_VERSION,
+      chainId: this.chainId
+    };
+  }
+
+  getRelayRequestDomain() {
+    return {
+      name: RELAY_REQUEST_DOMAIN_NAME,
+      version: DOMAIN_VERSION,
+      chainId: this.chainId
+    };
+  }
+
+  /**
+   * Normalize a RelayRequest. `value` is in wei, `interactionType` the type name
+   * (or index) and an empty string for transactions that earn no rewards.
+   */
+  createRelayRequest({ from, to, value, data, gasLimit, interactionType, nonce, deadline }) {
+    if (nonce === undefined || nonce === null || deadline === undefined || deadline === null) {
+      throw new Error('RelayRequest requires a nonce and a deadline');
+    }
+
+    const hasType = interactionType !== undefined && interactionType !== null && interactionType !== '';
+    return {
+      from: ethers.getAddress(from),
+      to: ethers.getAddress(to),
+      value: BigInt(value || 0),
+      data: ethers.hexlify(ethers.getBytes(data || '0x', 'data')),
+      gasLimit: BigInt(gasLimit || 21000),
+      interactionType: hasType ? INTERACTION_TYPES[parseInteractionType(interactionType)] : '',
+      nonce: BigInt(nonce),
+      deadline: BigInt(deadline)
+    };
+  }
+
+  /**
+   * Typed data a user's wallet signs with eth_signTypedData_v4
+   */
+  getRelayRequestTypedData(request) {
+    return {
+      domain: this.getRelayRequestDomain(),
+      types: RELAY_REQUEST_TYPES,
+      primaryType: 'RelayRequest',
+      message: this.createRelayRequest(request)
+    };
+  }
+
+  recoverRelayRequestSigner(request, signature) {
+    return ethers.verifyTypedData(
+      this.getRelayRequestDomain(),
+      RELAY_REQUEST_TYPES,
+      this.createRelayRequest(request),
+      signature
+    );
+  }
+
+  async signQOBIMessage(typedMessage) {
+    return this.wallet.signTypedData(typedMessage.domain, typedMessage.types, typedMessage.message);
+  }
+
+  verifyQOBIMessage(typedMessage, signature) {
+    return ethers.verifyTypedData(typedMessage.domain, typedMessage.types, typedMessage.message, signature);
+  }
+}
+
+EIP712Signer.DOMAIN_NAME = DOMAIN_NAME;
+EIP712Signer.DOMAIN_VERSION = DOMAIN_VERSION;
+EIP712Signer.TREE_SUBMISSION_TYPEHASH = TREE_SUBMISSION_TYPEHASH;
+EIP712Signer.TREE_SUBMISSION_TYPES = TREE_SUBMISSION_TYPES;
+EIP712Signer.ATTESTATION_DOMAIN_NAME = ATTESTATION_DOMAIN_NAME;
+EIP712Signer.VALIDATION_ATTESTATION_TYPES = VALIDATION_ATTESTATION_TYPES;
+EIP712Signer.RELAY_REQUEST_DOMAIN_NAME = RELAY_REQUEST_DOMAIN_NAME;
+EIP712Signer.RELAY_REQUEST_TYPES = RELAY_REQUEST_TYPES;
+
+module.exports = EIP712Signer;
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { ABIS, CONTRACT_ARTIFACTS, INTERACTION_TYPES, ROLES } = require('./qobi-contracts');
+
+// Forge build output of the contracts this relayer system lives next to
+const DEFAULT_ARTIFACTS_DIR = path.join(__dirname, '..', '..', 'out');
+
+const ROLE_NAMES = new Map(ROLES.map(name => [ethers.id(name), name]));
+
+/**
+ * Decodes logs of the QOBI contracts into event names and named arguments.
+ * ABIs come from the forge artifacts (`FORGE_OUT_DIR`, default `../out`) for every
+ * contract that has been built, and from the bundled ABIs otherwise. Several
+ * contracts share events (RelayerAuthorized, OwnershipTransferred, ...), so when
+ * `addresses` maps a contract name to its deployment, a log from that address is
+ * decoded with that contract's ABI first.
+ */
+class EventDecoder {
+  constructor({ abis, addresses = {}, artifactsDir = process.env.FORGE_OUT_DIR || DEFAULT_ARTIFACTS_DIR } = {}) {
+    const artifacts = abis ? {} : EventDecoder.loadArtifacts(artifactsDir);
+    this.abis = abis || { ...ABIS, ...artifacts };
+    this.fromArtifacts = Object.keys(artifacts);
+
+    this.topics = new Map();
+    this.topicsByName = new Map();
+    this.contractsByAddress = new Map();
+
+    for (const [contract, abi] of Object.entries(this.abis)) {
+      const iface = new ethers.Interface(abi);
+      iface.forEachEvent(fragment => {
+        const entries = this.topics.get(fragment.topicHash) || [];
+        entries.push({ contract, iface, fragment });
+        this.topics.set(fragment.topicHash, entries);
+
+        const key = fragment.name.toLowerCase();
+        this.topicsByName.set(key, new Set([...(this.topicsByName.get(key) || []), fragment.topicHash]));
+      });
+    }
+
+    for (const [contract, address] of Object.entries(addresses)) {
+      if (address && ethers.isAddress(address) && this.abis[contract]) {
+        this.contractsByAddress.set(address.toLowerCase(), contract);
+      }
+    }
+  }
+
+  /**
+   * ABIs of the built contracts found in a forge `out/` directory, by contract name
+   */
+  static loadArtifacts(dir) {
+    const abis = {};
+    for (const [contract, name] of Object.entries(CONTRACT_ARTIFACTS)) {
+      const file = path.join(dir, `${name}.sol`, `${name}.json`);
+      if (fs.existsSync(file)) {
+        abis[contract] = JSON.parse(fs.readFileSync(file, 'utf8')).abi;
+      }
+    }
+    return abis;
+  }
+
+  /**
+   * topic0 hashes for event names (case-insensitive) or raw topic hashes, for getLogs filters
+   */
+  topicsFor(names) {
+    const topics = new Set();
+    for (const name of names) {
+      if (ethers.isHexString(name, 32)) {
+        topics.add(name.toLowerCase());
+        continue;
+      }
+      const known = this.topicsByName.get(name.trim().toLowerCase());
+      if (!known) {
+        throw new Error(`Unknown event: ${name} (known: ${this.eventNames().join(', ')})`);
+      }
+      known.forEach(topic => topics.add(topic));
+    }
+    return [...topics];
+  }
+
+  /**
+   * Event names as the ABIs declare them, for names given in any case
+   */
+  canonicalNames(names) {
+    const known = this.eventNames();
+    return names.map(name => {
+      const match = known.find(candidate => candidate.toLowerCase() === name.trim().toLowerCase());
+      if (!match) {
+        throw new Error(`Unknown event: ${name} (known: ${known.join(', ')})`);
+      }
+      return match;
+    });
+  }
+
+  eventNames() {
+    const names = new Set();
+    for (const entries of this.topics.values()) {
+      entries.forEach(({ fragment }) => names.add(fragment.name));
+    }
+    return [...names].sort();
+  }
+
+  /**
+   * @returns {Object} The raw log fields plus, when a known ABI matches, `decoded: true`,
+   *   the contract, event name, signature and named arguments (uint values as decimal
+   *   strings); otherwise `decoded: false` and only the raw topics and data
+   */
+  decode(log) {
+    const raw = {
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      address: log.address,
+      // ethers v6 Log objects call it `index`, raw RPC logs `logIndex`
+      logIndex: log.index !== undefined ? log.index : log.logIndex,
+      topics: log.topics,
+      data: log.data
+    };
+
+    const target = log.address ? this.contractsByAddress.get(log.address.toLowerCase()) : undefined;
+    const entries = this.topics.get(log.topics[0]) || [];
+    const ordered = [
+      ...entries.filter(entry => entry.contract === target),
+      ...entries.filter(entry => entry.contract !== target)
+    ];
+
+    for (const { contract, iface, fragment } of ordered) {
+      try {
+        const decoded = iface.decodeEventLog(fragment, log.data, log.topics);
+        return {
+          ...raw,
+          decoded: true,
+          contract,
+          event: fragment.name,
+          signature: fragment.format('sighash'),
+          args: Object.fromEntries(fragment.inputs.map((input, i) => [input.name || `arg${i}`, toPlain(decoded[i])]))
+        };
+      } catch (error) {
+        // Indexed layout differs from this ABI's event; try the next contract with the topic
+      }
+    }
+
+    return { ...raw, decoded: false, contract: target || null, event: null };
+  }
+
+  /**
+   * One-line description, e.g. `dailyTree.TreeSubmitted(day=20300, interactionType=1 (LIKES), ...)`;
+   * undecoded logs show topic0 and the size of their data
+   */
+  static describe(event) {
+    if (!event.decoded) {
+      const dataBytes = event.data ? (event.data.length - 2) / 2 : 0;
+      return `unknown event ${event.topics[0] || '(anonymous)'} with ${event.topics.length} topics, ${dataBytes} bytes of data`;
+    }
+
+    const args = Object.entries(event.args)
+      .map(([name, value]) => `${name}=${formatArg(name, value)}`)
+      .join(', ');
+    return `${event.contract}.${event.event}(${args})`;
+  }
+}
+
+function formatArg(name, value) {
+  if (name === 'interactionType' && INTERACTION_TYPES[value]) {
+    return `${value} (${INTERACTION_TYPES[value]})`;
+  }
+  if (name === 'role' && ROLE_NAMES.has(value)) {
+    return ROLE_NAMES.get(value);
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function toPlain(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return [...value].map(toPlain);
+  return value;
+}
+
+EventDecoder.ROLE_NAMES = ROLE_NAMES;
+
+module.exports = EventDecoder;
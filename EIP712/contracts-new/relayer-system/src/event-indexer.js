@@ -0,0 +1,258 @@
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const EventDecoder = require('./event-decoder');
+
+/**
+ * Persistent index of the QOBI contracts' events. Each contract has a checkpoint
+ * (last indexed block) in the store; sync() pages getLogs from the checkpoints to
+ * the head in block chunks that double while the node answers and halve when it
+ * refuses a range (then stay there until the next sync). Contracts at the same checkpoint share one getLogs call.
+ *
+ * Every indexed range stores the hash of its last block, and every event its own
+ * block hash. Before each sync the newest stored hash is compared with the node;
+ * on a mismatch the indexer walks down to the newest block that still matches and
+ * rolls events, hashes and checkpoints back to it, so the range is indexed again.
+ *
+ * Emits 'events' (decoded events, per indexed range) and 'reorg'
+ * ({ fromBlock, ancestor, removed }).
+ */
+class EventIndexer extends EventEmitter {
+  constructor({ provider, store, contracts, decoder, config = {} }) {
+    super();
+    this.provider = provider;
+    this.store = store;
+
+    this.contracts = Object.fromEntries(Object.entries(contracts)
+      .filter(([, address]) => address && ethers.isAddress(address))
+      .map(([name, address]) => [name, ethers.getAddress(address)]));
+    this.decoder = decoder || new EventDecoder({ addresses: this.contracts });
+
+    this.config = {
+      startBlock: config.indexerStartBlock !== undefined
+        ? config.indexerStartBlock
+        : parseInt(process.env.INDEXER_START_BLOCK) || 0,
+      chunkSize: config.indexerChunkSize || parseInt(process.env.INDEXER_CHUNK_SIZE) || 2000,
+      maxChunkSize: config.indexerMaxChunkSize || parseInt(process.env.INDEXER_MAX_CHUNK_SIZE) || 10000,
+      confirmations: config.indexerConfirmations || parseInt(process.env.INDEXER_CONFIRMATIONS) || 0,
+      reorgDepth: config.indexerReorgDepth || parseInt(process.env.INDEXER_REORG_DEPTH) || 128,
+      pollInterval: config.indexerPollInterval || parseInt(process.env.INDEXER_POLL_INTERVAL) || 15000,
+      // An index this many blocks behind the head still answers queries for the node
+      maxLag: config.indexerMaxLag || parseInt(process.env.INDEXER_MAX_LAG) || 20
+    };
+
+    this.chunkSize = Math.min(this.config.chunkSize, this.config.maxChunkSize);
+    this.chunkCeiling = this.config.maxChunkSize;
+    this.head = null;
+    this.timer = null;
+    this.syncing = null;
+    this.running = false;
+  }
+
+  start() {
+    this.running = true;
+    const poll = async () => {
+      try {
+        await this.sync();
+      } catch (error) {
+        console.error('Event indexer sync error:', error.message);
+      }
+      if (this.running) {
+        this.timer = setTimeout(poll, this.config.pollInterval);
+      }
+    };
+    poll();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Index every contract up to the head; concurrent calls share one run
+   * @returns {Promise<{head: number, indexed: number, reorg: Object|null}>}
+   */
+  async sync() {
+    if (!this.syncing) {
+      this.syncing = this.performSync().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  async performSync() {
+    const latest = await this.provider.getBlockNumber();
+    const head = latest - this.config.confirmations;
+    const reorg = await this.checkReorg();
+    this.chunkCeiling = this.config.maxChunkSize;
+    let indexed = 0;
+
+    for (;;) {
+      const checkpoints = this.checkpoints();
+      const lowest = Math.min(...checkpoints.map(checkpoint => checkpoint.blockNumber));
+      if (checkpoints.length === 0 || lowest >= head) {
+        break;
+      }
+
+      // Catch the lagging contracts up to the next checkpoint, where they join the others
+      const lagging = checkpoints.filter(checkpoint => checkpoint.blockNumber === lowest);
+      const ahead = checkpoints.filter(checkpoint => checkpoint.blockNumber > lowest)
+        .map(checkpoint => checkpoint.blockNumber);
+      const fromBlock = lowest + 1;
+      const limit = Math.min(head, ...ahead);
+
+      const { logs, toBlock } = await this.fetchLogs(lagging.map(checkpoint => checkpoint.address), fromBlock, limit);
+      const block = await this.provider.getBlock(toBlock);
+
+      const byAddress = new Map(lagging.map(checkpoint => [checkpoint.address.toLowerCase(), checkpoint.contract]));
+      const events = logs.map(log => {
+        const event = this.decoder.decode(log);
+        return { ...event, blockHash: log.blockHash, contract: byAddress.get(log.address.toLowerCase()) || event.contract };
+      });
+      const blocks = new Map(logs.map(log => [log.blockNumber, log.blockHash]));
+      blocks.set(toBlock, block.hash);
+
+      this.store.saveIndexedRange({
+        events,
+        blocks: [...blocks].map(([number, hash]) => ({ number, hash })),
+        checkpoints: lagging,
+        blockNumber: toBlock
+      });
+
+      indexed += events.length;
+      if (events.length > 0) {
+        this.emit('events', events);
+      }
+    }
+
+    this.head = head;
+    this.store.pruneIndexedBlocks(latest - this.config.reorgDepth);
+    return { head, indexed, reorg };
+  }
+
+  /**
+   * Checkpoint of every configured contract; a contract that moved to another
+   * address starts over
+   */
+  checkpoints() {
+    const stored = new Map(this.store.getIndexerCheckpoints().map(checkpoint => [checkpoint.contract, checkpoint]));
+
+    return Object.entries(this.contracts).map(([contract, address]) => {
+      const checkpoint = stored.get(contract);
+      if (checkpoint && checkpoint.address !== address) {
+        console.warn(`⚠️ ${contract} moved from ${checkpoint.address} to ${address}, indexing it again`);
+        this.store.resetIndexedContract(contract);
+      }
+      const blockNumber = checkpoint && checkpoint.address === address
+        ? checkpoint.blockNumber
+        : this.config.startBlock - 1;
+      return { contract, address, blockNumber };
+    });
+  }
+
+  /**
+   * getLogs for up to chunkSize blocks from `fromBlock`; a refused range is halved
+   * until a single block is left
+   */
+  async fetchLogs(addresses, fromBlock, limit) {
+    let toBlock = Math.min(limit, fromBlock + this.chunkSize - 1);
+
+    for (;;) {
+      const span = toBlock - fromBlock + 1;
+      try {
+        const logs = await this.provider.getLogs({ address: addresses, fromBlock, toBlock });
+        if (span >= this.chunkSize) {
+          this.chunkSize = Math.min(this.chunkCeiling, this.chunkSize * 2);
+        }
+        return { logs, toBlock };
+      } catch (error) {
+        if (span === 1) {
+          throw error;
+        }
+        // Stay at the size that works for the rest of this sync instead of growing back into refusals
+        this.chunkSize = Math.max(1, Math.floor(span / 2));
+        this.chunkCeiling = this.chunkSize;
+        console.warn(`⚠️ getLogs refused ${fromBlock}-${toBlock}: ${error.shortMessage || error.message}; retrying with ${this.chunkSize} blocks`);
+        toBlock = fromBlock + this.chunkSize - 1;
+      }
+    }
+  }
+
+  /**
+   * Roll back to the newest stored block the node still has, if the newest one changed
+   * @returns {Promise<Object|null>} The reorg, or null
+   */
+  async checkReorg() {
+    const stored = this.store.getIndexedBlocks();
+    if (stored.length === 0) {
+      return null;
+    }
+
+    let ancestor = null;
+    for (const block of stored) {
+      const current = await this.provider.getBlock(block.number);
+      if (current && current.hash === block.hash) {
+        ancestor = block.number;
+        break;
+      }
+    }
+    if (ancestor === stored[0].number) {
+      return null;
+    }
+
+    // Nothing stored survived: index the whole reorg window again
+    if (ancestor === null) {
+      ancestor = stored[stored.length - 1].number - 1;
+    }
+
+    const removed = this.store.rollbackIndex(ancestor);
+    const reorg = { fromBlock: ancestor + 1, ancestor, removed };
+    console.warn(`⚠️ Reorg below block ${stored[0].number}: rolled back to ${ancestor}, removed ${removed} events`);
+    this.emit('reorg', reorg);
+    return reorg;
+  }
+
+  /**
+   * Whether a contract is indexed close enough to the last seen head to answer
+   * queries in place of the node
+   */
+  isCurrent(contract) {
+    if (this.head === null || !this.contracts[contract]) {
+      return false;
+    }
+    const checkpoint = this.checkpoints().find(candidate => candidate.contract === contract);
+    return this.head - checkpoint.blockNumber <= this.config.maxLag;
+  }
+
+  /**
+   * See RelayerStore.getIndexedEvents for the filter
+   */
+  getEvents(filter) {
+    return this.store.getIndexedEvents(filter);
+  }
+
+  /**
+   * Event counts per contract and event name, see RelayerStore.countIndexedEvents
+   */
+  countEvents(filter) {
+    return this.store.countIndexedEvents(filter);
+  }
+
+  getStatus() {
+    return {
+      head: this.head,
+      chunkSize: this.chunkSize,
+      contracts: this.checkpoints().map(checkpoint => ({
+        ...checkpoint,
+        lag: this.head !== null ? Math.max(0, this.head - checkpoint.blockNumber) : null
+      })),
+      events: this.store.countIndexedEvents()
+    };
+  }
+}
+
+module.exports = EventIndexer;
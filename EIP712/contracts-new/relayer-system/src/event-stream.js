@@ -0,0 +1,121 @@
+/**
+ * Fans events from an EventEmitter (e.g. RelayerService) out to Server-Sent Events
+ * clients. Recent events are kept in a ring buffer, so a client that reconnects
+ * with Last-Event-ID receives what it missed before the live stream resumes.
+ */
+class EventStream {
+  constructor({ source, events, bufferSize = 200, heartbeatInterval = 15000 }) {
+    this.source = source;
+    this.bufferSize = bufferSize;
+    this.heartbeatInterval = heartbeatInterval;
+
+    this.buffer = [];
+    this.clients = new Set();
+    this.lastId = 0;
+    this.heartbeat = null;
+
+    this.listeners = events.map(event => {
+      const listener = (payload) => this.publish(event, payload);
+      source.on(event, listener);
+      return { event, listener };
+    });
+  }
+
+  publish(event, payload) {
+    const entry = { id: ++this.lastId, event, data: { ...payload, timestamp: new Date().toISOString() } };
+
+    this.buffer.push(entry);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    const message = EventStream.format(entry);
+    for (const res of this.clients) {
+      res.write(message);
+    }
+    return entry;
+  }
+
+  static format({ id, event, data }) {
+    return `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  }
+
+  /**
+   * Events after `lastEventId`, oldest first
+   */
+  since(lastEventId) {
+    return this.buffer.filter(entry => entry.id > lastEventId);
+  }
+
+  /**
+   * Express handler. Reconnecting browsers send Last-Event-ID; `?lastEventId=`
+   * does the same for a first connection, and `?lastEventId=0` replays the buffer.
+   */
+  handle(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId);
+    if (!Number.isNaN(lastEventId)) {
+      for (const entry of this.since(lastEventId)) {
+        res.write(EventStream.format(entry));
+      }
+    }
+
+    this.clients.add(res);
+    this.startHeartbeat();
+
+    req.on('close', () => {
+      this.clients.delete(res);
+      if (this.clients.size === 0) {
+        this.stopHeartbeat();
+      }
+    });
+  }
+
+  // Comment lines keep proxies from closing idle connections
+  startHeartbeat() {
+    if (this.heartbeat) {
+      return;
+    }
+    this.heartbeat = setInterval(() => {
+      for (const res of this.clients) {
+        res.write(': heartbeat\n\n');
+      }
+    }, this.heartbeatInterval);
+    this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  close() {
+    this.stopHeartbeat();
+    for (const { event, listener } of this.listeners) {
+      this.source.off(event, listener);
+    }
+    for (const res of this.clients) {
+      res.end();
+    }
+    this.clients.clear();
+  }
+
+  getStats() {
+    return {
+      clients: this.clients.size,
+      buffered: this.buffer.length,
+      lastEventId: this.lastId
+    };
+  }
+}
+
+module.exports = EventStream;
@@ -0,0 +1,362 @@
+const { ethers } = require('ethers');
+const { ABIS } = require('./qobi-contracts');
+const RelayerPool = require('./relayer-pool');
+const TransactionManager = require('./transaction-manager');
+
+const DAY_SECONDS = 86400;
+
+// Lifecycle of one day's recordGasBurn report
+const BURN_REPORT_STATUS = {
+  SUBMITTING: 'submitting',
+  SUBMITTED: 'submitted',
+  CONFIRMED: 'confirmed',
+  EMPTY: 'empty',
+  FAILED: 'failed',
+  DEFERRED: 'deferred'
+};
+
+const { REPORT_STATUS } = RelayerPool;
+
+/**
+ * Reports the gas the relayer's transactions burned to StabilizingContract, once
+ * per day. The amount is the wei paid for every relay that reached a receipt
+ * that day (gasUsed * effectiveGasPrice, reverted relays included). Each day's
+ * report is kept in the store, so running again never records a day twice.
+ *
+ * recordGasBurn books the amount under the day it is mined, which is usually the
+ * day after the relays; that day is stored as `reportDay` and is what
+ * reconcile() compares with dailyBurnedAmount.
+ */
+class GasBurnReporter {
+  constructor({ provider, privateKey, store, contracts, config = {} }) {
+    this.provider = provider;
+    this.store = store;
+    this.wallet = new ethers.Wallet(privateKey, provider);
+
+    this.config = {
+      runDelay: config.burnReportDelay || parseInt(process.env.GAS_BURN_REPORT_DELAY) || 10 * 60 * 1000,
+      maxReportAttempts: config.maxReportAttempts || parseInt(process.env.TREASURY_REPORT_MAX_ATTEMPTS) || 3,
+      stabilizerKey: config.stabilizerKey || process.env.STABILIZER_PRIVATE_KEY
+    };
+
+    this.stabilizingContract = ethers.getAddress(contracts.stabilizingContract);
+    this.stabilizer = new ethers.Contract(this.stabilizingContract, ABIS.stabilizingContract, this.wallet);
+    this.treasury = contracts.relayerTreasury
+      ? new ethers.Contract(contracts.relayerTreasury, ABIS.relayerTreasury, provider)
+      : null;
+
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  static currentDay() {
+    return Math.floor(Date.now() / 1000 / DAY_SECONDS);
+  }
+
+  /**
+   * Report the day that just ended, and the days deferred before it, shortly after every UTC midnight
+   */
+  start() {
+    const nextMidnight = (GasBurnReporter.currentDay() + 1) * DAY_SECONDS * 1000;
+    const delay = nextMidnight + this.config.runDelay - Date.now();
+
+    this.timer = setTimeout(async () => {
+      const deferred = this.store.getBurnReportsByStatus(BURN_REPORT_STATUS.DEFERRED).map(report => report.day);
+      for (const day of [...deferred, GasBurnReporter.currentDay() - 1]) {
+        try {
+          await this.run(day);
+        } catch (error) {
+          console.error(`Gas burn report error for day ${day}:`, error);
+        }
+      }
+      this.start();
+    }, delay);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Whether RelayerTreasury.recordGasUsage already records burns in this StabilizingContract
+   */
+  async treasuryForwardsBurns() {
+    if (!this.treasury) {
+      return false;
+    }
+    const target = await this.treasury.stabilizingContract();
+    return target !== ethers.ZeroAddress && ethers.getAddress(target) === this.stabilizingContract;
+  }
+
+  /**
+   * Whether the pool is done with a treasury report: it mined, or it will not be
+   * sent again (out of attempts, or a broadcast with no clear outcome)
+   */
+  isSettled(report) {
+    return report.status === REPORT_STATUS.CONFIRMED ||
+      report.status === REPORT_STATUS.UNKNOWN ||
+      (report.status === REPORT_STATUS.FAILED && report.attempts >= this.config.maxReportAttempts);
+  }
+
+  /**
+   * Gas burned by relays finalized on `day`, in wei. When the treasury forwards its
+   * gas reports here, relays it recorded are left out so they count once, and relays
+   * whose report the pool may still send are counted as `unsettled` instead.
+   */
+  async aggregate(day) {
+    const forwarded = await this.treasuryForwardsBurns();
+    const totals = { day, amount: 0n, relays: 0, excluded: 0, unsettled: 0 };
+
+    for (const tx of this.store.getFinalizedRelays(day)) {
+      if (!tx.receipt) {
+        continue;
+      }
+      const report = forwarded ? this.store.getGasReport(tx.id) : null;
+      if (report && !this.isSettled(report)) {
+        totals.unsettled++;
+        continue;
+      }
+      if (report && report.status === REPORT_STATUS.CONFIRMED) {
+        totals.excluded++;
+        continue;
+      }
+      totals.amount += BigInt(tx.receipt.gasUsed) * BigInt(tx.receipt.effectiveGasPrice);
+      totals.relays++;
+    }
+    return totals;
+  }
+
+  /**
+   * @param {number} day Unix time / 86400; must have ended
+   * @param {Object} [options]
+   * @param {boolean} [options.force] Send again after an attempt whose outcome is unknown
+   */
+  async run(day = GasBurnReporter.currentDay() - 1, { force = false } = {}) {
+    if (day >= GasBurnReporter.currentDay()) {
+      throw new Error(`Day ${day} has not ended yet`);
+    }
+    if (this.isRunning) {
+      throw new Error('Gas burn report is already running');
+    }
+
+    this.isRunning = true;
+    try {
+      return await this.report(day, force);
+    } catch (error) {
+      console.error(`❌ Gas burn report for day ${day} failed:`, error.message);
+
+      // Once sent, the next run checks the receipt; if the send may have reached the node, nobody resends blindly
+      const current = this.store.getBurnReport(day);
+      if (current) {
+        const unknown = current.status === BURN_REPORT_STATUS.SUBMITTING &&
+          TransactionManager.UNKNOWN_OUTCOME_CODES.includes(error.code);
+        const status = current.status === BURN_REPORT_STATUS.SUBMITTED || unknown
+          ? current.status
+          : BURN_REPORT_STATUS.FAILED;
+        this.store.saveBurnReport({ ...current, status, error: error.message });
+      }
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  async report(day, force) {
+    const existing = this.store.getBurnReport(day);
+
+    if (existing) {
+      if (existing.status === BURN_REPORT_STATUS.CONFIRMED || existing.status === BURN_REPORT_STATUS.EMPTY) {
+        return { ...existing, skipped: 'already reported' };
+      }
+
+      if (existing.status === BURN_REPORT_STATUS.SUBMITTED && existing.txHash) {
+        const receipt = await this.provider.getTransactionReceipt(existing.txHash);
+        if (!receipt) {
+          return { ...existing, skipped: 'report still pending' };
+        }
+        if (receipt.status === 1) {
+          return this.recordConfirmation(existing, receipt);
+        }
+      }
+
+      if (existing.status === BURN_REPORT_STATUS.SUBMITTING && !force) {
+        return { ...existing, skipped: 'outcome of the last attempt is unknown; reconcile, then retry with force' };
+      }
+    }
+
+    const totals = await this.aggregate(day);
+    // A treasury report mined after this one would record its gas a second time
+    if (totals.unsettled > 0) {
+      this.store.saveBurnReport({
+        ...totals,
+        status: BURN_REPORT_STATUS.DEFERRED,
+        error: `${totals.unsettled} treasury gas reports are not settled yet`
+      });
+      return { ...this.store.getBurnReport(day), skipped: `waiting for ${totals.unsettled} treasury gas reports` };
+    }
+    if (totals.amount === 0n) {
+      this.store.saveBurnReport({ ...totals, status: BURN_REPORT_STATUS.EMPTY });
+      return { ...this.store.getBurnReport(day), skipped: 'no gas burned' };
+    }
+
+    const record = { ...totals, status: BURN_REPORT_STATUS.SUBMITTING, txHash: null, error: null };
+    this.store.saveBurnReport(record);
+
+    console.log(`🔥 Reporting ${ethers.formatEther(totals.amount)} ETH burned by ${totals.relays} relays on day ${day}`);
+
+    const tx = await this.stabilizer.recordGasBurn(totals.amount);
+    record.status = BURN_REPORT_STATUS.SUBMITTED;
+    record.txHash = tx.hash;
+    this.store.saveBurnReport(record);
+
+    const receipt = await tx.wait();
+    if (receipt.status !== 1) {
+      throw new Error(`Gas burn report ${tx.hash} reverted`);
+    }
+
+    return this.recordConfirmation(record, receipt);
+  }
+
+  async recordConfirmation(record, receipt) {
+    const event = receipt.logs
+      .map(log => {
+        try {
+          return this.stabilizer.interface.parseLog(log);
+        } catch (error) {
+          return null;
+        }
+      })
+      .find(parsed => parsed && parsed.name === 'GasBurnRecorded');
+
+    const reportDay = event
+      ? Number(event.args.day)
+      : Math.floor((await this.provider.getBlock(receipt.blockNumber)).timestamp / DAY_SECONDS);
+
+    this.store.saveBurnReport({
+      ...record,
+      status: BURN_REPORT_STATUS.CONFIRMED,
+      reportDay,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      error: null
+    });
+    console.log(`✅ Gas burn for day ${record.day} recorded in block ${receipt.blockNumber} (contract day ${reportDay})`);
+
+    return this.store.getBurnReport(record.day);
+  }
+
+  /**
+   * Check relay days `fromDay`..`toDay` against the store and the contract. Gaps:
+   * - unreported: gas burned by relays that no confirmed report covers
+   * - missing: dailyBurnedAmount of a report day is below what was reported for it
+   * - extra: dailyBurnedAmount is above it (burns recorded by the treasury or other relayers)
+   */
+  async reconcile(fromDay, toDay = GasBurnReporter.currentDay() - 1) {
+    const days = [];
+    const gaps = [];
+    const byReportDay = new Map();
+
+    for (let day = fromDay; day <= toDay; day++) {
+      const { amount: burned } = await this.aggregate(day);
+      const report = this.store.getBurnReport(day);
+      const reported = report && report.status === BURN_REPORT_STATUS.CONFIRMED ? BigInt(report.amount) : 0n;
+
+      days.push({ day, burned, reported, status: report ? report.status : null, reportDay: report ? report.reportDay : null });
+      if (burned > reported) {
+        gaps.push({ type: 'unreported', day, amount: burned - reported, status: report ? report.status : null });
+      }
+      if (reported > 0n) {
+        byReportDay.set(report.reportDay, (byReportDay.get(report.reportDay) || 0n) + reported);
+      }
+    }
+
+    const onChain = [];
+    for (const [day, reported] of byReportDay) {
+      const recorded = await this.stabilizer.dailyBurnedAmount(day);
+      onChain.push({ day, reported, recorded });
+      if (recorded < reported) {
+        gaps.push({ type: 'missing', day, amount: reported - recorded });
+      } else if (recorded > reported) {
+        gaps.push({ type: 'extra', day, amount: recorded - reported });
+      }
+    }
+
+    return { fromDay, toDay, days, onChain, gaps };
+  }
+
+  /**
+   * What remintBurnedTokens would do right now
+   */
+  async remintStatus() {
+    const [lastMint, interval, block, balance, distributor] = await Promise.all([
+      this.stabilizer.lastMintTimestamp(),
+      this.stabilizer.mintInterval(),
+      this.provider.getBlock('latest'),
+      this.stabilizer.getBalance(),
+      this.stabilizer.merkleDistributor()
+    ]);
+
+    const nextMintAt = Number(lastMint + interval);
+    const yesterday = Math.floor(block.timestamp / DAY_SECONDS) - 1;
+    return {
+      lastMintTimestamp: Number(lastMint),
+      mintInterval: Number(interval),
+      nextMintAt,
+      due: block.timestamp >= nextMintAt,
+      yesterday,
+      burnedYesterday: await this.stabilizer.dailyBurnedAmount(yesterday),
+      balance,
+      merkleDistributor: distributor
+    };
+  }
+
+  /**
+   * Call remintBurnedTokens once mintInterval has elapsed. Needs STABILIZER_ROLE,
+   * so it signs with STABILIZER_PRIVATE_KEY when that is set.
+   */
+  async remint() {
+    const status = await this.remintStatus();
+
+    if (!status.due) {
+      return { ...status, skipped: `mintInterval has not elapsed, next remint at ${new Date(status.nextMintAt * 1000).toISOString()}` };
+    }
+    // The contract accepts the call but changes nothing, so the interval would not restart
+    if (status.burnedYesterday === 0n) {
+      return { ...status, skipped: `nothing burned on day ${status.yesterday}` };
+    }
+    if (status.balance < status.burnedYesterday) {
+      throw new Error(`StabilizingContract holds ${ethers.formatEther(status.balance)} but needs ${ethers.formatEther(status.burnedYesterday)} to remint`);
+    }
+
+    const stabilizer = this.config.stabilizerKey
+      ? this.stabilizer.connect(new ethers.Wallet(this.config.stabilizerKey, this.provider))
+      : this.stabilizer;
+
+    const tx = await stabilizer.remintBurnedTokens();
+    const receipt = await tx.wait();
+    const event = receipt.logs
+      .map(log => {
+        try {
+          return this.stabilizer.interface.parseLog(log);
+        } catch (error) {
+          return null;
+        }
+      })
+      .find(parsed => parsed && parsed.name === 'TokensReminted');
+
+    console.log(`♻️ Reminted ${ethers.formatEther(status.burnedYesterday)} for day ${status.yesterday}: ${receipt.hash}`);
+    return {
+      ...status,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      reminted: event ? event.args.amount : status.burnedYesterday
+    };
+  }
+}
+
+GasBurnReporter.BURN_REPORT_STATUS = BURN_REPORT_STATUS;
+
+module.exports = GasBurnReporter;
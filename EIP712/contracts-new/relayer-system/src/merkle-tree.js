@@ -2,17 +2,80 @@ const { MerkleTree } = require('merkletreejs');
 const keccak256 = require('keccak256');
 const { ethers } = require('ethers');
 
+// Leaf encodings:
+// - json: keccak256(JSON.stringify(data)), for internal batch commitments
+// - abi-packed: keccak256(abi.encodePacked(user, points, qobiAmount)), the leaf
+//   DailyTreeGenerator and QOBIMerkleDistributor use for reward distributions
+const ENCODINGS = ['json', 'abi-packed'];
+
 class QOBIMerkleTree {
-  constructor() {
+  constructor(options = {}) {
+    this.encoding = options.encoding || 'json';
+    if (!ENCODINGS.includes(this.encoding)) {
+      throw new Error(`Unknown leaf encoding: ${this.encoding}`);
+    }
+
     this.leaves = [];
+    this.allocations = [];
     this.tree = null;
+    this.sortedProofCompatible = true;
+  }
+
+  static encodeAllocationLeaf(user, points, qobiAmount) {
+    const hash = ethers.solidityPackedKeccak256(
+      ['address', 'uint256', 'uint256'],
+      [user, points, qobiAmount]
+    );
+    return Buffer.from(hash.slice(2), 'hex');
+  }
+
+  /**
+   * Verify a proof the way OpenZeppelin MerkleProof.verify does (sorted pairs)
+   */
+  static verifySortedProof(proof, root, leaf) {
+    const computed = proof.reduce((hash, sibling) => BigInt(hash) < BigInt(sibling)
+      ? ethers.keccak256(ethers.concat([hash, sibling]))
+      : ethers.keccak256(ethers.concat([sibling, hash])), leaf);
+    return computed.toLowerCase() === root.toLowerCase();
+  }
+
+  static fromAllocations(allocations) {
+    const tree = new QOBIMerkleTree({ encoding: 'abi-packed' });
+    for (const { user, points, qobiAmount } of allocations) {
+      tree.addAllocation(user, points, qobiAmount);
+    }
+    tree.buildTree();
+    return tree;
   }
 
   addLeaf(data) {
+    if (this.encoding === 'abi-packed') {
+      return this.addAllocation(data.user, data.points, data.qobiAmount);
+    }
+
     // Create a standardized leaf hash
     const leafData = typeof data === 'string' ? data : JSON.stringify(data);
     const leaf = keccak256(leafData);
     this.leaves.push(leaf);
+    this.tree = null; // Rebuild on next access so the root covers the new leaf
+    return leaf;
+  }
+
+  addAllocation(user, points, qobiAmount) {
+    if (this.encoding !== 'abi-packed') {
+      throw new Error('addAllocation requires the abi-packed encoding');
+    }
+
+    const allocation = {
+      user: ethers.getAddress(user),
+      points: Number(points),
+      qobiAmount: BigInt(qobiAmount).toString()
+    };
+    const leaf = QOBIMerkleTree.encodeAllocationLeaf(allocation.user, allocation.points, allocation.qobiAmount);
+
+    this.leaves.push(leaf);
+    this.allocations.push(allocation);
+    this.tree = null;
     return leaf;
   }
 
@@ -43,11 +106,49 @@ class QOBIMerkleTree {
     if (this.leaves.length === 0) {
       throw new Error('No leaves to build tree from');
     }
+
+    if (this.encoding === 'abi-packed') {
+      // DailyTreeGenerator.calculateMerkleRoot hashes pairs in position order and
+      // promotes an odd node unchanged, while MerkleProof.verify hashes sorted
+      // pairs. Ordering the leaves so every pair is already sorted satisfies both.
+      this.sortedProofCompatible = this.orderForSortedProofs();
+      this.tree = new MerkleTree(this.leaves, keccak256, { sortPairs: false });
+      return this.tree;
+    }
     
     this.tree = new MerkleTree(this.leaves, keccak256, { sortPairs: true });
     return this.tree;
   }
 
+  /**
+   * Reorder leaves so that at every level the left node hashes lower than the
+   * right one. Only subtrees of equal (full) size can be swapped without changing
+   * the shape of the tree, so a few deterministic shuffles are tried when the
+   * last, partial subtree cannot be paired.
+   * @returns {boolean} True when every proof also verifies with sorted pairs
+   */
+  orderForSortedProofs(maxAttempts = 64) {
+    const items = this.leaves.map((leaf, index) => ({ leaf, allocation: this.allocations[index] }));
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const candidate = attempt === 0
+        ? items
+        : [...items].sort((a, b) => Buffer.compare(
+          keccak256(Buffer.concat([a.leaf, Buffer.from([attempt])])),
+          keccak256(Buffer.concat([b.leaf, Buffer.from([attempt])]))
+        ));
+
+      const ordered = arrangeSortedPairs(candidate);
+      if (ordered) {
+        this.leaves = ordered.map(item => item.leaf);
+        this.allocations = ordered.map(item => item.allocation);
+        return true;
+      }
+    }
+
+    return false;
+  }
+
   getRoot() {
     if (!this.tree) {
       this.buildTree();
@@ -68,6 +169,34 @@ class QOBIMerkleTree {
     return this.tree.getHexProof(leaf);
   }
 
+  /**
+   * Allocation, leaf and proof for a user, in the form QOBIMerkleDistributor.claimQOBI expects
+   */
+  getAllocationProof(user) {
+    if (!this.tree) {
+      this.buildTree();
+    }
+
+    const index = this.allocations.findIndex(a => a.user === ethers.getAddress(user));
+    if (index === -1) {
+      return null;
+    }
+
+    const leaf = this.leaves[index];
+    return {
+      ...this.allocations[index],
+      leaf: '0x' + leaf.toString('hex'),
+      proof: this.tree.getHexProof(leaf, index)
+    };
+  }
+
+  getAllocations() {
+    if (!this.tree) {
+      this.buildTree();
+    }
+    return this.allocations;
+  }
+
   verify(proof, leaf, root) {
     return MerkleTree.verify(proof, leaf, root, keccak256, { sortPairs: true });
   }
@@ -93,6 +222,7 @@ class QOBIMerkleTree {
   // Get tree statistics
   getStats() {
     return {
+      encoding: this.encoding,
       leafCount: this.leaves.length,
       depth: this.tree ? this.tree.getDepth() : 0,
       root: this.getRoot(),
@@ -103,6 +233,8 @@ class QOBIMerkleTree {
   // Export tree data
   export() {
     return {
+      encoding: this.encoding,
+      allocations: this.encoding === 'abi-packed' ? this.getAllocations() : undefined,
       leaves: this.leaves.map(leaf => '0x' + leaf.toString('hex')),
       root: this.getRoot(),
       tree: this.tree ? this.tree.toString() : null
@@ -111,9 +243,65 @@ class QOBIMerkleTree {
 
   // Import tree data
   import(data) {
+    this.encoding = data.encoding || 'json';
     this.leaves = data.leaves.map(leaf => Buffer.from(leaf.slice(2), 'hex'));
+    this.allocations = data.allocations || [];
     this.buildTree();
   }
 }
 
+/**
+ * Pair nodes bottom-up so every hashed pair is (lower, higher).
+ * @returns {Array|null} Items in leaf order, or null if this arrangement cannot be sorted
+ */
+function arrangeSortedPairs(items) {
+  let nodes = items.map(item => ({ hash: item.leaf, items: [item], full: true }));
+
+  const combine = (left, right, full) => ({
+    hash: keccak256(Buffer.concat([left.hash, right.hash])),
+    items: [...left.items, ...right.items],
+    full
+  });
+
+  while (nodes.length > 1) {
+    // Only the last node of a level can be partial (it contains a promoted node)
+    const last = nodes[nodes.length - 1];
+    const partial = last.full ? null : last;
+    const fulls = partial ? nodes.slice(0, -1) : nodes.slice();
+    let tail = null;
+
+    if (partial && fulls.length % 2 === 1) {
+      // The partial node must stay on the right, so pair it with the lowest full node
+      let lowest = 0;
+      for (let i = 1; i < fulls.length; i++) {
+        if (Buffer.compare(fulls[i].hash, fulls[lowest].hash) < 0) {
+          lowest = i;
+        }
+      }
+      if (Buffer.compare(fulls[lowest].hash, partial.hash) > 0) {
+        return null;
+      }
+      tail = combine(fulls.splice(lowest, 1)[0], partial, false);
+    } else if (partial) {
+      tail = partial;
+    } else if (fulls.length % 2 === 1) {
+      tail = { ...fulls.pop(), full: false };
+    }
+
+    const next = [];
+    for (let i = 0; i < fulls.length; i += 2) {
+      const [left, right] = Buffer.compare(fulls[i].hash, fulls[i + 1].hash) <= 0
+        ? [fulls[i], fulls[i + 1]]
+        : [fulls[i + 1], fulls[i]];
+      next.push(combine(left, right, true));
+    }
+    if (tail) {
+      next.push(tail);
+    }
+    nodes = next;
+  }
+
+  return nodes[0].items;
+}
+
 module.exports = QOBIMerkleTree;
\ No newline at end of file
@@ -0,0 +1,184 @@
+// Default histogram buckets, in the unit of the observed values
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length === 0
+    ? ''
+    : `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * Counters, gauges and histograms rendered in the Prometheus text exposition format.
+ * With a RelayerStore, every counter and histogram series is written through to its
+ * metrics table and loaded again on start, so totals survive restarts. Gauges are
+ * read from their `collect` callback at scrape time and never persisted.
+ */
+class MetricsRegistry {
+  constructor({ store } = {}) {
+    this.store = store || null;
+    this.metrics = new Map();
+    this.values = new Map();
+
+    const persisted = this.store ? this.store.getMetricValues() : [];
+    for (const { name, labels, value } of persisted) {
+      this.values.set(this.seriesKey(name, labels), { name, labels, value });
+    }
+    this.restored = persisted.length > 0;
+  }
+
+  seriesKey(name, labels) {
+    return `${name}${formatLabels(labels)}`;
+  }
+
+  register(metric) {
+    const existing = this.metrics.get(metric.name);
+    if (existing) {
+      if (existing.type !== metric.type) {
+        throw new Error(`Metric ${metric.name} is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+    this.metrics.set(metric.name, { ...metric, labelNames: metric.labelNames || [] });
+    return this.metrics.get(metric.name);
+  }
+
+  /**
+   * @returns {{inc: function(Object=, number=)}} labels must use `labelNames`
+   */
+  counter({ name, help, labelNames }) {
+    const metric = this.register({ type: 'counter', name, help, labelNames });
+    return {
+      inc: (labels = {}, by = 1) => this.add([[name, this.labelsFor(metric, labels), by]])
+    };
+  }
+
+  /**
+   * @param {function(): (number|Array<{labels: Object, value: number}>|Promise)} collect
+   *   Read at scrape time; null or undefined omits the metric
+   */
+  gauge({ name, help, labelNames, collect }) {
+    this.register({ type: 'gauge', name, help, labelNames, collect });
+  }
+
+  /**
+   * @returns {{observe: function(Object, number)}}
+   */
+  histogram({ name, help, labelNames, buckets = DEFAULT_BUCKETS }) {
+    const metric = this.register({ type: 'histogram', name, help, labelNames, buckets: [...buckets].sort((a, b) => a - b) });
+    return {
+      observe: (labels, value) => {
+        const base = this.labelsFor(metric, labels || {});
+        const updates = metric.buckets
+          .filter(le => value <= le)
+          .map(le => [`${name}_bucket`, { ...base, le: formatValue(le) }, 1]);
+        updates.push(
+          [`${name}_bucket`, { ...base, le: '+Inf' }, 1],
+          [`${name}_sum`, base, value],
+          [`${name}_count`, base, 1]
+        );
+        this.add(updates);
+      }
+    };
+  }
+
+  labelsFor(metric, labels) {
+    const unknown = Object.keys(labels).filter(label => !metric.labelNames.includes(label));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown labels for ${metric.name}: ${unknown.join(', ')}`);
+    }
+    return Object.fromEntries(metric.labelNames
+      .filter(label => labels[label] !== undefined)
+      .map(label => [label, String(labels[label])]));
+  }
+
+  add(updates) {
+    const changed = updates.map(([name, labels, by]) => {
+      const key = this.seriesKey(name, labels);
+      const series = this.values.get(key) || { name, labels, value: 0 };
+      series.value += by;
+      this.values.set(key, series);
+      return series;
+    });
+
+    if (this.store) {
+      this.store.saveMetricValues(changed);
+    }
+  }
+
+  /**
+   * Current value of one counter or histogram series, e.g. value('qobi_transactions_submitted_total')
+   */
+  value(name, labels = {}) {
+    const series = this.values.get(this.seriesKey(name, labels));
+    return series ? series.value : 0;
+  }
+
+  seriesOf(name) {
+    return [...this.values.values()].filter(series => series.name === name);
+  }
+
+  async render() {
+    const lines = [];
+
+    for (const metric of this.metrics.values()) {
+      let samples;
+
+      if (metric.type === 'gauge') {
+        let collected;
+        try {
+          collected = await metric.collect();
+        } catch (error) {
+          collected = null;
+        }
+        if (collected === null || collected === undefined) {
+          continue;
+        }
+        samples = typeof collected === 'number'
+          ? [{ name: metric.name, labels: {}, value: collected }]
+          : collected.map(sample => ({ name: metric.name, ...sample }));
+      } else if (metric.type === 'counter') {
+        samples = this.seriesOf(metric.name);
+        if (samples.length === 0 && metric.labelNames.length === 0) {
+          samples = [{ name: metric.name, labels: {}, value: 0 }];
+        }
+      } else {
+        // Each label set's buckets in ascending order, then its sum and count
+        const bucketOrder = (labels) => labels.le === '+Inf' ? Infinity : Number(labels.le);
+        samples = this.seriesOf(`${metric.name}_count`).flatMap(count => {
+          const group = formatLabels(count.labels);
+          const ofGroup = (suffix) => this.seriesOf(`${metric.name}_${suffix}`)
+            .filter(({ labels: { le, ...labels } }) => formatLabels(labels) === group);
+          return [
+            ...ofGroup('bucket').sort((a, b) => bucketOrder(a.labels) - bucketOrder(b.labels)),
+            ...ofGroup('sum'),
+            count
+          ];
+        });
+      }
+
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const sample of samples) {
+        lines.push(`${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+MetricsRegistry.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+MetricsRegistry.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
+
+module.exports = MetricsRegistry;
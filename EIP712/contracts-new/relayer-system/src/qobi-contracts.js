@@ -0,0 +1,152 @@
+// Interaction types, in the order of the InteractionType enum used by the contracts
+const INTERACTION_TYPES = ['CREATE', 'LIKES', 'COMMENTS', 'TIPPING', 'CRYPTO', 'REFERRALS'];
+
+const TREE_SUBMISSION_TUPLE =
+  '(uint256 day, uint8 interactionType, bytes32 merkleRoot, address[] users, uint256[] points, uint256[] qobiAmounts, uint256 nonce, uint256 deadline)';
+
+// Human-readable ABIs for the parts of the QOBI contracts used off-chain
+const ABIS = {
+  dailyTree: [
+    `function submitTreeWithSignature(${TREE_SUBMISSION_TUPLE} submission, bytes signature)`,
+    'function calculateMerkleRoot(address[] users, uint256[] points, uint256[] qobiAmounts) view returns (bytes32)',
+    `function getSubmissionHash(${TREE_SUBMISSION_TUPLE} submission) view returns (bytes32)`,
+    'function getDomainSeparator() view returns (bytes32)',
+    'function getRelayerNonce(address relayer) view returns (uint256)',
+    'function getCurrentDay() view returns (uint256)',
+    'function getDailyLimits(uint8 interactionType) view returns (uint256 userLimit, uint256 qobiCap)',
+    'function authorizedRelayers(address relayer) view returns (bool)',
+    'function setMerkleDistributor(address distributor)',
+    'function authorizeRelayer(address relayer)',
+    'function deauthorizeRelayer(address relayer)',
+    'function updateDailyLimits(uint8 interactionType, uint256 userLimit, uint256 qobiCap)',
+    'event TreeSubmitted(uint256 indexed day, uint8 indexed interactionType, bytes32 merkleRoot, uint256 userCount, uint256 totalQOBI, address relayer)',
+    'event RelayerAuthorized(address indexed relayer)',
+    'event RelayerDeauthorized(address indexed relayer)',
+    'event MerkleDistributorUpdated(address indexed newDistributor)',
+    'event DailyLimitsUpdated(uint8 interactionType, uint256 userLimit, uint256 qobiCap)',
+    'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)'
+  ],
+  merkleDistributor: [
+    'function getDistributionInfo(uint256 day, uint8 interactionType) view returns (bytes32 merkleRoot, uint256 totalUsers, uint256 totalQOBI, bool finalized, uint256 timestamp)',
+    'function getDailyQOBICap(uint8 interactionType) view returns (uint256)',
+    'function getPendingClaims(address user, uint256 day) view returns (uint8[] pendingTypes)',
+    'function hasClaimed(uint256 day, uint8 interactionType, address user) view returns (bool)',
+    'function isClaimable(uint256 day, uint8 interactionType, address user, uint256 points, uint256 qobiAmount, bytes32[] merkleProof) view returns (bool)',
+    'function claimQOBI(uint256 day, uint8 interactionType, uint256 points, uint256 qobiAmount, bytes32[] merkleProof)',
+    'function batchClaimQOBI(uint256[] daysArray, uint8[] interactionTypesArray, uint256[] pointsArray, uint256[] qobiAmountsArray, bytes32[][] merkleProofsArray)',
+    'function finalizeDailyDistribution(uint256 day, uint8 interactionType, bytes32 merkleRoot, uint256 totalUsers, uint256 totalQOBI)',
+    'function setStabilizingContract(address stabilizing)',
+    'function updateDailyQOBICaps(uint256[6] newCaps)',
+    'function pause()',
+    'function emergencyWithdraw(uint256 amount)',
+    'event QOBIClaimed(address indexed user, uint256 indexed day, uint8 indexed interactionType, uint256 points, uint256 qobiAmount)',
+    'event DailyDistributionFinalized(uint256 indexed day, uint8 indexed interactionType, bytes32 merkleRoot, uint256 totalUsers, uint256 totalQOBI)',
+    'event EmergencyWithdraw(address indexed owner, uint256 amount)',
+    'event DailyCapUpdated(uint8 indexed interactionType, uint256 oldCap, uint256 newCap)',
+    'event StabilizingContractUpdated(address indexed newContract)',
+    'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)'
+  ],
+  relayerTreasury: [
+    'function setStabilizingContract(address stabilizing)',
+    'function addRelayer(address relayer)',
+    'function removeRelayer(address relayer)',
+    'function fundRelayer(address relayer, uint256 amount)',
+    'function recordGasUsage(uint256 gasUsed, uint256 gasPrice)',
+    'function batchFundRelayers(address[] relayerAddresses, uint256[] amounts)',
+    'function updateMinRelayerBalance(uint256 newMinBalance)',
+    'function emergencyWithdraw(uint256 amount)',
+    'function minRelayerBalance() view returns (uint256)',
+    'function getRelayerInfo(address relayer) view returns (bool authorized, uint256 balance, uint256 totalGasUsed, uint256 lastActivity, uint256 totalReimbursed)',
+    'function getAllRelayers() view returns (address[])',
+    'function getLowBalanceRelayers() view returns (address[] lowBalanceRelayers)',
+    'function stabilizingContract() view returns (address)',
+    'event GasReimbursed(address indexed relayer, uint256 gasUsed, uint256 gasCost)',
+    'event RelayerFunded(address indexed relayer, uint256 amount)',
+    'event RelayerAdded(address indexed relayer)',
+    'event RelayerRemoved(address indexed relayer)',
+    'event StabilizingContractUpdated(address indexed newContract)',
+    'event MinRelayerBalanceUpdated(uint256 newMinBalance)',
+    'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)'
+  ],
+  stabilizingContract: [
+    'function setMerkleDistributor(address distributor)',
+    'function authorizeRelayer(address relayer)',
+    'function deauthorizeRelayer(address relayer)',
+    'function recordGasBurn(uint256 amount)',
+    'function remintBurnedTokens()',
+    'function updateMintInterval(uint256 newInterval)',
+    'function emergencyWithdraw(uint256 amount)',
+    'function dailyBurnedAmount(uint256 day) view returns (uint256)',
+    'function totalGasBurned() view returns (uint256)',
+    'function lastMintTimestamp() view returns (uint256)',
+    'function mintInterval() view returns (uint256)',
+    'function merkleDistributor() view returns (address)',
+    'function authorizedRelayers(address relayer) view returns (bool)',
+    'function getBalance() view returns (uint256)',
+    'event GasBurnRecorded(address indexed relayer, uint256 amount, uint256 day)',
+    'event TokensReminted(uint256 amount, uint256 day)',
+    'event RelayerAuthorized(address indexed relayer)',
+    'event RelayerDeauthorized(address indexed relayer)',
+    'event MerkleDistributorUpdated(address indexed newDistributor)',
+    'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)'
+  ],
+  accessControl: [
+    'function hasRole(bytes32 role, address account) view returns (bool)',
+    'function grantRole(bytes32 role, address account)',
+    'function revokeRole(bytes32 role, address account)',
+    'event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)',
+    'event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)',
+    'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)'
+  ],
+  systemDeployer: [
+    'function deployCompleteSystem()',
+    'function addMultipleRelayers(address[] relayers)',
+    'function fundMultipleRelayers(address[] relayers, uint256 amountPerRelayer) payable',
+    'function transferSystemOwnership(address newOwner)',
+    'function emergencyWithdraw()',
+    'event SystemDeployed(address accessControl, address stabilizing, address treeGenerator, address merkleDistributor, address relayerTreasury)',
+    'event SystemConfigured(address indexed aiValidator, address indexed relayer, address indexed stabilizer)',
+    'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)'
+  ]
+};
+
+// Forge artifact (out/<Name>.sol/<Name>.json) of each contract
+const CONTRACT_ARTIFACTS = {
+  dailyTree: 'DailyTreeGenerator',
+  merkleDistributor: 'QOBIMerkleDistributor',
+  relayerTreasury: 'RelayerTreasury',
+  stabilizingContract: 'StabilizingContract',
+  accessControl: 'QOBIAccessControl',
+  systemDeployer: 'QOBISystemDeployer'
+};
+
+// QOBIAccessControl roles, each stored on-chain as keccak256(name)
+const ROLES = ['AI_VALIDATOR_ROLE', 'RELAYER_ROLE', 'STABILIZER_ROLE', 'DISTRIBUTOR_ROLE', 'TREE_GENERATOR_ROLE'];
+
+/**
+ * Accepts an enum index (number or numeric string) or a name such as "likes"
+ * @returns {number} Interaction type index (0-5)
+ */
+function parseInteractionType(value) {
+  if (typeof value === 'string' && !/^\d+$/.test(value.trim())) {
+    const index = INTERACTION_TYPES.indexOf(value.trim().toUpperCase());
+    if (index === -1) {
+      throw new Error(`Unknown interaction type: ${value}`);
+    }
+    return index;
+  }
+
+  const index = Number(value);
+  if (!Number.isInteger(index) || index < 0 || index >= INTERACTION_TYPES.length) {
+    throw new Error(`Invalid interaction type: ${value}`);
+  }
+  return index;
+}
+
+module.exports = {
+  ABIS,
+  CONTRACT_ARTIFACTS,
+  INTERACTION_TYPES,
+  ROLES,
+  parseInteractionType
+};
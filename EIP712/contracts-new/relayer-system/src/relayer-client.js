@@ -0,0 +1,199 @@
+class RelayerClientError extends Error {
+  constructor(message, { code, status, details } = {}) {
+    super(message);
+    this.name = 'RelayerClientError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * HTTP client for a running relayer server (demo-server.js). Methods are named and
+ * return the same shapes as their RelayerService counterparts, so callers such as
+ * qobi-cli can work against either one.
+ *
+ * The API key goes out as `Authorization: Bearer <key>`. Error responses become a
+ * RelayerClientError carrying the server's `code` and HTTP status (and any extra
+ * fields, e.g. `expectedNonce`); a server that cannot be reached gives code UNREACHABLE.
+ */
+class RelayerClient {
+  constructor({ apiUrl, apiKey, timeout } = {}) {
+    if (!apiUrl) {
+      throw new Error('RelayerClient needs an API URL');
+    }
+    this.apiUrl = apiUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey || null;
+    this.timeout = timeout || parseInt(process.env.QOBI_API_TIMEOUT) || 30000;
+  }
+
+  async request(method, path, { query, body } = {}) {
+    const url = new URL(this.apiUrl + path);
+    for (const [name, value] of Object.entries(query || {})) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(name, Array.isArray(value) ? value.join(',') : String(value));
+      }
+    }
+
+    const headers = this.headers({ Accept: 'application/json' });
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(this.timeout)
+      });
+    } catch (error) {
+      throw this.unreachable(error);
+    }
+
+    const payload = await readPayload(response);
+    if (!response.ok) {
+      throw responseError(response, payload);
+    }
+    return payload;
+  }
+
+  headers(headers) {
+    return this.apiKey ? { ...headers, Authorization: `Bearer ${this.apiKey}` } : headers;
+  }
+
+  unreachable(error) {
+    const reason = error.name === 'TimeoutError' ? `no answer within ${this.timeout}ms` : (error.cause || error).message;
+    return new RelayerClientError(`Relayer at ${this.apiUrl} is unreachable: ${reason}`, { code: 'UNREACHABLE' });
+  }
+
+  async getStats() {
+    return (await this.request('GET', '/status')).stats;
+  }
+
+  async getRecentBatches(count = 10) {
+    return (await this.request('GET', '/batches', { query: { count } })).batches;
+  }
+
+  async getRelayRequestInfo(address) {
+    return this.request('GET', `/nonces/${address}`);
+  }
+
+  /**
+   * @returns {Promise<string>} The transaction id
+   */
+  async addSignedTransaction(request, signature) {
+    return (await this.request('POST', '/transactions', { body: { request, signature } })).transactionId;
+  }
+
+  async relayTransaction(txId) {
+    const { success, ...result } = await this.request('POST', `/transactions/${encodeURIComponent(txId)}/relay`);
+    return result;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} null when the server does not know the batch
+   */
+  async getBatchDetails(batchId) {
+    try {
+      return await this.request('GET', `/batches/${encodeURIComponent(batchId)}`);
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * The server's live event stream (/events) as an open Server-Sent Events response.
+   * There is no timeout: the stream stays open until `signal` aborts it.
+   * @param {Object} [options] `lastEventId` to replay what was missed, `signal` to close it
+   * @returns {Promise<Response>}
+   */
+  async openEventStream({ lastEventId, signal } = {}) {
+    const headers = this.headers({ Accept: 'text/event-stream' });
+    if (lastEventId !== undefined && lastEventId !== null) {
+      headers['Last-Event-ID'] = String(lastEventId);
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.apiUrl}/events`, { headers, signal });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+      throw this.unreachable(error);
+    }
+
+    if (!response.ok) {
+      throw responseError(response, await readPayload(response));
+    }
+    return response;
+  }
+
+  async getAIStatus() {
+    return this.request('GET', '/ai/status');
+  }
+
+  async clearValidationCache(filter = {}) {
+    return this.request('POST', '/ai/cache/invalidate', { body: filter });
+  }
+
+  async runDailyTrees(day) {
+    return (await this.request('POST', '/daily-trees/run', { body: day !== undefined ? { day } : {} })).results;
+  }
+
+  async getClaims(user, filter = {}) {
+    return this.request('GET', `/claims/${user}`, { query: claimQuery(filter) });
+  }
+
+  async getClaimTransaction(user, filter = {}) {
+    return this.request('GET', `/claims/${user}/calldata`, { query: claimQuery(filter) });
+  }
+
+  async getIndexedEvents({ contract, event, fromBlock, toBlock, args = {}, limit, order } = {}) {
+    const query = { contract, event, fromBlock, toBlock, limit, order };
+    for (const [name, value] of Object.entries(args)) {
+      query[`args[${name}]`] = value;
+    }
+    return (await this.request('GET', '/chain-events', { query })).events;
+  }
+
+  async getIndexerStatus() {
+    return this.request('GET', '/chain-events/status');
+  }
+
+  /**
+   * Nothing runs locally, so there is nothing to stop
+   */
+  async shutdown() {}
+}
+
+async function readPayload(response) {
+  const text = await response.text();
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch (error) {
+    return { error: text };
+  }
+}
+
+function responseError(response, payload) {
+  const { error, code, ...details } = payload;
+  return new RelayerClientError(error || `HTTP ${response.status}`, {
+    code: code || `HTTP_${response.status}`,
+    status: response.status,
+    details
+  });
+}
+
+function claimQuery(filter) {
+  return { days: filter.days, interactionTypes: filter.interactionTypes };
+}
+
+RelayerClient.RelayerClientError = RelayerClientError;
+
+module.exports = RelayerClient;
@@ -0,0 +1,411 @@
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const TransactionManager = require('./transaction-manager');
+const RelayerStore = require('./relayer-store');
+const { ABIS } = require('./qobi-contracts');
+
+const { TX_STATUS } = RelayerStore;
+
+const TREASURY_INTERFACE = new ethers.Interface(ABIS.relayerTreasury);
+
+// Lifecycle of a RelayerTreasury.recordGasUsage report for one confirmed relay
+// pending   - owed, not sent yet (or the relayer stopped before sending it)
+// sent      - broadcast from the wallet that paid for the relay, waiting for its receipt
+// confirmed - mined with status 1: the treasury has recorded the gas
+// failed    - refused, reverted, replaced or dropped; retried on the next refresh
+// unknown   - the node may or may not have it; never resent, so it cannot count twice
+const REPORT_STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * Spreads relays over several relayer wallets. Each key gets its own
+ * TransactionManager, so every wallet has an independent nonce lane and its own
+ * stuck/dropped handling. New relays go to the least busy wallet in rotation.
+ *
+ * A wallet leaves rotation while its ETH balance, or its balance in
+ * RelayerTreasury (getLowBalanceRelayers), is below minRelayerBalance, or when the
+ * treasury does not list it as a relayer. Balances are refreshed periodically and
+ * after each finalized relay. With a treasury configured, every confirmed relay
+ * is reported through recordGasUsage from the wallet that paid for it.
+ *
+ * Emits 'finalized' (transaction) from every lane, and 'rotation' (lane) when a
+ * wallet enters or leaves rotation.
+ */
+class RelayerPool extends EventEmitter {
+  constructor({ provider, privateKeys, store, treasury, config = {} }) {
+    super();
+    this.provider = provider;
+    this.store = store;
+
+    this.config = {
+      minRelayerBalance: config.minRelayerBalance !== undefined
+        ? BigInt(config.minRelayerBalance)
+        : ethers.parseEther(process.env.RELAYER_MIN_BALANCE || '0.1'),
+      refreshInterval: config.refreshInterval || parseInt(process.env.RELAYER_POOL_REFRESH_INTERVAL) || 60000,
+      reportGasUsage: config.reportGasUsage !== undefined
+        ? config.reportGasUsage
+        : process.env.TREASURY_GAS_REPORTS !== 'false',
+      maxReportAttempts: config.maxReportAttempts || parseInt(process.env.TREASURY_REPORT_MAX_ATTEMPTS) || 3
+    };
+
+    // The treasury's threshold replaces the configured one once it has been read
+    this.minBalance = this.config.minRelayerBalance;
+    this.treasuryAddress = treasury || null;
+    this.treasury = treasury ? new ethers.Contract(treasury, ABIS.relayerTreasury, provider) : null;
+
+    const keys = [...new Set(privateKeys.filter(Boolean))];
+    if (keys.length === 0) {
+      throw new Error('RelayerPool needs at least one private key (RELAYER_PRIVATE_KEYS or PRIVATE_KEY)');
+    }
+
+    this.lanes = keys.map(privateKey => {
+      const manager = new TransactionManager({ provider, privateKey, store, config });
+      const lane = { address: manager.address, manager, active: true, reason: null, balance: null, treasuryBalance: null };
+      manager.on('finalized', tx => this.handleFinalized(lane, tx));
+      return lane;
+    });
+
+    this.cursor = 0;
+    this.timer = null;
+    // Reports being sent right now, so a refresh cannot send the same one again
+    this.reporting = new Set();
+  }
+
+  get addresses() {
+    return this.lanes.map(lane => lane.address);
+  }
+
+  get inFlight() {
+    return this.lanes.reduce((count, lane) => count + lane.manager.inFlight.size, 0);
+  }
+
+  start() {
+    this.lanes.forEach(lane => lane.manager.start());
+    this.timer = setInterval(async () => {
+      try {
+        await this.refresh();
+      } catch (error) {
+        console.error('Relayer pool refresh error:', error);
+      }
+    }, this.config.refreshInterval);
+  }
+
+  stop() {
+    this.lanes.forEach(lane => lane.manager.stop());
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Re-read balances and treasury registration for every wallet, then retry
+   * gas reports that failed or were never sent
+   */
+  async refresh() {
+    let treasury = null;
+    if (this.treasury) {
+      const [minBalance, registered, lowBalance] = await Promise.all([
+        this.treasury.minRelayerBalance(),
+        this.treasury.getAllRelayers(),
+        this.treasury.getLowBalanceRelayers()
+      ]);
+      this.minBalance = minBalance;
+      treasury = {
+        registered: new Set(registered.map(address => ethers.getAddress(address))),
+        lowBalance: new Set(lowBalance.map(address => ethers.getAddress(address)))
+      };
+    }
+
+    await Promise.all(this.lanes.map(async lane => {
+      const balance = await this.provider.getBalance(lane.address);
+      this.updateLane(lane, {
+        balance,
+        registered: treasury ? treasury.registered.has(lane.address) : true,
+        lowTreasuryBalance: treasury ? treasury.lowBalance.has(lane.address) : false
+      });
+    }));
+
+    await this.retryGasReports();
+  }
+
+  /**
+   * Refresh one wallet, e.g. after it paid for a relay
+   */
+  async refreshLane(lane) {
+    const [balance, info] = await Promise.all([
+      this.provider.getBalance(lane.address),
+      this.treasury ? this.treasury.getRelayerInfo(lane.address) : null
+    ]);
+
+    this.updateLane(lane, {
+      balance,
+      treasuryBalance: info ? info.balance : null,
+      registered: info ? info.authorized : true,
+      // Same rule as RelayerTreasury.getLowBalanceRelayers
+      lowTreasuryBalance: info ? info.authorized && info.balance < this.minBalance : false
+    });
+  }
+
+  updateLane(lane, { balance, treasuryBalance, registered, lowTreasuryBalance }) {
+    lane.balance = balance;
+    if (treasuryBalance !== undefined) {
+      lane.treasuryBalance = treasuryBalance;
+    }
+
+    let reason = null;
+    if (!registered) {
+      reason = 'not a relayer in RelayerTreasury';
+    } else if (lowTreasuryBalance) {
+      reason = 'treasury balance below minRelayerBalance';
+    } else if (balance < this.minBalance) {
+      reason = `wallet balance ${ethers.formatEther(balance)} ETH below minRelayerBalance`;
+    }
+
+    const active = reason === null;
+    const changed = active !== lane.active;
+    lane.active = active;
+    lane.reason = reason;
+
+    if (changed) {
+      if (active) {
+        console.log(`✅ Relayer ${lane.address} back in rotation`);
+      } else {
+        console.warn(`⚠️ Relayer ${lane.address} out of rotation: ${reason}`);
+      }
+      this.emit('rotation', lane);
+    }
+  }
+
+  /**
+   * Wallet for the next relay: the least busy one in rotation, taking turns between equals
+   */
+  pick() {
+    const active = this.lanes.filter(lane => lane.active);
+    if (active.length === 0) {
+      const reasons = this.lanes.map(lane => `${lane.address}: ${lane.reason}`).join('; ');
+      throw new Error(`No relayer wallet in rotation (${reasons})`);
+    }
+
+    const start = this.cursor++ % active.length;
+    const ordered = [...active.slice(start), ...active.slice(0, start)];
+    return ordered.reduce((best, lane) => (lane.manager.inFlight.size < best.manager.inFlight.size ? lane : best));
+  }
+
+  laneFor(transaction) {
+    return this.lanes.find(lane => lane.address === transaction.relayer) || null;
+  }
+
+  /**
+   * Relay through a wallet in rotation; the wallet is recorded as `transaction.relayer`
+   */
+  async send(transaction, request) {
+    const lane = this.pick();
+    transaction.relayer = lane.address;
+    return lane.manager.send(transaction, request);
+  }
+
+  /**
+   * Hand a transaction from before a restart back to the wallet that signed it
+   */
+  async resume(transaction) {
+    const lane = this.laneFor(transaction);
+    if (lane) {
+      await lane.manager.resume(transaction);
+    } else {
+      console.warn(`⚠️ ${transaction.id} was sent by ${transaction.relayer}, which is not in the relayer pool; not following it`);
+    }
+  }
+
+  track(transaction) {
+    const lane = this.laneFor(transaction);
+    if (lane) {
+      lane.manager.track(transaction);
+    } else {
+      console.warn(`⚠️ ${transaction.id} was sent by ${transaction.relayer}, which is not in the relayer pool; not following it`);
+    }
+  }
+
+  handleFinalized(lane, transaction) {
+    this.emit('finalized', transaction);
+
+    if (transaction.status === TX_STATUS.CONFIRMED) {
+      this.reportGasUsage(lane, transaction).catch(error => {
+        console.error(`Gas report for ${transaction.id} failed:`, error.message);
+      });
+    }
+    this.refreshLane(lane).catch(error => {
+      console.warn(`⚠️ Could not refresh relayer ${lane.address}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Record a confirmed relay's gas in RelayerTreasury, once per transaction
+   */
+  async reportGasUsage(lane, transaction) {
+    if (!this.treasury || !this.config.reportGasUsage || !transaction.receipt || this.store.getGasReport(transaction.id)) {
+      return;
+    }
+
+    const report = {
+      txId: transaction.id,
+      relayer: lane.address,
+      gasUsed: transaction.receipt.gasUsed,
+      gasPrice: transaction.receipt.effectiveGasPrice,
+      status: REPORT_STATUS.PENDING
+    };
+    this.store.saveGasReport(report);
+    return this.sendGasReport({ ...report, attempts: 0 });
+  }
+
+  async retryGasReports() {
+    if (!this.treasury || !this.config.reportGasUsage) {
+      return;
+    }
+
+    await this.checkGasReports();
+    const due = this.store.getGasReportsByStatus([REPORT_STATUS.PENDING, REPORT_STATUS.FAILED])
+      .filter(report => report.attempts < this.config.maxReportAttempts);
+    for (const report of due) {
+      await this.sendGasReport(report);
+    }
+  }
+
+  /**
+   * Follow sent reports to their receipt. A report is confirmed on status 1 and
+   * failed (so retried) when it reverted, when its nonce was mined by another
+   * transaction, or when the node has not known it for the lane's drop timeout;
+   * a dropped report's nonce goes back to the lane so it leaves no gap.
+   */
+  async checkGasReports() {
+    const latestNonces = new Map();
+
+    for (const report of this.store.getGasReportsByStatus(REPORT_STATUS.SENT)) {
+      const lane = this.lanes.find(candidate => candidate.address === report.relayer);
+      if (!lane || !report.reportHash || this.reporting.has(report.txId)) {
+        continue;
+      }
+
+      try {
+        const receipt = await this.provider.getTransactionReceipt(report.reportHash);
+        if (receipt) {
+          if (receipt.status === 1) {
+            this.store.saveGasReport({ ...report, status: REPORT_STATUS.CONFIRMED, blockNumber: receipt.blockNumber, error: null });
+            console.log(`🧾 Gas report for ${report.txId} confirmed in block ${receipt.blockNumber}`);
+          } else {
+            this.failGasReport(report, `recordGasUsage reverted in block ${receipt.blockNumber}`, { blockNumber: receipt.blockNumber });
+          }
+          continue;
+        }
+
+        if (report.nonce !== null) {
+          if (!latestNonces.has(lane.address)) {
+            latestNonces.set(lane.address, await this.provider.getTransactionCount(lane.address, 'latest'));
+          }
+          if (latestNonces.get(lane.address) > report.nonce) {
+            this.failGasReport(report, `Nonce ${report.nonce} was used by another transaction`);
+            continue;
+          }
+        }
+
+        const age = Date.now() - (report.sentAt || report.updatedAt.getTime());
+        if (age > lane.manager.config.dropTimeout && !(await this.provider.getTransaction(report.reportHash))) {
+          lane.manager.releaseNonce(report.nonce);
+          this.failGasReport(report, `Not seen by the node for ${Math.round(age / 1000)}s`);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Could not check gas report for ${report.txId}: ${error.message}`);
+      }
+    }
+  }
+
+  failGasReport(report, error, fields = {}) {
+    this.store.saveGasReport({ ...report, ...fields, status: REPORT_STATUS.FAILED, error });
+    console.warn(`⚠️ Gas report for ${report.txId} failed: ${error}`);
+  }
+
+  /**
+   * recordGasUsage must come from the relayer itself, so the report takes a nonce
+   * from that wallet's lane like any relay. checkGasReports() follows it from there.
+   */
+  async sendGasReport(report) {
+    const lane = this.lanes.find(candidate => candidate.address === report.relayer);
+    if (!lane || this.reporting.has(report.txId)) {
+      return;
+    }
+
+    this.reporting.add(report.txId);
+    const attempts = report.attempts + 1;
+    let nonce;
+    try {
+      nonce = await lane.manager.allocateNonce();
+      const response = await lane.manager.wallet.sendTransaction({
+        to: this.treasuryAddress,
+        data: TREASURY_INTERFACE.encodeFunctionData('recordGasUsage', [report.gasUsed, report.gasPrice]),
+        nonce,
+        ...(await lane.manager.currentFees())
+      });
+
+      this.store.saveGasReport({
+        ...report,
+        attempts,
+        status: REPORT_STATUS.SENT,
+        reportHash: response.hash,
+        nonce,
+        sentAt: Date.now(),
+        blockNumber: null,
+        error: null
+      });
+      console.log(`🧾 Reported ${report.gasUsed} gas of ${report.txId} to RelayerTreasury: ${response.hash}`);
+    } catch (error) {
+      const unknown = TransactionManager.UNKNOWN_OUTCOME_CODES.includes(error.code);
+      if (error.code === 'NONCE_EXPIRED') {
+        lane.manager.nextNonce = null;
+      } else if (!unknown) {
+        lane.manager.releaseNonce(nonce);
+      }
+
+      this.store.saveGasReport({
+        ...report,
+        attempts,
+        status: unknown ? REPORT_STATUS.UNKNOWN : REPORT_STATUS.FAILED,
+        error: error.shortMessage || error.message
+      });
+      console.warn(`⚠️ Gas report for ${report.txId} ${unknown ? 'has no clear outcome' : 'failed'}: ${error.shortMessage || error.message}`);
+    } finally {
+      this.reporting.delete(report.txId);
+    }
+  }
+
+  getStats() {
+    const relayers = this.lanes.map(lane => ({
+      ...lane.manager.getStats(),
+      active: lane.active,
+      reason: lane.reason,
+      balance: lane.balance !== null ? ethers.formatEther(lane.balance) : null,
+      treasuryBalance: lane.treasuryBalance !== null ? ethers.formatEther(lane.treasuryBalance) : null
+    }));
+    const total = (field) => relayers.reduce((sum, relayer) => sum + relayer[field], 0);
+
+    return {
+      relayers,
+      active: relayers.filter(relayer => relayer.active).length,
+      inFlight: total('inFlight'),
+      feeBumps: total('feeBumps'),
+      rebroadcasts: total('rebroadcasts'),
+      confirmationsRequired: relayers[0].confirmationsRequired,
+      minRelayerBalance: ethers.formatEther(this.minBalance),
+      treasury: this.treasuryAddress,
+      gasReports: this.store.countGasReportsByStatus()
+    };
+  }
+}
+
+RelayerPool.REPORT_STATUS = REPORT_STATUS;
+
+module.exports = RelayerPool;
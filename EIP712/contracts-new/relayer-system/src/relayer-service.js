@@ -1,29 +1,211 @@
+const { EventEmitter } = require('events');
 const { ethers } = require('ethers');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
 const EIP712Signer = require('./eip712-signer');
 const AIValidator = require('./ai-validator');
 const QOBIMerkleTree = require('./merkle-tree');
+const RelayerStore = require('./relayer-store');
+const DailyTreeJob = require('./daily-tree-job');
+const ClaimService = require('./claim-service');
+const GasBurnReporter = require('./gas-burn-reporter');
+const EventIndexer = require('./event-indexer');
+const RelayerPool = require('./relayer-pool');
+const BatchProcessor = require('./batch-processor');
+const MetricsRegistry = require('./metrics');
+const ApiKeyManager = require('./api-keys');
+const { parseInteractionType } = require('./qobi-contracts');
 
-class RelayerService {
+const { TX_STATUS } = RelayerStore;
+
+// States of a transaction that has been broadcast at least once
+const BROADCAST_STATES = [
+  TX_STATUS.RELAYED,
+  TX_STATUS.CONFIRMED,
+  TX_STATUS.REVERTED,
+  TX_STATUS.REPLACED,
+  TX_STATUS.DROPPED
+];
+
+// Lifecycle events emitted by RelayerService, each with a JSON-safe payload
+const RELAYER_EVENTS = {
+  TRANSACTION_QUEUED: 'transaction.queued',
+  TRANSACTION_VALIDATED: 'transaction.validated',
+  TRANSACTION_REJECTED: 'transaction.rejected',
+  BATCH_SEALED: 'batch.sealed',
+  RELAY_CONFIRMED: 'relay.confirmed',
+  RELAY_FAILED: 'relay.failed'
+};
+
+// Why a signed relay request was refused; `status` is the HTTP status to answer with
+class RelayRequestError extends Error {
+  constructor(message, { code, status, expectedNonce }) {
+    super(message);
+    this.name = 'RelayRequestError';
+    this.code = code;
+    this.status = status;
+    this.expectedNonce = expectedNonce;
+  }
+}
+
+// Another live relayer process owns the database this service was pointed at
+class DatabaseInUseError extends Error {
+  constructor(dbPath, owner) {
+    super(`${dbPath} is owned by relayer pid ${owner.pid} on ${owner.host} since ${new Date(owner.acquiredAt).toISOString()}`);
+    this.name = 'DatabaseInUseError';
+    this.code = 'DB_IN_USE';
+    this.owner = owner;
+  }
+}
+
+class RelayerService extends EventEmitter {
   constructor(config = {}) {
+    super();
     this.config = {
       rpcUrl: config.rpcUrl || process.env.RPC_URL,
       privateKey: config.privateKey || process.env.PRIVATE_KEY,
+      // Wallets that relay, each with its own nonces; PRIVATE_KEY alone when unset
+      relayerKeys: config.relayerKeys ||
+        (process.env.RELAYER_PRIVATE_KEYS ? process.env.RELAYER_PRIVATE_KEYS.split(',').map(key => key.trim()) : undefined),
       chainId: config.chainId || parseInt(process.env.CHAIN_ID) || 202102,
       batchSize: config.batchSize || parseInt(process.env.BATCH_SIZE) || 100,
       processingInterval: config.processingInterval || parseInt(process.env.PROCESSING_INTERVAL) || 10000,
+      maxBatchAge: config.maxBatchAge || parseInt(process.env.BATCH_MAX_AGE) || undefined,
+      queueHighWaterMark: config.queueHighWaterMark || parseInt(process.env.QUEUE_HIGH_WATER_MARK) || 1000,
+      queueOverflow: config.queueOverflow || process.env.QUEUE_OVERFLOW || BatchProcessor.OVERFLOW_POLICY.REJECT,
       ollamaUrl: config.ollamaUrl || process.env.OLLAMA_URL,
       ollamaModel: config.ollamaModel || process.env.OLLAMA_MODEL,
+      validatorBackend: config.validatorBackend || process.env.VALIDATOR_BACKEND || 'ollama',
+      dbPath: config.dbPath || process.env.DB_PATH || path.join(__dirname, '..', 'data', 'relayer.db'),
+      // An owner that has not renewed its claim on the database for this long is taken over
+      dbOwnerTimeout: config.dbOwnerTimeout || parseInt(process.env.DB_OWNER_TIMEOUT) || 60000,
+      // Inspect the database without owning it: initialize() only loads the persisted state
+      readonly: Boolean(config.readonly),
+      dailyTreeJob: config.dailyTreeJob !== undefined ? config.dailyTreeJob : process.env.DAILY_TREE_JOB !== 'false',
+      gasBurnReports: config.gasBurnReports !== undefined ? config.gasBurnReports : process.env.GAS_BURN_REPORTS !== 'false',
+      eventIndexer: config.eventIndexer !== undefined ? config.eventIndexer : process.env.EVENT_INDEXER !== 'false',
+      persistValidationCache: config.persistValidationCache !== undefined
+        ? config.persistValidationCache
+        : process.env.VALIDATION_CACHE_PERSIST !== 'false',
+      acceptHeuristicValidations: config.acceptHeuristicValidations !== undefined
+        ? config.acceptHeuristicValidations
+        : process.env.ACCEPT_HEURISTIC_VALIDATIONS !== 'false',
+      acceptFallbackValidations: config.acceptFallbackValidations !== undefined
+        ? config.acceptFallbackValidations
+        : process.env.ACCEPT_FALLBACK_VALIDATIONS !== 'false',
       ...config
     };
 
+    // Contract addresses
+    this.contracts = {
+      systemDeployer: config.systemDeployer || process.env.SYSTEM_DEPLOYER_ADDRESS,
+      accessControl: config.accessControl || process.env.ACCESS_CONTROL_ADDRESS,
+      dailyTree: config.dailyTree || process.env.DAILY_TREE_ADDRESS,
+      merkleDistributor: config.merkleDistributor || process.env.MERKLE_DISTRIBUTOR_ADDRESS,
+      stabilizingContract: config.stabilizingContract || process.env.STABILIZING_CONTRACT_ADDRESS,
+      relayerTreasury: config.relayerTreasury || process.env.RELAYER_TREASURY_ADDRESS
+    };
+
     this.provider = new ethers.JsonRpcProvider(this.config.rpcUrl);
-    this.signer = new EIP712Signer(this.config.privateKey, this.config.chainId);
-    this.aiValidator = new AIValidator(this.config.ollamaUrl, this.config.ollamaModel);
+    this.signer = new EIP712Signer(this.config.privateKey, this.config.chainId, this.contracts.dailyTree);
+    this.store = new RelayerStore(this.config.dbPath, { readonly: this.config.readonly });
+    // Counters and histograms are persisted in the store, so totals survive restarts
+    this.metrics = new MetricsRegistry({ store: this.store });
+    this.aiValidator = new AIValidator(this.config.ollamaUrl, this.config.ollamaModel, {
+      ...this.config.validation,
+      backend: this.config.validatorBackend,
+      metrics: this.metrics,
+      contracts: this.contracts,
+      // Opening the persistent cache prunes expired entries, which a read-only store cannot do
+      cacheStore: this.config.persistValidationCache && !this.config.readonly ? this.store : undefined
+    });
     this.merkleTree = new QOBIMerkleTree();
+    this.relayerPool = new RelayerPool({
+      provider: this.provider,
+      privateKeys: this.config.relayerKeys || [this.config.privateKey],
+      store: this.store,
+      treasury: this.contracts.relayerTreasury,
+      config: this.config
+    });
+    // API keys, their request limits and the relay gas they may spend per day
+    this.apiKeys = new ApiKeyManager({ store: this.store, config: this.config.apiKeys });
+
+    this.relayerPool.on('finalized', tx => {
+      if (tx.receipt) {
+        this.apiKeys.settleGas(tx.id, tx.receipt.gasUsed);
+      } else {
+        this.apiKeys.releaseGas(tx.id);
+      }
+      const event = tx.status === TX_STATUS.CONFIRMED ? RELAYER_EVENTS.RELAY_CONFIRMED : RELAYER_EVENTS.RELAY_FAILED;
+      this.emit(event, { transaction: summarizeTransaction(tx) });
+    });
+
+    // Daily distribution pipeline, only available when the QOBI contracts are configured
+    this.dailyTreeJob = this.contracts.dailyTree && this.contracts.merkleDistributor
+      ? new DailyTreeJob({
+        provider: this.provider,
+        privateKey: this.config.privateKey,
+        signer: this.signer,
+        store: this.store,
+        contracts: this.contracts,
+        config: this.config
+      })
+      : null;
+
+    // Daily recordGasBurn reports and reminting, only with a StabilizingContract
+    this.gasBurnReporter = this.contracts.stabilizingContract
+      ? new GasBurnReporter({
+        provider: this.provider,
+        privateKey: this.config.privateKey,
+        store: this.store,
+        contracts: this.contracts,
+        config: this.config
+      })
+      : null;
+
+    // Local, reorg-safe index of the QOBI contracts' events; claims and reports read it instead of the node
+    this.indexer = new EventIndexer({
+      provider: this.provider,
+      store: this.store,
+      contracts: this.contracts,
+      config: this.config
+    });
+
+    this.claimService = this.contracts.merkleDistributor
+      ? new ClaimService({
+        provider: this.provider,
+        store: this.store,
+        contracts: this.contracts,
+        indexer: this.config.eventIndexer ? this.indexer : null
+      })
+      : null;
+
+    // Batches trigger on size or age; PROCESSING_INTERVAL is the age when BATCH_MAX_AGE is unset
+    this.batchProcessor = new BatchProcessor({
+      handler: (batch) => this.validateBatch(batch),
+      batchSize: this.config.batchSize,
+      maxBatchAge: this.config.maxBatchAge || this.config.processingInterval,
+      highWaterMark: this.config.queueHighWaterMark,
+      overflow: this.config.queueOverflow
+    });
+    this.batchProcessor.on('enqueued', tx => {
+      this.store.saveTransaction(tx);
+      this.emit(RELAYER_EVENTS.TRANSACTION_QUEUED, { transaction: summarizeTransaction(tx) });
+    });
+    this.batchProcessor.on('batchFailed', (error, batch) => {
+      this.relayerMetrics.batchFailures.inc();
+      console.error(`❌ Batch of ${batch.length} transactions failed, retrying later:`, error.message);
+    });
+
+    this.relayerMetrics = this.registerMetrics();
 
-    this.pendingTransactions = [];
     this.processedBatches = [];
-    this.isProcessing = false;
+    this.inFlightRelays = new Map();
+    this.shuttingDown = false;
+    this.owner = null;
+    this.ownerTimer = null;
+    this.fenced = false;
     this.stats = {
       totalProcessed: 0,
       totalValidated: 0,
@@ -31,30 +213,89 @@ class RelayerService {
       averageProcessingTime: 0,
       errorCount: 0
     };
-
-    // Contract addresses
-    this.contracts = {
-      systemDeployer: config.systemDeployer || process.env.SYSTEM_DEPLOYER_ADDRESS,
-      accessControl: config.accessControl || process.env.ACCESS_CONTROL_ADDRESS,
-      dailyTree: config.dailyTree || process.env.DAILY_TREE_ADDRESS,
-      merkleDistributor: config.merkleDistributor || process.env.MERKLE_DISTRIBUTOR_ADDRESS,
-      stabilizingContract: config.stabilizingContract || process.env.STABILIZING_CONTRACT_ADDRESS,
-      relayerTreasury: config.relayerTreasury || process.env.RELAYER_TREASURY_ADDRESS
-    };
   }
 
   async initialize() {
+    if (this.config.readonly) {
+      this.loadState();
+      return;
+    }
+
     console.log('🚀 Initializing QOBI Relayer Service...');
+
+    // Only one relayer may restore, process and relay from a database
+    this.claimDatabase();
     
     // Test connections
     await this.testConnections();
+
+    // Rehydrate queue and batches from the persistent store
+    await this.restoreState();
     
     // Start processing loop
     this.startProcessing();
+    await this.refreshRelayerPool();
+    this.relayerPool.start();
+
+    if (this.dailyTreeJob && this.config.dailyTreeJob) {
+      this.dailyTreeJob.start();
+    }
+    if (this.gasBurnReporter && this.config.gasBurnReports) {
+      this.gasBurnReporter.start();
+    }
+    if (this.config.eventIndexer) {
+      this.indexer.start();
+    }
     
     console.log('✅ Relayer Service initialized successfully');
   }
 
+  /**
+   * Become the single owner of the store, or throw DatabaseInUseError. An owner on
+   * this host whose process is gone, or any owner that stopped renewing its claim,
+   * is taken over.
+   */
+  claimDatabase() {
+    const me = { ownerId: crypto.randomUUID(), pid: process.pid, host: os.hostname() };
+    const timeout = this.config.dbOwnerTimeout;
+
+    const owner = this.store.acquireOwner(me, (current) => {
+      if (Date.now() - current.heartbeatAt > timeout) {
+        return true;
+      }
+      return current.host === me.host && !isProcessAlive(current.pid);
+    });
+    if (owner.ownerId !== me.ownerId) {
+      throw new DatabaseInUseError(this.store.dbPath, owner);
+    }
+
+    this.owner = owner;
+    this.ownerTimer = setInterval(() => {
+      this.renewOwnership().catch(error => console.error('Database ownership error:', error));
+    }, Math.max(1000, Math.floor(timeout / 3)));
+    this.ownerTimer.unref();
+  }
+
+  /**
+   * Heartbeat of the ownership claim. Once another relayer has taken the database
+   * over, this one is fenced: it stops taking and doing work and shuts down without
+   * draining, since its queued transactions are still pending in the store and now
+   * belong to the new owner.
+   */
+  async renewOwnership() {
+    if (!this.owner || this.store.renewOwner(this.owner.ownerId)) {
+      return;
+    }
+
+    console.error('❌ Another relayer took over the database; this relayer stops');
+    clearInterval(this.ownerTimer);
+    this.ownerTimer = null;
+    this.owner = null;
+    this.fenced = true;
+    this.shuttingDown = true;
+    await this.shutdown();
+  }
+
   async testConnections() {
     try {
       // Test blockchain connection
@@ -64,7 +305,7 @@ class RelayerService {
       // Test AI validator connection
       const aiStatus = await this.aiValidator.testConnection();
       if (aiStatus.connected) {
-        console.log(`🤖 AI Validator connected: ${this.config.ollamaModel}`);
+        console.log(`🤖 AI Validator connected: ${aiStatus.backend} (${aiStatus.currentModel})`);
       } else {
         console.warn(`⚠️ AI Validator connection failed: ${aiStatus.error}`);
       }
@@ -80,12 +321,99 @@ class RelayerService {
     }
   }
 
+  async restoreState() {
+    const requeued = this.store.requeueInterruptedValidations();
+    if (requeued > 0) {
+      console.log(`♻️ Re-queued ${requeued} transactions interrupted during validation`);
+    }
+
+    this.loadState();
+
+    // Databases written before metrics were persisted: count their batches once
+    if (!this.metrics.restored) {
+      this.processedBatches.forEach(batchRecord => this.recordBatchMetrics(batchRecord));
+    }
+
+    console.log(`💾 Restored ${this.batchProcessor.length} pending transactions and ${this.processedBatches.length} batches`);
+
+    // Resolve relays that were signed but not confirmed as broadcast before the restart
+    for (const tx of this.store.getTransactionsByStatus(TX_STATUS.RELAYING)) {
+      await this.relayerPool.resume(this.withRelayer(this.findProcessedTransaction(tx.id).transaction || tx));
+    }
+
+    // Keep following broadcast transactions until they reach a terminal state
+    for (const tx of this.store.getTransactionsByStatus(TX_STATUS.RELAYED)) {
+      this.relayerPool.track(this.withRelayer(this.findProcessedTransaction(tx.id).transaction || tx));
+    }
+  }
+
+  /**
+   * Queue, batches, Merkle tree and totals as persisted, without writing to the
+   * store. The queue is only processed once startProcessing() runs.
+   */
+  loadState() {
+    this.batchProcessor.restore(this.store.getTransactionsByStatus(TX_STATUS.PENDING));
+    this.processedBatches = this.store.getBatches();
+
+    const leaves = this.processedBatches.flatMap(batch => batch.merkleLeaves.map(item => item.leaf));
+    if (leaves.length > 0) {
+      this.merkleTree.import({ leaves });
+    }
+
+    for (const batchRecord of this.processedBatches) {
+      this.stats.totalProcessed += batchRecord.stats.total;
+      this.stats.totalValidated += batchRecord.stats.validated;
+      this.stats.totalRelayed += batchRecord.transactions.filter(tx => BROADCAST_STATES.includes(tx.status)).length;
+    }
+    if (this.processedBatches.length > 0) {
+      this.stats.averageProcessingTime = this.processedBatches
+        .reduce((sum, batch) => sum + batch.processingTime, 0) / this.processedBatches.length;
+    }
+  }
+
+  // Relays from before the relayer pool were all sent with PRIVATE_KEY
+  withRelayer(transaction) {
+    transaction.relayer = transaction.relayer || this.signer.address;
+    return transaction;
+  }
+
+  async refreshRelayerPool() {
+    try {
+      await this.relayerPool.refresh();
+      const { active, relayers } = this.relayerPool.getStats();
+      console.log(`👛 Relayer pool: ${active}/${relayers.length} wallets in rotation`);
+    } catch (error) {
+      console.warn(`⚠️ Could not check relayer balances: ${error.message}`);
+    }
+  }
+
+  get pendingTransactions() {
+    return this.batchProcessor.items;
+  }
+
+  /**
+   * Queue a transaction for validation as the operator, without a user signature.
+   * Nothing vouches for its `from`, so it never counts towards the daily reward trees.
+   * It is persisted when the queue admits it.
+   * @throws {BackpressureError} code QUEUE_FULL when the queue is at its high-water mark
+   *   (QUEUE_OVERFLOW=reject), QUEUE_CLOSED once shutdown has begun
+   */
   async addTransaction(tx) {
+    const { signer, userSignature, ...unsigned } = tx;
+    return this.queueTransaction(unsigned);
+  }
+
+  async queueTransaction(tx) {
     // Validate required fields
     if (!tx.from || !tx.to) {
       throw new Error('Transaction must have from and to addresses');
     }
 
+    // Interactions tagged with a type feed the daily reward trees
+    const interactionType = tx.interactionType !== undefined && tx.interactionType !== null
+      ? parseInteractionType(tx.interactionType)
+      : undefined;
+
     const transaction = {
       id: this.generateTransactionId(),
       from: tx.from,
@@ -95,29 +423,107 @@ class RelayerService {
       gasLimit: tx.gasLimit || '21000',
       gasPrice: tx.gasPrice,
       timestamp: Math.floor(Date.now() / 1000),
-      status: 'pending',
-      ...tx
+      status: TX_STATUS.PENDING,
+      ...tx,
+      interactionType
     };
 
-    this.pendingTransactions.push(transaction);
+    await this.batchProcessor.enqueue(transaction);
     console.log(`📝 Added transaction ${transaction.id} to queue`);
     
     return transaction.id;
   }
 
-  async processBatch() {
-    if (this.isProcessing || this.pendingTransactions.length === 0) {
-      return;
+  /**
+   * Queue a transaction on behalf of the user who signed it (EIP-712 RelayRequest).
+   * The signature, deadline and the user's next nonce are checked before anything is
+   * queued; the nonce is handed back if the queue refuses the transaction.
+   * @param {Object} request RelayRequest fields, `value` in wei
+   * @param {string} signature The user's signature over the request
+   * @throws {RelayRequestError} INVALID_REQUEST, INVALID_SIGNATURE, EXPIRED or INVALID_NONCE
+   */
+  async addSignedTransaction(request, signature) {
+    let message;
+    let signer;
+    try {
+      message = this.signer.createRelayRequest(request);
+      signer = this.signer.recoverRelayRequestSigner(request, signature);
+    } catch (error) {
+      throw new RelayRequestError(`Invalid relay request: ${error.shortMessage || error.message}`, {
+        code: 'INVALID_REQUEST',
+        status: 400
+      });
+    }
+
+    if (signer !== message.from) {
+      throw new RelayRequestError(`Relay request was signed by ${signer}, not by ${message.from}`, {
+        code: 'INVALID_SIGNATURE',
+        status: 401
+      });
+    }
+    if (message.deadline < BigInt(Math.floor(Date.now() / 1000))) {
+      throw new RelayRequestError(`Relay request expired at ${message.deadline}`, { code: 'EXPIRED', status: 400 });
+    }
+
+    const nonce = Number(message.nonce);
+    if (!this.store.useUserNonce(signer, nonce)) {
+      const expectedNonce = this.store.getUserNonce(signer);
+      throw new RelayRequestError(`Invalid nonce ${nonce} for ${signer}, expected ${expectedNonce}`, {
+        code: 'INVALID_NONCE',
+        status: 409,
+        expectedNonce
+      });
     }
 
-    this.isProcessing = true;
+    try {
+      return await this.queueTransaction({
+        from: signer,
+        to: message.to,
+        value: ethers.formatEther(message.value),
+        data: message.data,
+        gasLimit: message.gasLimit.toString(),
+        interactionType: message.interactionType || undefined,
+        signer,
+        userSignature: signature,
+        userNonce: nonce,
+        deadline: Number(message.deadline)
+      });
+    } catch (error) {
+      this.store.releaseUserNonce(signer, nonce);
+      throw error;
+    }
+  }
+
+  /**
+   * Next nonce and the typed data layout a user signs for addSignedTransaction
+   */
+  getRelayRequestInfo(address) {
+    const user = ethers.getAddress(address);
+    return {
+      address: user,
+      nonce: this.store.getUserNonce(user),
+      domain: { ...this.signer.getRelayRequestDomain(), chainId: this.config.chainId },
+      types: EIP712Signer.RELAY_REQUEST_TYPES,
+      primaryType: 'RelayRequest'
+    };
+  }
+
+  /**
+   * Process every queued transaction now, whatever the size or age of the batches
+   * @returns {Promise<Object[]>} The batch records
+   */
+  async flush() {
+    return this.batchProcessor.flush({ all: true });
+  }
+
+  async validateBatch(batch) {
     const startTime = Date.now();
+    const batchId = this.generateBatchId();
 
     try {
-      // Take a batch of transactions
-      const batchSize = Math.min(this.config.batchSize, this.pendingTransactions.length);
-      const batch = this.pendingTransactions.splice(0, batchSize);
-      
+      batch.forEach(tx => { tx.status = TX_STATUS.VALIDATING; });
+      this.store.saveTransactions(batch);
+
       console.log(`🔄 Processing batch of ${batch.length} transactions...`);
 
       // AI Validation
@@ -133,15 +539,19 @@ class RelayerService {
         const leafData = {
           tx,
           validation,
-          batchId: this.generateBatchId(),
+          batchId,
           timestamp: Date.now()
         };
         
         const leaf = this.merkleTree.addLeaf(leafData);
         merkleLeaves.push({ leaf, data: leafData });
         
-        // Update transaction status
-        tx.status = validation.riskScore > 70 ? 'rejected' : 'validated';
+        // Update transaction status. Verdicts guessed from free text, or made up while the
+        // backend was unavailable, can be refused outright
+        const { HEURISTIC, FALLBACK } = AIValidator.VALIDATION_OUTCOME;
+        const degraded = (validation.parseOutcome === HEURISTIC && !this.config.acceptHeuristicValidations) ||
+          (validation.parseOutcome === FALLBACK && !this.config.acceptFallbackValidations);
+        tx.status = validation.riskScore > 70 || degraded ? TX_STATUS.REJECTED : TX_STATUS.VALIDATED;
         tx.validation = validation;
       }
 
@@ -150,7 +560,7 @@ class RelayerService {
       
       // Create batch record
       const batchRecord = {
-        id: this.generateBatchId(),
+        id: batchId,
         transactions: batch,
         validations,
         merkleRoot,
@@ -162,65 +572,121 @@ class RelayerService {
         processingTime: Date.now() - startTime,
         stats: {
           total: batch.length,
-          validated: batch.filter(tx => tx.status === 'validated').length,
-          rejected: batch.filter(tx => tx.status === 'rejected').length
+          validated: batch.filter(tx => tx.status === TX_STATUS.VALIDATED).length,
+          rejected: batch.filter(tx => tx.status === TX_STATUS.REJECTED).length
         }
       };
 
+      this.store.saveBatch(batchRecord);
       this.processedBatches.push(batchRecord);
       
       // Update stats
       this.updateStats(batchRecord);
+      this.recordBatchMetrics(batchRecord);
       
       console.log(`✅ Batch ${batchRecord.id} processed successfully`);
       console.log(`📊 Stats: ${batchRecord.stats.validated} validated, ${batchRecord.stats.rejected} rejected`);
       console.log(`🌳 Merkle Root: ${merkleRoot}`);
 
+      this.emitBatchEvents(batchRecord);
       return batchRecord;
 
     } catch (error) {
       console.error('❌ Batch processing failed:', error);
       this.stats.errorCount++;
+
+      // The batch processor puts the batch back at the head of the queue so no transaction is lost
+      batch.forEach(tx => {
+        tx.status = TX_STATUS.PENDING;
+        delete tx.validation;
+      });
+      this.store.saveTransactions(batch);
       throw error;
-    } finally {
-      this.isProcessing = false;
     }
   }
 
-  startProcessing() {
-    console.log(`🔄 Starting batch processing (interval: ${this.config.processingInterval}ms)`);
-    
-    setInterval(async () => {
-      try {
-        await this.processBatch();
-      } catch (error) {
-        console.error('Processing interval error:', error);
+  emitBatchEvents(batchRecord) {
+    for (const tx of batchRecord.transactions) {
+      const event = tx.status === TX_STATUS.VALIDATED
+        ? RELAYER_EVENTS.TRANSACTION_VALIDATED
+        : RELAYER_EVENTS.TRANSACTION_REJECTED;
+      this.emit(event, { batchId: batchRecord.id, transaction: summarizeTransaction(tx) });
+    }
+
+    this.emit(RELAYER_EVENTS.BATCH_SEALED, {
+      batch: {
+        id: batchRecord.id,
+        merkleRoot: batchRecord.merkleRoot,
+        processedAt: batchRecord.processedAt,
+        processingTime: batchRecord.processingTime,
+        stats: batchRecord.stats,
+        transactionIds: batchRecord.transactions.map(tx => tx.id)
       }
-    }, this.config.processingInterval);
+    });
   }
 
-  async relayTransaction(txId) {
-    // Find the transaction in processed batches
-    let transaction = null;
-    let batchRecord = null;
+  startProcessing() {
+    const { batchSize, maxBatchAge, highWaterMark, overflow } = this.batchProcessor;
+    console.log(`🔄 Starting batch processing (${batchSize} transactions or ${maxBatchAge}ms, high-water mark ${highWaterMark}, ${overflow} when full)`);
+    this.batchProcessor.start();
+  }
 
+  findProcessedTransaction(txId) {
     for (const batch of this.processedBatches) {
       const found = batch.transactions.find(tx => tx.id === txId);
       if (found) {
-        transaction = found;
-        batchRecord = batch;
-        break;
+        return { transaction: found, batchRecord: batch };
       }
     }
+    return { transaction: null, batchRecord: null };
+  }
+
+  /**
+   * Relay a validated transaction. Shutdown waits for relays already started.
+   * @param {Object} [options]
+   * @param {string} [options.apiKeyId] Key whose daily gas quota pays for the relay
+   * @throws {ApiKeyError} QUOTA_EXCEEDED when the gas limit does not fit the key's quota
+   * @throws {RelayRequestError} RELAY_IN_PROGRESS when the transaction is already being relayed
+   */
+  async relayTransaction(txId, options = {}) {
+    if (this.shuttingDown) {
+      throw new Error('Relayer is shutting down and no longer relays transactions');
+    }
+
+    // Refused before performRelay, whose failure path would mark the transaction
+    // the first relay is sending as failed
+    if (this.inFlightRelays.has(txId)) {
+      throw new RelayRequestError(`Transaction ${txId} is already being relayed`, {
+        code: 'RELAY_IN_PROGRESS',
+        status: 409
+      });
+    }
+
+    const relay = this.performRelay(txId, options);
+    this.inFlightRelays.set(txId, relay);
+    try {
+      return await relay;
+    } finally {
+      this.inFlightRelays.delete(txId);
+    }
+  }
+
+  async performRelay(txId, { apiKeyId } = {}) {
+    // Find the transaction in processed batches
+    const { transaction, batchRecord } = this.findProcessedTransaction(txId);
 
     if (!transaction) {
       throw new Error(`Transaction ${txId} not found in processed batches`);
     }
 
-    if (transaction.status !== 'validated') {
+    if (transaction.status !== TX_STATUS.VALIDATED) {
       throw new Error(`Transaction ${txId} is not validated (status: ${transaction.status})`);
     }
 
+    if (apiKeyId) {
+      this.apiKeys.reserveGas(apiKeyId, txId, Number(transaction.gasLimit));
+    }
+
     try {
       // Create EIP-712 signed message
       const typedMessage = this.signer.createTypedMessage(
@@ -233,27 +699,25 @@ class RelayerService {
 
       const signature = await this.signer.signQOBIMessage(typedMessage);
 
-      // Submit to blockchain
-      const wallet = new ethers.Wallet(this.config.privateKey, this.provider);
-      const txResponse = await wallet.sendTransaction({
+      transaction.signature = signature;
+
+      // The transaction manager signs with a managed nonce and persists before
+      // broadcasting, then follows the transaction until it is confirmed or fails
+      await this.relayerPool.send(transaction, {
         to: transaction.to,
         value: ethers.parseEther(transaction.value.toString()),
         data: transaction.data,
         gasLimit: transaction.gasLimit
       });
 
-      console.log(`🚀 Transaction relayed: ${txResponse.hash}`);
-      
-      // Update transaction record
-      transaction.status = 'relayed';
-      transaction.txHash = txResponse.hash;
-      transaction.signature = signature;
-      transaction.relayedAt = new Date();
+      console.log(`🚀 Transaction relayed: ${transaction.txHash} (nonce ${transaction.nonce})`);
 
       this.stats.totalRelayed++;
 
       return {
-        txHash: txResponse.hash,
+        txHash: transaction.txHash,
+        nonce: transaction.nonce,
+        status: transaction.status,
         signature,
         merkleProof: this.merkleTree.getProof(
           Buffer.from(batchRecord.merkleLeaves.find(item => item.txId === txId).leaf.slice(2), 'hex')
@@ -262,8 +726,14 @@ class RelayerService {
 
     } catch (error) {
       console.error(`❌ Failed to relay transaction ${txId}:`, error);
-      transaction.status = 'failed';
-      transaction.error = error.message;
+      if (apiKeyId && !transaction.txHash) {
+        this.apiKeys.releaseGas(txId);
+      }
+      if (transaction.status !== TX_STATUS.FAILED) {
+        transaction.status = TX_STATUS.FAILED;
+        transaction.error = error.message;
+        this.store.saveTransaction(transaction);
+      }
       throw error;
     }
   }
@@ -286,11 +756,124 @@ class RelayerService {
       (this.stats.averageProcessingTime * (totalBatches - 1) + batchRecord.processingTime) / totalBatches;
   }
 
+  registerMetrics() {
+    const metrics = this.metrics;
+
+    metrics.gauge({
+      name: 'qobi_queue_depth',
+      help: 'Transactions queued for validation',
+      collect: () => this.batchProcessor.length
+    });
+    metrics.gauge({
+      name: 'qobi_queue_high_water_mark',
+      help: 'Queue depth at which submissions are rejected or held',
+      collect: () => this.batchProcessor.highWaterMark
+    });
+    metrics.gauge({
+      name: 'qobi_transactions',
+      help: 'Stored transactions by lifecycle state, including relay outcomes',
+      labelNames: ['status'],
+      collect: () => Object.entries(this.store.countTransactionsByStatus())
+        .map(([status, value]) => ({ labels: { status }, value }))
+    });
+    metrics.gauge({
+      name: 'qobi_relays_in_flight',
+      help: 'Broadcast transactions waiting for confirmation',
+      collect: () => this.relayerPool.inFlight
+    });
+    metrics.gauge({
+      name: 'qobi_relayer_wallet_balance_ether',
+      help: 'Balance of each relayer wallet',
+      labelNames: ['relayer'],
+      // Omitted from the scrape when the node does not answer in time
+      collect: async () => {
+        const balances = await Promise.race([
+          Promise.all(this.relayerPool.addresses.map(address => this.provider.getBalance(address))),
+          new Promise((resolve, reject) => setTimeout(() => reject(new Error('balance timeout')), 5000).unref())
+        ]);
+        return this.relayerPool.addresses.map((relayer, i) => ({
+          labels: { relayer },
+          value: Number(ethers.formatEther(balances[i]))
+        }));
+      }
+    });
+    metrics.gauge({
+      name: 'qobi_relayer_in_rotation',
+      help: 'Whether a relayer wallet takes new relays (1) or is out of rotation (0)',
+      labelNames: ['relayer'],
+      collect: () => this.relayerPool.lanes.map(lane => ({ labels: { relayer: lane.address }, value: lane.active ? 1 : 0 }))
+    });
+    metrics.gauge({
+      name: 'qobi_treasury_gas_reports',
+      help: 'RelayerTreasury.recordGasUsage reports by status',
+      labelNames: ['status'],
+      collect: () => Object.entries(this.store.countGasReportsByStatus())
+        .map(([status, value]) => ({ labels: { status }, value }))
+    });
+    metrics.gauge({
+      name: 'qobi_merkle_tree_leaves',
+      help: 'Leaves in the batch Merkle tree',
+      collect: () => this.merkleTree.leaves.length
+    });
+
+    const relayerMetrics = {
+      submitted: metrics.counter({
+        name: 'qobi_transactions_submitted_total',
+        help: 'Transactions accepted into the queue'
+      }),
+      refused: metrics.counter({
+        name: 'qobi_transactions_refused_total',
+        help: 'Submissions refused by backpressure (QUEUE_FULL, QUEUE_CLOSED)',
+        labelNames: ['code']
+      }),
+      batchFailures: metrics.counter({
+        name: 'qobi_batch_failures_total',
+        help: 'Batches that failed and were put back on the queue'
+      }),
+      batchSize: metrics.histogram({
+        name: 'qobi_batch_size',
+        help: 'Transactions per processed batch',
+        buckets: [1, 5, 10, 25, 50, 100, 250, 500, 1000]
+      }),
+      batchDuration: metrics.histogram({
+        name: 'qobi_batch_processing_seconds',
+        help: 'Time to validate and record a batch',
+        buckets: [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]
+      }),
+      validations: metrics.counter({
+        name: 'qobi_validations_total',
+        help: 'Validated transactions by classification, parse outcome and resulting status',
+        labelNames: ['classification', 'outcome', 'status']
+      })
+    };
+
+    this.batchProcessor.on('enqueued', () => relayerMetrics.submitted.inc());
+    this.batchProcessor.on('rejected', (tx, code) => relayerMetrics.refused.inc({ code }));
+
+    return relayerMetrics;
+  }
+
+  recordBatchMetrics(batchRecord) {
+    this.relayerMetrics.batchSize.observe({}, batchRecord.stats.total);
+    this.relayerMetrics.batchDuration.observe({}, batchRecord.processingTime / 1000);
+    for (const tx of batchRecord.transactions) {
+      const validation = tx.validation || {};
+      this.relayerMetrics.validations.inc({
+        classification: validation.classification || 'unknown',
+        outcome: validation.parseOutcome || 'unknown',
+        status: tx.status === TX_STATUS.REJECTED ? TX_STATUS.REJECTED : TX_STATUS.VALIDATED
+      });
+    }
+  }
+
   getStats() {
     return {
       ...this.stats,
-      pendingTransactions: this.pendingTransactions.length,
+      pendingTransactions: this.batchProcessor.length,
+      queue: this.batchProcessor.getStats(),
       processedBatches: this.processedBatches.length,
+      transactionStates: this.store.countTransactionsByStatus(),
+      relay: this.relayerPool.getStats(),
       merkleTreeStats: this.merkleTree.getStats(),
       aiValidatorStats: this.aiValidator.getValidationStats()
     };
@@ -300,16 +883,240 @@ class RelayerService {
     return this.processedBatches.slice(-count);
   }
 
+  /**
+   * A batch with its transactions, validations and a Merkle proof for every leaf.
+   * The batch root covers every leaf up to and including this batch, so proofs are
+   * built from that prefix and verify against `merkleRoot`.
+   */
+  getBatchDetails(batchId) {
+    const index = this.processedBatches.findIndex(batch => batch.id === batchId);
+    if (index === -1) {
+      return null;
+    }
+
+    const batchRecord = this.processedBatches[index];
+    const tree = new QOBIMerkleTree();
+    tree.import({
+      leaves: this.processedBatches.slice(0, index + 1).flatMap(batch => batch.merkleLeaves.map(item => item.leaf))
+    });
+
+    return {
+      id: batchRecord.id,
+      merkleRoot: batchRecord.merkleRoot,
+      processedAt: batchRecord.processedAt,
+      processingTime: batchRecord.processingTime,
+      stats: batchRecord.stats,
+      transactions: batchRecord.transactions.map(tx => {
+        const { leaf } = batchRecord.merkleLeaves.find(item => item.txId === tx.id) || {};
+        const proof = leaf ? tree.getProof(Buffer.from(leaf.slice(2), 'hex')) : null;
+        return {
+          ...summarizeTransaction(tx),
+          data: tx.data,
+          validation: tx.validation,
+          leaf,
+          proof,
+          proofValid: proof ? tree.verify(proof, leaf, batchRecord.merkleRoot) : false
+        };
+      })
+    };
+  }
+
+  /**
+   * Validated transactions filtered by how their verdict was parsed, e.g. ['heuristic', 'fallback']
+   * to review degraded decisions
+   */
+  getValidations(parseOutcomes = Object.values(AIValidator.VALIDATION_OUTCOME), limit = 100) {
+    const unknown = parseOutcomes.filter(outcome => !Object.values(AIValidator.VALIDATION_OUTCOME).includes(outcome));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown parse outcome: ${unknown.join(', ')}`);
+    }
+    return this.store.getTransactionsByParseOutcome(parseOutcomes, limit);
+  }
+
+  /**
+   * Drop cached AI verdicts; see AIValidator.invalidateCache for the filter
+   */
+  invalidateValidationCache(filter) {
+    const removed = this.aiValidator.invalidateCache(filter);
+    console.log(`🧹 Invalidated ${removed} cached validations`);
+    return removed;
+  }
+
+  /**
+   * Drop cached verdicts, or switch to another policy version (which drops the old
+   * version's entries)
+   * @returns {{removed: number, cacheVersion: string}}
+   */
+  clearValidationCache({ tx, version, stale, policyVersion } = {}) {
+    const removed = policyVersion !== undefined
+      ? this.aiValidator.setPolicyVersion(policyVersion)
+      : this.invalidateValidationCache({ tx, version, stale });
+    return { removed, cacheVersion: this.aiValidator.cacheVersion() };
+  }
+
+  async getAIStatus() {
+    return {
+      connection: await this.aiValidator.testConnection(),
+      stats: this.aiValidator.getValidationStats()
+    };
+  }
+
+  async runDailyTrees(day) {
+    if (!this.dailyTreeJob) {
+      throw new Error('Daily tree job requires DAILY_TREE_ADDRESS and MERKLE_DISTRIBUTOR_ADDRESS');
+    }
+    return this.dailyTreeJob.run(day);
+  }
+
+  /**
+   * Events from the local index; see RelayerStore.getIndexedEvents for the filter
+   */
+  getIndexedEvents(filter) {
+    return this.indexer.getEvents(filter);
+  }
+
+  getIndexerStatus() {
+    return this.indexer.getStatus();
+  }
+
+  async reportGasBurn(day, options) {
+    return this.requireGasBurnReporter().run(day, options);
+  }
+
+  async reconcileGasBurn(fromDay, toDay) {
+    return this.requireGasBurnReporter().reconcile(fromDay, toDay);
+  }
+
+  async remintBurnedTokens() {
+    return this.requireGasBurnReporter().remint();
+  }
+
+  requireGasBurnReporter() {
+    if (!this.gasBurnReporter) {
+      throw new Error('Gas burn reports require STABILIZING_CONTRACT_ADDRESS');
+    }
+    return this.gasBurnReporter;
+  }
+
+  async getClaims(user, filter) {
+    return this.requireClaimService().getClaims(user, filter);
+  }
+
+  async getClaim(user, day, interactionType) {
+    return this.requireClaimService().getClaim(user, day, interactionType);
+  }
+
+  /**
+   * Calldata claiming every currently claimable allocation that matches the filter
+   */
+  async getClaimTransaction(user, filter) {
+    const { claims } = await this.getClaims(user, filter);
+    return this.claimService.buildClaimTransaction(user, claims);
+  }
+
+  requireClaimService() {
+    if (!this.claimService) {
+      throw new Error('Claims require MERKLE_DISTRIBUTOR_ADDRESS');
+    }
+    return this.claimService;
+  }
+
+  /**
+   * Stop intake, drain every queued batch, wait for relays in flight, then stop the
+   * background jobs and close the store. Transactions a failed batch leaves behind
+   * stay pending in the store and are picked up on the next start.
+   */
   async shutdown() {
+    if (this.shutdownPromise) {
+      return this.shutdownPromise;
+    }
+    this.shutdownPromise = this.performShutdown();
+    return this.shutdownPromise;
+  }
+
+  async performShutdown() {
+    // Nothing was started; the queue belongs to the relayer that owns the database
+    if (this.config.readonly) {
+      this.store.close();
+      return;
+    }
+
     console.log('🛑 Shutting down Relayer Service...');
-    this.isProcessing = false;
-    // Process any remaining transactions
-    if (this.pendingTransactions.length > 0) {
-      console.log(`🔄 Processing ${this.pendingTransactions.length} remaining transactions...`);
-      await this.processBatch();
+
+    if (this.batchProcessor.length > 0 && !this.fenced) {
+      console.log(`🔄 Draining ${this.batchProcessor.length} queued transactions...`);
+    }
+    try {
+      await this.batchProcessor.stop({ drain: !this.fenced });
+    } catch (error) {
+      console.error(`⚠️ Drain stopped with ${this.batchProcessor.length} transactions still pending:`, error.message);
+    }
+
+    this.shuttingDown = true;
+    if (this.inFlightRelays.size > 0) {
+      console.log(`⏳ Waiting for ${this.inFlightRelays.size} relays in flight...`);
+      await Promise.allSettled([...this.inFlightRelays.values()]);
+    }
+
+    this.relayerPool.stop();
+    if (this.dailyTreeJob) {
+      this.dailyTreeJob.stop();
+    }
+    if (this.gasBurnReporter) {
+      this.gasBurnReporter.stop();
+    }
+    this.indexer.stop();
+    if (this.indexer.syncing) {
+      await this.indexer.syncing.catch(() => {});
     }
+    if (this.owner) {
+      clearInterval(this.ownerTimer);
+      this.store.releaseOwner(this.owner.ownerId);
+      this.owner = null;
+    }
+    this.store.close();
     console.log('✅ Relayer Service shutdown complete');
   }
 }
 
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * The fields of a transaction shown in events and the dashboard feed
+ */
+function summarizeTransaction(tx) {
+  const { validation } = tx;
+  return {
+    id: tx.id,
+    from: tx.from,
+    signer: tx.signer,
+    to: tx.to,
+    value: tx.value,
+    status: tx.status,
+    interactionType: tx.interactionType,
+    validation: validation ? {
+      riskScore: validation.riskScore,
+      confidence: validation.confidence,
+      classification: validation.classification,
+      parseOutcome: validation.parseOutcome,
+      validatorId: validation.validatorId
+    } : undefined,
+    txHash: tx.txHash,
+    receipt: tx.receipt,
+    error: tx.error
+  };
+}
+
+RelayerService.EVENTS = RELAYER_EVENTS;
+RelayerService.RelayRequestError = RelayRequestError;
+RelayerService.DatabaseInUseError = DatabaseInUseError;
+
 module.exports = RelayerService;
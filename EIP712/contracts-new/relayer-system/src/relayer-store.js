@@ -0,0 +1,1007 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Transaction lifecycle states persisted alongside each queued transaction.
+// VALIDATING and RELAYING are in-flight states that are resolved on restart.
+// RELAYED transactions are broadcast and followed until one of the terminal
+// relay states (CONFIRMED, REVERTED, REPLACED, DROPPED) is reached.
+const TX_STATUS = {
+  PENDING: 'pending',
+  VALIDATING: 'validating',
+  VALIDATED: 'validated',
+  REJECTED: 'rejected',
+  RELAYING: 'relaying',
+  RELAYED: 'relayed',
+  CONFIRMED: 'confirmed',
+  REVERTED: 'reverted',
+  REPLACED: 'replaced',
+  DROPPED: 'dropped',
+  FAILED: 'failed'
+};
+
+// Fields of a transaction record that describe its relay attempts
+const RELAY_FIELDS = [
+  'txHash', 'rawTransaction', 'signature', 'relayedAt', 'error',
+  'nonce', 'request', 'attempts', 'receipt', 'finalizedAt'
+];
+
+function indexedEventsWhere({ contract, event, fromBlock, toBlock, args = {} }) {
+  const clauses = [];
+  const params = [];
+
+  if (contract) {
+    clauses.push('contract = ?');
+    params.push(contract);
+  }
+  if (event) {
+    const names = [].concat(event);
+    clauses.push(`event IN (${names.map(() => '?').join(', ')})`);
+    params.push(...names);
+  }
+  if (fromBlock !== undefined) {
+    clauses.push('block_number >= ?');
+    params.push(fromBlock);
+  }
+  if (toBlock !== undefined) {
+    clauses.push('block_number <= ?');
+    params.push(toBlock);
+  }
+  for (const [name, value] of Object.entries(args)) {
+    if (!/^\w+$/.test(name)) {
+      throw new Error(`Invalid event argument name: ${name}`);
+    }
+    // Decoded arguments are strings; addresses are compared case-insensitively
+    clauses.push(`lower(json_extract(args, '$.${name}')) = lower(?)`);
+    params.push(String(value));
+  }
+
+  return { where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+class RelayerStore {
+  /**
+   * @param {string} [dbPath]
+   * @param {Object} [options] `readonly` opens an existing database for reading only,
+   *   without migrating it, for tools that inspect a relayer's state
+   */
+  constructor(dbPath = path.join(__dirname, '..', 'data', 'relayer.db'), { readonly = false } = {}) {
+    this.dbPath = dbPath;
+    this.readonly = readonly;
+
+    if (readonly) {
+      this.db = new Database(dbPath, { readonly: true, fileMustExist: true });
+      return;
+    }
+
+    if (dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    }
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.migrate();
+  }
+
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS transactions (
+        id TEXT PRIMARY KEY,
+        batch_id TEXT,
+        status TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        validation TEXT,
+        relay TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_transactions_status ON transactions (status);
+      CREATE INDEX IF NOT EXISTS idx_transactions_batch ON transactions (batch_id);
+
+      CREATE TABLE IF NOT EXISTS batches (
+        id TEXT PRIMARY KEY,
+        merkle_root TEXT,
+        merkle_leaves TEXT NOT NULL,
+        stats TEXT NOT NULL,
+        processing_time INTEGER NOT NULL,
+        processed_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS daily_submissions (
+        day INTEGER NOT NULL,
+        interaction_type INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        merkle_root TEXT,
+        allocations TEXT,
+        total_qobi TEXT,
+        nonce TEXT,
+        tx_hash TEXT,
+        event TEXT,
+        error TEXT,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (day, interaction_type)
+      );
+
+      CREATE TABLE IF NOT EXISTS validation_cache (
+        key TEXT PRIMARY KEY,
+        version TEXT NOT NULL,
+        validation TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_validation_cache_expiry ON validation_cache (expires_at);
+
+      CREATE TABLE IF NOT EXISTS metrics (
+        name TEXT NOT NULL,
+        labels TEXT NOT NULL,
+        value REAL NOT NULL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (name, labels)
+      );
+
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        key_hash TEXT NOT NULL,
+        scopes TEXT NOT NULL,
+        rate_limit INTEGER,
+        daily_gas_quota INTEGER,
+        created_at INTEGER NOT NULL,
+        last_used_at INTEGER,
+        revoked_at INTEGER
+      );
+
+      CREATE TABLE IF NOT EXISTS api_key_gas (
+        tx_id TEXT PRIMARY KEY,
+        key_id TEXT NOT NULL,
+        day INTEGER NOT NULL,
+        gas INTEGER NOT NULL,
+        settled INTEGER NOT NULL DEFAULT 0
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_api_key_gas_day ON api_key_gas (key_id, day);
+
+      CREATE TABLE IF NOT EXISTS api_audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        key_id TEXT,
+        method TEXT NOT NULL,
+        path TEXT NOT NULL,
+        status INTEGER NOT NULL,
+        code TEXT NOT NULL,
+        reason TEXT,
+        ip TEXT,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS user_nonces (
+        address TEXT PRIMARY KEY,
+        nonce INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS burn_reports (
+        day INTEGER PRIMARY KEY,
+        status TEXT NOT NULL,
+        amount TEXT NOT NULL,
+        relays INTEGER NOT NULL,
+        excluded INTEGER NOT NULL DEFAULT 0,
+        report_day INTEGER,
+        tx_hash TEXT,
+        block_number INTEGER,
+        error TEXT,
+        updated_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS gas_reports (
+        tx_id TEXT PRIMARY KEY,
+        relayer TEXT NOT NULL,
+        gas_used TEXT NOT NULL,
+        gas_price TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        report_hash TEXT,
+        nonce INTEGER,
+        sent_at INTEGER,
+        block_number INTEGER,
+        error TEXT,
+        updated_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS indexed_events (
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        block_hash TEXT NOT NULL,
+        tx_hash TEXT NOT NULL,
+        contract TEXT NOT NULL,
+        address TEXT NOT NULL,
+        event TEXT,
+        args TEXT,
+        topics TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (block_number, log_index)
+      );
+      CREATE INDEX IF NOT EXISTS idx_indexed_events_event ON indexed_events (contract, event, block_number);
+
+      CREATE TABLE IF NOT EXISTS indexer_checkpoints (
+        contract TEXT PRIMARY KEY,
+        address TEXT NOT NULL,
+        block_number INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS indexer_blocks (
+        block_number INTEGER PRIMARY KEY,
+        block_hash TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS relayer_owner (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        owner_id TEXT NOT NULL,
+        pid INTEGER NOT NULL,
+        host TEXT NOT NULL,
+        acquired_at INTEGER NOT NULL,
+        heartbeat_at INTEGER NOT NULL
+      );
+    `);
+
+    // Columns added to tables after databases were already created with them
+    this.addMissingColumns('gas_reports', { nonce: 'INTEGER', sent_at: 'INTEGER', block_number: 'INTEGER' });
+  }
+
+  addMissingColumns(table, columns) {
+    const existing = new Set(this.db.pragma(`table_info(${table})`).map(column => column.name));
+    for (const [name, type] of Object.entries(columns)) {
+      if (!existing.has(name)) {
+        this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+      }
+    }
+  }
+
+  /**
+   * The relayer process that owns this database, or null
+   */
+  getOwner() {
+    const row = this.db.prepare('SELECT * FROM relayer_owner WHERE id = 1').get();
+    return row ? {
+      ownerId: row.owner_id,
+      pid: row.pid,
+      host: row.host,
+      acquiredAt: row.acquired_at,
+      heartbeatAt: row.heartbeat_at
+    } : null;
+  }
+
+  /**
+   * Take ownership of the database unless another owner holds it and `isStale`
+   * says it is still alive. Runs under the write lock, so two processes starting
+   * together cannot both win.
+   * @param {Object} owner `ownerId`, `pid` and `host` of the caller
+   * @param {Function} isStale Called with the current owner; true lets the caller take over
+   * @returns {Object} The owner after the call: the caller's record when it was acquired
+   */
+  acquireOwner({ ownerId, pid, host }, isStale) {
+    return this.db.transaction(() => {
+      const current = this.getOwner();
+      if (current && current.ownerId !== ownerId && !isStale(current)) {
+        return current;
+      }
+      const now = Date.now();
+      this.db.prepare(`
+        INSERT INTO relayer_owner (id, owner_id, pid, host, acquired_at, heartbeat_at)
+        VALUES (1, ?, ?, ?, ?, ?)
+        ON CONFLICT (id) DO UPDATE SET
+          owner_id = excluded.owner_id, pid = excluded.pid, host = excluded.host,
+          acquired_at = excluded.acquired_at, heartbeat_at = excluded.heartbeat_at
+      `).run(ownerId, pid, host, now, now);
+      return this.getOwner();
+    }).immediate();
+  }
+
+  /**
+   * @returns {boolean} false when the caller no longer owns the database
+   */
+  renewOwner(ownerId) {
+    return this.db.prepare('UPDATE relayer_owner SET heartbeat_at = ? WHERE id = 1 AND owner_id = ?')
+      .run(Date.now(), ownerId).changes > 0;
+  }
+
+  releaseOwner(ownerId) {
+    this.db.prepare('DELETE FROM relayer_owner WHERE id = 1 AND owner_id = ?').run(ownerId);
+  }
+
+  saveTransaction(tx) {
+    const { id, status, batchId, validation, ...rest } = tx;
+    const relay = {};
+    const payload = {};
+
+    for (const [key, value] of Object.entries(rest)) {
+      if (RELAY_FIELDS.includes(key)) {
+        relay[key] = value;
+      } else {
+        payload[key] = value;
+      }
+    }
+
+    const now = Date.now();
+    this.db.prepare(`
+      INSERT INTO transactions (id, batch_id, status, payload, validation, relay, created_at, updated_at)
+      VALUES (@id, @batchId, @status, @payload, @validation, @relay, @now, @now)
+      ON CONFLICT (id) DO UPDATE SET
+        batch_id = excluded.batch_id,
+        status = excluded.status,
+        payload = excluded.payload,
+        validation = excluded.validation,
+        relay = excluded.relay,
+        updated_at = excluded.updated_at
+    `).run({
+      id,
+      batchId: batchId || null,
+      status,
+      payload: JSON.stringify(payload),
+      validation: validation ? JSON.stringify(validation) : null,
+      relay: Object.keys(relay).length > 0 ? JSON.stringify(relay) : null,
+      now
+    });
+  }
+
+  saveTransactions(transactions) {
+    this.db.transaction((txs) => {
+      for (const tx of txs) {
+        this.saveTransaction(tx);
+      }
+    })(transactions);
+  }
+
+  saveBatch(batchRecord) {
+    this.db.transaction((record) => {
+      this.db.prepare(`
+        INSERT OR REPLACE INTO batches (id, merkle_root, merkle_leaves, stats, processing_time, processed_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(
+        record.id,
+        record.merkleRoot,
+        JSON.stringify(record.merkleLeaves),
+        JSON.stringify(record.stats),
+        record.processingTime,
+        new Date(record.processedAt).getTime()
+      );
+
+      for (const tx of record.transactions) {
+        this.saveTransaction({ ...tx, batchId: record.id });
+      }
+    })(batchRecord);
+  }
+
+  getTransaction(id) {
+    const row = this.db.prepare('SELECT * FROM transactions WHERE id = ?').get(id);
+    return row ? this.rowToTransaction(row) : null;
+  }
+
+  getTransactionsByStatus(status) {
+    return this.db
+      .prepare('SELECT * FROM transactions WHERE status = ? ORDER BY created_at, rowid')
+      .all(status)
+      .map(row => this.rowToTransaction(row));
+  }
+
+  /**
+   * Most recently validated transactions whose validation has one of the given
+   * parse outcomes (clean, repaired, heuristic, rule, fallback)
+   */
+  getTransactionsByParseOutcome(outcomes, limit = 100) {
+    return this.db.prepare(`
+      SELECT * FROM transactions
+      WHERE json_extract(validation, '$.parseOutcome') IN (${outcomes.map(() => '?').join(', ')})
+      ORDER BY updated_at DESC, rowid DESC
+      LIMIT ?
+    `).all(...outcomes, limit).map(row => this.rowToTransaction(row));
+  }
+
+  countTransactionsByStatus() {
+    const counts = {};
+    for (const row of this.db.prepare('SELECT status, COUNT(*) AS count FROM transactions GROUP BY status').all()) {
+      counts[row.status] = row.count;
+    }
+    return counts;
+  }
+
+  /**
+   * Move transactions that were mid-validation when the process stopped back to
+   * the queue. Validation has no side effects, so repeating it is safe.
+   */
+  requeueInterruptedValidations() {
+    const result = this.db.prepare(`
+      UPDATE transactions
+      SET status = ?, batch_id = NULL, validation = NULL, updated_at = ?
+      WHERE status = ?
+    `).run(TX_STATUS.PENDING, Date.now(), TX_STATUS.VALIDATING);
+
+    return result.changes;
+  }
+
+  /**
+   * Validated interactions of one type whose submission timestamp falls on the given day.
+   * Only those whose sender signed the RelayRequest count: an unsigned transaction
+   * proves nothing about who `from` is.
+   * @param {number} day Day index (unix seconds / 86400), as used by the contracts
+   */
+  getValidatedInteractions(day, interactionType) {
+    return this.db.prepare(`
+      SELECT * FROM transactions
+      WHERE status IN (?, ?, ?, ?)
+        AND json_extract(payload, '$.signer') = json_extract(payload, '$.from')
+        AND json_extract(payload, '$.interactionType') = ?
+        AND json_extract(payload, '$.timestamp') >= ?
+        AND json_extract(payload, '$.timestamp') < ?
+      ORDER BY created_at, rowid
+    `).all(
+      TX_STATUS.VALIDATED,
+      TX_STATUS.RELAYING,
+      TX_STATUS.RELAYED,
+      TX_STATUS.CONFIRMED,
+      interactionType,
+      day * 86400,
+      (day + 1) * 86400
+    ).map(row => this.rowToTransaction(row));
+  }
+
+  getDailySubmission(day, interactionType) {
+    const row = this.db
+      .prepare('SELECT * FROM daily_submissions WHERE day = ? AND interaction_type = ?')
+      .get(day, interactionType);
+    return row ? this.rowToDailySubmission(row) : null;
+  }
+
+  getDailySubmissions(day) {
+    return this.db
+      .prepare('SELECT * FROM daily_submissions WHERE day = ? ORDER BY interaction_type')
+      .all(day)
+      .map(row => this.rowToDailySubmission(row));
+  }
+
+  /**
+   * Daily submissions whose stored allocations include the given (checksummed) address
+   */
+  getDailySubmissionsForUser(user) {
+    return this.db.prepare(`
+      SELECT * FROM daily_submissions
+      WHERE allocations IS NOT NULL
+        AND EXISTS (
+          SELECT 1 FROM json_each(daily_submissions.allocations)
+          WHERE json_extract(json_each.value, '$.user') = ?
+        )
+      ORDER BY day, interaction_type
+    `).all(user).map(row => this.rowToDailySubmission(row));
+  }
+
+  saveDailySubmission(record) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO daily_submissions
+        (day, interaction_type, status, merkle_root, allocations, total_qobi, nonce, tx_hash, event, error, updated_at)
+      VALUES (@day, @interactionType, @status, @merkleRoot, @allocations, @totalQOBI, @nonce, @txHash, @event, @error, @updatedAt)
+    `).run({
+      day: record.day,
+      interactionType: record.interactionType,
+      status: record.status,
+      merkleRoot: record.merkleRoot || null,
+      allocations: record.allocations ? JSON.stringify(record.allocations) : null,
+      totalQOBI: record.totalQOBI != null ? record.totalQOBI.toString() : null,
+      nonce: record.nonce != null ? record.nonce.toString() : null,
+      txHash: record.txHash || null,
+      event: record.event ? JSON.stringify(record.event) : null,
+      error: record.error || null,
+      updatedAt: Date.now()
+    });
+  }
+
+  rowToDailySubmission(row) {
+    return {
+      day: row.day,
+      interactionType: row.interaction_type,
+      status: row.status,
+      merkleRoot: row.merkle_root,
+      allocations: row.allocations ? JSON.parse(row.allocations) : [],
+      totalQOBI: row.total_qobi,
+      nonce: row.nonce,
+      txHash: row.tx_hash,
+      event: row.event ? JSON.parse(row.event) : null,
+      error: row.error,
+      updatedAt: new Date(row.updated_at)
+    };
+  }
+
+  getCachedValidation(key) {
+    const row = this.db.prepare('SELECT * FROM validation_cache WHERE key = ?').get(key);
+    return row ? {
+      key: row.key,
+      version: row.version,
+      validation: JSON.parse(row.validation),
+      createdAt: row.created_at,
+      expiresAt: row.expires_at
+    } : null;
+  }
+
+  saveCachedValidation(entry) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO validation_cache (key, version, validation, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(entry.key, entry.version, JSON.stringify(entry.validation), entry.createdAt, entry.expiresAt);
+  }
+
+  /**
+   * Delete cache entries matching every given filter; no filters deletes all of them
+   * @returns {number} Rows deleted
+   */
+  deleteCachedValidations({ key, version, exceptVersion, expiredBefore } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (key !== undefined) {
+      conditions.push('key = ?');
+      params.push(key);
+    }
+    if (version !== undefined) {
+      conditions.push('version = ?');
+      params.push(version);
+    }
+    if (exceptVersion !== undefined) {
+      conditions.push('version != ?');
+      params.push(exceptVersion);
+    }
+    if (expiredBefore !== undefined) {
+      conditions.push('expires_at <= ?');
+      params.push(expiredBefore);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.db.prepare(`DELETE FROM validation_cache ${where}`).run(...params).changes;
+  }
+
+  countCachedValidations() {
+    return this.db.prepare('SELECT COUNT(*) AS count FROM validation_cache').get().count;
+  }
+
+  /**
+   * Persisted counter and histogram series of the MetricsRegistry
+   */
+  getMetricValues() {
+    return this.db.prepare('SELECT name, labels, value FROM metrics').all()
+      .map(row => ({ name: row.name, labels: JSON.parse(row.labels), value: row.value }));
+  }
+
+  saveMetricValues(series) {
+    const statement = this.db.prepare(`
+      INSERT OR REPLACE INTO metrics (name, labels, value, updated_at) VALUES (?, ?, ?, ?)
+    `);
+    const now = Date.now();
+    this.db.transaction(() => {
+      for (const { name, labels, value } of series) {
+        statement.run(name, JSON.stringify(labels), value, now);
+      }
+    })();
+  }
+
+  /**
+   * Next RelayRequest nonce a user has to sign
+   */
+  getUserNonce(address) {
+    const row = this.db.prepare('SELECT nonce FROM user_nonces WHERE address = ?').get(address.toLowerCase());
+    return row ? row.nonce : 0;
+  }
+
+  /**
+   * Consume `nonce` if it is the user's next one
+   * @returns {boolean} false when the nonce was already used or is ahead of the next one
+   */
+  useUserNonce(address, nonce) {
+    return this.db.transaction(() => {
+      const key = address.toLowerCase();
+      if (this.getUserNonce(key) !== nonce) {
+        return false;
+      }
+      this.db.prepare(`
+        INSERT INTO user_nonces (address, nonce) VALUES (?, ?)
+        ON CONFLICT (address) DO UPDATE SET nonce = excluded.nonce
+      `).run(key, nonce + 1);
+      return true;
+    })();
+  }
+
+  /**
+   * Hand back a nonce whose request was never queued, unless a later one was used since
+   */
+  releaseUserNonce(address, nonce) {
+    this.db.prepare('UPDATE user_nonces SET nonce = ? WHERE address = ? AND nonce = ?')
+      .run(nonce, address.toLowerCase(), nonce + 1);
+  }
+
+  /**
+   * Relays that reached a receipt (confirmed or reverted) during a day, unix time / 86400
+   */
+  getFinalizedRelays(day) {
+    const start = new Date(day * 86400000).toISOString();
+    const end = new Date((day + 1) * 86400000).toISOString();
+    return this.db.prepare(`
+      SELECT * FROM transactions
+      WHERE status IN (?, ?)
+        AND json_extract(relay, '$.finalizedAt') >= ?
+        AND json_extract(relay, '$.finalizedAt') < ?
+      ORDER BY created_at, rowid
+    `).all(TX_STATUS.CONFIRMED, TX_STATUS.REVERTED, start, end).map(row => this.rowToTransaction(row));
+  }
+
+  /**
+   * StabilizingContract.recordGasBurn reports, one per day of relays
+   */
+  getBurnReport(day) {
+    const row = this.db.prepare('SELECT * FROM burn_reports WHERE day = ?').get(day);
+    return row ? this.rowToBurnReport(row) : null;
+  }
+
+  getBurnReports(fromDay, toDay) {
+    return this.db.prepare('SELECT * FROM burn_reports WHERE day >= ? AND day <= ? ORDER BY day')
+      .all(fromDay, toDay).map(row => this.rowToBurnReport(row));
+  }
+
+  getBurnReportsByStatus(status) {
+    return this.db.prepare('SELECT * FROM burn_reports WHERE status = ? ORDER BY day')
+      .all(status).map(row => this.rowToBurnReport(row));
+  }
+
+  saveBurnReport(report) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO burn_reports
+        (day, status, amount, relays, excluded, report_day, tx_hash, block_number, error, updated_at)
+      VALUES (@day, @status, @amount, @relays, @excluded, @reportDay, @txHash, @blockNumber, @error, @updatedAt)
+    `).run({
+      day: report.day,
+      status: report.status,
+      amount: report.amount.toString(),
+      relays: report.relays,
+      excluded: report.excluded || 0,
+      reportDay: report.reportDay ?? null,
+      txHash: report.txHash || null,
+      blockNumber: report.blockNumber ?? null,
+      error: report.error || null,
+      updatedAt: Date.now()
+    });
+  }
+
+  rowToBurnReport(row) {
+    return {
+      day: row.day,
+      status: row.status,
+      amount: row.amount,
+      relays: row.relays,
+      excluded: row.excluded,
+      reportDay: row.report_day,
+      txHash: row.tx_hash,
+      blockNumber: row.block_number,
+      error: row.error,
+      updatedAt: new Date(row.updated_at)
+    };
+  }
+
+  /**
+   * RelayerTreasury.recordGasUsage calls owed for confirmed relays, keyed by transaction
+   */
+  saveGasReport(report) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO gas_reports (
+        tx_id, relayer, gas_used, gas_price, status, attempts, report_hash, nonce, sent_at, block_number, error, updated_at
+      )
+      VALUES (
+        @txId, @relayer, @gasUsed, @gasPrice, @status, @attempts, @reportHash, @nonce, @sentAt, @blockNumber, @error, @updatedAt
+      )
+    `).run({
+      attempts: 0,
+      reportHash: null,
+      nonce: null,
+      sentAt: null,
+      blockNumber: null,
+      error: null,
+      ...report,
+      updatedAt: Date.now()
+    });
+  }
+
+  getGasReport(txId) {
+    const row = this.db.prepare('SELECT * FROM gas_reports WHERE tx_id = ?').get(txId);
+    return row ? this.rowToGasReport(row) : null;
+  }
+
+  getGasReportsByStatus(statuses) {
+    const list = Array.isArray(statuses) ? statuses : [statuses];
+    return this.db.prepare(
+      `SELECT * FROM gas_reports WHERE status IN (${list.map(() => '?').join(', ')}) ORDER BY updated_at`
+    ).all(...list).map(row => this.rowToGasReport(row));
+  }
+
+  countGasReportsByStatus() {
+    return Object.fromEntries(this.db.prepare('SELECT status, COUNT(*) AS count FROM gas_reports GROUP BY status').all()
+      .map(row => [row.status, row.count]));
+  }
+
+  rowToGasReport(row) {
+    return {
+      txId: row.tx_id,
+      relayer: row.relayer,
+      gasUsed: row.gas_used,
+      gasPrice: row.gas_price,
+      status: row.status,
+      attempts: row.attempts,
+      reportHash: row.report_hash,
+      nonce: row.nonce,
+      sentAt: row.sent_at,
+      blockNumber: row.block_number,
+      error: row.error,
+      updatedAt: new Date(row.updated_at)
+    };
+  }
+
+  saveApiKey(record) {
+    this.db.prepare(`
+      INSERT INTO api_keys (id, name, key_hash, scopes, rate_limit, daily_gas_quota, created_at, last_used_at, revoked_at)
+      VALUES (@id, @name, @keyHash, @scopes, @rateLimit, @dailyGasQuota, @createdAt, @lastUsedAt, @revokedAt)
+      ON CONFLICT (id) DO UPDATE SET
+        name = excluded.name,
+        scopes = excluded.scopes,
+        rate_limit = excluded.rate_limit,
+        daily_gas_quota = excluded.daily_gas_quota,
+        last_used_at = excluded.last_used_at,
+        revoked_at = excluded.revoked_at
+    `).run({
+      ...record,
+      scopes: JSON.stringify(record.scopes),
+      rateLimit: record.rateLimit ?? null,
+      dailyGasQuota: record.dailyGasQuota ?? null,
+      lastUsedAt: record.lastUsedAt ?? null,
+      revokedAt: record.revokedAt ?? null
+    });
+  }
+
+  getApiKey(id) {
+    const row = this.db.prepare('SELECT * FROM api_keys WHERE id = ?').get(id);
+    return row ? this.rowToApiKey(row) : null;
+  }
+
+  getApiKeys() {
+    return this.db.prepare('SELECT * FROM api_keys ORDER BY created_at, rowid').all()
+      .map(row => this.rowToApiKey(row));
+  }
+
+  touchApiKey(id, at = Date.now()) {
+    this.db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(at, id);
+  }
+
+  rowToApiKey(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      keyHash: row.key_hash,
+      scopes: JSON.parse(row.scopes),
+      rateLimit: row.rate_limit,
+      dailyGasQuota: row.daily_gas_quota,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at,
+      revokedAt: row.revoked_at
+    };
+  }
+
+  /**
+   * Gas charged to a key on a day: reservations for pending relays plus settled gasUsed
+   */
+  getGasUsage(keyId, day) {
+    return this.db.prepare('SELECT COALESCE(SUM(gas), 0) AS gas FROM api_key_gas WHERE key_id = ? AND day = ?')
+      .get(keyId, day).gas;
+  }
+
+  getGasCharge(txId) {
+    const row = this.db.prepare('SELECT * FROM api_key_gas WHERE tx_id = ?').get(txId);
+    return row ? { txId: row.tx_id, keyId: row.key_id, day: row.day, gas: row.gas, settled: row.settled === 1 } : null;
+  }
+
+  saveGasCharge({ txId, keyId, day, gas, settled = false }) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO api_key_gas (tx_id, key_id, day, gas, settled) VALUES (?, ?, ?, ?, ?)
+    `).run(txId, keyId, day, gas, settled ? 1 : 0);
+  }
+
+  deleteGasCharge(txId) {
+    this.db.prepare('DELETE FROM api_key_gas WHERE tx_id = ?').run(txId);
+  }
+
+  saveAuditEntry(entry) {
+    this.db.prepare(`
+      INSERT INTO api_audit_log (key_id, method, path, status, code, reason, ip, created_at)
+      VALUES (@keyId, @method, @path, @status, @code, @reason, @ip, @createdAt)
+    `).run({ keyId: null, reason: null, ip: null, createdAt: Date.now(), ...entry });
+  }
+
+  getAuditEntries({ keyId, limit = 100 } = {}) {
+    const where = keyId !== undefined ? 'WHERE key_id = ?' : '';
+    const params = keyId !== undefined ? [keyId, limit] : [limit];
+    return this.db.prepare(`SELECT * FROM api_audit_log ${where} ORDER BY id DESC LIMIT ?`).all(...params)
+      .map(row => ({
+        id: row.id,
+        keyId: row.key_id,
+        method: row.method,
+        path: row.path,
+        status: row.status,
+        code: row.code,
+        reason: row.reason,
+        ip: row.ip,
+        createdAt: new Date(row.created_at)
+      }));
+  }
+
+  getBatches() {
+    const batches = this.db.prepare('SELECT * FROM batches ORDER BY processed_at, rowid').all();
+    const txsByBatch = {};
+
+    for (const row of this.db.prepare('SELECT * FROM transactions WHERE batch_id IS NOT NULL ORDER BY created_at, rowid').all()) {
+      (txsByBatch[row.batch_id] = txsByBatch[row.batch_id] || []).push(this.rowToTransaction(row));
+    }
+
+    return batches.map(row => {
+      const transactions = txsByBatch[row.id] || [];
+      return {
+        id: row.id,
+        transactions,
+        validations: transactions.map(tx => tx.validation),
+        merkleRoot: row.merkle_root,
+        merkleLeaves: JSON.parse(row.merkle_leaves),
+        processedAt: new Date(row.processed_at),
+        processingTime: row.processing_time,
+        stats: JSON.parse(row.stats)
+      };
+    });
+  }
+
+  rowToTransaction(row) {
+    const tx = {
+      ...JSON.parse(row.payload),
+      ...(row.relay ? JSON.parse(row.relay) : {}),
+      id: row.id,
+      status: row.status
+    };
+
+    if (row.batch_id) {
+      tx.batchId = row.batch_id;
+    }
+    if (row.validation) {
+      tx.validation = JSON.parse(row.validation);
+    }
+
+    return tx;
+  }
+
+  /**
+   * Event indexer: last indexed block per contract
+   */
+  getIndexerCheckpoints() {
+    return this.db.prepare('SELECT * FROM indexer_checkpoints ORDER BY contract').all().map(row => ({
+      contract: row.contract,
+      address: row.address,
+      blockNumber: row.block_number,
+      updatedAt: new Date(row.updated_at)
+    }));
+  }
+
+  /**
+   * Store one indexed block range atomically: its decoded events, the hashes of the
+   * blocks seen in it, and the new checkpoint of every contract it covered
+   */
+  saveIndexedRange({ events, blocks, checkpoints, blockNumber }) {
+    const insertEvent = this.db.prepare(`
+      INSERT OR REPLACE INTO indexed_events
+        (block_number, log_index, block_hash, tx_hash, contract, address, event, args, topics, data)
+      VALUES (@blockNumber, @logIndex, @blockHash, @transactionHash, @contract, @address, @event, @args, @topics, @data)
+    `);
+    const insertBlock = this.db.prepare('INSERT OR REPLACE INTO indexer_blocks (block_number, block_hash) VALUES (?, ?)');
+    const checkpoint = this.db.prepare(`
+      INSERT OR REPLACE INTO indexer_checkpoints (contract, address, block_number, updated_at) VALUES (?, ?, ?, ?)
+    `);
+
+    this.db.transaction(() => {
+      for (const event of events) {
+        insertEvent.run({
+          ...event,
+          event: event.event || null,
+          args: event.decoded ? JSON.stringify(event.args) : null,
+          topics: JSON.stringify(event.topics)
+        });
+      }
+      for (const block of blocks) {
+        insertBlock.run(block.number, block.hash);
+      }
+      const now = Date.now();
+      for (const { contract, address } of checkpoints) {
+        checkpoint.run(contract, address, blockNumber, now);
+      }
+    })();
+  }
+
+  /**
+   * Stored block hashes at or above a block, newest first
+   */
+  getIndexedBlocks(fromBlock = 0) {
+    return this.db.prepare('SELECT * FROM indexer_blocks WHERE block_number >= ? ORDER BY block_number DESC')
+      .all(fromBlock).map(row => ({ number: row.block_number, hash: row.block_hash }));
+  }
+
+  pruneIndexedBlocks(belowBlock) {
+    this.db.prepare('DELETE FROM indexer_blocks WHERE block_number < ?').run(belowBlock);
+  }
+
+  /**
+   * Undo everything indexed after `blockNumber` (a reorg's common ancestor)
+   * @returns {number} Events removed
+   */
+  rollbackIndex(blockNumber) {
+    return this.db.transaction(() => {
+      const { changes } = this.db.prepare('DELETE FROM indexed_events WHERE block_number > ?').run(blockNumber);
+      this.db.prepare('DELETE FROM indexer_blocks WHERE block_number > ?').run(blockNumber);
+      this.db.prepare('UPDATE indexer_checkpoints SET block_number = ?, updated_at = ? WHERE block_number > ?')
+        .run(blockNumber, Date.now(), blockNumber);
+      return changes;
+    })();
+  }
+
+  /**
+   * Forget a contract's events and checkpoint, e.g. after it was redeployed at another address
+   */
+  resetIndexedContract(contract) {
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM indexed_events WHERE contract = ?').run(contract);
+      this.db.prepare('DELETE FROM indexer_checkpoints WHERE contract = ?').run(contract);
+    })();
+  }
+
+  /**
+   * @param {Object} [filter] `contract`, `event` (name or array), `fromBlock`, `toBlock`,
+   *   `args` (equality on decoded arguments), `limit`, `order` ('asc' | 'desc')
+   */
+  getIndexedEvents(filter = {}) {
+    const { where, params } = indexedEventsWhere(filter);
+    const order = filter.order === 'desc' ? 'DESC' : 'ASC';
+    const limit = filter.limit ? 'LIMIT ' + parseInt(filter.limit) : '';
+
+    return this.db.prepare(`
+      SELECT * FROM indexed_events ${where} ORDER BY block_number ${order}, log_index ${order} ${limit}
+    `).all(...params).map(row => ({
+      blockNumber: row.block_number,
+      logIndex: row.log_index,
+      blockHash: row.block_hash,
+      transactionHash: row.tx_hash,
+      contract: row.contract,
+      address: row.address,
+      decoded: row.event !== null,
+      event: row.event,
+      args: row.args ? JSON.parse(row.args) : null,
+      topics: JSON.parse(row.topics),
+      data: row.data
+    }));
+  }
+
+  /**
+   * Indexed event counts per contract and event name (null for undecoded logs)
+   */
+  countIndexedEvents(filter = {}) {
+    const { where, params } = indexedEventsWhere(filter);
+    return this.db.prepare(`
+      SELECT contract, event, COUNT(*) AS count FROM indexed_events ${where}
+      GROUP BY contract, event ORDER BY contract, event
+    `).all(...params);
+  }
+
+  close() {
+    if (this.db.open) {
+      this.db.close();
+    }
+  }
+}
+
+RelayerStore.TX_STATUS = TX_STATUS;
+
+module.exports = RelayerStore;
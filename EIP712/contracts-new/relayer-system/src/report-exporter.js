@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const FORMATS = ['json', 'ndjson', 'csv', 'html'];
+
+const DEFAULT_REPORT_DIR = path.join(__dirname, '..', 'data', 'reports');
+
+const EVENT_COLUMNS = ['blockNumber', 'logIndex', 'transactionHash', 'contract', 'address', 'event', 'args'];
+
+/**
+ * Renders event-scanner reports and event lists as JSON, NDJSON, CSV or HTML and
+ * writes them to a given file or to a dated file in `REPORT_DIR` (default `data/reports`).
+ *
+ * For reports, JSON is the whole report object; NDJSON and CSV have one row per day
+ * summary (see DailyEventSummary); HTML is a standalone page with a section per day.
+ * For events, every format has one row per event.
+ */
+class ReportExporter {
+  constructor({ dir = process.env.REPORT_DIR || DEFAULT_REPORT_DIR } = {}) {
+    this.dir = dir;
+  }
+
+  /**
+   * @param {string} [value] Comma-separated formats
+   * @returns {string[]}
+   */
+  static parseFormats(value) {
+    const formats = String(value).split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+    const unknown = formats.filter(format => !FORMATS.includes(format));
+    if (formats.length === 0 || unknown.length > 0) {
+      throw new Error(`Unknown report format: ${unknown.join(', ') || value} (use ${FORMATS.join(', ')})`);
+    }
+    return [...new Set(formats)];
+  }
+
+  static formatReport(report, format) {
+    switch (format) {
+      case 'json':
+        return JSON.stringify(report, null, 2) + '\n';
+      case 'ndjson':
+        return report.days.map(day => JSON.stringify(day) + '\n').join('');
+      case 'csv':
+        return ReportExporter.dayRowsCsv(report.days);
+      case 'html':
+        return renderReportHtml(report);
+      default:
+        throw new Error(`Unknown report format: ${format}`);
+    }
+  }
+
+  static formatEvents(events, format) {
+    switch (format) {
+      case 'json':
+        return JSON.stringify(events, null, 2) + '\n';
+      case 'ndjson':
+        return events.map(event => JSON.stringify(event) + '\n').join('');
+      case 'csv':
+        return toCsv(EVENT_COLUMNS, events.map(eventRow));
+      case 'html':
+        return page('QOBI contract events', `
+<h1>QOBI contract events</h1>
+<p>${events.length} events</p>
+${table(EVENT_COLUMNS, events.map(eventRow))}`);
+      default:
+        throw new Error(`Unknown report format: ${format}`);
+    }
+  }
+
+  /**
+   * One CSV row per day; every event name seen in any day gets its own column
+   */
+  static dayRowsCsv(days) {
+    const eventNames = [...new Set(days.flatMap(day => Object.keys(day.events)))].sort();
+    const columns = [
+      'date', 'day', 'fromBlock', 'toBlock', 'deployedContracts', 'totalContracts',
+      ...eventNames.map(name => `events.${name}`),
+      'distributionsFinalized', 'finalizedQOBI', 'claims', 'claimedQOBI',
+      'reimbursements', 'reimbursedGasUsed', 'reimbursedGasCost'
+    ];
+
+    const rows = days.map(day => {
+      const contracts = Object.values(day.contracts);
+      const sum = key => day.distributions.reduce((total, distribution) => total + BigInt(distribution[key]), 0n).toString();
+      return [
+        day.date, day.day, day.fromBlock, day.toBlock,
+        contracts.filter(contract => contract.deployed).length, contracts.length,
+        ...eventNames.map(name => day.events[name] || 0),
+        day.distributions.length, sum('totalQOBI'),
+        day.distributions.reduce((total, distribution) => total + distribution.claims, 0), sum('claimedQOBI'),
+        day.reimbursements.count, day.reimbursements.gasUsed, day.reimbursements.gasCost
+      ];
+    });
+    return toCsv(columns, rows);
+  }
+
+  /**
+   * `<dir>/<name>-<label>.<format>`, e.g. data/reports/qobi-report-2026-10-18.html
+   */
+  datedPath(name, label, format) {
+    return path.join(this.dir, `${name}-${label}.${format}`);
+  }
+
+  /**
+   * @returns {string} The file written
+   */
+  write(content, file) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, content);
+    return file;
+  }
+}
+
+function eventRow(event) {
+  return [
+    event.blockNumber, event.logIndex, event.transactionHash, event.contract, event.address,
+    event.event || 'unknown', event.args ? JSON.stringify(event.args) : ''
+  ];
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  return [columns, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function table(columns, rows) {
+  if (rows.length === 0) {
+    return '<p class="empty">None</p>';
+  }
+  const head = columns.map(column => `<th>${escapeHtml(column)}</th>`).join('');
+  const body = rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n');
+  return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; color: #1f2933; }
+  h1 { font-size: 1.5rem; } h2 { margin-top: 2rem; border-bottom: 1px solid #d9e2ec; } h3 { font-size: 1rem; }
+  table { border-collapse: collapse; margin-bottom: 1rem; font-size: 0.875rem; }
+  th, td { border: 1px solid #d9e2ec; padding: 0.25rem 0.5rem; text-align: left; }
+  th { background: #f0f4f8; } .empty { color: #829ab1; }
+</style>
+</head>
+<body>${body}
+</body>
+</html>
+`;
+}
+
+function deployedCell(deployed) {
+  if (deployed === null) return 'unknown';
+  return deployed ? 'deployed' : 'not deployed';
+}
+
+function renderDayHtml(day) {
+  const contracts = Object.entries(day.contracts)
+    .map(([name, contract]) => [name, contract.address || '', deployedCell(contract.deployed)]);
+  const events = Object.entries(day.events).sort(([a], [b]) => a.localeCompare(b));
+  const distributions = day.distributions.map(distribution => [
+    distribution.interactionTypeName,
+    distribution.totalUsers,
+    ethers.formatEther(distribution.totalQOBI),
+    distribution.claims,
+    ethers.formatEther(distribution.claimedQOBI),
+    BigInt(distribution.totalQOBI) > 0n
+      ? `${(Number(BigInt(distribution.claimedQOBI) * 10000n / BigInt(distribution.totalQOBI)) / 100).toFixed(2)}%`
+      : '-'
+  ]);
+  const reimbursements = day.reimbursements.byRelayer
+    .map(entry => [entry.relayer, entry.count, entry.gasUsed, ethers.formatEther(entry.gasCost)]);
+  const blocks = day.fromBlock <= day.toBlock ? `blocks ${day.fromBlock}-${day.toBlock}` : 'no blocks';
+
+  return `
+<h2>${escapeHtml(day.date)} <small>(day ${day.day}, ${blocks})</small></h2>
+<h3>Contracts</h3>
+${table(['Contract', 'Address', 'Status'], contracts)}
+<h3>Events</h3>
+${table(['Event', 'Count'], events)}
+<h3>Distributions finalized vs claimed</h3>
+${table(['Interaction type', 'Users', 'Finalized QOBI', 'Claims', 'Claimed QOBI', 'Claimed'], distributions)}
+<h3>Relayer gas reimbursements</h3>
+<p>${day.reimbursements.count} reimbursements, ${escapeHtml(day.reimbursements.gasUsed)} gas, ${escapeHtml(ethers.formatEther(day.reimbursements.gasCost))} ETH</p>
+${table(['Relayer', 'Reimbursements', 'Gas used', 'Gas cost (ETH)'], reimbursements)}`;
+}
+
+function renderReportHtml(report) {
+  const title = `QOBI report ${report.days.length > 0 ? report.days[report.days.length - 1].date : ''}`.trim();
+  return page(title, `
+<h1>${escapeHtml(title)}</h1>
+<p>Generated ${escapeHtml(report.timestamp)} on ${escapeHtml(report.network.name)} (chain ${escapeHtml(report.network.chainId)}),
+latest block ${escapeHtml(report.network.latestBlock)}, events indexed through block ${escapeHtml(report.summary.indexedThrough)}.</p>
+${[...report.days].reverse().map(renderDayHtml).join('\n')}`);
+}
+
+ReportExporter.FORMATS = FORMATS;
+
+module.exports = ReportExporter;
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const CalldataDecoder = require('./calldata-decoder');
+
+// The relayer broadcasts from its own wallet, which is owner or authorized relayer on
+// the QOBI contracts. Relaying any of these for a user would act with those rights.
+const PRIVILEGED_METHODS = [
+  'dailyTree.setMerkleDistributor', 'dailyTree.authorizeRelayer', 'dailyTree.deauthorizeRelayer',
+  'dailyTree.updateDailyLimits', 'dailyTree.submitTreeWithSignature',
+  'merkleDistributor.finalizeDailyDistribution', 'merkleDistributor.setStabilizingContract',
+  'merkleDistributor.updateDailyQOBICaps', 'merkleDistributor.pause', 'merkleDistributor.emergencyWithdraw',
+  'relayerTreasury.setStabilizingContract', 'relayerTreasury.addRelayer', 'relayerTreasury.removeRelayer',
+  'relayerTreasury.fundRelayer', 'relayerTreasury.recordGasUsage', 'relayerTreasury.batchFundRelayers',
+  'relayerTreasury.updateMinRelayerBalance', 'relayerTreasury.emergencyWithdraw',
+  'stabilizingContract.setMerkleDistributor', 'stabilizingContract.authorizeRelayer',
+  'stabilizingContract.deauthorizeRelayer', 'stabilizingContract.recordGasBurn',
+  'stabilizingContract.remintBurnedTokens', 'stabilizingContract.updateMintInterval',
+  'stabilizingContract.emergencyWithdraw',
+  'accessControl.grantRole', 'accessControl.revokeRole',
+  'systemDeployer.deployCompleteSystem', 'systemDeployer.addMultipleRelayers',
+  'systemDeployer.fundMultipleRelayers', 'systemDeployer.transferSystemOwnership',
+  'systemDeployer.emergencyWithdraw'
+];
+
+const APPROVAL_METHODS = { approve: 'amount', increaseAllowance: 'addedValue' };
+
+// Each matcher returns why the rule matched, or null
+const MATCHERS = {
+  valueCeiling(rule, tx) {
+    let value;
+    try {
+      value = ethers.parseEther(String(tx.value || '0'));
+    } catch (error) {
+      return `value "${tx.value}" is not a valid ETH amount`;
+    }
+    return value > ethers.parseEther(String(rule.max))
+      ? `value ${tx.value} ETH exceeds the ${rule.max} ETH ceiling`
+      : null;
+  },
+
+  blockedSelector(rule, tx, decoded) {
+    return matchesCall(rule, decoded) ? `${describeCall(decoded)} is blocked` : null;
+  },
+
+  allowedSelector(rule, tx, decoded) {
+    return matchesCall(rule, decoded) ? `${describeCall(decoded)} is allowed` : null;
+  },
+
+  unlimitedApproval(rule, tx, decoded) {
+    if (!decoded || !decoded.known || !APPROVAL_METHODS[decoded.method]) {
+      return null;
+    }
+    const amount = BigInt(decoded.args[APPROVAL_METHODS[decoded.method]]);
+    const threshold = rule.threshold !== undefined ? BigInt(rule.threshold) : ethers.MaxUint256 / 2n;
+    return amount >= threshold
+      ? `${decoded.method} grants ${decoded.args.spender} an unlimited allowance`
+      : null;
+  },
+
+  destinationAllowlist(rule, tx) {
+    const allowed = (rule.addresses || []).map(address => address.toLowerCase());
+    if (allowed.length === 0) {
+      return null;
+    }
+    return allowed.includes(String(tx.to).toLowerCase()) ? null : `destination ${tx.to} is not on the allowlist`;
+  }
+};
+
+// Rules that do not set `action` reject, except allowedSelector
+const DEFAULT_ACTIONS = { allowedSelector: 'approve' };
+const ACTIONS = ['reject', 'approve', 'flag'];
+
+function matchesCall(rule, decoded) {
+  if (!decoded) {
+    return false;
+  }
+  if ((rule.selectors || []).map(s => s.toLowerCase()).includes(decoded.selector)) {
+    return true;
+  }
+  return decoded.known && (rule.methods || []).some(method =>
+    method === decoded.method || method === `${decoded.contract}.${decoded.method}`
+  );
+}
+
+function describeCall(decoded) {
+  return decoded.known ? `${decoded.contract}.${decoded.method}` : `selector ${decoded.selector}`;
+}
+
+/**
+ * Rules used when none are configured. The value ceiling comes from RULE_MAX_VALUE
+ * and the destination allowlist from RULE_ALLOWED_DESTINATIONS (comma separated).
+ */
+function defaultRules() {
+  const rules = [
+    { id: 'value-ceiling', type: 'valueCeiling', max: process.env.RULE_MAX_VALUE || '100' },
+    { id: 'privileged-methods', type: 'blockedSelector', methods: PRIVILEGED_METHODS },
+    { id: 'unlimited-approval', type: 'unlimitedApproval' }
+  ];
+
+  if (process.env.RULE_ALLOWED_DESTINATIONS) {
+    rules.push({
+      id: 'destination-allowlist',
+      type: 'destinationAllowlist',
+      addresses: process.env.RULE_ALLOWED_DESTINATIONS.split(',').map(a => a.trim()).filter(Boolean)
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Deterministic checks that run before AI validation. Calldata is decoded against
+ * the known ABIs, then every declarative rule is applied:
+ *
+ *   { id, type, action?, reason?, ...params }
+ *     valueCeiling          max (ETH)
+ *     blockedSelector       selectors (0x12345678) and/or methods ("approve" or "erc20.approve")
+ *     allowedSelector       same matching as blockedSelector, approves by default
+ *     unlimitedApproval     threshold (wei, default 2^255)
+ *     destinationAllowlist  addresses
+ *
+ * A matching `reject` rule decides the request, otherwise a matching `approve` rule
+ * does. `flag` rules only add warnings for the AI stage.
+ */
+class RuleEngine {
+  constructor(options = {}) {
+    this.decoder = options.decoder || new CalldataDecoder({ addresses: options.addresses });
+    this.rules = (options.rules || RuleEngine.loadRules(process.env.VALIDATION_RULES_FILE))
+      .map((rule, index) => RuleEngine.normalizeRule(rule, index));
+
+    this.stats = {
+      evaluated: 0,
+      rejected: 0,
+      approved: 0,
+      flagged: 0,
+      decoded: 0,
+      matchesByRule: {}
+    };
+  }
+
+  /**
+   * @param {string} [file] JSON file holding an array of rules
+   */
+  static loadRules(file) {
+    if (!file) {
+      return defaultRules();
+    }
+    const rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(rules)) {
+      throw new Error(`Rules file ${file} must contain an array of rules`);
+    }
+    return rules;
+  }
+
+  static normalizeRule(rule, index) {
+    if (!MATCHERS[rule.type]) {
+      throw new Error(`Unknown rule type "${rule.type}" (expected one of ${Object.keys(MATCHERS).join(', ')})`);
+    }
+    const action = rule.action || DEFAULT_ACTIONS[rule.type] || 'reject';
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Invalid action "${action}" for rule ${rule.id || index}`);
+    }
+    if (rule.type === 'valueCeiling' && rule.max === undefined) {
+      throw new Error(`valueCeiling rule ${rule.id || index} needs a max value`);
+    }
+    return { ...rule, id: rule.id || `${rule.type}-${index}`, action };
+  }
+
+  /**
+   * @returns {{decoded: Object|null, decision: 'reject'|'approve'|null, matches: Array, warnings: string[]}}
+   */
+  evaluate(tx) {
+    const decoded = this.decoder.decode(tx.data, tx.to);
+    const matches = [];
+
+    for (const rule of this.rules) {
+      const reason = MATCHERS[rule.type](rule, tx, decoded);
+      if (reason) {
+        matches.push({ id: rule.id, type: rule.type, action: rule.action, reason: rule.reason || reason });
+        this.stats.matchesByRule[rule.id] = (this.stats.matchesByRule[rule.id] || 0) + 1;
+      }
+    }
+
+    const decision = matches.some(m => m.action === 'reject') ? 'reject'
+      : matches.some(m => m.action === 'approve') ? 'approve'
+        : null;
+
+    this.stats.evaluated++;
+    if (decoded && decoded.known) this.stats.decoded++;
+    if (decision === 'reject') this.stats.rejected++;
+    if (decision === 'approve') this.stats.approved++;
+    if (!decision && matches.length > 0) this.stats.flagged++;
+
+    return {
+      decoded,
+      decision,
+      matches,
+      warnings: matches.filter(m => m.action === 'flag').map(m => m.reason)
+    };
+  }
+
+  getStats() {
+    return { rules: this.rules.length, ...this.stats };
+  }
+}
+
+RuleEngine.PRIVILEGED_METHODS = PRIVILEGED_METHODS;
+RuleEngine.RULE_TYPES = Object.keys(MATCHERS);
+
+module.exports = RuleEngine;
@@ -0,0 +1,383 @@
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const RelayerStore = require('./relayer-store');
+
+const { TX_STATUS } = RelayerStore;
+
+// Errors after which the node may or may not have accepted the transaction
+const UNKNOWN_OUTCOME_CODES = ['NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR'];
+
+/**
+ * Owns the relayer wallet's nonces and follows every relayed transaction until
+ * it reaches a terminal state:
+ * - confirmed: mined successfully with the configured number of confirmations
+ * - reverted: mined with status 0
+ * - replaced: the nonce was used by a transaction this relayer did not send
+ * - dropped: the node forgot the transaction and would not take it back
+ *
+ * Stuck transactions are re-signed with the same nonce and higher fees. Every
+ * attempt is persisted before it is broadcast, so a receipt for any of them is recognised.
+ *
+ * Emits 'finalized' (transaction) when a transaction reaches a terminal state.
+ */
+class TransactionManager extends EventEmitter {
+  constructor({ provider, privateKey, store, config = {} }) {
+    super();
+    this.provider = provider;
+    this.store = store;
+    this.wallet = new ethers.Wallet(privateKey, provider);
+
+    this.config = {
+      confirmations: config.confirmations || parseInt(process.env.RELAY_CONFIRMATIONS) || 1,
+      pollInterval: config.pollInterval || parseInt(process.env.RELAY_POLL_INTERVAL) || 5000,
+      stuckTimeout: config.stuckTimeout || parseInt(process.env.RELAY_STUCK_TIMEOUT) || 120000,
+      dropTimeout: config.dropTimeout || parseInt(process.env.RELAY_DROP_TIMEOUT) || 600000,
+      feeBumpPercent: config.feeBumpPercent || parseInt(process.env.RELAY_FEE_BUMP_PERCENT) || 15,
+      maxReplacements: config.maxReplacements || parseInt(process.env.RELAY_MAX_REPLACEMENTS) || 3
+    };
+
+    this.inFlight = new Map();
+    this.nextNonce = null;
+    this.nonceSync = null;
+    this.freeNonces = [];
+    this.timer = null;
+    this.isChecking = false;
+    this.stats = {
+      feeBumps: 0,
+      rebroadcasts: 0
+    };
+  }
+
+  get address() {
+    return this.wallet.address;
+  }
+
+  start() {
+    this.timer = setInterval(async () => {
+      try {
+        await this.checkInFlight();
+      } catch (error) {
+        console.error('Transaction monitor error:', error);
+      }
+    }, this.config.pollInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Next nonce to use. Nonces released by dropped or rejected transactions are
+   * reused first so they do not leave a gap that blocks later transactions.
+   */
+  async allocateNonce() {
+    if (this.nextNonce === null) {
+      this.nonceSync = this.nonceSync || this.syncNonce();
+      await this.nonceSync;
+    }
+
+    if (this.freeNonces.length > 0) {
+      return this.freeNonces.shift();
+    }
+    return this.nextNonce++;
+  }
+
+  async syncNonce() {
+    const pending = await this.provider.getTransactionCount(this.address, 'pending');
+    const tracked = [...this.inFlight.values()].map(tx => tx.nonce + 1);
+    this.nextNonce = Math.max(pending, ...tracked);
+    this.freeNonces = [];
+    this.nonceSync = null;
+  }
+
+  releaseNonce(nonce) {
+    if (nonce === undefined || nonce === null || this.nextNonce === null || nonce >= this.nextNonce) {
+      return;
+    }
+    if (!this.freeNonces.includes(nonce)) {
+      this.freeNonces.push(nonce);
+      this.freeNonces.sort((a, b) => a - b);
+    }
+  }
+
+  /**
+   * Sign with a managed nonce, persist, then broadcast
+   * @param {Object} transaction Relayer transaction record, updated in place
+   * @param {Object} request to / value / data / gasLimit
+   */
+  async send(transaction, request) {
+    transaction.request = {
+      to: request.to,
+      value: request.value.toString(),
+      data: request.data,
+      gasLimit: request.gasLimit.toString()
+    };
+    transaction.attempts = [];
+
+    let nonce = null;
+    try {
+      nonce = await this.allocateNonce();
+      transaction.nonce = nonce;
+      await this.broadcastAttempt(transaction, await this.currentFees());
+    } catch (error) {
+      // Only an attempt that was signed and saved before the broadcast failed can have reached the node
+      if (UNKNOWN_OUTCOME_CODES.includes(error.code) && transaction.attempts.length > 0) {
+        // The node may have it; the monitor rebroadcasts or marks it dropped
+        console.warn(`⚠️ Broadcast of ${transaction.id} had no clear outcome: ${error.message}`);
+        this.track(transaction);
+        return transaction;
+      }
+
+      if (error.code === 'NONCE_EXPIRED') {
+        // Something else used the wallet; start counting again from the node
+        this.nextNonce = null;
+      } else {
+        this.releaseNonce(nonce);
+      }
+
+      transaction.status = TX_STATUS.FAILED;
+      transaction.error = error.message;
+      this.store.saveTransaction(transaction);
+      throw error;
+    }
+
+    this.track(transaction);
+    return transaction;
+  }
+
+  async broadcastAttempt(transaction, fees) {
+    const populated = await this.wallet.populateTransaction({
+      ...transaction.request,
+      nonce: transaction.nonce,
+      ...fees
+    });
+    const rawTransaction = await this.wallet.signTransaction(populated);
+
+    const attempt = {
+      hash: ethers.keccak256(rawTransaction),
+      ...Object.fromEntries(Object.entries(fees).map(([key, value]) => [key, value.toString()])),
+      sentAt: Date.now()
+    };
+
+    transaction.status = TX_STATUS.RELAYING;
+    transaction.txHash = attempt.hash;
+    transaction.rawTransaction = rawTransaction;
+    transaction.attempts.push(attempt);
+    this.store.saveTransaction(transaction);
+
+    await this.provider.broadcastTransaction(rawTransaction);
+
+    transaction.status = TX_STATUS.RELAYED;
+    transaction.relayedAt = transaction.relayedAt || new Date();
+    this.store.saveTransaction(transaction);
+
+    return attempt;
+  }
+
+  async currentFees() {
+    const feeData = await this.provider.getFeeData();
+    if (feeData.maxFeePerGas !== null && feeData.maxFeePerGas !== undefined) {
+      return { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+    }
+    return { gasPrice: feeData.gasPrice };
+  }
+
+  /**
+   * Fees for a replacement: at least feeBumpPercent above the last attempt, or
+   * the current network fees if those are higher
+   */
+  async bumpedFees(lastAttempt) {
+    const current = await this.currentFees();
+    const bump = (value) => (BigInt(value) * BigInt(100 + this.config.feeBumpPercent) + 99n) / 100n;
+    const max = (a, b) => (a > b ? a : b);
+
+    const bumped = {};
+    for (const [key, value] of Object.entries(current)) {
+      bumped[key] = lastAttempt[key] !== undefined ? max(bump(lastAttempt[key]), value) : value;
+    }
+    return bumped;
+  }
+
+  track(transaction) {
+    this.inFlight.set(transaction.id, transaction);
+  }
+
+  /**
+   * Resume a transaction that was signed before a restart. The signed payload is
+   * fixed, so rebroadcasting it can never produce a second transfer.
+   */
+  async resume(transaction) {
+    try {
+      const existing = await this.provider.getTransaction(transaction.txHash);
+      if (!existing) {
+        await this.provider.broadcastTransaction(transaction.rawTransaction);
+      }
+
+      transaction.status = TX_STATUS.RELAYED;
+      transaction.relayedAt = transaction.relayedAt || new Date();
+      console.log(`♻️ Resumed relay of ${transaction.id}: ${transaction.txHash}`);
+    } catch (error) {
+      if (error.code !== 'NONCE_EXPIRED') {
+        // Outcome unknown (e.g. node unreachable) - the monitor retries it
+        console.warn(`⚠️ Could not resume relay of ${transaction.id}: ${error.message}`);
+        this.track(transaction);
+        return;
+      }
+
+      // The nonce was consumed; the monitor decides whether by this transaction or another
+      console.warn(`⚠️ Nonce of ${transaction.id} already used, checking receipts`);
+    }
+
+    this.store.saveTransaction(transaction);
+    this.track(transaction);
+  }
+
+  async checkInFlight() {
+    if (this.isChecking || this.inFlight.size === 0) {
+      return;
+    }
+
+    this.isChecking = true;
+    try {
+      const latestNonce = await this.provider.getTransactionCount(this.address, 'latest');
+      for (const transaction of [...this.inFlight.values()]) {
+        try {
+          await this.checkTransaction(transaction, latestNonce);
+        } catch (error) {
+          console.error(`Could not check ${transaction.id}:`, error.message);
+        }
+      }
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  async checkTransaction(transaction, latestNonce) {
+    const attempts = transaction.attempts && transaction.attempts.length > 0
+      ? transaction.attempts
+      : [{ hash: transaction.txHash, sentAt: new Date(transaction.relayedAt || Date.now()).getTime() }];
+
+    // Any attempt may be the one that was mined
+    for (const attempt of attempts) {
+      const receipt = await this.provider.getTransactionReceipt(attempt.hash);
+      if (receipt) {
+        return this.handleReceipt(transaction, receipt);
+      }
+    }
+
+    if (transaction.nonce !== undefined && latestNonce > transaction.nonce) {
+      // The nonce was mined, but by none of our attempts
+      return this.finish(transaction, TX_STATUS.REPLACED, {
+        error: `Nonce ${transaction.nonce} was used by another transaction`
+      });
+    }
+
+    const lastAttempt = attempts[attempts.length - 1];
+    const age = Date.now() - lastAttempt.sentAt;
+    const known = await this.provider.getTransaction(lastAttempt.hash);
+
+    if (!known) {
+      return this.handleMissing(transaction, lastAttempt, age);
+    }
+
+    if (age > this.config.stuckTimeout && transaction.request && attempts.length <= this.config.maxReplacements) {
+      return this.replace(transaction, lastAttempt);
+    }
+  }
+
+  async handleReceipt(transaction, receipt) {
+    const confirmations = await receipt.confirmations();
+
+    transaction.txHash = receipt.hash;
+    transaction.receipt = {
+      blockNumber: receipt.blockNumber,
+      blockHash: receipt.blockHash,
+      gasUsed: receipt.gasUsed.toString(),
+      effectiveGasPrice: (receipt.gasPrice || 0n).toString(),
+      status: receipt.status,
+      confirmations
+    };
+
+    if (confirmations < this.config.confirmations) {
+      this.store.saveTransaction(transaction);
+      return;
+    }
+
+    if (receipt.status === 1) {
+      console.log(`✅ Transaction ${transaction.id} confirmed in block ${receipt.blockNumber}`);
+      return this.finish(transaction, TX_STATUS.CONFIRMED);
+    }
+
+    console.error(`❌ Transaction ${transaction.id} reverted in block ${receipt.blockNumber}`);
+    return this.finish(transaction, TX_STATUS.REVERTED, { error: 'Transaction reverted' });
+  }
+
+  async handleMissing(transaction, lastAttempt, age) {
+    if (age <= this.config.dropTimeout) {
+      // Nodes can briefly lose a transaction (e.g. restart); give it back
+      if (transaction.rawTransaction) {
+        try {
+          await this.provider.broadcastTransaction(transaction.rawTransaction);
+          this.stats.rebroadcasts++;
+        } catch (error) {
+          // Checked again on the next poll
+        }
+      }
+      return;
+    }
+
+    console.error(`❌ Transaction ${transaction.id} dropped from the mempool`);
+    this.releaseNonce(transaction.nonce);
+    return this.finish(transaction, TX_STATUS.DROPPED, {
+      error: `Not seen by the node for ${Math.round(age / 1000)}s`
+    });
+  }
+
+  async replace(transaction, lastAttempt) {
+    const fees = await this.bumpedFees(lastAttempt);
+    const previousRaw = transaction.rawTransaction;
+
+    try {
+      const attempt = await this.broadcastAttempt(transaction, fees);
+      this.stats.feeBumps++;
+      console.log(`⛽ Replaced stuck ${transaction.id} (nonce ${transaction.nonce}): ${attempt.hash}`);
+    } catch (error) {
+      console.warn(`⚠️ Fee bump for ${transaction.id} failed: ${error.message}`);
+
+      // Unless the node may have taken it, forget the replacement and keep following the previous attempt
+      if (!UNKNOWN_OUTCOME_CODES.includes(error.code)) {
+        transaction.attempts.pop();
+        transaction.txHash = lastAttempt.hash;
+        transaction.rawTransaction = previousRaw;
+      }
+      transaction.status = TX_STATUS.RELAYED;
+      this.store.saveTransaction(transaction);
+    }
+  }
+
+  finish(transaction, status, fields = {}) {
+    Object.assign(transaction, fields, { status, finalizedAt: new Date() });
+    this.store.saveTransaction(transaction);
+    this.inFlight.delete(transaction.id);
+    this.emit('finalized', transaction);
+    return transaction;
+  }
+
+  getStats() {
+    return {
+      address: this.address,
+      inFlight: this.inFlight.size,
+      nextNonce: this.nextNonce,
+      freeNonces: [...this.freeNonces],
+      confirmationsRequired: this.config.confirmations,
+      ...this.stats
+    };
+  }
+}
+
+TransactionManager.UNKNOWN_OUTCOME_CODES = UNKNOWN_OUTCOME_CODES;
+
+module.exports = TransactionManager;
@@ -0,0 +1,143 @@
+/**
+ * TTL cache of AI validation results. Entries live in memory (least recently used
+ * evicted first) and, when a RelayerStore is given, in its validation_cache table so
+ * they survive restarts. Each entry carries the version it was produced under
+ * (backend, model, prompt and policy), which is part of its key and lets a model or
+ * policy change invalidate exactly the entries it affects.
+ */
+class ValidationCache {
+  constructor(options = {}) {
+    this.ttl = options.ttl !== undefined ? options.ttl : 3600000;
+    this.maxEntries = options.maxEntries || 10000;
+    this.store = options.store || null;
+
+    this.entries = new Map();
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      coalesced: 0,
+      sets: 0,
+      expired: 0,
+      evictions: 0,
+      invalidations: 0
+    };
+
+    if (this.store) {
+      this.store.deleteCachedValidations({ expiredBefore: Date.now() });
+    }
+  }
+
+  get enabled() {
+    return this.ttl > 0;
+  }
+
+  /**
+   * @returns {Object|null} The cached entry ({ key, version, validation, createdAt, expiresAt })
+   */
+  get(key) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    let entry = this.entries.get(key);
+    if (!entry && this.store) {
+      entry = this.store.getCachedValidation(key);
+    }
+
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.delete(key);
+      this.stats.expired++;
+      entry = null;
+    }
+
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    // Re-insert so the Map's insertion order tracks recency
+    this.entries.delete(key);
+    this.remember(entry);
+    this.stats.hits++;
+    return entry;
+  }
+
+  set(key, version, validation) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const createdAt = Date.now();
+    const entry = { key, version, validation, createdAt, expiresAt: createdAt + this.ttl };
+
+    this.entries.delete(key);
+    this.remember(entry);
+    if (this.store) {
+      this.store.saveCachedValidation(entry);
+    }
+    this.stats.sets++;
+  }
+
+  remember(entry) {
+    this.entries.set(entry.key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+    if (this.store) {
+      this.store.deleteCachedValidations({ key });
+    }
+  }
+
+  recordCoalesced() {
+    this.stats.coalesced++;
+  }
+
+  /**
+   * Drop entries. With no filter everything goes; otherwise one `key`, every entry
+   * of a `version`, or every entry not produced under `exceptVersion`.
+   * @returns {number} Entries removed (persisted ones included)
+   */
+  invalidate({ key, version, exceptVersion } = {}) {
+    const matches = (entry) =>
+      (key === undefined || entry.key === key) &&
+      (version === undefined || entry.version === version) &&
+      (exceptVersion === undefined || entry.version !== exceptVersion);
+
+    let removed = 0;
+    for (const entry of [...this.entries.values()]) {
+      if (matches(entry)) {
+        this.entries.delete(entry.key);
+        removed++;
+      }
+    }
+
+    if (this.store) {
+      // Persisted entries include the in-memory ones, so their count is the total
+      removed = this.store.deleteCachedValidations({ key, version, exceptVersion });
+    }
+
+    this.stats.invalidations += removed;
+    return removed;
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      ttl: this.ttl,
+      maxEntries: this.maxEntries,
+      persisted: Boolean(this.store),
+      size: this.entries.size,
+      storedSize: this.store ? this.store.countCachedValidations() : undefined,
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : null
+    };
+  }
+}
+
+module.exports = ValidationCache;
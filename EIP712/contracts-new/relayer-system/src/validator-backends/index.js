@@ -0,0 +1,61 @@
+const OllamaBackend = require('./ollama');
+const OpenAICompatibleBackend = require('./openai-compatible');
+const RulesBackend = require('./rules');
+const MockBackend = require('./mock');
+const structuredOutput = require('./structured-output');
+
+/*
+ * Validation backends share one interface, so any relayer in the repo can swap them:
+ *
+ *   complete({ prompt, subject, kind, format, temperature, topP, maxTokens, stop, signal }) -> Promise<string>
+ *     `prompt` is used by model backends; `subject` (the transaction or interaction
+ *     string) and `kind` ('transaction' | 'interaction') by the rules and mock backends.
+ *     `format` is a JSON schema the model backends ask the server to constrain output to;
+ *     check the response with structured-output.js, servers do not all enforce it.
+ *   testConnection() -> Promise<{ connected, backend, currentModel, availableModels, error? }>
+ *
+ * Backends use the global fetch and have no dependencies of their own.
+ */
+const BACKENDS = {
+  ollama: OllamaBackend,
+  openai: OpenAICompatibleBackend,
+  rules: RulesBackend,
+  mock: MockBackend
+};
+
+/**
+ * Build the backend named by `config.backend` or VALIDATOR_BACKEND (default: ollama)
+ */
+function createBackend(config = {}) {
+  const type = (config.backend || process.env.VALIDATOR_BACKEND || 'ollama').toLowerCase();
+
+  switch (type) {
+    case 'ollama':
+      return new OllamaBackend({
+        url: config.url || process.env.OLLAMA_URL,
+        model: config.model || process.env.OLLAMA_MODEL
+      });
+    case 'openai':
+      return new OpenAICompatibleBackend({
+        url: config.url || process.env.VALIDATOR_URL,
+        model: config.model || process.env.VALIDATOR_MODEL,
+        apiKey: config.apiKey || process.env.VALIDATOR_API_KEY
+      });
+    case 'rules':
+      return new RulesBackend(config);
+    case 'mock':
+      return new MockBackend(config);
+    default:
+      throw new Error(`Unknown validator backend: ${type} (expected one of ${Object.keys(BACKENDS).join(', ')})`);
+  }
+}
+
+module.exports = {
+  BACKENDS,
+  createBackend,
+  OllamaBackend,
+  OpenAICompatibleBackend,
+  RulesBackend,
+  MockBackend,
+  ...structuredOutput
+};
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+/**
+ * Deterministic backend for tests. By default the verdict is derived from a hash
+ * of the subject, so the same input always gets the same answer. Pass `response`
+ * (an object, string or function of the request) to script it instead.
+ */
+class MockBackend {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.model = options.model || 'deterministic';
+    this.response = options.response;
+    this.latency = options.latency || 0;
+    this.calls = [];
+  }
+
+  async complete(request) {
+    this.calls.push(request);
+
+    if (this.latency > 0) {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, this.latency);
+        if (request.signal) {
+          request.signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(request.signal.reason);
+          });
+        }
+      });
+    }
+
+    if (this.response !== undefined) {
+      const response = typeof this.response === 'function' ? await this.response(request) : this.response;
+      return typeof response === 'string' ? response : JSON.stringify(response);
+    }
+
+    const digest = crypto.createHash('sha256').update(JSON.stringify(request.subject ?? request.prompt)).digest();
+
+    if (request.kind === 'interaction') {
+      return JSON.stringify({
+        approved: digest[0] % 2 === 0,
+        significance: Math.round((digest[1] / 255) * 100) / 100,
+        reasoning: 'Mock verdict',
+        category: 'neutral'
+      });
+    }
+
+    const riskScore = digest[0] % 60;
+    return JSON.stringify({
+      riskScore,
+      confidence: 80,
+      classification: riskScore >= 40 ? 'suspicious' : 'safe',
+      warnings: [],
+      recommendations: [],
+      analysis: 'Mock verdict'
+    });
+  }
+
+  async testConnection() {
+    return { connected: true, backend: this.name, availableModels: [], currentModel: this.model };
+  }
+}
+
+module.exports = MockBackend;
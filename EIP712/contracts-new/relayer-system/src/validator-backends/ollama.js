@@ -0,0 +1,64 @@
+/**
+ * Ollama `/api/generate` backend
+ */
+class OllamaBackend {
+  constructor({ url = 'http://localhost:11434', model = 'llama3.2:latest' } = {}) {
+    this.name = 'ollama';
+    this.url = url.replace(/\/$/, '');
+    this.model = model;
+  }
+
+  async complete({ prompt, format, temperature = 0.3, topP = 0.9, maxTokens, stop, signal }) {
+    const response = await fetch(`${this.url}/api/generate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: this.model,
+        prompt,
+        stream: false,
+        ...(format ? { format } : {}),
+        options: {
+          temperature,
+          top_p: topP,
+          ...(maxTokens ? { num_predict: maxTokens } : {}),
+          ...(stop ? { stop } : {})
+        }
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      if (response.status === 404) {
+        throw new Error(`Model '${this.model}' not found. Please check if the model is available in Ollama.`);
+      }
+      throw new Error(`Ollama API error: ${response.status} - ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.response;
+  }
+
+  async testConnection() {
+    try {
+      const response = await fetch(`${this.url}/api/tags`);
+      if (!response.ok) {
+        throw new Error(`Ollama API error: ${response.status} - ${response.statusText}`);
+      }
+      const data = await response.json();
+      const models = data.models || [];
+
+      return {
+        connected: true,
+        backend: this.name,
+        url: this.url,
+        availableModels: models,
+        modelAvailable: models.some(m => m.name.includes(this.model) || this.model.includes(m.name.split(':')[0])),
+        currentModel: this.model
+      };
+    } catch (error) {
+      return { connected: false, backend: this.name, url: this.url, error: error.message, currentModel: this.model };
+    }
+  }
+}
+
+module.exports = OllamaBackend;
@@ -0,0 +1,70 @@
+/**
+ * OpenAI-compatible `/chat/completions` backend, e.g. a local llama.cpp or vLLM server.
+ * `url` is the API base, including the version prefix (http://localhost:8080/v1).
+ */
+class OpenAICompatibleBackend {
+  constructor({ url = 'http://localhost:8080/v1', model = 'local-model', apiKey } = {}) {
+    this.name = 'openai';
+    this.url = url.replace(/\/$/, '');
+    this.model = model;
+    this.apiKey = apiKey;
+  }
+
+  headers() {
+    return {
+      'Content-Type': 'application/json',
+      ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+    };
+  }
+
+  async complete({ prompt, format, temperature = 0.3, topP = 0.9, maxTokens, stop, signal }) {
+    const response = await fetch(`${this.url}/chat/completions`, {
+      method: 'POST',
+      headers: this.headers(),
+      body: JSON.stringify({
+        model: this.model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature,
+        top_p: topP,
+        ...(maxTokens ? { max_tokens: maxTokens } : {}),
+        ...(stop ? { stop } : {}),
+        ...(format ? { response_format: { type: 'json_schema', json_schema: { name: 'validation', schema: format } } } : {})
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Chat completions API error: ${response.status} - ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    if (!data.choices || data.choices.length === 0) {
+      throw new Error('Chat completions API returned no choices');
+    }
+    return data.choices[0].message.content;
+  }
+
+  async testConnection() {
+    try {
+      const response = await fetch(`${this.url}/models`, { headers: this.headers() });
+      if (!response.ok) {
+        throw new Error(`Chat completions API error: ${response.status} - ${response.statusText}`);
+      }
+      const data = await response.json();
+      const models = (data.data || []).map(m => ({ name: m.id }));
+
+      return {
+        connected: true,
+        backend: this.name,
+        url: this.url,
+        availableModels: models,
+        modelAvailable: models.length === 0 || models.some(m => m.name === this.model),
+        currentModel: this.model
+      };
+    } catch (error) {
+      return { connected: false, backend: this.name, url: this.url, error: error.message, currentModel: this.model };
+    }
+  }
+}
+
+module.exports = OpenAICompatibleBackend;
@@ -0,0 +1,172 @@
+// How a model response became a validation result:
+// clean     - the first response was valid JSON matching the schema
+// repaired  - a re-prompt produced a matching response
+// heuristic - no response matched; the result was inferred from free text
+const PARSE_OUTCOME = {
+  CLEAN: 'clean',
+  REPAIRED: 'repaired',
+  HEURISTIC: 'heuristic'
+};
+
+// Parse outcomes, plus the two validations that never had a model response:
+// decided by a rule before the model was asked, or produced while the backend was down
+const VALIDATION_OUTCOME = {
+  ...PARSE_OUTCOME,
+  RULE: 'rule',
+  FALLBACK: 'fallback'
+};
+
+const TRANSACTION_VALIDATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    riskScore: { type: 'number', minimum: 0, maximum: 100 },
+    confidence: { type: 'number', minimum: 0, maximum: 100 },
+    classification: { type: 'string', enum: ['safe', 'suspicious', 'malicious'] },
+    warnings: { type: 'array', items: { type: 'string' } },
+    recommendations: { type: 'array', items: { type: 'string' } },
+    analysis: { type: 'string' }
+  },
+  required: ['riskScore', 'confidence', 'classification', 'warnings', 'recommendations', 'analysis'],
+  additionalProperties: false
+};
+
+const INTERACTION_VALIDATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    approved: { type: 'boolean' },
+    significance: { type: 'number', minimum: 0, maximum: 1 },
+    reasoning: { type: 'string' },
+    category: { type: 'string' },
+    confidence: { type: 'string', enum: ['low', 'medium', 'high'] }
+  },
+  required: ['approved', 'significance', 'reasoning', 'category'],
+  additionalProperties: false
+};
+
+class SchemaValidationError extends Error {
+  constructor(message, { errors, response, attempts }) {
+    super(message);
+    this.name = 'SchemaValidationError';
+    this.errors = errors;
+    this.response = response;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Check a value against the subset of JSON Schema used by the validation schemas
+ * (type, properties, required, additionalProperties, enum, minimum, maximum, items)
+ * @returns {string[]} One message per violation, empty when the value matches
+ */
+function validateSchema(value, schema, path = '$') {
+  const errors = [];
+  const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+  if (schema.type && actualType !== schema.type) {
+    return [`${path} must be ${schema.type}, got ${actualType}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) errors.push(`${path} must be a finite number`);
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+
+  if (actualType === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+  }
+
+  if (actualType === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(item, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse a response that must be exactly one JSON document matching `schema`.
+ * Text around the JSON is an error, not something to search through.
+ * @returns {{value: Object|null, errors: string[]}}
+ */
+function parseStructured(response, schema) {
+  let value;
+  try {
+    value = JSON.parse(String(response).trim());
+  } catch (error) {
+    return { value: null, errors: [`response is not valid JSON: ${error.message}`] };
+  }
+
+  const errors = validateSchema(value, schema);
+  return { value: errors.length === 0 ? value : null, errors };
+}
+
+function buildRepairPrompt(prompt, response, errors, schema) {
+  return `${prompt}
+
+Your previous response was rejected:
+${String(response).slice(0, 1000)}
+
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Respond again with ONLY a JSON object matching this schema, with no other text:
+${JSON.stringify(schema)}`;
+}
+
+/**
+ * Ask for a response matching `schema`, re-prompting with the validation errors up
+ * to `maxRepairs` times. `complete(prompt)` performs one model request.
+ * @returns {Promise<{value: Object, outcome: string, attempts: number, response: string}>}
+ * @throws {SchemaValidationError} When no response matched; carries the last response
+ */
+async function completeStructured(complete, prompt, schema, { maxRepairs = 2 } = {}) {
+  let request = prompt;
+  let response;
+  let errors = [];
+
+  for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+    response = await complete(request);
+    const parsed = parseStructured(response, schema);
+
+    if (parsed.value) {
+      return {
+        value: parsed.value,
+        outcome: attempt === 0 ? PARSE_OUTCOME.CLEAN : PARSE_OUTCOME.REPAIRED,
+        attempts: attempt + 1,
+        response
+      };
+    }
+
+    errors = parsed.errors;
+    request = buildRepairPrompt(prompt, response, errors, schema);
+  }
+
+  throw new SchemaValidationError(
+    `Response did not match the schema after ${maxRepairs + 1} attempts: ${errors.join('; ')}`,
+    { errors, response, attempts: maxRepairs + 1 }
+  );
+}
+
+module.exports = {
+  PARSE_OUTCOME,
+  VALIDATION_OUTCOME,
+  TRANSACTION_VALIDATION_SCHEMA,
+  INTERACTION_VALIDATION_SCHEMA,
+  SchemaValidationError,
+  validateSchema,
+  parseStructured,
+  completeStructured
+};
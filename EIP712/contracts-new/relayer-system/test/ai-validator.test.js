@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const AIValidator = require('../src/ai-validator');
+const { MockBackend } = require('../src/validator-backends');
+
+const RESPONSE = {
+  riskScore: 10,
+  confidence: 90,
+  classification: 'safe',
+  warnings: [],
+  recommendations: [],
+  analysis: 'Plain transfer'
+};
+const TX = { from: '0x01', to: '0x02', value: '0', data: '0x' };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('AIValidator', () => {
+  it('validates batches with bounded concurrency and keeps result order', async () => {
+    let active = 0;
+    let peak = 0;
+    const backend = new MockBackend({
+      response: async ({ subject }) => {
+        active++;
+        peak = Math.max(peak, active);
+        await sleep(10);
+        active--;
+        return { ...RESPONSE, riskScore: Number(subject.value) };
+      }
+    });
+    const validator = new AIValidator(undefined, undefined, { backend, concurrency: 3 });
+
+    const transactions = Array.from({ length: 10 }, (_, i) => ({ ...TX, value: String(i) }));
+    const results = await validator.batchValidate(transactions);
+
+    assert.strictEqual(peak, 3);
+    assert.deepStrictEqual(results.map(r => r.riskScore), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    assert.strictEqual(results[1].validatorId, 'mock-deterministic');
+
+    const { performance } = validator.getValidationStats();
+    assert.strictEqual(performance.batches, 1);
+    assert.strictEqual(performance.lastBatch.size, 10);
+    assert.ok(performance.throughput > 0);
+    assert.strictEqual(performance.latency.samples, 10);
+    assert.ok(performance.latency.p50 <= performance.latency.p99);
+  });
+
+  it('retries failed requests within the budget', async () => {
+    let calls = 0;
+    const backend = new MockBackend({
+      response: () => {
+        if (++calls < 3) throw new Error('connection reset');
+        return RESPONSE;
+      }
+    });
+    const validator = new AIValidator(undefined, undefined, { backend, retries: 2, retryDelay: 1 });
+
+    const result = await validator.validateTransaction(TX);
+    assert.strictEqual(result.classification, 'safe');
+    assert.strictEqual(validator.getPerformanceStats().retries, 2);
+  });
+
+  it('times out slow requests and falls back', async () => {
+    const backend = new MockBackend({ response: RESPONSE, latency: 100 });
+    const validator = new AIValidator(undefined, undefined, { backend, timeout: 20, retries: 0 });
+
+    const result = await validator.validateTransaction(TX);
+    assert.strictEqual(result.validatorId, 'fallback-validator');
+    assert.strictEqual(validator.getPerformanceStats().timeouts, 1);
+  });
+
+  it('opens the circuit after repeated failures and recovers through a probe', async () => {
+    let healthy = false;
+    const backend = new MockBackend({
+      response: () => {
+        if (!healthy) throw new Error('ECONNREFUSED');
+        return RESPONSE;
+      }
+    });
+    const validator = new AIValidator(undefined, undefined, {
+      backend, retries: 0, breakerThreshold: 2, breakerResetTimeout: 30
+    });
+
+    await validator.validateTransaction(TX);
+    await validator.validateTransaction(TX);
+    assert.strictEqual(validator.breaker.state, 'open');
+
+    // Open circuit: fallback without calling the backend
+    const skipped = await validator.validateTransaction(TX);
+    assert.strictEqual(skipped.validatorId, 'fallback-validator');
+    assert.strictEqual(backend.calls.length, 2);
+
+    healthy = true;
+    await sleep(35);
+    const probed = await validator.validateTransaction(TX);
+    assert.strictEqual(probed.classification, 'safe');
+    assert.strictEqual(validator.breaker.state, 'closed');
+    assert.strictEqual(validator.getPerformanceStats().circuitBreaker.opened, 1);
+  });
+
+  it('records whether a verdict was clean, repaired or heuristic', async () => {
+    const replies = ['The transaction looks safe.', JSON.stringify(RESPONSE)];
+    const backend = new MockBackend({ response: () => replies.shift() || 'Definitely suspicious, unusual pattern' });
+    const validator = new AIValidator(undefined, undefined, { backend, repairAttempts: 1, cacheTtl: 0 });
+
+    const repaired = await validator.validateTransaction(TX);
+    assert.strictEqual(repaired.parseOutcome, 'repaired');
+    assert.strictEqual(repaired.parseAttempts, 2);
+    assert.strictEqual(repaired.riskScore, 10);
+    assert.match(backend.calls[1].prompt, /Your previous response was rejected/);
+
+    const heuristic = await validator.validateTransaction(TX);
+    assert.strictEqual(heuristic.parseOutcome, 'heuristic');
+    assert.strictEqual(heuristic.classification, 'suspicious');
+    assert.ok(heuristic.schemaErrors.length > 0);
+
+    const { performance } = validator.getValidationStats();
+    assert.deepStrictEqual(performance.parseOutcomes, { clean: 0, repaired: 1, heuristic: 1, rule: 0, fallback: 0 });
+    assert.strictEqual(performance.repairs, 2);
+  });
+});
+
@@ -0,0 +1,143 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const AlertEngine = require('../src/alert-engine');
+const EventDecoder = require('../src/event-decoder');
+const { ABIS } = require('../src/qobi-contracts');
+
+const OWNER = '0x0000000000000000000000000000000000000100';
+const USER = '0x0000000000000000000000000000000000000101';
+const RELAYER = '0x0000000000000000000000000000000000000102';
+const DAILY_TREE = '0x0000000000000000000000000000000000000301';
+const DISTRIBUTOR = '0x0000000000000000000000000000000000000302';
+const ACCESS_CONTROL = '0x0000000000000000000000000000000000000304';
+
+const decoder = new EventDecoder({ abis: ABIS });
+let logIndex = 0;
+
+function event(abi, address, name, args) {
+  const { topics, data } = new ethers.Interface(abi).encodeEventLog(name, args);
+  return decoder.decode({ blockNumber: 9, transactionHash: ethers.id('tx'), index: logIndex++, address, topics, data });
+}
+
+function memorySink(minSeverity = 'info') {
+  const received = [];
+  return { name: 'memory', minSeverity, received, async send(alert) { received.push(alert); } };
+}
+
+const engine = (options = {}) => new AlertEngine({
+  provider: options.provider || {},
+  contracts: { dailyTree: DAILY_TREE, merkleDistributor: DISTRIBUTOR, accessControl: ACCESS_CONTROL },
+  sinks: options.sinks || [memorySink()],
+  rules: options.rules,
+  indexer: options.indexer,
+  config: { alertKnownAddresses: [OWNER], ...options.config }
+});
+
+describe('AlertEngine', () => {
+  it('alerts on matching events once per log, with the rule severity', async () => {
+    const critical = memorySink('critical');
+    const all = memorySink();
+    const alerts = engine({ sinks: [critical, all] });
+    const withdraw = event(ABIS.merkleDistributor, DISTRIBUTOR, 'EmergencyWithdraw', [OWNER, ethers.parseEther('5')]);
+    const granted = event(ABIS.accessControl, ACCESS_CONTROL, 'RoleGranted', [ethers.id('RELAYER_ROLE'), USER, OWNER]);
+    const known = event(ABIS.accessControl, ACCESS_CONTROL, 'RoleGranted', [ethers.id('RELAYER_ROLE'), OWNER, OWNER]);
+
+    const sent = await alerts.evaluateEvents([withdraw, granted, known]);
+    assert.deepStrictEqual(sent.map(alert => [alert.rule, alert.severity]), [
+      ['emergency-withdraw', 'critical'],
+      ['unknown-role-grant', 'critical']
+    ]);
+    assert.match(sent[1].message, /^RELAYER_ROLE granted to unknown address 0x0+101 by 0x0+100$/);
+    assert.deepStrictEqual(sent[0].event.args, { owner: OWNER, amount: ethers.parseEther('5').toString() });
+
+    // The same log again (e.g. re-indexed after a reorg) is not alerted twice
+    assert.deepStrictEqual(await alerts.evaluateEvents([withdraw]), []);
+    assert.strictEqual(alerts.getStats().suppressed, 1);
+    assert.strictEqual(critical.received.length, 2);
+  });
+
+  it('flags trees close to the DailyTreeGenerator cap', async () => {
+    const alerts = engine({ rules: [{ type: 'nearCap', ratio: 0.95 }] });
+    alerts.dailyTree = { getDailyLimits: async () => ({ userLimit: 10n, qobiCap: ethers.parseEther('100') }) };
+    const tree = (total) => event(ABIS.dailyTree, DAILY_TREE, 'TreeSubmitted', [20300, 3, ethers.id('root'), 4, ethers.parseEther(total), RELAYER]);
+
+    const [alert, ...rest] = await alerts.evaluateEvents([tree('94'), tree('96.5')]);
+    assert.strictEqual(rest.length, 0);
+    assert.strictEqual(alert.message, 'TIPPING tree for day 20300 distributes 96.5 of the 100.0 QOBI cap (96.50%)');
+    assert.strictEqual(alert.severity, 'warning');
+  });
+
+  it('keeps state alerts deduplicated until the condition changes or clears', async () => {
+    const sink = memorySink();
+    const alerts = engine({ sinks: [sink], rules: [{ id: 'low', type: 'lowBalanceRelayers' }] });
+    let low = [RELAYER];
+    alerts.relayerTreasury = { getLowBalanceRelayers: async () => low };
+
+    await alerts.checkState();
+    await alerts.checkState();
+    low = [RELAYER, USER];
+    await alerts.checkState();
+    low = [];
+    await alerts.checkState();
+    low = [RELAYER];
+    await alerts.checkState();
+
+    assert.deepStrictEqual(sink.received.map(alert => [alert.severity, Boolean(alert.resolved), alert.details.relayers.length]), [
+      ['warning', false, 1],
+      ['warning', false, 2],
+      ['info', true, 2],
+      ['warning', false, 1]
+    ]);
+    assert.match(sink.received[2].message, /^Resolved: 2 relayer\(s\) below/);
+  });
+
+  it('compares the distributor balance with finalized minus claimed QOBI', async () => {
+    const events = {
+      DailyDistributionFinalized: [{ args: { totalQOBI: ethers.parseEther('60').toString() } }, { args: { totalQOBI: ethers.parseEther('40').toString() } }],
+      QOBIClaimed: [{ args: { qobiAmount: ethers.parseEther('30').toString() } }]
+    };
+    const indexer = { isCurrent: () => true, getEvents: ({ event }) => events[event] };
+    let balance = ethers.parseEther('69');
+    const alerts = engine({
+      rules: [{ type: 'distributorSolvency' }],
+      indexer,
+      provider: { getBalance: async () => balance }
+    });
+
+    const [alert] = await alerts.checkState();
+    assert.strictEqual(alert.message, 'Distributor balance 69.0 QOBI is below the 70.0 QOBI still unclaimed (short 1.0)');
+    assert.strictEqual(alert.severity, 'critical');
+
+    balance = ethers.parseEther('70');
+    assert.strictEqual((await alerts.checkState())[0].resolved, true);
+  });
+
+  it('loads rules and writes alerts to a file sink', async () => {
+    assert.throws(() => AlertEngine.normalizeRule({ type: 'gasSpike' }, 0), /Unknown alert rule type "gasSpike"/);
+    assert.throws(() => AlertEngine.normalizeRule({ type: 'event', events: ['X'], severity: 'high' }, 0), /Invalid severity "high"/);
+    assert.throws(() => AlertEngine.normalizeRule({ type: 'event' }, 2), /event alert rule event-2 needs events/);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qobi-alerts-'));
+    try {
+      const file = path.join(dir, 'alerts', 'alerts.ndjson');
+      const alerts = engine({
+        sinks: [AlertEngine.fileSink(file, 'warning')],
+        rules: [
+          { id: 'claims', type: 'event', event: 'QOBIClaimed', severity: 'info' },
+          { id: 'big-claims', type: 'event', event: 'QOBIClaimed', where: { user: USER.toUpperCase().replace('0X', '0x') } }
+        ]
+      });
+      await alerts.evaluateEvents([event(ABIS.merkleDistributor, DISTRIBUTOR, 'QOBIClaimed', [USER, 20300, 1, 20, 20n])]);
+
+      const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      assert.deepStrictEqual(lines.map(line => [line.rule, line.severity]), [['big-claims', 'warning']]);
+      assert.strictEqual(alerts.getStats().alerts, 2);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const RelayerStore = require('../src/relayer-store');
+const ApiKeyManager = require('../src/api-keys');
+
+const { ApiKeyError } = ApiKeyManager;
+
+function fakeRequest(headers = {}) {
+  return {
+    method: 'POST',
+    originalUrl: '/transactions',
+    ip: '127.0.0.1',
+    get: (name) => headers[name]
+  };
+}
+
+function fakeResponse() {
+  return {
+    headers: {},
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+describe('ApiKeyManager', () => {
+  it('authenticates keys, checks scopes and audits rejected calls', () => {
+    const store = new RelayerStore(':memory:');
+    const apiKeys = new ApiKeyManager({ store, config: { enabled: true } });
+    const reader = apiKeys.createKey({ name: 'dashboard', scopes: 'read' });
+    const admin = apiKeys.createKey({ name: 'ops', scopes: ['admin'] });
+
+    assert.match(reader.key, /^qobi_[0-9a-f]{8}_[0-9a-f]{48}$/);
+    assert.strictEqual(store.getApiKey(reader.id).keyHash.length, 64);
+    assert.strictEqual(apiKeys.listKeys()[0].keyHash, undefined);
+    assert.throws(() => apiKeys.createKey({ name: 'x', scopes: 'read,everything' }), /Invalid scopes: everything/);
+
+    const submit = apiKeys.middleware('submit');
+    const run = (headers) => {
+      const req = fakeRequest(headers);
+      const res = fakeResponse();
+      let passed = false;
+      submit(req, res, () => { passed = true; });
+      return { req, res, passed };
+    };
+
+    assert.strictEqual(run({}).res.statusCode, 401);
+    const tampered = reader.key.slice(0, -1) + (reader.key.endsWith('0') ? '1' : '0');
+    assert.strictEqual(run({ 'X-API-Key': tampered }).res.body.code, 'UNAUTHORIZED');
+    assert.strictEqual(run({ Authorization: `Bearer ${reader.key}` }).res.statusCode, 403);
+
+    const allowed = run({ 'X-API-Key': admin.key });
+    assert.strictEqual(allowed.passed, true);
+    assert.strictEqual(allowed.req.apiKey.id, admin.id);
+
+    apiKeys.revokeKey(admin.id);
+    assert.strictEqual(run({ 'X-API-Key': admin.key }).res.body.error, 'API key has been revoked');
+
+    const audit = store.getAuditEntries();
+    assert.deepStrictEqual(audit.map(entry => entry.code), ['UNAUTHORIZED', 'FORBIDDEN', 'UNAUTHORIZED', 'UNAUTHORIZED']);
+    assert.deepStrictEqual(store.getAuditEntries({ keyId: reader.id }).map(entry => entry.status), [403]);
+    assert.strictEqual(audit[0].path, '/transactions');
+    store.close();
+  });
+
+  it('limits requests per key per window', () => {
+    const store = new RelayerStore(':memory:');
+    const apiKeys = new ApiKeyManager({ store, config: { rateLimit: 2, rateWindow: 60000 } });
+    const record = store.getApiKey(apiKeys.createKey({ name: 'bot', scopes: 'read' }).id);
+
+    apiKeys.consumeRequest(record, 0);
+    apiKeys.consumeRequest(record, 1000);
+    assert.throws(() => apiKeys.consumeRequest(record, 15000), (error) =>
+      error instanceof ApiKeyError && error.code === 'RATE_LIMITED' && error.retryAfter === 45);
+    apiKeys.consumeRequest(record, 60000);
+    store.close();
+  });
+
+  it('reserves relay gas against the daily quota and settles it with gasUsed', () => {
+    const store = new RelayerStore(':memory:');
+    const apiKeys = new ApiKeyManager({ store });
+    const { id } = apiKeys.createKey({ name: 'relayer', scopes: 'relay', dailyGasQuota: 100000 });
+
+    apiKeys.reserveGas(id, 'tx_1', 60000);
+    assert.throws(() => apiKeys.reserveGas(id, 'tx_2', 50000), (error) => error.status === 429 && error.code === 'QUOTA_EXCEEDED');
+
+    // Only the gas actually used stays charged, which frees room for the next relay
+    apiKeys.settleGas('tx_1', 21000n);
+    apiKeys.reserveGas(id, 'tx_2', 50000);
+    assert.strictEqual(apiKeys.describe(store.getApiKey(id)).gasUsedToday, 71000);
+
+    apiKeys.releaseGas('tx_2');
+    const key = apiKeys.describe(store.getApiKey(id));
+    assert.strictEqual(key.gasUsedToday, 21000);
+    assert.strictEqual(key.gasRemainingToday, 79000);
+    store.close();
+  });
+});
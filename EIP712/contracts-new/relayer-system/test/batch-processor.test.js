@@ -0,0 +1,130 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const BatchProcessor = require('../src/batch-processor');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function recorder() {
+  const batches = [];
+  const handler = async (batch) => {
+    batches.push(batch);
+    return { size: batch.length };
+  };
+  return { batches, handler };
+}
+
+describe('BatchProcessor', () => {
+  it('starts a batch when it is full or when the oldest item is old enough', async () => {
+    const { batches, handler } = recorder();
+    const processor = new BatchProcessor({ handler, batchSize: 3, maxBatchAge: 40 });
+    processor.start();
+
+    await Promise.all([1, 2, 3, 4].map(n => processor.enqueue(n)));
+    await sleep(10);
+    assert.deepStrictEqual(batches, [[1, 2, 3]]);
+
+    // Well past maxBatchAge: a batch whose timer fires late still runs
+    await sleep(150);
+    assert.deepStrictEqual(batches, [[1, 2, 3], [4]]);
+
+    const stats = processor.getStats();
+    assert.strictEqual(stats.sizeTriggers, 1);
+    assert.strictEqual(stats.ageTriggers, 1);
+    await processor.stop();
+  });
+
+  it('rejects or holds callers at the high-water mark', async () => {
+    const rejecting = new BatchProcessor({ handler: async () => {}, batchSize: 2, highWaterMark: 2, maxBatchAge: 1000 });
+    await rejecting.enqueue('a');
+    await rejecting.enqueue('b');
+    await assert.rejects(rejecting.enqueue('c'), { code: 'QUEUE_FULL', highWaterMark: 2 });
+
+    const { batches, handler } = recorder();
+    const waiting = new BatchProcessor({ handler, batchSize: 2, highWaterMark: 2, overflow: 'wait', maxBatchAge: 1000 });
+    await waiting.enqueue('a');
+    await waiting.enqueue('b');
+
+    let admitted = false;
+    const held = waiting.enqueue('c').then(() => { admitted = true; });
+    await sleep(5);
+    assert.strictEqual(admitted, false);
+    assert.strictEqual(waiting.getStats().waiting, 1);
+
+    waiting.start();
+    await held;
+    assert.deepStrictEqual(batches[0], ['a', 'b']);
+    assert.deepStrictEqual(waiting.items, ['c']);
+    await waiting.stop();
+  });
+
+  it('drains everything on stop and then refuses intake', async () => {
+    const { batches, handler } = recorder();
+    const processor = new BatchProcessor({ handler, batchSize: 2, maxBatchAge: 60000 });
+    processor.start();
+    for (const n of [1, 2, 3, 4, 5]) {
+      await processor.enqueue(n);
+    }
+
+    await processor.stop();
+    assert.deepStrictEqual(batches.flat(), [1, 2, 3, 4, 5]);
+    assert.strictEqual(processor.length, 0);
+    assert.strictEqual(processor.timer, null);
+    await assert.rejects(processor.enqueue(6), { code: 'QUEUE_CLOSED' });
+  });
+
+  it('puts a failed batch back at the head of the queue and retries it later', async () => {
+    let failures = 1;
+    const { batches, handler } = recorder();
+    const processor = new BatchProcessor({
+      handler: async (batch) => {
+        if (failures-- > 0) throw new Error('validator down');
+        return handler(batch);
+      },
+      batchSize: 2,
+      maxBatchAge: 1000,
+      retryDelay: 30
+    });
+    const failed = [];
+    processor.on('batchFailed', (error, batch) => failed.push(batch));
+    processor.start();
+
+    await processor.enqueue('a');
+    await processor.enqueue('b');
+    await sleep(10);
+    assert.deepStrictEqual(failed, [['a', 'b']]);
+    assert.deepStrictEqual(processor.items, ['a', 'b']);
+
+    await sleep(40);
+    assert.deepStrictEqual(batches, [['a', 'b']]);
+    await processor.stop();
+  });
+
+  it('holds waiters until a batch succeeds, so a failed batch cannot overfill the queue', async () => {
+    let failures = 1;
+    const { batches, handler } = recorder();
+    const processor = new BatchProcessor({
+      handler: async (batch) => {
+        if (failures-- > 0) throw new Error('validator down');
+        return handler(batch);
+      },
+      batchSize: 2,
+      highWaterMark: 2,
+      overflow: 'wait',
+      maxBatchAge: 1000,
+      retryDelay: 30
+    });
+    await processor.enqueue('a');
+    await processor.enqueue('b');
+    const held = processor.enqueue('c');
+    processor.start();
+
+    await sleep(10);
+    assert.deepStrictEqual(processor.items, ['a', 'b']);
+    assert.strictEqual(processor.getStats().waiting, 1);
+
+    await held;
+    assert.deepStrictEqual(batches, [['a', 'b']]);
+    assert.deepStrictEqual(processor.items, ['c']);
+    await processor.stop();
+  });
+});
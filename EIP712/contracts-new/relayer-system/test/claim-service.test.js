@@ -0,0 +1,109 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const ClaimService = require('../src/claim-service');
+const RelayerStore = require('../src/relayer-store');
+const QOBIMerkleTree = require('../src/merkle-tree');
+const { ABIS } = require('../src/qobi-contracts');
+
+const DISTRIBUTOR = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const TIPPING = 3;
+const USER = '0x0000000000000000000000000000000000000101';
+
+const ALLOCATIONS = [1, 2, 3, 4, 5].map(i => ({
+  user: ethers.getAddress('0x' + (0x100 + i).toString(16).padStart(40, '0')),
+  points: i * 20,
+  qobiAmount: ethers.parseEther(String(i / 10)).toString()
+}));
+
+// In-memory stand-in for QOBIMerkleDistributor's view functions
+function fakeDistributor({ roots, claimed = new Set(), cap = ethers.parseEther('7.96') }) {
+  const key = (day, type) => `${day}:${type}`;
+  return {
+    target: DISTRIBUTOR,
+    interface: new ethers.Interface(ABIS.merkleDistributor),
+    getPendingClaims: async (user, day) => [0, 1, 2, 3, 4, 5]
+      .filter(type => roots[key(day, type)] && !claimed.has(key(day, type))),
+    hasClaimed: async (day, type) => claimed.has(key(day, type)),
+    getDistributionInfo: async (day, type) => ({
+      merkleRoot: roots[key(day, type)] || ethers.ZeroHash,
+      finalized: Boolean(roots[key(day, type)])
+    }),
+    getDailyQOBICap: async () => cap
+  };
+}
+
+function setup(days, distributorOptions = {}) {
+  const store = new RelayerStore(':memory:');
+  const roots = {};
+
+  for (const day of days) {
+    const tree = QOBIMerkleTree.fromAllocations(ALLOCATIONS);
+    store.saveDailySubmission({
+      day,
+      interactionType: TIPPING,
+      status: 'confirmed',
+      merkleRoot: tree.getRoot(),
+      allocations: tree.getAllocations()
+    });
+    roots[`${day}:${TIPPING}`] = tree.getRoot();
+  }
+
+  const service = new ClaimService({ provider: null, store, contracts: { merkleDistributor: DISTRIBUTOR } });
+  service.merkleDistributor = fakeDistributor({ roots, ...distributorOptions });
+  return { service, store };
+}
+
+describe('ClaimService', () => {
+  it('lists unclaimed allocations with proofs that verify on-chain', async () => {
+    const { service } = setup([20000, 20001]);
+    const { claims, skipped, totalQOBI } = await service.getClaims(USER);
+
+    assert.strictEqual(claims.length, 2);
+    assert.strictEqual(skipped.length, 0);
+    assert.strictEqual(totalQOBI, ethers.parseEther('0.2').toString());
+    for (const claim of claims) {
+      assert.ok(QOBIMerkleTree.verifySortedProof(claim.proof, claim.merkleRoot, claim.leaf));
+    }
+  });
+
+  it('skips claimed distributions and allocations above cap * points / 100', async () => {
+    const { service } = setup([20000, 20001], {
+      claimed: new Set([`20000:${TIPPING}`]),
+      cap: ethers.parseEther('0.25')
+    });
+    const { claims, skipped } = await service.getClaims(USER);
+
+    assert.strictEqual(claims.length, 0);
+    assert.deepStrictEqual(skipped.map(s => s.reason), ['already claimed', 'QOBI amount exceeds cap * points / 100']);
+  });
+
+  it('builds claimQOBI calldata for one claim and batchClaimQOBI for several', async () => {
+    const { service } = setup([20000, 20001]);
+    const iface = new ethers.Interface(ABIS.merkleDistributor);
+
+    const single = await service.getClaims(USER, { days: [20000] });
+    const tx = service.buildClaimTransaction(USER, single.claims);
+    assert.strictEqual(tx.method, 'claimQOBI');
+    assert.strictEqual(tx.to, DISTRIBUTOR);
+    const [day, type, points, amount, proof] = iface.decodeFunctionData('claimQOBI', tx.data);
+    assert.deepStrictEqual([day, type, points, amount], [20000n, BigInt(TIPPING), 20n, ethers.parseEther('0.1')]);
+    assert.deepStrictEqual([...proof], single.claims[0].proof);
+
+    const all = await service.getClaims(USER);
+    const batch = service.buildClaimTransaction(USER, all.claims);
+    assert.strictEqual(batch.method, 'batchClaimQOBI');
+    assert.deepStrictEqual([...iface.decodeFunctionData('batchClaimQOBI', batch.data)[0]], [20000n, 20001n]);
+
+    assert.throws(() => service.buildClaimTransaction(USER, []), /No claimable allocations/);
+  });
+
+  it('returns null for users without an allocation', async () => {
+    const { service } = setup([20000]);
+    assert.strictEqual(await service.getClaim('0x0000000000000000000000000000000000000999', 20000, TIPPING), null);
+
+    const claim = await service.getClaim(USER, 20000, TIPPING);
+    assert.strictEqual(claim.claimable, true);
+    assert.strictEqual(claim.maxQOBI, ethers.parseEther('1.592').toString());
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const ContractAdmin = require('../src/contract-admin');
+const { ABIS } = require('../src/qobi-contracts');
+
+const OWNER = new ethers.Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+const CONTRACTS = {
+  accessControl: '0x0000000000000000000000000000000000000ac1',
+  merkleDistributor: '0x0000000000000000000000000000000000000d15',
+  relayerTreasury: '0x0000000000000000000000000000000000000fee'
+};
+const RELAYER = '0x0000000000000000000000000000000000000101';
+const STRANGER = '0x0000000000000000000000000000000000000102';
+
+// Answers the view calls ContractAdmin makes, and refuses calls from anyone but the owner
+class FakeProvider {
+  constructor() {
+    this.iface = new ethers.Interface([
+      'function owner() view returns (address)',
+      ...ABIS.accessControl.filter(entry => entry.includes('hasRole')),
+      ...ABIS.relayerTreasury.filter(entry => entry.includes('getRelayerInfo'))
+    ]);
+    this.owner = OWNER.address;
+    this.roles = new Set();
+    this.treasuryBalance = ethers.parseEther('1');
+  }
+
+  async call(tx) {
+    const call = this.iface.parseTransaction({ data: tx.data });
+    const results = {
+      owner: () => [this.owner],
+      hasRole: ([, account]) => [this.roles.has(account)],
+      getRelayerInfo: ([relayer]) => [relayer === RELAYER, 0n, 0n, 0n, 0n]
+    };
+    return this.iface.encodeFunctionResult(call.fragment, results[call.name](call.args));
+  }
+
+  async estimateGas(tx) {
+    if (tx.from !== this.owner) {
+      throw Object.assign(new Error('execution reverted'), {
+        code: 'CALL_EXCEPTION',
+        shortMessage: 'execution reverted: Ownable: caller is not the owner'
+      });
+    }
+    return 48000n;
+  }
+
+  async getBalance() {
+    return this.treasuryBalance;
+  }
+}
+
+function createAdmin(provider = new FakeProvider()) {
+  const sent = [];
+  const signer = {
+    address: OWNER.address,
+    async sendTransaction(tx) {
+      sent.push(tx);
+      return { wait: async () => ({ hash: ethers.id('tx'), blockNumber: 7, gasUsed: 47000n, status: 1 }) };
+    }
+  };
+  return { admin: new ContractAdmin({ provider, signer, contracts: CONTRACTS }), provider, sent };
+}
+
+describe('ContractAdmin', () => {
+  it('resolves role names to keccak256 ids', () => {
+    assert.strictEqual(ContractAdmin.roleId('relayer_role'), ethers.id('RELAYER_ROLE'));
+    assert.strictEqual(ContractAdmin.roleId('stabilizer'), ethers.id('STABILIZER_ROLE'));
+    assert.strictEqual(ContractAdmin.roleId(ethers.ZeroHash), ethers.ZeroHash);
+    assert.throws(() => ContractAdmin.roleId('ROOT'), /Unknown role/);
+  });
+
+  it('previews a call with decoded calldata and gas, then sends it', async () => {
+    const { admin, sent } = createAdmin();
+    const role = ContractAdmin.roleId('RELAYER_ROLE');
+    const preview = await admin.prepare('grantRole', [role, RELAYER]);
+
+    assert.strictEqual(preview.to, ethers.getAddress(CONTRACTS.accessControl));
+    assert.strictEqual(preview.owner, OWNER.address);
+    assert.strictEqual(preview.gasEstimate, '48000');
+    assert.strictEqual(preview.revert, null);
+    assert.deepStrictEqual(preview.warnings, []);
+    assert.deepStrictEqual(
+      [preview.decoded.contract, preview.decoded.method, preview.decoded.args],
+      ['accessControl', 'grantRole', { role, account: RELAYER }]
+    );
+
+    const result = await admin.send(preview);
+    assert.deepStrictEqual(sent, [{ to: preview.to, data: preview.data, value: 0n }]);
+    assert.deepStrictEqual(result, { txHash: ethers.id('tx'), blockNumber: 7, gasUsed: '47000', status: 'confirmed' });
+  });
+
+  it('warns about calls that revert or do less than asked', async () => {
+    const { admin, provider } = createAdmin();
+
+    provider.roles.add(RELAYER);
+    const granted = await admin.prepare('grantRole', [ContractAdmin.roleId('RELAYER_ROLE'), RELAYER]);
+    assert.deepStrictEqual(granted.warnings, [`${RELAYER} already has this role`]);
+
+    const funding = await admin.prepare('batchFundRelayers', [[RELAYER, STRANGER], [ethers.parseEther('1'), ethers.parseEther('0.5')]]);
+    assert.deepStrictEqual(funding.warnings, [
+      `${STRANGER} is not an authorized treasury relayer and will be skipped`,
+      'RelayerTreasury holds 1.0 ETH but the batch needs 1.5'
+    ]);
+
+    provider.owner = STRANGER;
+    const foreign = await admin.prepare('updateMinRelayerBalance', [ethers.parseEther('0.1')]);
+    assert.match(foreign.warnings[0], /is not the owner of relayerTreasury/);
+    assert.match(foreign.revert, /caller is not the owner/);
+    assert.strictEqual(foreign.gasEstimate, null);
+
+    await assert.rejects(admin.prepare('emergencyWithdraw', [1n]), /Not an admin function/);
+    await assert.rejects(admin.prepare('authorizeRelayer', [RELAYER]), /dailyTree has no address configured/);
+  });
+});
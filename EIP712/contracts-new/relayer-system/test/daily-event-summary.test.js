@@ -0,0 +1,105 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const DailyEventSummary = require('../src/daily-event-summary');
+const EventIndexer = require('../src/event-indexer');
+const RelayerStore = require('../src/relayer-store');
+const { ABIS } = require('../src/qobi-contracts');
+
+const DISTRIBUTOR = '0x0000000000000000000000000000000000000302';
+const TREASURY = '0x0000000000000000000000000000000000000303';
+const USER = '0x0000000000000000000000000000000000000101';
+const RELAYER = '0x0000000000000000000000000000000000000102';
+const DAY = 20300;
+const DAY_START = DAY * 86400;
+
+const distributor = new ethers.Interface(ABIS.merkleDistributor);
+const treasury = new ethers.Interface(ABIS.relayerTreasury);
+
+// One block an hour from the start of DAY, for three days; the treasury exists from block 30
+class HourlyChain {
+  constructor() {
+    this.height = 71;
+    this.logs = [];
+  }
+
+  add(address, iface, name, args, blockNumber) {
+    const { topics, data } = iface.encodeEventLog(name, args);
+    this.logs.push({ address, topics, data, blockNumber, index: this.logs.length, transactionHash: ethers.id(`tx-${this.logs.length}`) });
+  }
+
+  async getBlockNumber() { return this.height; }
+
+  async getBlock(number) {
+    return { number, hash: ethers.id(`block-${number}`), timestamp: DAY_START + number * 3600 };
+  }
+
+  async getCode(address, blockTag) {
+    return address === TREASURY && blockTag < 30 ? '0x' : '0x6080';
+  }
+
+  async getLogs({ address, fromBlock, toBlock }) {
+    const addresses = [].concat(address).map(a => a.toLowerCase());
+    return this.logs
+      .filter(log => addresses.includes(log.address.toLowerCase()) && log.blockNumber >= fromBlock && log.blockNumber <= toBlock)
+      .map(log => ({ ...log, blockHash: ethers.id(`block-${log.blockNumber}`) }));
+  }
+}
+
+describe('DailyEventSummary', () => {
+  let chain;
+  let summary;
+
+  beforeEach(async () => {
+    chain = new HourlyChain();
+    const contracts = { merkleDistributor: DISTRIBUTOR, relayerTreasury: TREASURY, dailyTree: '' };
+    const indexer = new EventIndexer({ provider: chain, store: new RelayerStore(':memory:'), contracts });
+    summary = new DailyEventSummary({ provider: chain, indexer, contracts });
+
+    chain.add(DISTRIBUTOR, distributor, 'DailyDistributionFinalized', [DAY, 1, ethers.id('root'), 2, ethers.parseEther('60')], 3);
+    chain.add(TREASURY, treasury, 'GasReimbursed', [RELAYER, 21000, 21000n * 10n ** 9n], 31);
+    chain.add(TREASURY, treasury, 'GasReimbursed', [RELAYER, 50000, 50000n * 10n ** 9n], 40);
+    // Claims against DAY arrive the following days
+    chain.add(DISTRIBUTOR, distributor, 'QOBIClaimed', [USER, DAY, 1, 50, ethers.parseEther('30')], 30);
+    chain.add(DISTRIBUTOR, distributor, 'QOBIClaimed', [RELAYER, DAY, 1, 10, ethers.parseEther('6')], 50);
+    await indexer.sync();
+  });
+
+  it('maps UTC days to the blocks mined on them', async () => {
+    const ranges = await summary.blockRanges(DAY - 1, DAY + 3);
+    assert.deepStrictEqual(ranges.map(({ fromBlock, toBlock }) => [fromBlock, toBlock]), [
+      [0, -1], [0, 23], [24, 47], [48, 71], [72, 71]
+    ]);
+  });
+
+  it('summarizes events, finalized against claimed distributions and reimbursements per day', async () => {
+    const [first, second] = await summary.summarize(DAY, DAY + 1);
+
+    assert.strictEqual(first.date, '2025-07-31');
+    assert.deepStrictEqual(first.events, { DailyDistributionFinalized: 1 });
+    assert.deepStrictEqual(first.distributions, [{
+      interactionType: 1,
+      interactionTypeName: 'LIKES',
+      finalizedBlock: 3,
+      totalUsers: 2,
+      totalQOBI: ethers.parseEther('60').toString(),
+      claims: 2,
+      claimedQOBI: ethers.parseEther('36').toString()
+    }]);
+    assert.deepStrictEqual(first.contracts, {
+      merkleDistributor: { address: DISTRIBUTOR, deployed: true },
+      relayerTreasury: { address: TREASURY, deployed: false },
+      dailyTree: { address: null, deployed: false }
+    });
+
+    assert.deepStrictEqual(second.events, { GasReimbursed: 2, QOBIClaimed: 1 });
+    assert.deepStrictEqual(second.distributions, []);
+    assert.strictEqual(second.contracts.relayerTreasury.deployed, true);
+    assert.deepStrictEqual(second.reimbursements, {
+      count: 2,
+      gasUsed: '71000',
+      gasCost: (71000n * 10n ** 9n).toString(),
+      byRelayer: [{ relayer: RELAYER, count: 2, gasUsed: '71000', gasCost: (71000n * 10n ** 9n).toString() }]
+    });
+  });
+});
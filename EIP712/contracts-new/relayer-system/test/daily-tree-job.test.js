@@ -0,0 +1,181 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const DailyTreeJob = require('../src/daily-tree-job');
+const EIP712Signer = require('../src/eip712-signer');
+const RelayerStore = require('../src/relayer-store');
+const QOBIMerkleTree = require('../src/merkle-tree');
+const { ABIS } = require('../src/qobi-contracts');
+
+const PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const RELAYER = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const CHAIN_ID = 202102;
+const CONTRACTS = {
+  dailyTree: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+  merkleDistributor: '0x0000000000000000000000000000000000000d15'
+};
+const DAY = 20000;
+const TIPPING = 3;
+const user = i => ethers.getAddress('0x' + (0x100 + i).toString(16).padStart(40, '0'));
+
+// Port of DailyTreeGenerator._calculateMerkleRootFromLeaves: positional pairs, odd node promoted
+function contractRoot(users, points, qobiAmounts) {
+  let nodes = users.map((address, i) =>
+    ethers.solidityPackedKeccak256(['address', 'uint256', 'uint256'], [address, points[i], qobiAmounts[i]]));
+  while (nodes.length > 1) {
+    const next = [];
+    for (let i = 0; i < nodes.length; i += 2) {
+      next.push(i + 1 < nodes.length ? ethers.keccak256(ethers.concat([nodes[i], nodes[i + 1]])) : nodes[i]);
+    }
+    nodes = next;
+  }
+  return nodes[0];
+}
+
+// In-memory DailyTreeGenerator: checks the signer and nonce like submitTreeWithSignature, and
+// plays back `outcomes` ('mine', 'revert' or 'throw') for successive submissions
+function fakeDailyTree(signer, receipts, outcomes = []) {
+  const iface = new ethers.Interface(ABIS.dailyTree);
+  const tree = {
+    interface: iface,
+    nonce: 0n,
+    submissions: [],
+    getDailyLimits: async () => [4n, ethers.parseEther('10')],
+    calculateMerkleRoot: async (users, points, qobiAmounts) => contractRoot(users, points, qobiAmounts),
+    getRelayerNonce: async () => tree.nonce,
+    async submitTreeWithSignature(submission, signature) {
+      assert.strictEqual(signer.recoverTreeSubmissionSigner(submission, signature), RELAYER);
+      assert.strictEqual(BigInt(submission.nonce), tree.nonce);
+
+      const outcome = outcomes.shift() || 'mine';
+      if (outcome === 'throw') {
+        throw new Error('replacement transaction underpriced');
+      }
+      tree.submissions.push(submission);
+      const hash = ethers.id(`submission-${tree.submissions.length}`);
+      const log = iface.encodeEventLog('TreeSubmitted', [
+        submission.day, submission.interactionType, submission.merkleRoot,
+        submission.users.length, submission.qobiAmounts.reduce((sum, amount) => sum + BigInt(amount), 0n), RELAYER
+      ]);
+      const receipt = { hash, blockNumber: 100 + tree.submissions.length, status: outcome === 'mine' ? 1 : 0, logs: [log] };
+      receipts.set(hash, receipt);
+      if (outcome === 'mine') {
+        tree.nonce++;
+      }
+      return { hash, wait: async () => receipt };
+    }
+  };
+  return tree;
+}
+
+function setup(outcomes) {
+  const store = new RelayerStore(':memory:');
+  // User i signs i tips during the day; user 6 sends five without a signature of their own
+  for (let i = 1; i <= 6; i++) {
+    for (let n = 0; n < Math.min(i, 5); n++) {
+      store.saveTransaction({
+        id: `tx_${i}_${n}`,
+        status: 'validated',
+        from: user(i),
+        signer: i === 6 ? (n === 0 ? user(1) : undefined) : user(i),
+        interactionType: TIPPING,
+        timestamp: DAY * 86400 + i * 60 + n
+      });
+    }
+  }
+
+  const signer = new EIP712Signer(PRIVATE_KEY, CHAIN_ID, CONTRACTS.dailyTree);
+  const receipts = new Map();
+  const job = new DailyTreeJob({ provider: null, privateKey: PRIVATE_KEY, signer, store, contracts: CONTRACTS });
+  job.provider = { getTransactionReceipt: async hash => receipts.get(hash) || null };
+  job.dailyTree = fakeDailyTree(signer, receipts, outcomes);
+  job.merkleDistributor = {
+    getDistributionInfo: async () => ({ merkleRoot: ethers.ZeroHash, totalQOBI: 0n, finalized: false }),
+    getDailyQOBICap: async () => ethers.parseEther('8')
+  };
+  return { job, store };
+}
+
+describe('DailyTreeJob', () => {
+  it('submits a signed tree per interaction type and records the confirmation', async () => {
+    const { job, store } = setup();
+    const results = await job.run(DAY);
+
+    assert.strictEqual(results.length, 6);
+    assert.deepStrictEqual(results.filter((_, type) => type !== TIPPING).map(result => result.skipped),
+      Array(5).fill('no validated interactions'));
+
+    const submission = store.getDailySubmission(DAY, TIPPING);
+    assert.strictEqual(submission.status, 'confirmed');
+    assert.strictEqual(submission.txHash, ethers.id('submission-1'));
+    assert.deepStrictEqual([submission.event.userCount, submission.event.blockNumber], ['4', 101]);
+
+    // The top four signing users by points, sharing the lower of the two caps pro rata
+    const cap = ethers.parseEther('8');
+    const points = new Map(submission.allocations.map(a => [a.user, a.points]));
+    assert.deepStrictEqual(points, new Map([5, 4, 3, 2].map(i => [user(i), 20 * i])));
+    for (const allocation of submission.allocations) {
+      assert.ok(BigInt(allocation.qobiAmount) <= cap * BigInt(allocation.points) / 100n);
+    }
+    assert.ok(BigInt(submission.totalQOBI) <= cap);
+
+    // Every proof verifies against the submitted root
+    const tree = QOBIMerkleTree.fromAllocations(submission.allocations);
+    assert.strictEqual(tree.getRoot(), submission.merkleRoot);
+    for (const allocation of submission.allocations) {
+      const { leaf, proof } = tree.getAllocationProof(allocation.user);
+      assert.ok(tree.verify(proof, leaf, submission.merkleRoot));
+    }
+
+    // A second run for the same day sends nothing
+    const [again] = (await job.run(DAY)).filter(result => result.interactionType === TIPPING);
+    assert.strictEqual(again.skipped, 'already confirmed');
+    assert.strictEqual(job.dailyTree.submissions.length, 1);
+  });
+
+  it('takes 1 wei off the smallest allocation until the tree can be claimed', () => {
+    const { job } = setup();
+    // No ordering of these three leaves has its first pair hashing below the promoted leaf
+    const allocations = [0, 1, 2].map(i => ({
+      user: ethers.getAddress(ethers.dataSlice(ethers.id(`u3-0-${i}`), 12)),
+      points: 10 + i,
+      qobiAmount: (BigInt(i + 1) * 10n ** 17n).toString()
+    }));
+    assert.strictEqual(QOBIMerkleTree.fromAllocations(allocations).sortedProofCompatible, false);
+
+    const tree = job.buildTree(allocations);
+    assert.strictEqual(tree.sortedProofCompatible, true);
+
+    // Only the last allocation changes, and only downwards, so it stays within the cap it was given
+    const adjusted = new Map(tree.getAllocations().map(a => [a.user, BigInt(a.qobiAmount)]));
+    const [first, second, last] = allocations;
+    assert.strictEqual(adjusted.get(first.user), BigInt(first.qobiAmount));
+    assert.strictEqual(adjusted.get(second.user), BigInt(second.qobiAmount));
+    const taken = BigInt(last.qobiAmount) - adjusted.get(last.user);
+    assert.ok(taken >= 1n && taken <= 16n, `took ${taken} wei`);
+
+    assert.throws(() => job.buildTree(allocations, 0), /Could not order allocations/);
+  });
+
+  it('records a failed submission and retries it on the next run', async () => {
+    const { job, store } = setup(['throw', 'revert']);
+
+    const [failed] = (await job.run(DAY)).filter(result => result.interactionType === TIPPING);
+    assert.strictEqual(failed.status, 'failed');
+    assert.deepStrictEqual(
+      [store.getDailySubmission(DAY, TIPPING).status, store.getDailySubmission(DAY, TIPPING).error],
+      ['failed', 'replacement transaction underpriced']
+    );
+
+    // Sent but reverted: kept as submitted so the next run reads the receipt before re-sending
+    const [reverted] = (await job.run(DAY)).filter(result => result.interactionType === TIPPING);
+    assert.strictEqual(reverted.status, 'submitted');
+    assert.strictEqual(store.getDailySubmission(DAY, TIPPING).txHash, ethers.id('submission-1'));
+
+    const [confirmed] = (await job.run(DAY)).filter(result => result.interactionType === TIPPING);
+    assert.strictEqual(confirmed.status, 'confirmed');
+    assert.strictEqual(confirmed.txHash, ethers.id('submission-2'));
+    assert.strictEqual(confirmed.error, null);
+    assert.strictEqual(job.dailyTree.submissions.length, 2);
+  });
+});
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const Distribution = require('../src/distribution');
+
+const { DistributionError } = Distribution;
+
+// Same allocations and root as the golden tree in merkle-tree.test.js
+const ROOT = '0xfaf4351fe0503fda0177a6609d24087cd70525719afc0c1171fc893c5a6f09d2';
+const user = i => '0x' + (0x100 + i).toString(16).padStart(40, '0');
+
+const CSV = [
+  'user,points,qobiAmount',
+  ...[1, 2, 3, 4, 5].map(i => `${user(i)},${i * 20},${BigInt(i) * 10n ** 17n}`)
+].join('\n');
+
+describe('Distribution', () => {
+  it('builds the contract root and proofs from CSV or JSON', () => {
+    const distribution = Distribution.parse(CSV);
+    assert.strictEqual(distribution.root(), ROOT);
+    assert.deepStrictEqual(distribution.totals(), { users: 5, totalPoints: 300, totalQOBI: '1500000000000000000' });
+
+    // Headerless CSV, a plain JSON array and build output all give the same tree
+    assert.strictEqual(Distribution.parse(CSV.split('\n').slice(1).reverse().join('\n')).root(), ROOT);
+    const tree = distribution.toJSON();
+    assert.strictEqual(Distribution.parse(JSON.stringify(tree.allocations)).root(), ROOT);
+    assert.strictEqual(Distribution.parse(JSON.stringify(tree)).root(), ROOT);
+    assert.throws(() => Distribution.parse(JSON.stringify({ ...tree, root: '0x' + '00'.repeat(32) })), { code: 'ROOT_MISMATCH' });
+
+    const proof = distribution.prove(user(1));
+    assert.strictEqual(Distribution.verify({ ...proof, root: ROOT }).valid, true);
+    assert.strictEqual(Distribution.verify({ ...proof, qobiAmount: '1', root: ROOT }).valid, false);
+    assert.strictEqual(distribution.prove(user(9)), null);
+  });
+
+  it('rejects bad rows with their line', () => {
+    assert.throws(() => Distribution.parse(`${CSV}\n${user(1)},20,1`), { code: 'DUPLICATE_USER', message: /line 7/ });
+    assert.throws(() => Distribution.parse(`${user(1)},20,0.5`), { code: 'INVALID_ROW', message: /line 1: qobiAmount/ });
+    assert.throws(() => Distribution.parse('0x1234,20,1'), DistributionError);
+    assert.throws(() => Distribution.parse('wallet,points\n'), { code: 'INVALID_FILE' });
+    assert.throws(() => Distribution.parse('[]'), { code: 'EMPTY' });
+  });
+
+  it('diffs added, removed and changed users', () => {
+    const before = Distribution.parse(CSV);
+    const after = Distribution.parse([
+      `${user(1)},20,100000000000000000`,
+      `${user(2)},40,150000000000000000`,
+      `${user(6)},10,1`
+    ].join('\n'));
+
+    const diff = before.diff(after);
+    assert.deepStrictEqual(diff.added.map(allocation => allocation.user), [user(6)]);
+    assert.deepStrictEqual(diff.removed.map(allocation => allocation.user), [user(3), user(4), user(5)]);
+    assert.deepStrictEqual(diff.changed, [{
+      user: user(2),
+      before: { points: 40, qobiAmount: '200000000000000000' },
+      after: { points: 40, qobiAmount: '150000000000000000' },
+      pointsDelta: 0,
+      qobiDelta: '-50000000000000000'
+    }]);
+    assert.strictEqual(diff.before.root, ROOT);
+  });
+});
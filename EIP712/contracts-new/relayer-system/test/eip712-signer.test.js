@@ -0,0 +1,133 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const EIP712Signer = require('../src/eip712-signer');
+
+// Golden values shared with test/EIP712SignerCompat.t.sol in the Foundry project,
+// which checks them against DailyTreeGenerator.getDomainSeparator() and getSubmissionHash()
+const PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const RELAYER = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const CHAIN_ID = 202102;
+const VERIFYING_CONTRACT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+const DOMAIN_SEPARATOR = '0xc81404e53480b1bb352ecd5e15afd262f0ed5804526f1920a834ac0dc63ca32a';
+const SINGLE_SUBMISSION_HASH = '0xbb4ec7dfa49edafeecfadb4812a04e77829bd8da4380db15b3529335b6092e07';
+const MULTI_SUBMISSION_HASH = '0x4989be7b4795f307a9b7eff84fd5d1872c074f35ad7c7433e1a0b410849464c7';
+const SINGLE_SUBMISSION_SIGNATURE = '0x98c56ecc677efda30c3f88286d70b7307d30d87fe648108875ee496ceb7848090075fb36b1a561c3feedcc950b833e546789becff6ee0d2c549b949faeb8999b1b';
+
+const USER_1 = '0x0000000000000000000000000000000000000101';
+
+const singleUserSubmission = {
+  day: 20000,
+  interactionType: 0,
+  merkleRoot: ethers.solidityPackedKeccak256(['address', 'uint256', 'uint256'], [USER_1, 50, ethers.parseEther('0.5')]),
+  users: [USER_1],
+  points: [50],
+  qobiAmounts: [ethers.parseEther('0.5')],
+  nonce: 0,
+  deadline: 1893456000
+};
+
+const multiUserSubmission = {
+  day: 20000,
+  interactionType: 3,
+  merkleRoot: ethers.id('root'),
+  users: [USER_1, '0x0000000000000000000000000000000000000102', '0x0000000000000000000000000000000000000103'],
+  points: [50, 75, 100],
+  qobiAmounts: [ethers.parseEther('0.5'), ethers.parseEther('0.75'), ethers.parseEther('1')],
+  nonce: 7,
+  deadline: 1893456000
+};
+
+describe('EIP712Signer', () => {
+  const signer = new EIP712Signer(PRIVATE_KEY, CHAIN_ID, VERIFYING_CONTRACT);
+
+  it('builds the DailyTreeGenerator domain', () => {
+    assert.deepStrictEqual(signer.getDomain(), {
+      name: 'QOBI Daily Tree Generator',
+      version: '1',
+      chainId: 202102n,
+      verifyingContract: VERIFYING_CONTRACT
+    });
+    assert.strictEqual(signer.getDomainSeparator(), DOMAIN_SEPARATOR);
+  });
+
+  it('matches getSubmissionHash() for single and multi user submissions', () => {
+    assert.strictEqual(signer.getSubmissionHash(singleUserSubmission), SINGLE_SUBMISSION_HASH);
+    assert.strictEqual(signer.getSubmissionHash(multiUserSubmission), MULTI_SUBMISSION_HASH);
+  });
+
+  it('agrees with standard EIP-712 encoding of the typed data', () => {
+    const { domain, types, message } = signer.getTreeSubmissionTypedData(multiUserSubmission);
+    assert.strictEqual(ethers.TypedDataEncoder.hashDomain(domain), DOMAIN_SEPARATOR);
+    assert.strictEqual(ethers.TypedDataEncoder.hash(domain, types, message), MULTI_SUBMISSION_HASH);
+  });
+
+  it('produces the signature accepted by submitTreeWithSignature', () => {
+    const signature = signer.signTreeSubmission(singleUserSubmission);
+    assert.strictEqual(signature, SINGLE_SUBMISSION_SIGNATURE);
+    assert.strictEqual(signer.recoverTreeSubmissionSigner(singleUserSubmission, signature), RELAYER);
+  });
+
+  it('rejects malformed submissions', () => {
+    assert.throws(() => signer.getSubmissionHash({ ...singleUserSubmission, points: [] }), /same length/);
+    assert.throws(() => signer.getSubmissionHash({ ...singleUserSubmission, interactionType: 6 }), /interaction type/);
+  });
+
+  it('signs and verifies validation attestations', async () => {
+    const typedMessage = signer.createTypedMessage(USER_1, VERIFYING_CONTRACT, '0.1', '0x1234', {
+      txHash: ethers.id('tx'),
+      validatorId: 'ollama-llama3.2:latest',
+      classification: 'safe',
+      riskScore: 12.4,
+      confidence: 88,
+      timestamp: 1700000000000
+    });
+
+    assert.strictEqual(typedMessage.primaryType, 'ValidationAttestation');
+    assert.deepStrictEqual(typedMessage.domain, { name: 'QOBI Relay Validation', version: '1', chainId: 202102n });
+    assert.strictEqual(typedMessage.message.value, ethers.parseEther('0.1'));
+    assert.strictEqual(typedMessage.message.riskScore, 12);
+    assert.strictEqual(typedMessage.message.timestamp, 1700000000n);
+
+    const signature = await signer.signQOBIMessage(typedMessage);
+    assert.strictEqual(signer.verifyQOBIMessage(typedMessage, signature), RELAYER);
+  });
+
+  it('requires a verifying contract for tree submissions only', async () => {
+    const unbound = new EIP712Signer(PRIVATE_KEY, CHAIN_ID);
+    assert.throws(() => unbound.getDomain(), /DAILY_TREE_ADDRESS/);
+
+    const typedMessage = unbound.createTypedMessage(USER_1, VERIFYING_CONTRACT, '0.1', '0x', {});
+    assert.strictEqual(unbound.verifyQOBIMessage(typedMessage, await unbound.signQOBIMessage(typedMessage)), RELAYER);
+  });
+});
+
+describe('RelayRequest', () => {
+  const user = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+  const deadline = Math.floor(Date.now() / 1000) + 600;
+  const request = (nonce, overrides = {}) => ({
+    from: user.address,
+    to: VERIFYING_CONTRACT,
+    value: ethers.parseEther('0.1').toString(),
+    data: '0x',
+    interactionType: 'tipping',
+    nonce,
+    deadline,
+    ...overrides
+  });
+
+  it('recovers the user from a wallet signature over the typed data', async () => {
+    const signer = new EIP712Signer(PRIVATE_KEY, CHAIN_ID);
+    const typedData = signer.getRelayRequestTypedData(request(0));
+
+    assert.deepStrictEqual(typedData.domain, { name: 'QOBI Relayer', version: '1', chainId: 202102n });
+    assert.strictEqual(typedData.message.interactionType, 'TIPPING');
+    assert.strictEqual(typedData.message.gasLimit, 21000n);
+
+    const signature = await user.signTypedData(typedData.domain, typedData.types, typedData.message);
+    assert.strictEqual(signer.recoverRelayRequestSigner(request(0), signature), user.address);
+    assert.notStrictEqual(signer.recoverRelayRequestSigner(request(0, { value: '1' }), signature), user.address);
+    assert.throws(() => signer.createRelayRequest(request(undefined)), /nonce and a deadline/);
+  });
+});
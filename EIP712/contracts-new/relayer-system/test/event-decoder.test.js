@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const EventDecoder = require('../src/event-decoder');
+const { ABIS } = require('../src/qobi-contracts');
+
+const USER = '0x0000000000000000000000000000000000000101';
+const RELAYER = '0x0000000000000000000000000000000000000102';
+const DAILY_TREE = '0x0000000000000000000000000000000000000301';
+const STABILIZING = '0x0000000000000000000000000000000000000302';
+const ROOT = ethers.id('root');
+
+function log(abi, address, name, args) {
+  const { topics, data } = new ethers.Interface(abi).encodeEventLog(name, args);
+  return { blockNumber: 7, transactionHash: ethers.id('tx'), logIndex: 0, address, topics, data };
+}
+
+describe('EventDecoder', () => {
+  it('decodes QOBI events into names and named arguments', () => {
+    const decoder = new EventDecoder({ abis: ABIS, addresses: { dailyTree: DAILY_TREE } });
+
+    const tree = decoder.decode(log(ABIS.dailyTree, DAILY_TREE, 'TreeSubmitted', [20300, 1, ROOT, 3, 60n, RELAYER]));
+    assert.strictEqual(tree.decoded, true);
+    assert.strictEqual(tree.contract, 'dailyTree');
+    assert.strictEqual(tree.signature, 'TreeSubmitted(uint256,uint8,bytes32,uint256,uint256,address)');
+    assert.deepStrictEqual(tree.args, {
+      day: '20300', interactionType: '1', merkleRoot: ROOT, userCount: '3', totalQOBI: '60', relayer: RELAYER
+    });
+    assert.strictEqual(tree.blockNumber, 7);
+    assert.match(EventDecoder.describe(tree), /^dailyTree\.TreeSubmitted\(day=20300, interactionType=1 \(LIKES\),/);
+
+    const claimed = decoder.decode(log(ABIS.merkleDistributor, USER, 'QOBIClaimed', [USER, 20300, 2, 20, 5n]));
+    assert.deepStrictEqual([claimed.contract, claimed.event, claimed.args.qobiAmount], ['merkleDistributor', 'QOBIClaimed', '5']);
+
+    const granted = decoder.decode(log(ABIS.accessControl, USER, 'RoleGranted', [ethers.id('RELAYER_ROLE'), RELAYER, USER]));
+    assert.match(EventDecoder.describe(granted), /role=RELAYER_ROLE, account=/);
+  });
+
+  it('prefers the ABI of the contract deployed at the log address for shared events', () => {
+    const decoder = new EventDecoder({ abis: ABIS, addresses: { stabilizingContract: STABILIZING } });
+    const event = decoder.decode(log(ABIS.dailyTree, STABILIZING, 'RelayerAuthorized', [RELAYER]));
+    assert.deepStrictEqual([event.contract, event.args], ['stabilizingContract', { relayer: RELAYER }]);
+  });
+
+  it('keeps unknown logs raw', () => {
+    const decoder = new EventDecoder({ abis: ABIS });
+    const raw = { blockNumber: 1, address: USER, topics: [ethers.id('Mystery(uint256)')], data: ethers.toBeHex(1, 32) };
+
+    const event = decoder.decode(raw);
+    assert.deepStrictEqual([event.decoded, event.event, event.topics, event.data], [false, null, raw.topics, raw.data]);
+    assert.match(EventDecoder.describe(event), /^unknown event 0x[0-9a-f]{64} with 1 topics, 32 bytes of data$/);
+
+    // Same topic as a known event but a different indexed layout
+    const mismatched = decoder.decode({ ...raw, topics: [ethers.id('RelayerAuthorized(address)')], data: '0x' });
+    assert.strictEqual(mismatched.decoded, false);
+  });
+
+  it('resolves event names to topics for log filters', () => {
+    const decoder = new EventDecoder({ abis: ABIS });
+    assert.deepStrictEqual(decoder.topicsFor(['qobiclaimed']), [ethers.id('QOBIClaimed(address,uint256,uint8,uint256,uint256)')]);
+    // Declared the same way by several contracts, so one topic
+    assert.strictEqual(decoder.topicsFor(['RelayerAuthorized', 'RelayerAuthorized']).length, 1);
+    assert.throws(() => decoder.topicsFor(['TreeSubmited']), /Unknown event: TreeSubmited/);
+  });
+
+  it('uses forge artifacts when the contracts have been built', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qobi-out-'));
+    const abi = new ethers.Interface(['event TokensReminted(uint256 amount, uint256 day)', 'event Rebased(uint256 factor)'])
+      .formatJson();
+    fs.mkdirSync(path.join(dir, 'StabilizingContract.sol'));
+    fs.writeFileSync(path.join(dir, 'StabilizingContract.sol', 'StabilizingContract.json'), JSON.stringify({ abi: JSON.parse(abi) }));
+
+    try {
+      const decoder = new EventDecoder({ artifactsDir: dir });
+      assert.deepStrictEqual(decoder.fromArtifacts, ['stabilizingContract']);
+      assert.ok(decoder.eventNames().includes('Rebased'));
+      // Contracts without an artifact keep the bundled ABI
+      assert.ok(decoder.eventNames().includes('TreeSubmitted'));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,140 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const EventIndexer = require('../src/event-indexer');
+const RelayerStore = require('../src/relayer-store');
+const { ABIS } = require('../src/qobi-contracts');
+
+const DAILY_TREE = '0x0000000000000000000000000000000000000301';
+const DISTRIBUTOR = '0x0000000000000000000000000000000000000302';
+const USER = '0x0000000000000000000000000000000000000101';
+const ROOT = ethers.id('root');
+
+const dailyTree = new ethers.Interface(ABIS.dailyTree);
+const distributor = new ethers.Interface(ABIS.merkleDistributor);
+
+// Chain with forkable block hashes and a getLogs range limit
+class FakeChain {
+  constructor(height) {
+    this.height = height;
+    this.fork = 0;
+    this.forkFrom = Infinity;
+    this.logs = [];
+    this.maxRange = Infinity;
+    this.getLogsCalls = [];
+  }
+
+  hash(number) {
+    return ethers.id(`block-${number}-${number >= this.forkFrom ? this.fork : 0}`);
+  }
+
+  add(address, iface, name, args, blockNumber) {
+    const { topics, data } = iface.encodeEventLog(name, args);
+    this.logs.push({ address, topics, data, blockNumber, index: this.logs.length, transactionHash: ethers.id(`tx-${this.logs.length}`) });
+  }
+
+  // Blocks from `from` on are replaced, and so are their logs
+  reorg(from, logs = []) {
+    this.fork++;
+    this.forkFrom = from;
+    this.logs = this.logs.filter(log => log.blockNumber < from).concat(logs);
+  }
+
+  async getBlockNumber() { return this.height; }
+  async getBlock(number) { return number <= this.height ? { number, hash: this.hash(number) } : null; }
+
+  async getLogs({ address, fromBlock, toBlock }) {
+    this.getLogsCalls.push([fromBlock, toBlock]);
+    if (toBlock - fromBlock + 1 > this.maxRange) {
+      throw new Error('query returned more than 10000 results');
+    }
+    const addresses = [].concat(address).map(a => a.toLowerCase());
+    return this.logs
+      .filter(log => addresses.includes(log.address.toLowerCase()) && log.blockNumber >= fromBlock && log.blockNumber <= toBlock)
+      .map(log => ({ ...log, blockHash: this.hash(log.blockNumber) }));
+  }
+}
+
+describe('EventIndexer', () => {
+  let chain;
+  let store;
+
+  const indexer = (contracts = { dailyTree: DAILY_TREE, merkleDistributor: DISTRIBUTOR }, config = {}) =>
+    new EventIndexer({ provider: chain, store, contracts, config: { indexerChunkSize: 10, indexerMaxChunkSize: 40, ...config } });
+
+  beforeEach(() => {
+    chain = new FakeChain(100);
+    store = new RelayerStore(':memory:');
+    chain.add(DAILY_TREE, dailyTree, 'TreeSubmitted', [20300, 1, ROOT, 3, 60n, USER], 5);
+    chain.add(DISTRIBUTOR, distributor, 'DailyDistributionFinalized', [20300, 1, ROOT, 3, 60n], 6);
+    chain.add(DISTRIBUTOR, distributor, 'QOBIClaimed', [USER, 20300, 1, 20, 20n], 90);
+  });
+
+  it('indexes decoded events from a per-contract checkpoint in growing chunks', async () => {
+    const first = indexer();
+    const { head, indexed } = await first.sync();
+
+    assert.deepStrictEqual([head, indexed], [100, 3]);
+    // 10, 20, 40 blocks, then capped at indexerMaxChunkSize
+    assert.deepStrictEqual(chain.getLogsCalls.slice(0, 4), [[0, 9], [10, 29], [30, 69], [70, 100]]);
+
+    const claimed = store.getIndexedEvents({ event: 'QOBIClaimed', args: { user: USER.toUpperCase().replace('0X', '0x'), day: 20300 } });
+    assert.strictEqual(claimed.length, 1);
+    assert.deepStrictEqual([claimed[0].contract, claimed[0].args.qobiAmount], ['merkleDistributor', '20']);
+    assert.deepStrictEqual(store.countIndexedEvents({ contract: 'merkleDistributor' }).map(row => row.count), [1, 1]);
+
+    // A restart resumes from the stored checkpoints
+    chain.height = 105;
+    chain.getLogsCalls = [];
+    await indexer().sync();
+    assert.deepStrictEqual(chain.getLogsCalls, [[101, 105]]);
+    assert.ok(first.isCurrent('merkleDistributor'));
+  });
+
+  it('halves the range when the node refuses it', async () => {
+    chain.maxRange = 15;
+    await indexer({ dailyTree: DAILY_TREE }, { indexerChunkSize: 40 }).sync();
+
+    assert.deepStrictEqual(chain.getLogsCalls.slice(0, 5), [[0, 39], [0, 19], [0, 9], [10, 19], [20, 29]]);
+    assert.strictEqual(store.getIndexedEvents().length, 1);
+    assert.strictEqual(store.getIndexerCheckpoints()[0].blockNumber, 100);
+  });
+
+  it('rolls back and re-indexes blocks replaced by a reorg', async () => {
+    const events = indexer();
+    await events.sync();
+
+    const reorgs = [];
+    events.on('reorg', reorg => reorgs.push(reorg));
+    chain.height = 102;
+    // Newest stored hashes: 100 (range end) and 90 (event); 69 ends an earlier range
+    chain.reorg(85);
+    chain.add(DISTRIBUTOR, distributor, 'QOBIClaimed', [USER, 20300, 1, 20, 25n], 101);
+
+    await events.sync();
+    assert.deepStrictEqual(reorgs, [{ fromBlock: 70, ancestor: 69, removed: 1 }]);
+    const claims = store.getIndexedEvents({ event: 'QOBIClaimed' });
+    assert.deepStrictEqual(claims.map(event => [event.blockNumber, event.args.qobiAmount]), [[101, '25']]);
+    assert.strictEqual(claims[0].blockHash, chain.hash(101));
+    assert.strictEqual(store.getIndexedEvents().length, 3);
+  });
+
+  it('catches a newly added contract up on its own, then indexes both together', async () => {
+    await indexer({ dailyTree: DAILY_TREE }).sync();
+    chain.getLogsCalls = [];
+
+    const both = indexer();
+    assert.strictEqual(both.isCurrent('merkleDistributor'), false);
+    await both.sync();
+
+    assert.deepStrictEqual(store.getIndexerCheckpoints().map(checkpoint => checkpoint.blockNumber), [100, 100]);
+    assert.strictEqual(store.getIndexedEvents({ contract: 'merkleDistributor' }).length, 2);
+    assert.ok(chain.getLogsCalls.every(([, toBlock]) => toBlock <= 100));
+
+    // Redeployed elsewhere: its old events go and it starts over
+    chain.getLogsCalls = [];
+    await indexer({ dailyTree: DAILY_TREE, merkleDistributor: USER }).sync();
+    assert.strictEqual(store.getIndexedEvents({ contract: 'merkleDistributor' }).length, 0);
+    assert.deepStrictEqual(chain.getLogsCalls[0], [0, 9]);
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const EventStream = require('../src/event-stream');
+const RelayerService = require('../src/relayer-service');
+
+const USER = '0x0000000000000000000000000000000000000101';
+const TARGET = '0x0000000000000000000000000000000000000201';
+
+function fakeClient(headers = {}, query = {}) {
+  const req = new EventEmitter();
+  req.get = (name) => headers[name];
+  req.query = query;
+  const res = {
+    chunks: [],
+    writeHead(status, responseHeaders) { this.status = status; this.headers = responseHeaders; },
+    write(chunk) { this.chunks.push(chunk); },
+    end() { this.ended = true; }
+  };
+  return { req, res };
+}
+
+describe('EventStream', () => {
+  it('streams events and replays the ones a reconnecting client missed', () => {
+    const source = new EventEmitter();
+    const stream = new EventStream({ source, events: ['batch.sealed', 'relay.confirmed'], bufferSize: 2 });
+
+    const live = fakeClient();
+    stream.handle(live.req, live.res);
+    assert.strictEqual(live.res.headers['Content-Type'], 'text/event-stream');
+
+    source.emit('batch.sealed', { batch: { id: 'batch_1' } });
+    source.emit('relay.confirmed', { transaction: { id: 'tx_1' } });
+    source.emit('batch.sealed', { batch: { id: 'batch_2' } });
+    source.emit('unrelated', {});
+
+    const messages = live.res.chunks.filter(chunk => chunk.startsWith('id:'));
+    assert.strictEqual(messages.length, 3);
+    assert.match(messages[0], /^id: 1\nevent: batch\.sealed\ndata: \{"batch":\{"id":"batch_1"\},"timestamp":"[^"]+"\}\n\n$/);
+
+    const reconnect = fakeClient({ 'Last-Event-ID': '1' });
+    stream.handle(reconnect.req, reconnect.res);
+    const replayed = reconnect.res.chunks.filter(chunk => chunk.startsWith('id:'));
+    assert.deepStrictEqual(replayed.map(chunk => chunk.split('\n')[0]), ['id: 2', 'id: 3']);
+
+    live.req.emit('close');
+    assert.strictEqual(stream.getStats().clients, 1);
+
+    stream.close();
+    assert.strictEqual(reconnect.res.ended, true);
+    assert.strictEqual(source.listenerCount('batch.sealed'), 0);
+  });
+});
+
+describe('RelayerService events', () => {
+  it('emits lifecycle events and builds batch drill-downs with verifiable proofs', async () => {
+    const service = new RelayerService({
+      rpcUrl: 'http://127.0.0.1:8545',
+      privateKey: '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+      dbPath: ':memory:',
+      validatorBackend: 'mock',
+      validation: { cacheTtl: 0 }
+    });
+    const events = [];
+    Object.values(RelayerService.EVENTS).forEach(event => service.on(event, payload => events.push({ event, payload })));
+
+    const ids = [];
+    for (const value of ['0.1', '0.2', '0.3']) {
+      ids.push(await service.addTransaction({ from: USER, to: TARGET, value }));
+    }
+    const [first] = await service.flush();
+    await service.addTransaction({ from: USER, to: TARGET, value: '0.4' });
+    const [second] = await service.flush();
+
+    assert.deepStrictEqual(events.slice(0, 3).map(e => e.event), Array(3).fill('transaction.queued'));
+    assert.deepStrictEqual(events.slice(0, 3).map(e => e.payload.transaction.id), ids);
+    const sealed = events.filter(e => e.event === 'batch.sealed');
+    assert.strictEqual(sealed.length, 2);
+    assert.strictEqual(sealed[0].payload.batch.merkleRoot, first.merkleRoot);
+    assert.strictEqual(events.filter(e => /^transaction\.(validated|rejected)$/.test(e.event)).length, 4);
+
+    // Proofs for the first batch still verify against its own root after later batches
+    const details = service.getBatchDetails(first.id);
+    assert.strictEqual(details.transactions.length, 3);
+    assert.ok(details.transactions.every(tx => tx.proofValid && tx.validation.classification));
+    assert.notStrictEqual(second.merkleRoot, first.merkleRoot);
+    assert.strictEqual(service.getBatchDetails('batch_missing'), null);
+
+    await service.shutdown();
+  });
+});
@@ -0,0 +1,204 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const GasBurnReporter = require('../src/gas-burn-reporter');
+const RelayerStore = require('../src/relayer-store');
+
+const { TX_STATUS } = RelayerStore;
+const { BURN_REPORT_STATUS } = GasBurnReporter;
+
+const KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const STABILIZER = '0x0000000000000000000000000000000000000b42';
+const TREASURY = '0x0000000000000000000000000000000000000fee';
+const GWEI = 10n ** 9n;
+const DAY = GasBurnReporter.currentDay() - 2;
+
+class FakeProvider {
+  constructor() {
+    this.receipts = new Map();
+    this.timestamp = (DAY + 1) * 86400 + 600;
+  }
+
+  async getTransactionReceipt(hash) { return this.receipts.get(hash) || null; }
+  async getBlock() { return { timestamp: this.timestamp }; }
+}
+
+// StabilizingContract: recordGasBurn books the amount under the day of the block
+class FakeStabilizer {
+  constructor(provider) {
+    this.provider = provider;
+    this.interface = new ethers.Interface([]);
+    this.burned = new Map();
+    this.calls = [];
+    this.sendError = null;
+    this.lastMint = 0n;
+    this.interval = 86400n;
+    this.balance = 10n ** 18n;
+    this.reminted = 0;
+  }
+
+  async recordGasBurn(amount) {
+    this.calls.push(amount);
+    if (this.sendError) {
+      throw this.sendError;
+    }
+    const hash = ethers.id(`burn-${this.calls.length}`);
+    const day = Math.floor(this.provider.timestamp / 86400);
+    this.burned.set(day, (this.burned.get(day) || 0n) + amount);
+    const receipt = { hash, blockNumber: 100 + this.calls.length, status: 1, logs: [] };
+    this.provider.receipts.set(hash, receipt);
+    return { hash, wait: async () => receipt };
+  }
+
+  async dailyBurnedAmount(day) { return this.burned.get(Number(day)) || 0n; }
+  async lastMintTimestamp() { return this.lastMint; }
+  async mintInterval() { return this.interval; }
+  async getBalance() { return this.balance; }
+  async merkleDistributor() { return '0x0000000000000000000000000000000000000d15'; }
+
+  async remintBurnedTokens() {
+    this.reminted++;
+    const receipt = { hash: ethers.id('remint'), blockNumber: 200, status: 1, logs: [] };
+    return { hash: receipt.hash, wait: async () => receipt };
+  }
+}
+
+function relay(store, id, { day = DAY, gasUsed = 21000, gasPrice = 2n * GWEI, status = TX_STATUS.CONFIRMED } = {}) {
+  store.saveTransaction({
+    id,
+    status,
+    from: STABILIZER,
+    to: STABILIZER,
+    txHash: ethers.id(id),
+    receipt: { gasUsed: String(gasUsed), effectiveGasPrice: gasPrice.toString(), status: status === TX_STATUS.CONFIRMED ? 1 : 0 },
+    finalizedAt: new Date(day * 86400000 + 3600000)
+  });
+}
+
+describe('GasBurnReporter', () => {
+  let provider;
+  let store;
+  let reporter;
+
+  beforeEach(() => {
+    provider = new FakeProvider();
+    store = new RelayerStore(':memory:');
+    reporter = new GasBurnReporter({
+      provider,
+      privateKey: KEY,
+      store,
+      contracts: { stabilizingContract: STABILIZER, relayerTreasury: TREASURY }
+    });
+    reporter.stabilizer = new FakeStabilizer(provider);
+    reporter.treasury = { stabilizingContract: async () => STABILIZER };
+  });
+
+  it('reports the gas a day of relays burned, once', async () => {
+    relay(store, 'tx_1');
+    relay(store, 'tx_2', { gasUsed: 50000, status: TX_STATUS.REVERTED });
+    relay(store, 'tx_3', { day: DAY + 1 });
+    // Already recorded through RelayerTreasury.recordGasUsage, which forwards to the same contract
+    relay(store, 'tx_4');
+    store.saveGasReport({ txId: 'tx_4', relayer: STABILIZER, gasUsed: '21000', gasPrice: '1', status: 'confirmed' });
+    // A treasury report the pool gave up on recorded nothing
+    relay(store, 'tx_5');
+    store.saveGasReport({ txId: 'tx_5', relayer: STABILIZER, gasUsed: '21000', gasPrice: '1', status: 'failed', attempts: 3 });
+
+    const report = await reporter.run(DAY);
+    assert.strictEqual(report.status, BURN_REPORT_STATUS.CONFIRMED);
+    assert.strictEqual(report.amount, (92000n * 2n * GWEI).toString());
+    assert.deepStrictEqual([report.relays, report.excluded, report.reportDay], [3, 1, DAY + 1]);
+
+    assert.strictEqual((await reporter.run(DAY)).skipped, 'already reported');
+    assert.strictEqual(reporter.stabilizer.calls.length, 1);
+    await assert.rejects(reporter.run(GasBurnReporter.currentDay()), /has not ended yet/);
+
+    // A treasury that forwards elsewhere does not count
+    reporter.treasury = { stabilizingContract: async () => ethers.ZeroAddress };
+    assert.strictEqual((await reporter.aggregate(DAY)).relays, 4);
+  });
+
+  it('defers a day until the treasury reports the pool may still send are settled', async () => {
+    relay(store, 'tx_1');
+    relay(store, 'tx_2', { gasUsed: 30000 });
+    store.saveGasReport({ txId: 'tx_2', relayer: STABILIZER, gasUsed: '30000', gasPrice: '1', status: 'failed', attempts: 1 });
+
+    const deferred = await reporter.run(DAY);
+    assert.strictEqual(deferred.status, BURN_REPORT_STATUS.DEFERRED);
+    assert.strictEqual(deferred.skipped, 'waiting for 1 treasury gas reports');
+
+    // Retried, and not mined yet
+    store.saveGasReport({ ...store.getGasReport('tx_2'), status: 'sent', attempts: 2 });
+    assert.strictEqual((await reporter.run(DAY)).status, BURN_REPORT_STATUS.DEFERRED);
+    assert.strictEqual(reporter.stabilizer.calls.length, 0);
+
+    // The retry mined, so RelayerTreasury has recorded tx_2 and only tx_1 is reported here
+    store.saveGasReport({ ...store.getGasReport('tx_2'), status: 'confirmed' });
+    const report = await reporter.run(DAY);
+    assert.strictEqual(report.status, BURN_REPORT_STATUS.CONFIRMED);
+    assert.strictEqual(report.amount, (21000n * 2n * GWEI).toString());
+    assert.deepStrictEqual([report.relays, report.excluded], [1, 1]);
+    assert.deepStrictEqual(store.getBurnReportsByStatus(BURN_REPORT_STATUS.DEFERRED), []);
+  });
+
+  it('does not send again after an attempt with an unknown outcome unless forced', async () => {
+    relay(store, 'tx_1');
+    reporter.stabilizer.sendError = Object.assign(new Error('socket hang up'), { code: 'NETWORK_ERROR' });
+    await assert.rejects(reporter.run(DAY), /socket hang up/);
+    assert.strictEqual(store.getBurnReport(DAY).status, BURN_REPORT_STATUS.SUBMITTING);
+
+    reporter.stabilizer.sendError = null;
+    assert.match((await reporter.run(DAY)).skipped, /outcome of the last attempt is unknown/);
+    assert.strictEqual((await reporter.run(DAY, { force: true })).status, BURN_REPORT_STATUS.CONFIRMED);
+    assert.strictEqual(reporter.stabilizer.calls.length, 2);
+
+    // Refused outright: failed, and the next run tries again
+    relay(store, 'tx_2', { day: DAY - 1 });
+    reporter.stabilizer.sendError = Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' });
+    await assert.rejects(reporter.run(DAY - 1));
+    assert.strictEqual(store.getBurnReport(DAY - 1).status, BURN_REPORT_STATUS.FAILED);
+
+    // Days without relays are recorded as empty and never sent
+    const empty = await reporter.run(DAY - 2);
+    assert.strictEqual(empty.status, BURN_REPORT_STATUS.EMPTY);
+    assert.strictEqual(reporter.stabilizer.calls.length, 3);
+  });
+
+  it('flags gaps between local burns, reports and dailyBurnedAmount', async () => {
+    relay(store, 'tx_1');
+    relay(store, 'tx_2', { day: DAY + 1 });
+    await reporter.run(DAY);
+
+    // Finalized after the report went out
+    relay(store, 'tx_3', { gasUsed: 30000 });
+    // Something else burned on the same contract day
+    reporter.stabilizer.burned.set(DAY + 1, reporter.stabilizer.burned.get(DAY + 1) + 5n);
+
+    const result = await reporter.reconcile(DAY, DAY + 1);
+    assert.deepStrictEqual(result.gaps.map(gap => [gap.type, gap.day, gap.amount]), [
+      ['unreported', DAY, 30000n * 2n * GWEI],
+      ['unreported', DAY + 1, 21000n * 2n * GWEI],
+      ['extra', DAY + 1, 5n]
+    ]);
+
+    reporter.stabilizer.burned.set(DAY + 1, 0n);
+    const missing = (await reporter.reconcile(DAY, DAY)).gaps.find(gap => gap.type === 'missing');
+    assert.strictEqual(missing.amount, 21000n * 2n * GWEI);
+  });
+
+  it('remints only once mintInterval has elapsed and something was burned', async () => {
+    reporter.stabilizer.lastMint = BigInt(provider.timestamp - 3600);
+    assert.match((await reporter.remint()).skipped, /mintInterval has not elapsed/);
+
+    reporter.stabilizer.lastMint = BigInt(provider.timestamp - 86400);
+    assert.match((await reporter.remint()).skipped, /nothing burned/);
+
+    reporter.stabilizer.burned.set(DAY, 1000n);
+    const result = await reporter.remint();
+    assert.strictEqual(result.reminted, 1000n);
+    assert.strictEqual(reporter.stabilizer.reminted, 1);
+
+    reporter.stabilizer.balance = 10n;
+    await assert.rejects(reporter.remint(), /needs/);
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const QOBIMerkleTree = require('../src/merkle-tree');
+
+// Golden tree shared with test/MerkleTreeCompat.t.sol in the Foundry project, which checks
+// the root against DailyTreeGenerator.calculateMerkleRoot() and claims every proof
+const ROOT = '0xfaf4351fe0503fda0177a6609d24087cd70525719afc0c1171fc893c5a6f09d2';
+
+const ALLOCATIONS = [1, 2, 3, 4, 5].map(i => ({
+  user: ethers.getAddress('0x' + (0x100 + i).toString(16).padStart(40, '0')),
+  points: i * 20,
+  qobiAmount: ethers.parseEther(String(i / 10)).toString()
+}));
+
+const ORDERED_USERS = [
+  '0x0000000000000000000000000000000000000102',
+  '0x0000000000000000000000000000000000000105',
+  '0x0000000000000000000000000000000000000101',
+  '0x0000000000000000000000000000000000000103',
+  '0x0000000000000000000000000000000000000104'
+];
+
+const PROOFS = {
+  '0x0000000000000000000000000000000000000101': [
+    '0x562b0af219d3462cc8a1ad8319f25728e45a79ccb1fd36a1a9da6d13c655dc9a',
+    '0x5a4553131e862cc7de06d25c51482cd6f42111a05407d316fdc8547242ebce29',
+    '0xf57b381b579a2ee20763d0c82f91af5a6053916e794308dd84e22ef7640e65c5'
+  ],
+  '0x0000000000000000000000000000000000000104': [
+    '0x89bbac826baa0cfea0a6506a2e630c91b632c4fafe5dfc1344c1af11c7134fbc'
+  ]
+};
+
+const leafOf = ({ user, points, qobiAmount }) =>
+  ethers.solidityPackedKeccak256(['address', 'uint256', 'uint256'], [user, points, qobiAmount]);
+
+// Port of DailyTreeGenerator._calculateMerkleRootFromLeaves: positional pairs, odd node promoted
+function contractRoot(leaves) {
+  if (leaves.length === 0) return ethers.ZeroHash;
+  while (leaves.length > 1) {
+    const next = [];
+    for (let i = 0; i < leaves.length; i += 2) {
+      next.push(i + 1 < leaves.length ? ethers.keccak256(ethers.concat([leaves[i], leaves[i + 1]])) : leaves[i]);
+    }
+    leaves = next;
+  }
+  return leaves[0];
+}
+
+// Port of OpenZeppelin MerkleProof.verify: sorted pairs
+function verifyProof(proof, root, leaf) {
+  const computed = proof.reduce((hash, sibling) => BigInt(hash) < BigInt(sibling)
+    ? ethers.keccak256(ethers.concat([hash, sibling]))
+    : ethers.keccak256(ethers.concat([sibling, hash])), leaf);
+  return computed === root;
+}
+
+describe('QOBIMerkleTree abi-packed encoding', () => {
+  it('encodes leaves as keccak256(abi.encodePacked(user, points, qobiAmount))', () => {
+    const leaf = QOBIMerkleTree.encodeAllocationLeaf(ALLOCATIONS[0].user, 20, ethers.parseEther('0.1'));
+    assert.strictEqual('0x' + leaf.toString('hex'), leafOf(ALLOCATIONS[0]));
+  });
+
+  it('produces the golden root, leaf order and proofs', () => {
+    const tree = QOBIMerkleTree.fromAllocations(ALLOCATIONS);
+
+    assert.strictEqual(tree.sortedProofCompatible, true);
+    assert.strictEqual(tree.getRoot(), ROOT);
+    assert.deepStrictEqual(tree.getAllocations().map(a => a.user), ORDERED_USERS);
+
+    for (const [user, proof] of Object.entries(PROOFS)) {
+      assert.deepStrictEqual(tree.getAllocationProof(user).proof, proof);
+    }
+  });
+
+  it('matches calculateMerkleRoot and MerkleProof.verify for every tree size', () => {
+    for (let size = 1; size <= 40; size++) {
+      const allocations = Array.from({ length: size }, (_, i) => ({
+        user: ethers.getAddress(ethers.dataSlice(ethers.id(`user-${size}-${i}`), 12)),
+        points: 1 + (i % 100),
+        qobiAmount: (BigInt(i + 1) * 10n ** 15n).toString()
+      }));
+      const tree = QOBIMerkleTree.fromAllocations(allocations);
+      const root = tree.getRoot();
+
+      assert.strictEqual(root, contractRoot(tree.getAllocations().map(leafOf)), `root for ${size} leaves`);
+
+      if (tree.sortedProofCompatible) {
+        for (const allocation of allocations) {
+          const { leaf, proof } = tree.getAllocationProof(allocation.user);
+          assert.ok(verifyProof(proof, root, leaf), `proof for ${size} leaves`);
+        }
+      }
+    }
+  });
+
+  it('reports trees whose proofs cannot verify with sorted pairs', () => {
+    // No ordering of these three leaves has its first pair hashing below the promoted leaf
+    const allocations = [0, 1, 2].map(i => ({
+      user: ethers.getAddress(ethers.dataSlice(ethers.id(`u3-0-${i}`), 12)),
+      points: 10 + i,
+      qobiAmount: (BigInt(i + 1) * 10n ** 17n).toString()
+    }));
+    assert.strictEqual(QOBIMerkleTree.fromAllocations(allocations).sortedProofCompatible, false);
+  });
+
+  it('round-trips through export and import', () => {
+    const tree = QOBIMerkleTree.fromAllocations(ALLOCATIONS);
+    const restored = new QOBIMerkleTree();
+    restored.import(tree.export());
+
+    assert.strictEqual(restored.encoding, 'abi-packed');
+    assert.strictEqual(restored.getRoot(), ROOT);
+    assert.deepStrictEqual(restored.getAllocationProof(ORDERED_USERS[4]).proof, PROOFS[ORDERED_USERS[4]]);
+  });
+
+  it('keeps JSON leaves as the default encoding', () => {
+    const tree = new QOBIMerkleTree();
+    tree.addLeaf({ id: 'tx-1' });
+    assert.strictEqual(tree.encoding, 'json');
+    assert.throws(() => tree.addAllocation(ALLOCATIONS[0].user, 20, 1), /abi-packed/);
+  });
+});
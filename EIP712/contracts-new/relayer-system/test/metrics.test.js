@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const MetricsRegistry = require('../src/metrics');
+const RelayerStore = require('../src/relayer-store');
+const AIValidator = require('../src/ai-validator');
+const { MockBackend } = require('../src/validator-backends');
+
+describe('MetricsRegistry', () => {
+  it('renders counters, gauges and histograms in the Prometheus text format', async () => {
+    const metrics = new MetricsRegistry();
+    const validations = metrics.counter({ name: 'qobi_validations_total', help: 'Validations', labelNames: ['classification'] });
+    const batchSize = metrics.histogram({ name: 'qobi_batch_size', help: 'Batch size', buckets: [10, 1] });
+    metrics.gauge({ name: 'qobi_queue_depth', help: 'Queue depth', collect: () => 3 });
+    metrics.gauge({ name: 'qobi_relayer_wallet_balance_ether', help: 'Balance', collect: async () => { throw new Error('offline'); } });
+
+    validations.inc({ classification: 'safe' });
+    validations.inc({ classification: 'say "hi"' }, 2);
+    batchSize.observe({}, 5);
+    batchSize.observe({}, 50);
+
+    const text = await metrics.render();
+    assert.match(text, /# TYPE qobi_validations_total counter\nqobi_validations_total\{classification="safe"\} 1\n/);
+    assert.match(text, /qobi_validations_total\{classification="say \\"hi\\""\} 2/);
+    assert.match(text, /qobi_batch_size_bucket\{le="10"\} 1\nqobi_batch_size_bucket\{le="\+Inf"\} 2\nqobi_batch_size_sum 55\nqobi_batch_size_count 2/);
+    assert.doesNotMatch(text, /le="1"/);
+    assert.match(text, /qobi_queue_depth 3/);
+    assert.doesNotMatch(text, /qobi_relayer_wallet_balance_ether/);
+
+    assert.throws(() => validations.inc({ status: 'validated' }), /Unknown labels/);
+  });
+
+  it('keeps counter totals across restarts when backed by a store', () => {
+    const store = new RelayerStore(':memory:');
+    const define = (metrics) => ({
+      submitted: metrics.counter({ name: 'qobi_transactions_submitted_total', help: 'Submitted' }),
+      duration: metrics.histogram({ name: 'qobi_batch_processing_seconds', help: 'Duration', buckets: [1] })
+    });
+
+    const first = new MetricsRegistry({ store });
+    assert.strictEqual(first.restored, false);
+    define(first).submitted.inc({}, 4);
+    define(first).duration.observe({}, 0.5);
+
+    const second = new MetricsRegistry({ store });
+    assert.strictEqual(second.restored, true);
+    define(second).submitted.inc();
+    assert.strictEqual(second.value('qobi_transactions_submitted_total'), 5);
+    assert.strictEqual(second.value('qobi_batch_processing_seconds_bucket', { le: '1' }), 1);
+    assert.strictEqual(second.value('qobi_batch_processing_seconds_count'), 1);
+    store.close();
+  });
+
+  it('counts AI backend requests, errors and fallbacks', async () => {
+    const metrics = new MetricsRegistry();
+    const backend = new MockBackend({ response: () => { throw new Error('backend down'); } });
+    const validator = new AIValidator(undefined, undefined, { backend, metrics, retries: 1, retryDelay: 1, cacheTtl: 0 });
+
+    await validator.validateTransaction({ from: '0x01', to: '0x02', value: '0', data: '0x' });
+
+    assert.strictEqual(metrics.value('qobi_ai_requests_total', { backend: 'mock' }), 2);
+    assert.strictEqual(metrics.value('qobi_ai_errors_total', { backend: 'mock', reason: 'error' }), 2);
+    assert.strictEqual(metrics.value('qobi_ai_retries_total', { backend: 'mock' }), 1);
+    assert.strictEqual(metrics.value('qobi_ai_fallbacks_total', { backend: 'mock' }), 1);
+    assert.strictEqual(metrics.value('qobi_ai_request_duration_seconds_count', { backend: 'mock' }), 2);
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const RelayerClient = require('../src/relayer-client');
+
+const { RelayerClientError } = RelayerClient;
+
+const USER = '0x0000000000000000000000000000000000000101';
+
+describe('RelayerClient', () => {
+  const originalFetch = global.fetch;
+  let calls;
+
+  function respond(status, body) {
+    calls = [];
+    global.fetch = async (url, init) => {
+      calls.push({ url: String(url), init });
+      return new Response(typeof body === 'string' ? body : JSON.stringify(body), { status });
+    };
+  }
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('sends the API key and unwraps results like RelayerService', async () => {
+    const client = new RelayerClient({ apiUrl: 'http://relayer:3000/', apiKey: 'qobi_test' });
+
+    respond(200, { success: true, batches: [{ id: 'batch_1' }] });
+    assert.deepStrictEqual(await client.getRecentBatches(3), [{ id: 'batch_1' }]);
+    assert.strictEqual(calls[0].url, 'http://relayer:3000/batches?count=3');
+    assert.strictEqual(calls[0].init.method, 'GET');
+    assert.strictEqual(calls[0].init.headers.Authorization, 'Bearer qobi_test');
+
+    respond(200, { success: true, transactionId: 'tx_1' });
+    assert.strictEqual(await client.addSignedTransaction({ from: USER }, '0xsig'), 'tx_1');
+    assert.strictEqual(calls[0].url, 'http://relayer:3000/transactions');
+    assert.deepStrictEqual(JSON.parse(calls[0].init.body), { request: { from: USER }, signature: '0xsig' });
+
+    respond(200, { success: true, txHash: '0xabc', nonce: 4 });
+    assert.deepStrictEqual(await client.relayTransaction('tx_1'), { txHash: '0xabc', nonce: 4 });
+
+    respond(200, { claims: [], skipped: [], totalQOBI: '0' });
+    await client.getClaims(USER, { days: [20000, 20001], interactionTypes: [1] });
+    const query = new URL(calls[0].url).searchParams;
+    assert.deepStrictEqual([query.get('days'), query.get('interactionTypes')], ['20000,20001', '1']);
+  });
+
+  it('turns error responses into coded errors', async () => {
+    const client = new RelayerClient({ apiUrl: 'http://relayer:3000' });
+
+    respond(409, { error: 'Stale nonce', code: 'NONCE_MISMATCH', expectedNonce: '3' });
+    await assert.rejects(client.addSignedTransaction({}, '0x'), (error) => {
+      assert.ok(error instanceof RelayerClientError);
+      assert.strictEqual(error.message, 'Stale nonce');
+      assert.deepStrictEqual([error.code, error.status, error.details], ['NONCE_MISMATCH', 409, { expectedNonce: '3' }]);
+      return true;
+    });
+    assert.strictEqual(calls[0].init.headers.Authorization, undefined);
+
+    respond(502, 'Bad Gateway');
+    await assert.rejects(client.getStats(), { code: 'HTTP_502', status: 502, message: 'Bad Gateway' });
+
+    global.fetch = async () => {
+      throw new TypeError('fetch failed', { cause: new Error('connect ECONNREFUSED') });
+    };
+    await assert.rejects(client.getStats(), { code: 'UNREACHABLE', message: /ECONNREFUSED/ });
+  });
+
+  it('reads batch details and opens the event stream for the dashboard', async () => {
+    const client = new RelayerClient({ apiUrl: 'http://relayer:3000', apiKey: 'qobi_test' });
+
+    respond(404, { error: 'Batch not found' });
+    assert.strictEqual(await client.getBatchDetails('batch_9'), null);
+    assert.strictEqual(calls[0].url, 'http://relayer:3000/batches/batch_9');
+
+    respond(200, 'id: 3\nevent: batch.sealed\ndata: {}\n\n');
+    const stream = await client.openEventStream({ lastEventId: '2' });
+    assert.strictEqual(await stream.text(), 'id: 3\nevent: batch.sealed\ndata: {}\n\n');
+    assert.strictEqual(calls[0].url, 'http://relayer:3000/events');
+    assert.deepStrictEqual(calls[0].init.headers, {
+      Accept: 'text/event-stream',
+      Authorization: 'Bearer qobi_test',
+      'Last-Event-ID': '2'
+    });
+
+    respond(403, { error: 'Missing scope read', code: 'FORBIDDEN' });
+    await assert.rejects(client.openEventStream(), { code: 'FORBIDDEN', status: 403 });
+  });
+});
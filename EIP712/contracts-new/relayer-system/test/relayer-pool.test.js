@@ -0,0 +1,217 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const RelayerPool = require('../src/relayer-pool');
+const RelayerStore = require('../src/relayer-store');
+
+const { TX_STATUS } = RelayerStore;
+
+const KEYS = [
+  '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+  '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d'
+];
+const [FIRST, SECOND] = KEYS.map(key => new ethers.Wallet(key).address);
+const TO = '0x0000000000000000000000000000000000000101';
+const TREASURY = '0x0000000000000000000000000000000000000fee';
+const GWEI = 10n ** 9n;
+const ETH = 10n ** 18n;
+
+// Node with a nonce counter and balance per wallet
+class FakeProvider {
+  constructor() {
+    this.mempool = new Map();
+    this.receipts = new Map();
+    this.minedNonces = new Map();
+    this.balances = new Map([[FIRST, ETH], [SECOND, ETH]]);
+    this.blockNumber = 100;
+    this.broadcasts = [];
+    this.estimateError = null;
+  }
+
+  async getNetwork() { return new ethers.Network('test', 202102n); }
+  async getFeeData() { return { maxFeePerGas: 20n * GWEI, maxPriorityFeePerGas: 1n * GWEI, gasPrice: null }; }
+  async getBalance(address) { return this.balances.get(address) || 0n; }
+
+  async estimateGas() {
+    if (this.estimateError) {
+      throw this.estimateError;
+    }
+    return 60000n;
+  }
+
+  async getTransactionCount(address, blockTag) {
+    const mined = this.minedNonces.get(address) || 0;
+    if (blockTag === 'pending') {
+      const pending = [...this.mempool.values()].filter(tx => tx.from === address).map(tx => tx.nonce + 1);
+      return Math.max(mined, ...pending);
+    }
+    return mined;
+  }
+
+  async broadcastTransaction(raw) {
+    const tx = ethers.Transaction.from(raw);
+    this.broadcasts.push(tx);
+    this.mempool.set(tx.hash, tx);
+    return tx;
+  }
+
+  async getTransaction(hash) { return this.mempool.get(hash) || null; }
+  async getTransactionReceipt(hash) { return this.receipts.get(hash) || null; }
+
+  mine(hash, status = 1) {
+    const tx = this.mempool.get(hash);
+    this.mempool.delete(hash);
+    this.minedNonces.set(tx.from, Math.max(this.minedNonces.get(tx.from) || 0, tx.nonce + 1));
+    const blockNumber = ++this.blockNumber;
+    this.receipts.set(hash, {
+      hash,
+      blockNumber,
+      blockHash: ethers.id(`block-${blockNumber}`),
+      gasUsed: 21000n,
+      gasPrice: 2n * GWEI,
+      status,
+      confirmations: async () => this.blockNumber - blockNumber + 1
+    });
+  }
+}
+
+// RelayerTreasury views
+class FakeTreasury {
+  constructor() {
+    this.minBalance = ETH / 10n;
+    this.relayers = new Map([[FIRST, ETH], [SECOND, ETH]]);
+  }
+
+  async minRelayerBalance() { return this.minBalance; }
+  async getAllRelayers() { return [...this.relayers.keys()]; }
+  async getLowBalanceRelayers() {
+    return [...this.relayers].filter(([, balance]) => balance < this.minBalance).map(([address]) => address);
+  }
+  async getRelayerInfo(address) {
+    const balance = this.relayers.get(address);
+    return { authorized: balance !== undefined, balance: balance || 0n };
+  }
+}
+
+async function waitFor(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  assert.ok(condition(), 'condition not reached');
+}
+
+describe('RelayerPool', () => {
+  let provider;
+  let store;
+  let pool;
+  let counter;
+
+  const relay = async () => {
+    const transaction = { id: `tx_${++counter}`, status: TX_STATUS.VALIDATED, from: TO, to: TO, value: '0' };
+    return pool.send(transaction, { to: TO, value: 0n, data: '0x', gasLimit: '21000' });
+  };
+
+  beforeEach(() => {
+    provider = new FakeProvider();
+    store = new RelayerStore(':memory:');
+    pool = new RelayerPool({ provider, privateKeys: KEYS, store, treasury: TREASURY, config: { confirmations: 1 } });
+    pool.treasury = new FakeTreasury();
+    counter = 0;
+  });
+
+  it('spreads relays over the wallets, each with its own nonces', async () => {
+    const sent = [await relay(), await relay(), await relay(), await relay()];
+
+    assert.deepStrictEqual(sent.map(tx => tx.relayer), [FIRST, SECOND, FIRST, SECOND]);
+    assert.deepStrictEqual(sent.map(tx => tx.nonce), [0, 0, 1, 1]);
+    assert.deepStrictEqual(provider.broadcasts.map(tx => tx.from), [FIRST, SECOND, FIRST, SECOND]);
+    assert.strictEqual(store.getTransaction('tx_1').relayer, FIRST);
+    assert.strictEqual(pool.getStats().inFlight, 4);
+  });
+
+  it('takes wallets below minRelayerBalance out of rotation', async () => {
+    provider.balances.set(SECOND, ETH / 100n);
+    await pool.refresh();
+
+    assert.deepStrictEqual(pool.lanes.map(lane => lane.active), [true, false]);
+    assert.match(pool.lanes[1].reason, /wallet balance 0.01 ETH/);
+    assert.deepStrictEqual([(await relay()).relayer, (await relay()).relayer], [FIRST, FIRST]);
+
+    // The treasury's accounting counts as well
+    provider.balances.set(SECOND, ETH);
+    pool.treasury.relayers.set(FIRST, 0n);
+    await pool.refresh();
+    assert.deepStrictEqual(pool.lanes.map(lane => lane.reason), ['treasury balance below minRelayerBalance', null]);
+
+    pool.treasury.relayers.delete(SECOND);
+    await pool.refresh();
+    await assert.rejects(relay(), /No relayer wallet in rotation/);
+  });
+
+  it('reports confirmed relays to RelayerTreasury from the wallet that paid', async () => {
+    const finalized = [];
+    pool.on('finalized', tx => finalized.push(tx.id));
+    await relay();
+    const tx = await relay();
+
+    provider.mine(tx.txHash);
+    await pool.lanes[1].manager.checkInFlight();
+    await waitFor(() => store.getGasReport(tx.id) && store.getGasReport(tx.id).status === 'sent');
+
+    assert.deepStrictEqual(finalized, [tx.id]);
+    const report = provider.broadcasts[provider.broadcasts.length - 1];
+    assert.strictEqual(report.from, SECOND);
+    assert.strictEqual(report.to, ethers.getAddress(TREASURY));
+    assert.strictEqual(report.nonce, 1);
+    const decoded = new ethers.Interface(['function recordGasUsage(uint256 gasUsed, uint256 gasPrice)'])
+      .decodeFunctionData('recordGasUsage', report.data);
+    assert.deepStrictEqual([decoded.gasUsed, decoded.gasPrice], [21000n, 2n * GWEI]);
+
+    // Never reported twice for the same transaction
+    await pool.reportGasUsage(pool.lanes[1], tx);
+    assert.strictEqual(provider.broadcasts.length, 3);
+
+    // Confirmed only once its receipt is in
+    await pool.checkGasReports();
+    assert.strictEqual(store.getGasReport(tx.id).status, 'sent');
+    provider.mine(report.hash);
+    await pool.checkGasReports();
+    assert.deepStrictEqual(
+      [store.getGasReport(tx.id).status, store.getGasReport(tx.id).blockNumber],
+      ['confirmed', provider.blockNumber]
+    );
+  });
+
+  it('retries gas reports that reverted', async () => {
+    const tx = await relay();
+    provider.mine(tx.txHash);
+    await pool.lanes[0].manager.checkInFlight();
+    await waitFor(() => store.getGasReport(tx.id).status === 'sent');
+
+    provider.mine(store.getGasReport(tx.id).reportHash, 0);
+    await pool.refresh();
+
+    const report = store.getGasReport(tx.id);
+    assert.deepStrictEqual([report.status, report.attempts, report.nonce], ['sent', 2, 2]);
+    provider.mine(report.reportHash);
+    await pool.refresh();
+    assert.strictEqual(store.getGasReport(tx.id).status, 'confirmed');
+  });
+
+  it('retries refused gas reports on refresh and gives the nonce back meanwhile', async () => {
+    const tx = await relay();
+    provider.estimateError = Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' });
+
+    provider.mine(tx.txHash);
+    await pool.lanes[0].manager.checkInFlight();
+    await waitFor(() => store.getGasReport(tx.id).status === 'failed');
+    assert.deepStrictEqual(pool.lanes[0].manager.freeNonces, [1]);
+
+    provider.estimateError = null;
+    await pool.refresh();
+    const report = store.getGasReport(tx.id);
+    assert.strictEqual(report.status, 'sent');
+    assert.strictEqual(report.attempts, 2);
+    assert.strictEqual(provider.broadcasts[provider.broadcasts.length - 1].nonce, 1);
+  });
+});
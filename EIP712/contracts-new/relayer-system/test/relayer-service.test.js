@@ -0,0 +1,136 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const RelayerService = require('../src/relayer-service');
+
+const PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const CHAIN_ID = 202102;
+const USER = '0x0000000000000000000000000000000000000101';
+const TARGET = '0x0000000000000000000000000000000000000201';
+
+const user = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+const deadline = Math.floor(Date.now() / 1000) + 600;
+const request = (nonce, overrides = {}) => ({
+  from: user.address,
+  to: TARGET,
+  value: ethers.parseEther('0.1').toString(),
+  data: '0x',
+  interactionType: 'tipping',
+  nonce,
+  deadline,
+  ...overrides
+});
+
+function createService(config = {}) {
+  return new RelayerService({
+    rpcUrl: 'http://127.0.0.1:8545',
+    privateKey: PRIVATE_KEY,
+    chainId: CHAIN_ID,
+    dbPath: ':memory:',
+    validatorBackend: 'mock',
+    validation: { cacheTtl: 0 },
+    ...config
+  });
+}
+
+async function sign(service, fields) {
+  const { domain, types, message } = service.signer.getRelayRequestTypedData(fields);
+  return user.signTypedData(domain, types, message);
+}
+
+describe('RelayerService', () => {
+  it('queues signed transactions in nonce order and stores the signer', async () => {
+    const service = createService();
+
+    const txId = await service.addSignedTransaction(request(0), await sign(service, request(0)));
+    const [queued] = service.pendingTransactions;
+    assert.strictEqual(queued.id, txId);
+    assert.strictEqual(queued.signer, user.address);
+    assert.strictEqual(queued.value, '0.1');
+    assert.strictEqual(queued.interactionType, 3);
+    assert.strictEqual(service.store.getTransaction(txId).userNonce, 0);
+    assert.strictEqual(service.getRelayRequestInfo(user.address.toLowerCase()).nonce, 1);
+
+    const refused = (code) => (error) => error instanceof RelayerService.RelayRequestError && error.code === code;
+    await assert.rejects(service.addSignedTransaction(request(0), await sign(service, request(0))), refused('INVALID_NONCE'));
+    await assert.rejects(
+      service.addSignedTransaction(request(1, { deadline: 1000 }), await sign(service, request(1, { deadline: 1000 }))),
+      refused('EXPIRED')
+    );
+    // A signature for one request does not cover another sender or another payload
+    const signature = await sign(service, request(1));
+    await assert.rejects(service.addSignedTransaction(request(1, { to: USER }), signature), refused('INVALID_SIGNATURE'));
+    await assert.rejects(service.addSignedTransaction(request(1), '0x1234'), refused('INVALID_REQUEST'));
+
+    await service.addSignedTransaction(request(1), signature);
+    assert.strictEqual(service.pendingTransactions.length, 2);
+    await service.shutdown();
+  });
+
+  it('hands the nonce back when the queue refuses the transaction', async () => {
+    const service = createService();
+    await service.batchProcessor.stop();
+
+    await assert.rejects(service.addSignedTransaction(request(0), await sign(service, request(0))), { code: 'QUEUE_CLOSED' });
+    assert.strictEqual(service.store.getUserNonce(user.address), 0);
+    await service.shutdown();
+  });
+
+  it('queues unsigned transactions without a signer, so they earn no rewards', async () => {
+    const service = createService();
+
+    const txId = await service.addTransaction({ from: USER, to: TARGET, interactionType: 'TIPPING', signer: USER, userSignature: '0x' });
+    const stored = service.store.getTransaction(txId);
+    assert.strictEqual(stored.interactionType, 3);
+    assert.strictEqual(stored.signer, undefined);
+    assert.strictEqual(stored.userSignature, undefined);
+
+    await service.flush();
+    const day = Math.floor(stored.timestamp / 86400);
+    assert.strictEqual(service.store.getTransaction(txId).status, 'validated');
+    assert.deepStrictEqual(service.store.getValidatedInteractions(day, 3), []);
+    await service.shutdown();
+  });
+
+  it('refuses fallback verdicts when they are not accepted', async () => {
+    for (const acceptFallbackValidations of [true, false]) {
+      const service = createService({ acceptFallbackValidations });
+      service.aiValidator.batchValidate = async batch =>
+        batch.map(tx => service.aiValidator.createFallbackValidation(tx, new Error('connect ECONNREFUSED')));
+
+      const txId = await service.addTransaction({ from: USER, to: TARGET });
+      await service.flush();
+      assert.strictEqual(service.store.getTransaction(txId).status, acceptFallbackValidations ? 'validated' : 'rejected');
+      await service.shutdown();
+    }
+  });
+
+  it('refuses a second relay of a transaction already being relayed', async () => {
+    const service = createService();
+    const transaction = { id: 'tx_1', status: 'validated', from: user.address, to: TARGET, value: '0.1', data: '0x' };
+    service.processedBatches.push({ transactions: [transaction], merkleLeaves: [{ txId: 'tx_1', leaf: '0x' + '11'.repeat(32) }] });
+    service.merkleTree.getProof = () => [];
+
+    let mine;
+    const mined = new Promise(resolve => { mine = resolve; });
+    const sent = [];
+    service.relayerPool.send = async (tx) => {
+      sent.push(tx.id);
+      Object.assign(tx, { txHash: '0xabc', nonce: 0, status: 'relaying' });
+      await mined;
+    };
+
+    const first = service.relayTransaction('tx_1');
+    await assert.rejects(service.relayTransaction('tx_1'), (error) => {
+      assert.ok(error instanceof RelayerService.RelayRequestError);
+      assert.deepStrictEqual([error.code, error.status], ['RELAY_IN_PROGRESS', 409]);
+      return true;
+    });
+    mine();
+
+    assert.strictEqual((await first).txHash, '0xabc');
+    assert.strictEqual(transaction.status, 'relaying');
+    assert.deepStrictEqual(sent, ['tx_1']);
+    await service.shutdown();
+  });
+});
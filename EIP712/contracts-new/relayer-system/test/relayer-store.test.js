@@ -0,0 +1,130 @@
+const { describe, it, afterEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RelayerStore = require('../src/relayer-store');
+const RelayerService = require('../src/relayer-service');
+
+const { TX_STATUS } = RelayerStore;
+
+function createService(dbPath, config = {}) {
+  return new RelayerService({
+    rpcUrl: 'http://127.0.0.1:8545',
+    privateKey: '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+    dbPath,
+    validatorBackend: 'mock',
+    ...config
+  });
+}
+
+describe('RelayerStore ownership', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relayer-store-'));
+  const opened = [];
+
+  afterEach(() => {
+    opened.splice(0).forEach(store => store.close());
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('lets one relayer own a database and refuses a second one', async () => {
+    const dbPath = path.join(dir, 'owned.db');
+    const first = createService(dbPath);
+    const second = createService(dbPath);
+    opened.push(first.store, second.store);
+
+    first.claimDatabase();
+    assert.strictEqual(first.store.getOwner().pid, process.pid);
+    assert.throws(() => second.claimDatabase(), (error) => {
+      assert.ok(error instanceof RelayerService.DatabaseInUseError);
+      assert.strictEqual(error.code, 'DB_IN_USE');
+      assert.strictEqual(error.owner.ownerId, first.owner.ownerId);
+      return true;
+    });
+
+    // Released on shutdown, after which the next relayer can start
+    await first.shutdown();
+    assert.strictEqual(second.store.getOwner(), null);
+    second.claimDatabase();
+    assert.strictEqual(second.store.getOwner().ownerId, second.owner.ownerId);
+    clearInterval(second.ownerTimer);
+  });
+
+  it('takes over from an owner whose process is gone or that stopped renewing', () => {
+    const dbPath = path.join(dir, 'stale.db');
+    const store = new RelayerStore(dbPath);
+    opened.push(store);
+    const host = os.hostname();
+
+    store.acquireOwner({ ownerId: 'crashed', pid: 2 ** 22 + 1, host }, () => true);
+    const service = createService(dbPath);
+    opened.push(service.store);
+    service.claimDatabase();
+    clearInterval(service.ownerTimer);
+    assert.strictEqual(store.getOwner().ownerId, service.owner.ownerId);
+
+    store.db.prepare('UPDATE relayer_owner SET host = ?, heartbeat_at = ?').run('elsewhere', Date.now() - 120000);
+    const next = createService(dbPath);
+    opened.push(next.store);
+    next.claimDatabase();
+    clearInterval(next.ownerTimer);
+    assert.strictEqual(service.store.renewOwner(service.owner.ownerId), false);
+  });
+
+  it('stops relaying once another relayer takes the database over', async () => {
+    const dbPath = path.join(dir, 'fenced.db');
+    const service = createService(dbPath);
+    opened.push(service.store);
+    service.claimDatabase();
+    service.batchProcessor.restore([{ id: 'tx_1', status: TX_STATUS.PENDING, from: '0x01' }]);
+
+    await service.renewOwnership();
+    assert.strictEqual(service.fenced, false);
+
+    service.store.db.prepare('UPDATE relayer_owner SET owner_id = ?').run('next');
+    await service.renewOwnership();
+    assert.strictEqual(service.fenced, true);
+    assert.strictEqual(service.ownerTimer, null);
+    await assert.rejects(service.relayTransaction('tx_1'), /shutting down/);
+    assert.strictEqual(service.batchProcessor.getStats().accepting, false);
+
+    // The queue was left to the new owner, and so was the ownership row
+    assert.deepStrictEqual([service.batchProcessor.length, service.batchProcessor.getStats().batches], [1, 0]);
+    const reader = new RelayerStore(dbPath);
+    opened.push(reader);
+    assert.strictEqual(reader.getOwner().ownerId, 'next');
+  });
+
+  it('opens a database read-only for inspection', () => {
+    const dbPath = path.join(dir, 'readonly.db');
+    const store = new RelayerStore(dbPath);
+    store.saveTransaction({ id: 'tx_1', status: TX_STATUS.PENDING, from: '0x01' });
+    store.close();
+
+    const reader = new RelayerStore(dbPath, { readonly: true });
+    opened.push(reader);
+    assert.deepStrictEqual(reader.countTransactionsByStatus(), { pending: 1 });
+    assert.throws(() => reader.requeueInterruptedValidations(), { code: 'SQLITE_READONLY' });
+    assert.throws(() => new RelayerStore(path.join(dir, 'missing.db'), { readonly: true }));
+  });
+
+  it('inspects a database without touching the owner\'s queue', async () => {
+    const dbPath = path.join(dir, 'inspected.db');
+    const store = new RelayerStore(dbPath);
+    opened.push(store);
+    store.saveTransaction({ id: 'tx_1', status: TX_STATUS.PENDING, from: '0x01' });
+    store.saveTransaction({ id: 'tx_2', status: TX_STATUS.VALIDATING, from: '0x01' });
+    store.acquireOwner({ ownerId: 'server', pid: process.pid, host: os.hostname() }, () => true);
+
+    const service = createService(dbPath, { readonly: true });
+    await service.initialize();
+    assert.deepStrictEqual(service.pendingTransactions.map(tx => tx.id), ['tx_1']);
+    await service.shutdown();
+
+    assert.deepStrictEqual(store.countTransactionsByStatus(), { pending: 1, validating: 1 });
+    assert.strictEqual(store.getOwner().ownerId, 'server');
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const ReportExporter = require('../src/report-exporter');
+
+const RELAYER = '0x0000000000000000000000000000000000000102';
+
+const day = (date, overrides = {}) => ({
+  day: 20300,
+  date,
+  fromBlock: 10,
+  toBlock: 20,
+  contracts: {
+    merkleDistributor: { address: '0x0000000000000000000000000000000000000302', deployed: true },
+    relayerTreasury: { address: '0x0000000000000000000000000000000000000303', deployed: null }
+  },
+  events: { QOBIClaimed: 2 },
+  distributions: [{
+    interactionType: 1, interactionTypeName: 'LIKES', finalizedBlock: 12, totalUsers: 2,
+    totalQOBI: ethers.parseEther('60').toString(), claims: 1, claimedQOBI: ethers.parseEther('15').toString()
+  }],
+  reimbursements: {
+    count: 1, gasUsed: '21000', gasCost: '21000000000000',
+    byRelayer: [{ relayer: RELAYER, count: 1, gasUsed: '21000', gasCost: '21000000000000' }]
+  },
+  ...overrides
+});
+
+const report = {
+  timestamp: '2025-08-01T00:10:00.000Z',
+  network: { name: 'sepolia', chainId: '11155111', latestBlock: 30 },
+  summary: { indexedThrough: 30 },
+  days: [day('2025-07-30', { events: { GasReimbursed: 1, 'Odd<Name>': 1 } }), day('2025-07-31')]
+};
+
+describe('ReportExporter', () => {
+  it('parses comma-separated formats and rejects unknown ones', () => {
+    assert.deepStrictEqual(ReportExporter.parseFormats('HTML, csv,html'), ['html', 'csv']);
+    assert.throws(() => ReportExporter.parseFormats('html,pdf'), /Unknown report format: pdf/);
+  });
+
+  it('renders one CSV or NDJSON row per day with a column per event name', () => {
+    const [header, ...rows] = ReportExporter.formatReport(report, 'csv').trim().split('\n');
+    assert.strictEqual(header, 'date,day,fromBlock,toBlock,deployedContracts,totalContracts,' +
+      'events.GasReimbursed,events.Odd<Name>,events.QOBIClaimed,' +
+      'distributionsFinalized,finalizedQOBI,claims,claimedQOBI,reimbursements,reimbursedGasUsed,reimbursedGasCost');
+    assert.deepStrictEqual(rows[1].split(','), [
+      '2025-07-31', '20300', '10', '20', '1', '2', '0', '0', '2',
+      '1', ethers.parseEther('60').toString(), '1', ethers.parseEther('15').toString(), '1', '21000', '21000000000000'
+    ]);
+
+    const lines = ReportExporter.formatReport(report, 'ndjson').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(lines.map(line => line.date), ['2025-07-30', '2025-07-31']);
+  });
+
+  it('renders a dated HTML page with a section per day, newest first', () => {
+    const html = ReportExporter.formatReport(report, 'html');
+    assert.match(html, /<title>QOBI report 2025-07-31<\/title>/);
+    assert.ok(html.indexOf('<h2>2025-07-31') < html.indexOf('<h2>2025-07-30'));
+    assert.match(html, /<td>LIKES<\/td><td>2<\/td><td>60\.0<\/td><td>1<\/td><td>15\.0<\/td><td>25\.00%<\/td>/);
+    assert.match(html, /<td>relayerTreasury<\/td><td>0x0+303<\/td><td>unknown<\/td>/);
+    assert.match(html, /Odd&lt;Name&gt;/);
+  });
+
+  it('quotes CSV fields of exported events and writes dated files', () => {
+    const events = [{
+      blockNumber: 7, logIndex: 0, transactionHash: '0xabc', contract: 'relayerTreasury', address: '0x03',
+      event: 'GasReimbursed', args: { relayer: RELAYER, gasUsed: '21000', gasCost: '1' }
+    }];
+    const csv = ReportExporter.formatEvents(events, 'csv').trim().split('\n');
+    assert.strictEqual(csv[1], `7,0,0xabc,relayerTreasury,0x03,GasReimbursed,"{""relayer"":""${RELAYER}"",""gasUsed"":""21000"",""gasCost"":""1""}"`);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qobi-reports-'));
+    try {
+      const exporter = new ReportExporter({ dir: path.join(dir, 'reports') });
+      const file = exporter.write(ReportExporter.formatEvents(events, 'ndjson'), exporter.datedPath('qobi-events', '100-200', 'ndjson'));
+      assert.strictEqual(file, path.join(dir, 'reports', 'qobi-events-100-200.ndjson'));
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), events[0]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const CalldataDecoder = require('../src/calldata-decoder');
+const RuleEngine = require('../src/rule-engine');
+const AIValidator = require('../src/ai-validator');
+const { MockBackend } = require('../src/validator-backends');
+const { ABIS } = require('../src/qobi-contracts');
+
+const USER = '0x0000000000000000000000000000000000000101';
+const TOKEN = '0x0000000000000000000000000000000000000201';
+const SPENDER = '0x0000000000000000000000000000000000000202';
+const DAILY_TREE = '0x0000000000000000000000000000000000000301';
+const STABILIZING = '0x0000000000000000000000000000000000000302';
+
+const erc20 = new ethers.Interface(CalldataDecoder.KNOWN_ABIS.erc20);
+const recipient = new ethers.Interface(CalldataDecoder.KNOWN_ABIS.metaTxInteractionRecipient);
+
+describe('CalldataDecoder', () => {
+  it('decodes known calls with named arguments', () => {
+    const decoder = new CalldataDecoder();
+
+    const decoded = decoder.decode(recipient.encodeFunctionData('executeInteraction', ['liked_post_42']), TOKEN);
+    assert.strictEqual(decoded.contract, 'metaTxInteractionRecipient');
+    assert.strictEqual(decoded.signature, 'executeInteraction(string)');
+    assert.deepStrictEqual(decoded.args, { interaction: 'liked_post_42' });
+
+    const transfer = decoder.decode(erc20.encodeFunctionData('transfer', [USER, 5n]), TOKEN);
+    assert.deepStrictEqual(transfer.args, { to: USER, amount: '5' });
+    assert.strictEqual(CalldataDecoder.describe(transfer), `erc20.transfer(to=${USER}, amount=5)`);
+
+    assert.strictEqual(decoder.decode('0x', TOKEN), null);
+    assert.deepStrictEqual(decoder.decode('0xdeadbeef', TOKEN), { selector: '0xdeadbeef', known: false });
+  });
+
+  it('prefers the contract deployed at the destination for shared selectors', () => {
+    const data = new ethers.Interface(ABIS.stabilizingContract).encodeFunctionData('authorizeRelayer', [USER]);
+
+    const decoder = new CalldataDecoder({ addresses: { dailyTree: DAILY_TREE, stabilizingContract: STABILIZING } });
+    assert.strictEqual(decoder.decode(data, STABILIZING).contract, 'stabilizingContract');
+    assert.strictEqual(decoder.decode(data, DAILY_TREE).contract, 'dailyTree');
+    assert.deepStrictEqual(decoder.decode(data, TOKEN).candidates.sort(), ['dailyTree', 'stabilizingContract']);
+  });
+});
+
+describe('RuleEngine', () => {
+  it('rejects privileged calls, unlimited approvals and large values with the default rules', () => {
+    const engine = new RuleEngine();
+    const tx = (fields) => ({ from: USER, to: TOKEN, value: '0', data: '0x', ...fields });
+
+    const admin = engine.evaluate(tx({
+      data: new ethers.Interface(ABIS.merkleDistributor).encodeFunctionData('emergencyWithdraw', [1n])
+    }));
+    assert.strictEqual(admin.decision, 'reject');
+    assert.strictEqual(admin.matches[0].id, 'privileged-methods');
+
+    const unlimited = engine.evaluate(tx({ data: erc20.encodeFunctionData('approve', [SPENDER, ethers.MaxUint256]) }));
+    assert.strictEqual(unlimited.decision, 'reject');
+    assert.match(unlimited.matches[0].reason, /unlimited allowance/);
+
+    const bounded = engine.evaluate(tx({ data: erc20.encodeFunctionData('approve', [SPENDER, 1000n]) }));
+    assert.strictEqual(bounded.decision, null);
+
+    assert.strictEqual(engine.evaluate(tx({ value: '100.5' })).decision, 'reject');
+    assert.strictEqual(engine.evaluate(tx({ value: '100' })).decision, null);
+
+    const stats = engine.getStats();
+    assert.strictEqual(stats.evaluated, 5);
+    assert.strictEqual(stats.rejected, 3);
+    assert.strictEqual(stats.matchesByRule['privileged-methods'], 1);
+  });
+
+  it('applies allowlists, approve and flag actions from declarative rules', () => {
+    const engine = new RuleEngine({
+      rules: [
+        { id: 'allowlist', type: 'destinationAllowlist', addresses: [TOKEN] },
+        { id: 'interactions', type: 'allowedSelector', methods: ['metaTxInteractionRecipient.executeInteraction'] },
+        { id: 'transfers', type: 'blockedSelector', methods: ['transfer'], action: 'flag' }
+      ]
+    });
+    const interaction = recipient.encodeFunctionData('executeInteraction', ['liked_post_42']);
+
+    assert.strictEqual(engine.evaluate({ to: SPENDER, value: '0', data: interaction }).decision, 'reject');
+    assert.strictEqual(engine.evaluate({ to: TOKEN, value: '0', data: interaction }).decision, 'approve');
+
+    const flagged = engine.evaluate({ to: TOKEN, value: '0', data: erc20.encodeFunctionData('transfer', [USER, 1n]) });
+    assert.strictEqual(flagged.decision, null);
+    assert.deepStrictEqual(flagged.warnings, ['erc20.transfer is blocked']);
+
+    assert.throws(() => new RuleEngine({ rules: [{ type: 'gasCeiling' }] }), /Unknown rule type/);
+    assert.throws(() => new RuleEngine({ rules: [{ type: 'valueCeiling' }] }), /needs a max value/);
+  });
+});
+
+describe('AIValidator rules stage', () => {
+  it('short-circuits rule decisions and sends decoded calls to the backend', async () => {
+    const backend = new MockBackend({
+      response: { riskScore: 10, confidence: 90, classification: 'safe', warnings: [], recommendations: [], analysis: 'Transfer' }
+    });
+    const validator = new AIValidator(undefined, undefined, { backend });
+
+    const rejected = await validator.validateTransaction({
+      from: USER, to: TOKEN, value: '0', data: erc20.encodeFunctionData('approve', [SPENDER, ethers.MaxUint256])
+    });
+    assert.strictEqual(rejected.validatorId, 'rule-engine');
+    assert.strictEqual(rejected.riskScore, 100);
+    assert.strictEqual(backend.calls.length, 0);
+
+    const validation = await validator.validateTransaction({
+      from: USER, to: TOKEN, value: '0', data: erc20.encodeFunctionData('transfer', [USER, 5n])
+    });
+    assert.strictEqual(validation.classification, 'safe');
+    assert.strictEqual(validation.decodedCall.method, 'transfer');
+    assert.match(backend.calls[0].prompt, /Call: transfer\(address,uint256\) on erc20/);
+    assert.match(backend.calls[0].prompt, /"amount":"5"/);
+    assert.strictEqual(validator.getPerformanceStats().ruleDecisions, 1);
+  });
+});
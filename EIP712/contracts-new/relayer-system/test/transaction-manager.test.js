@@ -0,0 +1,194 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const TransactionManager = require('../src/transaction-manager');
+const RelayerStore = require('../src/relayer-store');
+
+const { TX_STATUS } = RelayerStore;
+
+const PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const TO = '0x0000000000000000000000000000000000000101';
+const GWEI = 10n ** 9n;
+
+// Minimal node: a mempool, mined receipts and the wallet's nonce counters
+class FakeProvider {
+  constructor() {
+    this.mempool = new Map();
+    this.receipts = new Map();
+    this.minedNonce = 0;
+    this.blockNumber = 100;
+    this.feeData = { maxFeePerGas: 20n * GWEI, maxPriorityFeePerGas: 1n * GWEI, gasPrice: null };
+    this.broadcasts = [];
+  }
+
+  async getNetwork() { return new ethers.Network('test', 202102n); }
+  async getFeeData() { return this.feeData; }
+
+  async getTransactionCount(address, blockTag) {
+    if (blockTag === 'pending') {
+      const pending = [...this.mempool.values()].map(tx => tx.nonce + 1);
+      return Math.max(this.minedNonce, ...pending);
+    }
+    return this.minedNonce;
+  }
+
+  async broadcastTransaction(raw) {
+    const tx = ethers.Transaction.from(raw);
+    if (tx.nonce < this.minedNonce) {
+      throw Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' });
+    }
+    this.broadcasts.push(tx.hash);
+    this.mempool.set(tx.hash, tx);
+    return tx;
+  }
+
+  async getTransaction(hash) { return this.mempool.get(hash) || null; }
+  async getTransactionReceipt(hash) { return this.receipts.get(hash) || null; }
+
+  mine(hash, status = 1) {
+    const tx = this.mempool.get(hash);
+    this.mempool.delete(hash);
+    this.minedNonce = Math.max(this.minedNonce, tx.nonce + 1);
+    const blockNumber = ++this.blockNumber;
+    this.receipts.set(hash, {
+      hash,
+      blockNumber,
+      blockHash: ethers.id(`block-${blockNumber}`),
+      gasUsed: 21000n,
+      gasPrice: tx.maxFeePerGas,
+      status,
+      confirmations: async () => this.blockNumber - blockNumber + 1
+    });
+  }
+}
+
+describe('TransactionManager', () => {
+  let provider;
+  let store;
+  let manager;
+  let counter;
+
+  const relay = async () => {
+    const transaction = { id: `tx_${++counter}`, status: TX_STATUS.VALIDATED, from: TO, to: TO, value: '0' };
+    return manager.send(transaction, { to: TO, value: 0n, data: '0x', gasLimit: '21000' });
+  };
+
+  beforeEach(() => {
+    provider = new FakeProvider();
+    store = new RelayerStore(':memory:');
+    manager = new TransactionManager({
+      provider,
+      privateKey: PRIVATE_KEY,
+      store,
+      config: { confirmations: 2, stuckTimeout: 1000, dropTimeout: 5000 }
+    });
+    counter = 0;
+  });
+
+  it('assigns consecutive nonces starting from the pending count', async () => {
+    provider.minedNonce = 4;
+    const first = await relay();
+    const second = await relay();
+
+    assert.deepStrictEqual([first.nonce, second.nonce], [4, 5]);
+    assert.strictEqual(store.getTransaction(first.id).status, TX_STATUS.RELAYED);
+    assert.strictEqual(store.getTransaction(first.id).attempts.length, 1);
+  });
+
+  it('confirms only after the configured number of confirmations', async () => {
+    const tx = await relay();
+    provider.mine(tx.txHash);
+
+    await manager.checkInFlight();
+    assert.strictEqual(tx.status, TX_STATUS.RELAYED);
+    assert.strictEqual(tx.receipt.confirmations, 1);
+
+    provider.blockNumber++;
+    await manager.checkInFlight();
+    assert.strictEqual(store.getTransaction(tx.id).status, TX_STATUS.CONFIRMED);
+    assert.strictEqual(manager.getStats().inFlight, 0);
+  });
+
+  it('marks reverted receipts', async () => {
+    const tx = await relay();
+    provider.mine(tx.txHash, 0);
+    provider.blockNumber++;
+
+    await manager.checkInFlight();
+    assert.strictEqual(store.getTransaction(tx.id).status, TX_STATUS.REVERTED);
+  });
+
+  it('bumps fees on stuck transactions and recognises any attempt being mined', async () => {
+    const tx = await relay();
+    const original = tx.txHash;
+    tx.attempts[0].sentAt -= 2000;
+
+    await manager.checkInFlight();
+    assert.strictEqual(tx.attempts.length, 2);
+    assert.strictEqual(tx.nonce, 0);
+    assert.strictEqual(BigInt(tx.attempts[1].maxFeePerGas), 23n * GWEI);
+    assert.notStrictEqual(tx.txHash, original);
+    assert.strictEqual(manager.getStats().feeBumps, 1);
+
+    // The first, cheaper attempt wins the race
+    provider.mine(original);
+    provider.blockNumber++;
+    await manager.checkInFlight();
+
+    const stored = store.getTransaction(tx.id);
+    assert.strictEqual(stored.status, TX_STATUS.CONFIRMED);
+    assert.strictEqual(stored.txHash, original);
+  });
+
+  it('detects a nonce used by another transaction as replaced', async () => {
+    const tx = await relay();
+    provider.mempool.clear();
+    provider.minedNonce = 1;
+
+    await manager.checkInFlight();
+    assert.strictEqual(store.getTransaction(tx.id).status, TX_STATUS.REPLACED);
+  });
+
+  it('rebroadcasts missing transactions, then drops them and reuses the nonce', async () => {
+    const tx = await relay();
+    await relay();
+    provider.mempool.delete(tx.txHash);
+
+    await manager.checkInFlight();
+    assert.strictEqual(manager.getStats().rebroadcasts, 1);
+    assert.ok(provider.mempool.has(tx.txHash));
+
+    provider.mempool.delete(tx.txHash);
+    provider.broadcastTransaction = async () => { throw new Error('underpriced'); };
+    tx.attempts[0].sentAt -= 10000;
+    await manager.checkInFlight();
+
+    assert.strictEqual(store.getTransaction(tx.id).status, TX_STATUS.DROPPED);
+    assert.deepStrictEqual(manager.getStats().freeNonces, [0]);
+    assert.strictEqual(await manager.allocateNonce(), 0);
+    assert.strictEqual(await manager.allocateNonce(), 2);
+  });
+
+  it('hands the nonce back when a send fails before anything was broadcast', async () => {
+    const networkError = () => Object.assign(new Error('could not detect network'), { code: 'NETWORK_ERROR' });
+
+    provider.getFeeData = async () => { throw networkError(); };
+    await assert.rejects(relay(), { code: 'NETWORK_ERROR' });
+    assert.deepStrictEqual(manager.getStats().freeNonces, [0]);
+
+    // Failing to populate is not a broadcast with an unknown outcome
+    provider.getFeeData = FakeProvider.prototype.getFeeData;
+    provider.getNetwork = async () => { throw networkError(); };
+    await assert.rejects(relay(), { code: 'NETWORK_ERROR' });
+    assert.strictEqual(store.getTransaction('tx_2').status, TX_STATUS.FAILED);
+    assert.strictEqual(manager.getStats().inFlight, 0);
+
+    // A broadcast that fails after the attempt was saved is followed by the monitor
+    provider.getNetwork = FakeProvider.prototype.getNetwork;
+    provider.broadcastTransaction = async () => { throw networkError(); };
+    const tx = await relay();
+    assert.strictEqual(tx.nonce, 0);
+    assert.ok(tx.txHash);
+    assert.strictEqual(manager.getStats().inFlight, 1);
+  });
+});
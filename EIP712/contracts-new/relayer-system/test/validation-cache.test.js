@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const ValidationCache = require('../src/validation-cache');
+const RelayerStore = require('../src/relayer-store');
+const AIValidator = require('../src/ai-validator');
+const { MockBackend } = require('../src/validator-backends');
+
+const RESPONSE = {
+  riskScore: 10,
+  confidence: 90,
+  classification: 'safe',
+  warnings: [],
+  recommendations: [],
+  analysis: 'Plain transfer'
+};
+const TX = {
+  from: '0x00000000000000000000000000000000000000aa',
+  to: '0x00000000000000000000000000000000000000bb',
+  value: '0.1',
+  data: '0x'
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('ValidationCache', () => {
+  it('expires entries after the ttl and evicts the least recently used', async () => {
+    const cache = new ValidationCache({ ttl: 30, maxEntries: 2 });
+
+    cache.set('a', 'v1', { riskScore: 1 });
+    cache.set('b', 'v1', { riskScore: 2 });
+    cache.get('a');
+    cache.set('c', 'v1', { riskScore: 3 });
+
+    assert.strictEqual(cache.get('b'), null);
+    assert.strictEqual(cache.get('a').validation.riskScore, 1);
+
+    await sleep(40);
+    assert.strictEqual(cache.get('c'), null);
+
+    const stats = cache.getStats();
+    assert.deepStrictEqual(
+      [stats.hits, stats.misses, stats.evictions, stats.expired, stats.hitRate],
+      [2, 2, 1, 1, 0.5]
+    );
+  });
+
+  it('persists entries in the store and invalidates by version', () => {
+    const store = new RelayerStore(':memory:');
+    const cache = new ValidationCache({ ttl: 60000, store });
+    cache.set('a', 'v1', { riskScore: 1 });
+    cache.set('b', 'v2', { riskScore: 2 });
+    cache.set('c', 'v2', { riskScore: 3 });
+
+    // A new process sees the persisted entries
+    const restarted = new ValidationCache({ ttl: 60000, store });
+    assert.strictEqual(restarted.get('a').validation.riskScore, 1);
+
+    assert.strictEqual(restarted.invalidate({ exceptVersion: 'v2' }), 1);
+    assert.strictEqual(restarted.get('a'), null);
+    assert.strictEqual(restarted.invalidate({ version: 'v2' }), 2);
+    assert.strictEqual(store.countCachedValidations(), 0);
+    store.close();
+  });
+});
+
+describe('AIValidator cache', () => {
+  it('answers equivalent transactions from the cache', async () => {
+    const backend = new MockBackend({ response: RESPONSE });
+    const validator = new AIValidator(undefined, undefined, { backend });
+
+    const first = await validator.validateTransaction(TX);
+    const second = await validator.validateTransaction({ ...TX, from: TX.from.toUpperCase().replace('0X', '0x'), value: '0.10' });
+
+    assert.strictEqual(backend.calls.length, 1);
+    assert.strictEqual(first.cache, undefined);
+    assert.strictEqual(second.cache.hit, true);
+    assert.strictEqual(second.txHash, first.txHash);
+    assert.strictEqual(second.riskScore, 10);
+    assert.strictEqual(validator.getValidationStats().cache.hitRate, 0.5);
+  });
+
+  it('coalesces identical transactions within a batch', async () => {
+    const backend = new MockBackend({ response: RESPONSE, latency: 10 });
+    const validator = new AIValidator(undefined, undefined, { backend });
+
+    const results = await validator.batchValidate([TX, { ...TX }, { ...TX, value: '0.2' }]);
+
+    assert.strictEqual(backend.calls.length, 2);
+    assert.deepStrictEqual(results.map(r => r.classification), ['safe', 'safe', 'safe']);
+    assert.strictEqual(validator.getValidationStats().cache.coalesced, 1);
+  });
+
+  it('does not cache degraded verdicts and misses after a policy change', async () => {
+    let reply = 'not json, but safe';
+    const backend = new MockBackend({ response: () => reply });
+    const validator = new AIValidator(undefined, undefined, { backend, repairAttempts: 0 });
+
+    assert.strictEqual((await validator.validateTransaction(TX)).parseOutcome, 'heuristic');
+    reply = JSON.stringify(RESPONSE);
+    assert.strictEqual((await validator.validateTransaction(TX)).parseOutcome, 'clean');
+    assert.strictEqual((await validator.validateTransaction(TX)).cache.hit, true);
+    assert.strictEqual(backend.calls.length, 2);
+
+    const previousVersion = validator.cacheVersion();
+    assert.strictEqual(validator.setPolicyVersion('2'), 1);
+    assert.notStrictEqual(validator.cacheVersion(), previousVersion);
+
+    await validator.validateTransaction(TX);
+    assert.strictEqual(backend.calls.length, 3);
+    assert.strictEqual(validator.invalidateCache({ tx: TX }), 1);
+  });
+});
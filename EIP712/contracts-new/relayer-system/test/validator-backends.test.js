@@ -0,0 +1,140 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  createBackend, OllamaBackend, OpenAICompatibleBackend, RulesBackend, MockBackend,
+  validateSchema, completeStructured, SchemaValidationError,
+  TRANSACTION_VALIDATION_SCHEMA, INTERACTION_VALIDATION_SCHEMA
+} = require('../src/validator-backends');
+const AIValidator = require('../src/ai-validator');
+
+const SAFE_TX = {
+  from: '0x0000000000000000000000000000000000000101',
+  to: '0x0000000000000000000000000000000000000102',
+  value: '0.1',
+  data: '0x'
+};
+
+describe('validator backends', () => {
+  it('selects the backend by name', () => {
+    assert.ok(createBackend({ backend: 'ollama' }) instanceof OllamaBackend);
+    assert.ok(createBackend({ backend: 'openai', url: 'http://localhost:8080/v1' }) instanceof OpenAICompatibleBackend);
+    assert.ok(createBackend({ backend: 'rules' }) instanceof RulesBackend);
+    assert.ok(createBackend({ backend: 'mock' }) instanceof MockBackend);
+    assert.throws(() => createBackend({ backend: 'gpt-9' }), /Unknown validator backend/);
+  });
+
+  it('rules backend scores transactions and interactions', async () => {
+    const rules = new RulesBackend();
+
+    const safe = JSON.parse(await rules.complete({ subject: SAFE_TX, kind: 'transaction' }));
+    assert.strictEqual(safe.classification, 'safe');
+
+    const burn = JSON.parse(await rules.complete({
+      subject: { ...SAFE_TX, to: '0x0000000000000000000000000000000000000000', value: '500' },
+      kind: 'transaction'
+    }));
+    assert.strictEqual(burn.classification, 'malicious');
+    assert.ok(burn.riskScore > 70);
+
+    const liked = JSON.parse(await rules.complete({ subject: 'liked_post_42', kind: 'interaction' }));
+    assert.deepStrictEqual([liked.approved, liked.significance], [true, 0.8]);
+
+    const spam = JSON.parse(await rules.complete({ subject: 'comment_buy spam now', kind: 'interaction' }));
+    assert.strictEqual(spam.approved, false);
+    assert.strictEqual(spam.category, 'harmful');
+  });
+
+  it('mock backend is deterministic', async () => {
+    const mock = new MockBackend();
+    const first = await mock.complete({ subject: SAFE_TX, kind: 'transaction' });
+    const second = await mock.complete({ subject: SAFE_TX, kind: 'transaction' });
+    assert.strictEqual(first, second);
+    assert.strictEqual(mock.calls.length, 2);
+  });
+
+  it('plugs into AIValidator by name', async () => {
+    const validator = new AIValidator(undefined, undefined, { backend: 'rules' });
+    const validation = await validator.validateTransaction(SAFE_TX);
+
+    assert.strictEqual(validation.validatorId, 'rules-builtin');
+    assert.strictEqual(validation.classification, 'safe');
+    assert.deepStrictEqual(await validator.testConnection(), {
+      connected: true, backend: 'rules', availableModels: [], currentModel: 'builtin'
+    });
+  });
+
+  it('every backend verdict matches its validation schema', async () => {
+    for (const backend of [new RulesBackend(), new MockBackend()]) {
+      const tx = JSON.parse(await backend.complete({ subject: SAFE_TX, kind: 'transaction' }));
+      assert.deepStrictEqual(validateSchema(tx, TRANSACTION_VALIDATION_SCHEMA), []);
+
+      const interaction = JSON.parse(await backend.complete({ subject: 'liked_post_42', kind: 'interaction' }));
+      assert.deepStrictEqual(validateSchema(interaction, INTERACTION_VALIDATION_SCHEMA), []);
+    }
+  });
+});
+
+describe('structured output', () => {
+  it('reports every schema violation', () => {
+    const errors = validateSchema(
+      { riskScore: 140, confidence: '90', classification: 'fine', warnings: [1], extra: true },
+      TRANSACTION_VALIDATION_SCHEMA
+    );
+    assert.deepStrictEqual(errors, [
+      '$.recommendations is required',
+      '$.analysis is required',
+      '$.riskScore must be <= 100',
+      '$.confidence must be number, got string',
+      '$.classification must be one of safe, suspicious, malicious',
+      '$.warnings[0] must be string, got number',
+      '$.extra is not allowed'
+    ]);
+  });
+
+  it('re-prompts with the errors until the response matches', async () => {
+    const prompts = [];
+    const responses = [
+      'Sure! {"approved": true}',
+      '{"approved": true, "significance": 3, "reasoning": "ok", "category": "positive"}',
+      '{"approved": true, "significance": 0.9, "reasoning": "ok", "category": "positive"}'
+    ];
+    const complete = async (prompt) => {
+      prompts.push(prompt);
+      return responses[prompts.length - 1];
+    };
+
+    const result = await completeStructured(complete, 'Validate liked_post_42', INTERACTION_VALIDATION_SCHEMA);
+    assert.strictEqual(result.outcome, 'repaired');
+    assert.strictEqual(result.attempts, 3);
+    assert.strictEqual(result.value.significance, 0.9);
+    assert.match(prompts[1], /response is not valid JSON/);
+    assert.match(prompts[2], /\$\.significance must be <= 1/);
+
+    await assert.rejects(
+      completeStructured(async () => 'DECISION: approve', 'Validate', INTERACTION_VALIDATION_SCHEMA, { maxRepairs: 1 }),
+      (error) => error instanceof SchemaValidationError && error.attempts === 2 && error.response === 'DECISION: approve'
+    );
+  });
+
+  it('asks model servers for schema-constrained output', async () => {
+    const bodies = [];
+    const originalFetch = global.fetch;
+    global.fetch = async (url, init) => {
+      bodies.push(JSON.parse(init.body));
+      return {
+        ok: true,
+        json: async () => ({ response: '{}', choices: [{ message: { content: '{}' } }] })
+      };
+    };
+
+    try {
+      await new OllamaBackend().complete({ prompt: 'p', format: TRANSACTION_VALIDATION_SCHEMA });
+      await new OpenAICompatibleBackend().complete({ prompt: 'p', format: TRANSACTION_VALIDATION_SCHEMA });
+    } finally {
+      global.fetch = originalFetch;
+    }
+
+    assert.deepStrictEqual(bodies[0].format, TRANSACTION_VALIDATION_SCHEMA);
+    assert.deepStrictEqual(bodies[1].response_format.json_schema.schema, TRANSACTION_VALIDATION_SCHEMA);
+  });
+});
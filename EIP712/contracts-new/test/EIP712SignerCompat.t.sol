@@ -0,0 +1,119 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {Test} from "forge-std/Test.sol";
+import "../src/QOBIAccessControl.sol";
+import "../src/DailyTreeGenerator.sol";
+import "../src/QOBIMerkleDistributor.sol";
+
+/**
+ * @title EIP712SignerCompatTest
+ * @dev Golden values produced by relayer-system/src/eip712-signer.js.
+ * relayer-system/test/eip712-signer.test.js asserts the same constants on the JS side.
+ */
+contract EIP712SignerCompatTest is Test {
+    uint256 constant CHAIN_ID = 202102;
+    address constant VERIFYING_CONTRACT = 0x5FbDB2315678afecb367f032d93F642f64180aa3;
+
+    // Well-known test key 0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80
+    address constant RELAYER = 0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266;
+
+    bytes32 constant DOMAIN_SEPARATOR = 0xc81404e53480b1bb352ecd5e15afd262f0ed5804526f1920a834ac0dc63ca32a;
+    bytes32 constant SINGLE_SUBMISSION_HASH = 0xbb4ec7dfa49edafeecfadb4812a04e77829bd8da4380db15b3529335b6092e07;
+    bytes32 constant MULTI_SUBMISSION_HASH = 0x4989be7b4795f307a9b7eff84fd5d1872c074f35ad7c7433e1a0b410849464c7;
+    bytes constant SINGLE_SUBMISSION_SIGNATURE =
+        hex"98c56ecc677efda30c3f88286d70b7307d30d87fe648108875ee496ceb7848090075fb36b1a561c3feedcc950b833e546789becff6ee0d2c549b949faeb8999b1b";
+
+    uint256 constant DAY = 20000;
+    uint256 constant DEADLINE = 1893456000;
+
+    QOBIAccessControl public accessControl;
+    DailyTreeGenerator public treeGenerator;
+    QOBIMerkleDistributor public merkleDistributor;
+
+    function setUp() public {
+        vm.chainId(CHAIN_ID);
+
+        accessControl = new QOBIAccessControl();
+
+        // The domain separator binds the contract address, so deploy at the address the JS side signed for
+        deployCodeTo("DailyTreeGenerator.sol:DailyTreeGenerator", abi.encode(address(accessControl)), VERIFYING_CONTRACT);
+        treeGenerator = DailyTreeGenerator(VERIFYING_CONTRACT);
+
+        merkleDistributor = new QOBIMerkleDistributor(address(accessControl));
+        treeGenerator.setMerkleDistributor(address(merkleDistributor));
+        accessControl.grantRole(keccak256("DISTRIBUTOR_ROLE"), address(treeGenerator));
+        treeGenerator.authorizeRelayer(RELAYER);
+    }
+
+    function testDomainSeparatorMatchesSigner() public view {
+        assertEq(treeGenerator.getDomainSeparator(), DOMAIN_SEPARATOR);
+    }
+
+    function testSingleUserSubmissionHashMatchesSigner() public view {
+        assertEq(treeGenerator.getSubmissionHash(_singleUserSubmission()), SINGLE_SUBMISSION_HASH);
+    }
+
+    function testMultiUserSubmissionHashMatchesSigner() public view {
+        assertEq(treeGenerator.getSubmissionHash(_multiUserSubmission()), MULTI_SUBMISSION_HASH);
+    }
+
+    function testSignerSignatureIsAccepted() public {
+        vm.prank(RELAYER);
+        treeGenerator.submitTreeWithSignature(_singleUserSubmission(), SINGLE_SUBMISSION_SIGNATURE);
+
+        assertEq(treeGenerator.getRelayerNonce(RELAYER), 1);
+
+        (bytes32 root,,, bool finalized,) = merkleDistributor.getDistributionInfo(DAY, 0);
+        assertTrue(finalized);
+        assertEq(root, keccak256(abi.encodePacked(address(0x101), uint256(50), uint256(0.5 ether))));
+    }
+
+    function _singleUserSubmission() internal pure returns (DailyTreeGenerator.TreeSubmission memory) {
+        address[] memory users = new address[](1);
+        uint256[] memory points = new uint256[](1);
+        uint256[] memory qobiAmounts = new uint256[](1);
+
+        users[0] = address(0x101);
+        points[0] = 50;
+        qobiAmounts[0] = 0.5 ether;
+
+        return DailyTreeGenerator.TreeSubmission({
+            day: DAY,
+            interactionType: 0,
+            merkleRoot: keccak256(abi.encodePacked(users[0], points[0], qobiAmounts[0])),
+            users: users,
+            points: points,
+            qobiAmounts: qobiAmounts,
+            nonce: 0,
+            deadline: DEADLINE
+        });
+    }
+
+    function _multiUserSubmission() internal pure returns (DailyTreeGenerator.TreeSubmission memory) {
+        address[] memory users = new address[](3);
+        uint256[] memory points = new uint256[](3);
+        uint256[] memory qobiAmounts = new uint256[](3);
+
+        users[0] = address(0x101);
+        users[1] = address(0x102);
+        users[2] = address(0x103);
+        points[0] = 50;
+        points[1] = 75;
+        points[2] = 100;
+        qobiAmounts[0] = 0.5 ether;
+        qobiAmounts[1] = 0.75 ether;
+        qobiAmounts[2] = 1 ether;
+
+        return DailyTreeGenerator.TreeSubmission({
+            day: DAY,
+            interactionType: 3,
+            merkleRoot: keccak256("root"),
+            users: users,
+            points: points,
+            qobiAmounts: qobiAmounts,
+            nonce: 7,
+            deadline: DEADLINE
+        });
+    }
+}
@@ -0,0 +1,105 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {Test} from "forge-std/Test.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "../src/QOBIAccessControl.sol";
+import "../src/DailyTreeGenerator.sol";
+import "../src/QOBIMerkleDistributor.sol";
+
+/**
+ * @title MerkleTreeCompatTest
+ * @dev Golden tree produced by QOBIMerkleTree in abi-packed mode (relayer-system/src/merkle-tree.js).
+ * relayer-system/test/merkle-tree.test.js asserts the same root, leaf order and proofs on the JS side.
+ */
+contract MerkleTreeCompatTest is Test {
+    bytes32 constant ROOT = 0xfaf4351fe0503fda0177a6609d24087cd70525719afc0c1171fc893c5a6f09d2;
+
+    uint256 constant DAY = 20000;
+    uint8 constant TIPPING = 3;
+
+    QOBIAccessControl public accessControl;
+    DailyTreeGenerator public treeGenerator;
+    QOBIMerkleDistributor public merkleDistributor;
+
+    function setUp() public {
+        accessControl = new QOBIAccessControl();
+        treeGenerator = new DailyTreeGenerator(address(accessControl));
+        merkleDistributor = new QOBIMerkleDistributor(address(accessControl));
+
+        accessControl.grantRole(keccak256("DISTRIBUTOR_ROLE"), address(this));
+        vm.deal(address(merkleDistributor), 10 ether);
+    }
+
+    function testRootMatchesCalculateMerkleRoot() public view {
+        (address[] memory users, uint256[] memory points, uint256[] memory qobiAmounts) = _allocations();
+        assertEq(treeGenerator.calculateMerkleRoot(users, points, qobiAmounts), ROOT);
+    }
+
+    function testProofsVerifyWithMerkleProof() public pure {
+        (address[] memory users, uint256[] memory points, uint256[] memory qobiAmounts) = _allocations();
+        bytes32[][] memory proofs = _proofs();
+
+        for (uint256 i = 0; i < users.length; i++) {
+            bytes32 leaf = keccak256(abi.encodePacked(users[i], points[i], qobiAmounts[i]));
+            assertTrue(MerkleProof.verify(proofs[i], ROOT, leaf));
+        }
+    }
+
+    function testProofsAreClaimable() public {
+        (address[] memory users, uint256[] memory points, uint256[] memory qobiAmounts) = _allocations();
+        bytes32[][] memory proofs = _proofs();
+
+        merkleDistributor.finalizeDailyDistribution(DAY, TIPPING, ROOT, users.length, 1.5 ether);
+
+        for (uint256 i = 0; i < users.length; i++) {
+            assertTrue(merkleDistributor.isClaimable(DAY, TIPPING, users[i], points[i], qobiAmounts[i], proofs[i]));
+
+            vm.prank(users[i]);
+            merkleDistributor.claimQOBI(DAY, TIPPING, points[i], qobiAmounts[i], proofs[i]);
+
+            assertEq(users[i].balance, qobiAmounts[i]);
+            assertTrue(merkleDistributor.hasClaimed(DAY, TIPPING, users[i]));
+        }
+    }
+
+    /// @dev Allocations in the leaf order chosen by QOBIMerkleTree
+    function _allocations() internal pure returns (address[] memory users, uint256[] memory points, uint256[] memory qobiAmounts) {
+        users = new address[](5);
+        points = new uint256[](5);
+        qobiAmounts = new uint256[](5);
+
+        (users[0], points[0], qobiAmounts[0]) = (address(0x102), 40, 0.2 ether);
+        (users[1], points[1], qobiAmounts[1]) = (address(0x105), 100, 0.5 ether);
+        (users[2], points[2], qobiAmounts[2]) = (address(0x101), 20, 0.1 ether);
+        (users[3], points[3], qobiAmounts[3]) = (address(0x103), 60, 0.3 ether);
+        (users[4], points[4], qobiAmounts[4]) = (address(0x104), 80, 0.4 ether);
+    }
+
+    function _proofs() internal pure returns (bytes32[][] memory proofs) {
+        proofs = new bytes32[][](5);
+
+        proofs[0] = new bytes32[](3);
+        proofs[0][0] = 0x61219d8c4c4a543f631cf0bcb871f12924e395be489823c417078a3e601a9253;
+        proofs[0][1] = 0x73e10b5f22d2578a7acecbd4968ab9563e42ec02ba7e174c22bfc918f5c52741;
+        proofs[0][2] = 0xf57b381b579a2ee20763d0c82f91af5a6053916e794308dd84e22ef7640e65c5;
+
+        proofs[1] = new bytes32[](3);
+        proofs[1][0] = 0x2b6b948ec6afa690ee1fec2a338a79df922bf22b61070c43c716f0145ff8ff74;
+        proofs[1][1] = 0x73e10b5f22d2578a7acecbd4968ab9563e42ec02ba7e174c22bfc918f5c52741;
+        proofs[1][2] = 0xf57b381b579a2ee20763d0c82f91af5a6053916e794308dd84e22ef7640e65c5;
+
+        proofs[2] = new bytes32[](3);
+        proofs[2][0] = 0x562b0af219d3462cc8a1ad8319f25728e45a79ccb1fd36a1a9da6d13c655dc9a;
+        proofs[2][1] = 0x5a4553131e862cc7de06d25c51482cd6f42111a05407d316fdc8547242ebce29;
+        proofs[2][2] = 0xf57b381b579a2ee20763d0c82f91af5a6053916e794308dd84e22ef7640e65c5;
+
+        proofs[3] = new bytes32[](3);
+        proofs[3][0] = 0x3de086d6d3c012ab40a0e6ea9ba7d1612507ba332512a5b8ff31bd2eb99e91cf;
+        proofs[3][1] = 0x5a4553131e862cc7de06d25c51482cd6f42111a05407d316fdc8547242ebce29;
+        proofs[3][2] = 0xf57b381b579a2ee20763d0c82f91af5a6053916e794308dd84e22ef7640e65c5;
+
+        proofs[4] = new bytes32[](1);
+        proofs[4][0] = 0x89bbac826baa0cfea0a6506a2e630c91b632c4fafe5dfc1344c1af11c7134fbc;
+    }
+}
@@ -2,6 +2,14 @@ const express = require('express');
 const ethers = require('ethers');
 const config = require('../config/env');
 const MetaTxInteraction = require('./MetaTxInteraction.json');
+const {
+  createBackend,
+  completeStructured,
+  SchemaValidationError,
+  PARSE_OUTCOME,
+  VALIDATION_OUTCOME,
+  INTERACTION_VALIDATION_SCHEMA
+} = require('qobi-validator-backends');
 
 // Use global fetch if available (Node.js v18+), otherwise fallback to node-fetch
 let fetch;
@@ -29,6 +37,12 @@ const {
 
 const provider = new ethers.JsonRpcProvider(blockchain.rpcUrl, blockchain.networkConfig);
 
+// Validation backend (ollama, openai, rules or mock), selected with VALIDATOR_BACKEND
+const validatorBackendName = ollama.backend || process.env.VALIDATOR_BACKEND || 'ollama';
+const validatorBackend = createBackend(validatorBackendName === 'ollama'
+  ? { backend: validatorBackendName, url: ollama.url, model: ollama.model }
+  : { backend: validatorBackendName });
+
 // Override provider methods to prevent ENS resolution
 provider.resolveName = async (name) => {
   if (ethers.isAddress(name)) {
@@ -67,7 +81,7 @@ console.log('🚀 Enhanced EIP-712 Ollama AI Relayer Service');
 console.log('=============================================');
 console.log(`🔗 Contract: ${blockchain.contractAddress}`);
 console.log(`🌐 Network: ${blockchain.rpcUrl}`);
-console.log(`🤖 AI Model: ${ollama.model}`);
+console.log(`🤖 Validator: ${validatorBackend.name} (${validatorBackend.model})`);
 console.log(`📊 Significance Threshold: ${validation.significanceThreshold}`);
 console.log(`⚡ Rate Limit: ${validation.rateLimitMaxRequests} req/min per user`);
 console.log(`🎯 Reject Low Confidence: ${validation.rejectLowConfidence}`);
@@ -124,8 +138,9 @@ app.get('/health', async (req, res) => {
         relayerBalance: ethers.formatEther(balance)
       },
       config: {
-        ollamaUrl: ollama.url,
-        model: ollama.model,
+        validatorBackend: validatorBackend.name,
+        validatorUrl: validatorBackend.url,
+        model: validatorBackend.model,
         port: server.port,
         threshold: validation.significanceThreshold,
         rateLimit: `${validation.rateLimitMaxRequests} req/min`
@@ -143,7 +158,7 @@ app.get('/health', async (req, res) => {
 // Enhanced AI validation function with better context analysis
 async function validateWithAI(interaction, userAddress, userHistory = null) {
   try {
-    console.log(`🤖 Validating interaction with ${ollama.model}: "${interaction}"`);
+    console.log(`🤖 Validating interaction with ${validatorBackend.name} (${validatorBackend.model}): "${interaction}"`);
     
     // Build context-aware prompt
     let contextInfo = '';
@@ -177,87 +192,76 @@ CONFIDENCE LEVELS (ULTRA-STRICT):
   * Examples: "like_post", "good", "nice", "thanks", short responses
 
 SCORING (CONSERVATIVE):
-- 8.0-10.0: Exceptional educational/technical content only
-- 6.0-7.9: High-quality detailed contributions  
-- 3.0-5.9: Good but not exceptional content
-- 1.0-2.9: Basic interactions
-- 0.1-0.9: Spam/low-effort (reject)
+- 0.80-1.00: Exceptional educational/technical content only
+- 0.60-0.79: High-quality detailed contributions  
+- 0.30-0.59: Good but not exceptional content
+- 0.10-0.29: Basic interactions
+- 0.00-0.09: Spam/low-effort (reject)
 
 BE EXTREMELY CONSERVATIVE: When in doubt, assign MEDIUM or LOW confidence. Only HIGH confidence reaches blockchain.
 
-Respond EXACTLY:
-DECISION: [approve/reject]
-SIGNIFICANCE: [0.1-10.0]
-CATEGORY: [category]
-REASON: [detailed rationale]
-CONFIDENCE: [low/medium/high]
+Respond with ONLY this JSON object, no other text:
+{
+  "approved": true/false,
+  "significance": 0.0-1.0,
+  "category": "category",
+  "reasoning": "detailed rationale",
+  "confidence": "low/medium/high"
+}
 `;
 
-    const response = await fetch(`${ollama.url}/api/generate`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: ollama.model,
-        prompt: prompt,
-        stream: false,
-        options: {
+    try {
+      const result = await completeStructured(
+        (request) => validatorBackend.complete({
+          prompt: request,
+          subject: interaction,
+          kind: 'interaction',
+          format: INTERACTION_VALIDATION_SCHEMA,
           temperature: 0.2, // Lower temperature for more consistent scoring
-          top_p: 0.8,
-          num_predict: 300,
-          stop: ['CONFIDENCE: high', 'CONFIDENCE: medium', 'CONFIDENCE: low']
-        }
-      })
-    });
+          topP: 0.8,
+          maxTokens: 300
+        }),
+        prompt,
+        INTERACTION_VALIDATION_SCHEMA,
+        { maxRepairs: validation.repairAttempts ?? 2 }
+      );
 
-    if (!response.ok) {
-      if (response.status === 404) {
-        throw new Error(`Model '${ollama.model}' not found. Please check if the model is available in Ollama.`);
+      console.log(`🤖 AI Response (${result.outcome}): ${result.response}`);
+
+      const verdict = result.value;
+      return buildValidationResult({
+        decision: verdict.approved ? 'approve' : 'reject',
+        significance: verdict.significance * 10,
+        category: verdict.category,
+        reason: verdict.reasoning,
+        confidence: verdict.confidence || 'medium',
+        rawResponse: result.response,
+        parseOutcome: result.outcome
+      });
+    } catch (error) {
+      if (!(error instanceof SchemaValidationError)) {
+        throw error;
       }
-      throw new Error(`Ollama API error: ${response.status} - ${response.statusText}`);
-    }
 
-    const data = await response.json();
-    const aiResponse = data.response;
-    
-    console.log(`🤖 AI Response: ${aiResponse}`);
-
-    // Enhanced parsing with better error handling
-    const decisionMatch = aiResponse.match(/DECISION:\s*(approve|reject)/i);
-    const significanceMatch = aiResponse.match(/SIGNIFICANCE:\s*([\d.]+)/);
-    const categoryMatch = aiResponse.match(/CATEGORY:\s*([^\n]+)/i);
-    const reasonMatch = aiResponse.match(/REASON:\s*([^\n]+)/i);
-    const confidenceMatch = aiResponse.match(/CONFIDENCE:\s*(low|medium|high)/i);
-
-    let decision = decisionMatch ? decisionMatch[1].toLowerCase() : 'reject';
-    let significance = significanceMatch ? parseFloat(significanceMatch[1]) : 0.1;
-    const category = categoryMatch ? categoryMatch[1].trim() : 'unknown';
-    const reason = reasonMatch ? reasonMatch[1].trim() : 'No reason provided';
-    const confidence = confidenceMatch ? confidenceMatch[1].toLowerCase() : 'low';
-
-    // Validate and clamp significance
-    if (isNaN(significance) || significance < validation.minSignificance) {
-      significance = validation.minSignificance;
-    } else if (significance > validation.maxSignificance) {
-      significance = validation.maxSignificance;
-    }
-
-    // Scale significance to contract format (multiply by 100 for 2 decimal precision)
-    const scaledSignificance = helpers.getScaledSignificance(significance);
-
-    // Auto-reject if significance too low and confidence is high
-    if (scaledSignificance < (validation.significanceThreshold * 100) && confidence === 'high') {
-      decision = 'reject';
+      // Models that ignore the schema often still answer in the old line format
+      console.warn(`⚠️ ${error.message}, parsing the last response heuristically`);
+      const aiResponse = String(error.response);
+      const decisionMatch = aiResponse.match(/DECISION:\s*(approve|reject)/i);
+      const significanceMatch = aiResponse.match(/SIGNIFICANCE:\s*([\d.]+)/);
+      const categoryMatch = aiResponse.match(/CATEGORY:\s*([^\n]+)/i);
+      const reasonMatch = aiResponse.match(/REASON:\s*([^\n]+)/i);
+      const confidenceMatch = aiResponse.match(/CONFIDENCE:\s*(low|medium|high)/i);
+
+      return buildValidationResult({
+        decision: decisionMatch && validation.acceptHeuristicValidations !== false ? decisionMatch[1].toLowerCase() : 'reject',
+        significance: significanceMatch ? parseFloat(significanceMatch[1]) : 0.1,
+        category: categoryMatch ? categoryMatch[1].trim() : 'unknown',
+        reason: reasonMatch ? reasonMatch[1].trim() : 'No reason provided',
+        confidence: confidenceMatch ? confidenceMatch[1].toLowerCase() : 'low',
+        rawResponse: aiResponse,
+        parseOutcome: PARSE_OUTCOME.HEURISTIC
+      });
     }
-
-    return {
-      approved: decision === 'approve',
-      significance: scaledSignificance,
-      originalSignificance: significance,
-      category: category,
-      reason: reason,
-      confidence: confidence,
-      rawResponse: aiResponse
-    };
   } catch (error) {
     console.error('❌ AI validation error:', error);
     return {
@@ -267,11 +271,40 @@ CONFIDENCE: [low/medium/high]
       category: 'error',
       reason: `AI validation failed: ${error.message}`,
       confidence: 'low',
-      error: error.message
+      error: error.message,
+      parseOutcome: VALIDATION_OUTCOME.FALLBACK
     };
   }
 }
 
+function buildValidationResult({ decision, significance, category, reason, confidence, rawResponse, parseOutcome }) {
+  // Validate and clamp significance
+  if (isNaN(significance) || significance < validation.minSignificance) {
+    significance = validation.minSignificance;
+  } else if (significance > validation.maxSignificance) {
+    significance = validation.maxSignificance;
+  }
+
+  // Scale significance to contract format (multiply by 100 for 2 decimal precision)
+  const scaledSignificance = helpers.getScaledSignificance(significance);
+
+  // Auto-reject if significance too low and confidence is high
+  if (scaledSignificance < (validation.significanceThreshold * 100) && confidence === 'high') {
+    decision = 'reject';
+  }
+
+  return {
+    approved: decision === 'approve',
+    significance: scaledSignificance,
+    originalSignificance: significance,
+    category: category,
+    reason: reason,
+    confidence: confidence,
+    rawResponse: rawResponse,
+    parseOutcome: parseOutcome
+  };
+}
+
 // Enhanced fallback validation with pattern recognition (ULTRA-CONSERVATIVE)
 function enhancedFallbackValidation(interaction, userAddress) {
   console.log('🔄 Using ultra-conservative fallback validation - will block blockchain access...');
@@ -293,7 +326,8 @@ function enhancedFallbackValidation(interaction, userAddress) {
           category: category,
           reason: `Fallback validation: Pattern "${pattern}" detected but blocked from blockchain (use AI for approval)`,
           confidence: 'low', // ALWAYS low confidence in fallback
-          fallback: true
+          fallback: true,
+          parseOutcome: VALIDATION_OUTCOME.FALLBACK
         };
       }
     }
@@ -307,7 +341,8 @@ function enhancedFallbackValidation(interaction, userAddress) {
     category: 'unknown',
     reason: 'Fallback validation: Unrecognized pattern - AI validation required for blockchain access',
     confidence: 'low', // ALWAYS low confidence
-    fallback: true
+    fallback: true,
+    parseOutcome: VALIDATION_OUTCOME.FALLBACK
   };
 }
 
@@ -801,7 +836,8 @@ app.post('/relayMetaTx', async (req, res) => {
         category: validationResult.category,
         reason: validationResult.reason,
         confidence: validationResult.confidence,
-        fallback: validationResult.fallback || false
+        fallback: validationResult.fallback || false,
+        parseOutcome: validationResult.parseOutcome
       },
       userStats: userHistory
     });
@@ -919,57 +955,60 @@ app.post('/debug', async (req, res) => {
   }
 });
 
-// Troubleshooting endpoint to check Ollama status
+// Troubleshooting endpoint to check the validator backend (kept at its old path)
 app.get('/ollama-status', async (req, res) => {
+  const suggestions = validatorBackend.name === 'ollama'
+    ? ['Make sure Ollama is installed and running', 'Check if the OLLAMA_URL is correct', 'Try: ollama serve']
+    : [`Check the ${validatorBackend.name} backend configuration (VALIDATOR_URL, VALIDATOR_API_KEY)`];
+
   try {
-    // Check if Ollama is running
-    const healthResponse = await fetch(`${ollama.url}/api/tags`);
-    
-    if (!healthResponse.ok) {
+    const connection = await validatorBackend.testConnection();
+
+    if (!connection.connected) {
       return res.status(500).json({
         status: 'error',
-        message: 'Ollama API is not accessible',
-        ollamaUrl: ollama.url,
-        suggestions: [
-          'Make sure Ollama is installed and running',
-          'Check if the OLLAMA_URL is correct',
-          'Try: ollama serve'
-        ]
+        message: `Validator backend '${validatorBackend.name}' is not accessible`,
+        backend: validatorBackend.name,
+        url: validatorBackend.url,
+        ollamaUrl: validatorBackend.url,
+        error: connection.error,
+        suggestions
       });
     }
 
-    const modelsData = await healthResponse.json();
-    const availableModels = modelsData.models?.map(m => m.name) || [];
-    
-    // Check if the configured model is available
-    const modelAvailable = availableModels.some(model => 
-      model.includes(ollama.model) || ollama.model.includes(model.split(':')[0])
+    const availableModels = (connection.availableModels || []).map(m => m.name);
+    const configuredModel = validatorBackend.model;
+
+    // Check if the configured model is available (backends without a model list always are)
+    const modelAvailable = availableModels.length === 0 || availableModels.some(model =>
+      model.includes(configuredModel) || configuredModel.includes(model.split(':')[0])
     );
 
     res.json({
       status: 'ok',
-      ollamaUrl: ollama.url,
-      configuredModel: ollama.model,
+      backend: validatorBackend.name,
+      url: validatorBackend.url,
+      // Name from before validator backends, read by troubleshoot.js and older tools
+      ollamaUrl: validatorBackend.url,
+      configuredModel,
       modelAvailable: modelAvailable,
       availableModels: availableModels,
       suggestions: !modelAvailable ? [
-        `Model '${ollama.model}' not found`,
+        `Model '${configuredModel}' not found`,
         'Available models: ' + availableModels.join(', '),
-        'Try: ollama pull ' + ollama.model,
-        'Or update OLLAMA_MODEL environment variable to an available model'
+        validatorBackend.name === 'ollama' ? 'Try: ollama pull ' + configuredModel : 'Check VALIDATOR_MODEL',
+        'Or update the model environment variable to an available model'
       ] : ['All good! AI validation should work.']
     });
   } catch (error) {
     res.status(500).json({
       status: 'error',
-      message: 'Failed to check Ollama status',
+      message: `Failed to check validator backend '${validatorBackend.name}'`,
       error: error.message,
-      ollamaUrl: ollama.url,
-      suggestions: [
-        'Make sure Ollama is installed and running',
-        'Check if the OLLAMA_URL is correct',
-        'Try: ollama serve'
-      ]
+      backend: validatorBackend.name,
+      url: validatorBackend.url,
+      ollamaUrl: validatorBackend.url,
+      suggestions
     });
   }
 });
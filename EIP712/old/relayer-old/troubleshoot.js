@@ -10,7 +10,8 @@ async function checkOllamaStatus() {
     const data = response.data;
     
     console.log(`📊 Status: ${data.status}`);
-    console.log(`🔗 Ollama URL: ${data.ollamaUrl}`);
+    console.log(`🧠 Backend: ${data.backend || 'ollama'}`);
+    console.log(`🔗 URL: ${data.url || data.ollamaUrl}`);
     console.log(`🤖 Configured Model: ${data.configuredModel}`);
     console.log(`✅ Model Available: ${data.modelAvailable}`);
     